@@ -0,0 +1,207 @@
+// backend/config/aiSchemas.js - Declared shapes of every AI-generated artifact
+//
+// Written in the JSON Schema subset that utils/schemaValidator.js understands.
+// Model replies are validated against these; top-level fields that fail are
+// repaired once by the model and otherwise filled from the rule-based fallback.
+
+const ALGORITHM_IDS = [
+  'advancedGreedy',
+  'genetic',
+  'nearestNeighbor',
+  'dynamicProgramming',
+  'timeWindowTSP',
+  'simulatedAnnealing',
+  'antColony'
+];
+
+const text = { type: 'string', minLength: 1 };
+const textList = { type: 'array', items: text };
+
+const tripAnalysis = {
+  type: 'object',
+  required: ['tripOverview', 'algorithmRecommendation', 'recommendations'],
+  properties: {
+    tripOverview: text,
+    algorithmRecommendation: {
+      type: 'object',
+      required: ['algorithm', 'reason'],
+      properties: {
+        algorithm: { type: 'string', enum: ALGORITHM_IDS },
+        reason: text,
+        confidence: { type: 'string', enum: ['high', 'medium', 'low'] }
+      }
+    },
+    routingStrategy: {
+      type: 'object',
+      properties: {
+        startingPlace: text,
+        optimizationPriorities: textList
+      }
+    },
+    recommendations: { ...textList, minItems: 1 },
+    warnings: textList,
+    bestTimeToTravel: text,
+    budgetEstimate: {
+      type: 'object',
+      required: ['total'],
+      properties: {
+        entryFees: { type: 'number', minimum: 0 },
+        transportation: { type: 'number', minimum: 0 },
+        food: { type: 'number', minimum: 0 },
+        total: { type: 'number', minimum: 0 }
+      }
+    },
+    culturalTips: textList
+  }
+};
+
+const itinerary = {
+  type: 'object',
+  required: ['itinerary', 'alternatives', 'practicalInfo'],
+  properties: {
+    itinerary: text,
+    alternatives: textList,
+    practicalInfo: {
+      type: 'object',
+      properties: {
+        totalDuration: text,
+        transportationTips: text,
+        budgetBreakdown: text,
+        packingList: textList
+      }
+    }
+  }
+};
+
+const algorithmExplanation = {
+  type: 'object',
+  required: ['title', 'summary', 'reasoning', 'optimizations', 'tips'],
+  properties: {
+    title: text,
+    summary: text,
+    reasoning: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['step', 'decision', 'explanation'],
+        properties: {
+          step: { type: 'integer', minimum: 1 },
+          decision: text,
+          explanation: text,
+          factors: textList
+        }
+      }
+    },
+    optimizations: textList,
+    tips: textList,
+    packingList: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['item'],
+        properties: { item: text, reason: text }
+      }
+    },
+    localExperiences: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['recommendation'],
+        properties: { recommendation: text, context: text }
+      }
+    },
+    culturalEtiquette: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['tip'],
+        properties: { tip: text, appliesTo: text }
+      }
+    },
+    mealPlan: {
+      type: 'object',
+      properties: { breakfast: text, lunch: text, snacks: text }
+    },
+    technical: { type: 'object' }
+  }
+};
+
+const tripSuggestions = {
+  type: 'object',
+  required: ['suggestions'],
+  properties: {
+    suggestions: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['type', 'description', 'recommendedPlaces'],
+        properties: {
+          type: text,
+          description: text,
+          recommendedPlaces: { ...textList, minItems: 1 },
+          estimatedTime: text,
+          estimatedCost: { type: 'number', minimum: 0 },
+          difficulty: text,
+          highlights: textList,
+          suitableFor: textList
+        }
+      }
+    }
+  }
+};
+
+const detailedPlan = {
+  type: 'object',
+  required: ['summary', 'timeline'],
+  properties: {
+    summary: {
+      type: 'object',
+      required: ['title', 'description'],
+      properties: {
+        title: text,
+        description: text,
+        personalizedHighlights: textList,
+        tripPersonality: text,
+        startingLocation: text
+      }
+    },
+    timeline: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['time', 'place', 'activities'],
+        properties: {
+          time: { type: 'string', pattern: '^([01]?\\d|2[0-3]):[0-5]\\d$' },
+          place: {
+            type: 'object',
+            required: ['name'],
+            properties: { name: text, city: text }
+          },
+          duration: { type: 'number', minimum: 0 },
+          activities: textList,
+          personalizedTips: textList
+        }
+      }
+    },
+    personalizedRecommendations: {
+      type: 'object',
+      properties: { forYourInterests: textList }
+    }
+  }
+};
+
+const AI_SCHEMAS = {
+  tripAnalysis,
+  itinerary,
+  algorithmExplanation,
+  tripSuggestions,
+  detailedPlan
+};
+
+module.exports = {
+  ALGORITHM_IDS,
+  AI_SCHEMAS
+};
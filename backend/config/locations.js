@@ -104,6 +104,20 @@ const USER_LOCATIONS = {
   }
 };
 
+// Used only when a request gives no start location at all
+const DEFAULT_LOCATION_ID = 'coimbatore';
+
+// How a route ends: 'open' at the last place, 'return' back at the start,
+// 'fixed' at a given end location (hotel, railway station)
+const ROUTE_END_MODES = ['open', 'return', 'fixed'];
+
+// An explicit endMode wins; older clients only send endLocation or returnToStart
+const getRouteEndMode = ({ endMode, endLocation, returnToStart } = {}) => {
+  if (endMode) return endMode;
+  if (endLocation) return 'fixed';
+  return returnToStart ? 'return' : 'open';
+};
+
 // Enhanced helper function with multiple coordinate format support
 const getLocationById = (locationId) => {
   const location = USER_LOCATIONS[locationId];
@@ -207,6 +221,29 @@ const standardizeLocationFormat = (location) => {
   };
 };
 
+// Build a location in the same shape as USER_LOCATIONS for any coordinate
+// (live GPS position, geocoded hotel, saved user location)
+const createCustomLocation = (latitude, longitude, details = {}) => {
+  const lat = parseFloat(latitude);
+  const lng = parseFloat(longitude);
+
+  if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+    return null;
+  }
+
+  return standardizeLocationFormat({
+    id: details.id || `custom:${lat.toFixed(5)},${lng.toFixed(5)}`,
+    name: details.name || 'Custom location',
+    district: details.district,
+    state: details.state,
+    description: details.description || details.address || '',
+    address: details.address,
+    source: details.source || 'coordinates',
+    latitude: lat,
+    longitude: lng
+  });
+};
+
 // Debug function to verify all coordinates
 const debugLocationCoordinates = () => {
   console.log('🔍 Backend Location Coordinate Debug:');
@@ -279,7 +316,11 @@ const initStatus = initializeLocations();
 
 module.exports = {
   USER_LOCATIONS,
+  DEFAULT_LOCATION_ID,
+  ROUTE_END_MODES,
+  getRouteEndMode,
   getLocationById,
+  createCustomLocation,
   getAllLocations,
   getLocationsByState,
   validateLocation,
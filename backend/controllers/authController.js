@@ -0,0 +1,274 @@
+// backend/controllers/authController.js
+const User = require('../models/User');
+const { signToken } = require('../utils/authTokens');
+const { resolveLocation } = require('../utils/locationResolver');
+const { validationResult, body, param } = require('express-validator');
+
+// Validation middleware
+const validateRegister = [
+  body('email').isEmail().withMessage('A valid email is required'),
+  body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('password').isString().isLength({ min: 8, max: 128 }).withMessage('Password must be 8-128 characters')
+];
+
+const validateLogin = [
+  body('email').isEmail().withMessage('A valid email is required'),
+  body('password').isString().notEmpty().withMessage('Password is required')
+];
+
+const validateSavedLocation = [
+  body('label').isString().trim().isLength({ min: 1, max: 60 }).withMessage('Label must be 1-60 characters'),
+  body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('latitude must be between -90 and 90'),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('longitude must be between -180 and 180'),
+  body('address').optional().isString().trim().isLength({ min: 3, max: 300 }).withMessage('address must be 3-300 characters'),
+  body().custom(value => (value.latitude !== undefined && value.longitude !== undefined) || value.address)
+    .withMessage('Provide latitude and longitude, or an address to look up')
+];
+
+const validateSavedLocationId = [
+  param('locationId').isMongoId().withMessage('Invalid saved location ID')
+];
+
+// Utility function to handle validation errors
+const handleValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  return null;
+};
+
+// Enhanced error handler
+const handleError = (res, error, message = 'Internal server error', statusCode = 500) => {
+  console.error(`${message}:`, error);
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  const isDevelopment = process.env.NODE_ENV === 'development';
+
+  res.status(statusCode).json({
+    success: false,
+    message,
+    ...(isDevelopment && { error: error.message, stack: error.stack })
+  });
+};
+
+// Create an account and log it in
+const register = async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  try {
+    const { email, name, password } = req.body;
+
+    const existing = await User.findByEmail(email);
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'An account with this email already exists'
+      });
+    }
+
+    const user = new User({
+      email,
+      name,
+      lastLoginAt: new Date()
+    });
+    await user.setPassword(password);
+    await user.save();
+
+    console.log(`👤 Registered user ${user._id} (${user.email})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Account created successfully',
+      data: buildSession(user)
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'An account with this email already exists'
+      });
+    }
+    handleError(res, error, 'Error creating account');
+  }
+};
+
+// Exchange email + password for a token
+const login = async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  try {
+    const { email, password } = req.body;
+    const user = await User.findByEmail(email).select('+passwordHash');
+
+    // Same response for unknown email and wrong password
+    if (!user || !user.isActive || !(await user.verifyPassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password',
+        type: 'AUTH_ERROR'
+      });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    console.log(`🔑 User ${user._id} logged in`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged in successfully',
+      data: buildSession(user)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error logging in');
+  }
+};
+
+// Return the user behind the current token
+const getMe = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: user.toPublicJSON()
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error fetching current user');
+  }
+};
+
+// Save a start/end location (coordinates, or an address that is geocoded)
+const addSavedLocation = async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.savedLocations.length >= User.MAX_SAVED_LOCATIONS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save up to ${User.MAX_SAVED_LOCATIONS} locations`
+      });
+    }
+
+    const { label, latitude, longitude, address } = req.body;
+    const { location, error } = await resolveLocation(
+      latitude !== undefined ? { latitude, longitude, name: label } : { address, name: label },
+      { role: 'saved' }
+    );
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    user.savedLocations.push({
+      label,
+      address: address || location.address,
+      latitude: location.latitude,
+      longitude: location.longitude
+    });
+    await user.save();
+
+    const saved = user.toPublicJSON().savedLocations.slice(-1)[0];
+    console.log(`📌 ${req.user.id} saved location "${label}" (${saved.latitude}, ${saved.longitude})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Location saved',
+      data: saved
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error saving location');
+  }
+};
+
+// Remove one of the current user's saved locations
+const removeSavedLocation = async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  try {
+    const result = await User.updateOne(
+      { _id: req.user.id, 'savedLocations._id': req.params.locationId },
+      { $pull: { savedLocations: { _id: req.params.locationId } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved location not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Location removed'
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error removing saved location');
+  }
+};
+
+// Helper functions
+
+function buildSession(user) {
+  return {
+    token: signToken({ sub: user._id.toString(), role: user.role }),
+    user: user.toPublicJSON()
+  };
+}
+
+// Validation arrays for express-validator
+const validations = {
+  validateRegister,
+  validateLogin,
+  validateSavedLocation,
+  validateSavedLocationId
+};
+
+module.exports = {
+  register,
+  login,
+  getMe,
+  addSavedLocation,
+  removeSavedLocation,
+  validations
+};
@@ -1,13 +1,43 @@
 // backend/controllers/chatController.js - SOUTH INDIAN TOUR GUIDE VERSION
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const Place = require('../models/Place');
+const Conversation = require('../models/Conversation');
+const llmClient = require('../utils/llmClient');
+const { prepareHistory, historyFromClientMessages, formatHistoryForPrompt } = require('../utils/chatHistory');
+const { retrievePlaces, formatPlaceFacts, extractCitations, describePlacesForTraveller, toSource } = require('../utils/placeRetriever');
+const { validationResult, param, query } = require('express-validator');
+
+// Validation middleware
+const validateConversationId = [
+  param('id').isMongoId().withMessage('Invalid conversation ID')
+];
+
+const validateListConversations = [
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100'),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer')
+];
+
+// Utility function to handle validation errors
+const handleValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  return null;
+};
 
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
-// SOUTH INDIAN GUIDE: Chat with AI assistant
+// SOUTH INDIAN GUIDE: Chat with AI assistant. Signed-in users may send the
+// conversationId from an earlier reply to continue that conversation; without
+// one a new conversation is started and its id returned. Answers are grounded
+// in the catalog places the question is about; `sources` lists the ones used.
 const chatWithAI = async (req, res) => {
+  let conversation = null;
+  let retrieved = [];
+
   try {
     console.log('🌴 South Indian Guide Controller - Request received:', {
       body: req.body,
@@ -25,14 +55,27 @@ const chatWithAI = async (req, res) => {
       });
     }
 
-    // Check if Gemini API key is available
-    if (!process.env.GEMINI_API_KEY) {
-      console.log('⚠️ South Indian Guide Controller - No Gemini API key, using fallback');
-      const fallbackResponse = getSouthIndianFallbackResponse(message);
+    const session = await loadChatSession(req, message, context);
+    if (session.notFound) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+    conversation = session.conversation;
+    retrieved = await retrieveChatPlaces(message, context, conversation);
+
+    // Check if an AI provider is configured
+    if (!llmClient.isAvailable()) {
+      console.log('⚠️ South Indian Guide Controller - No AI provider, using fallback');
+      const fallback = getFallbackAnswer(message, retrieved);
+      await recordTurns(conversation, message, fallback.message, { fallback: true, sources: fallback.sources });
       return res.status(200).json({
         success: true,
         data: {
-          message: fallbackResponse,
+          message: fallback.message,
+          sources: fallback.sources,
+          conversationId: conversation?._id,
           timestamp: new Date().toISOString(),
           fallback: true
         }
@@ -41,38 +84,31 @@ const chatWithAI = async (req, res) => {
 
     console.log('📤 South Indian Guide Controller - Processing message:', message.substring(0, 100) + '...');
 
-    // Get the Gemini model
-    const model = genAI.getGenerativeModel({ model: 'gemini-1.5-flash-latest' });
+    // Build the guide prompt with the user's context and the conversation so far
+    const enhancedPrompt = await buildChatPrompt(message, context, session.history, retrieved);
 
-    // Build context for the AI
-    const systemContext = await buildSouthIndianSystemContext(context);
-    
-    // Create enhanced prompt
-    const enhancedPrompt = `${systemContext}
-
-User Question: ${message}
-
-Remember to respond as a warm, friendly South Indian local who loves sharing the beauty of south indian places. Be conversational, sweet, and focus on authentic local experiences. NO MARKDOWN formatting - just natural,brief, informative, flowing text that's easy to read.`;
-
-    console.log('🧠 South Indian Guide Controller - Sending to Gemini AI');
+    console.log(`🧠 South Indian Guide Controller - Sending to ${llmClient.getInfo().provider}`);
 
     // Generate response
-    const result = await model.generateContent(enhancedPrompt);
-    const response = await result.response;
-    const aiResponse = response.text();
+    const aiResponse = await llmClient.generate(enhancedPrompt, { task: 'chat' });
 
     console.log('✅ South Indian Guide Controller - AI response received:', aiResponse.substring(0, 100) + '...');
 
-    // Clean up any markdown formatting
-    const cleanResponse = cleanMarkdownFromResponse(aiResponse);
+    // Take off the cited places line and clean up any markdown formatting
+    const { text, sources } = extractCitations(aiResponse, retrieved);
+    const cleanResponse = cleanMarkdownFromResponse(text);
 
     // Log interaction for analytics
-    console.log(`South Indian Guide Query: ${message.substring(0, 100)}... | Response: ${cleanResponse.substring(0, 100)}...`);
+    console.log(`South Indian Guide Query: ${message.substring(0, 100)}... | Response: ${cleanResponse.substring(0, 100)}... | Sources: ${sources.length}`);
+
+    await recordTurns(conversation, message, cleanResponse, { sources });
 
     res.status(200).json({
       success: true,
       data: {
         message: cleanResponse,
+        sources,
+        conversationId: conversation?._id,
         timestamp: new Date().toISOString(),
         responseTime: Date.now() - req.startTime
       }
@@ -82,12 +118,15 @@ Remember to respond as a warm, friendly South Indian local who loves sharing the
     console.error('❌ South Indian Guide Controller - Error in AI chat:', error);
     
     // Provide fallback response
-    const fallbackResponse = getSouthIndianFallbackResponse(req.body?.message || 'general');
+    const fallback = getFallbackAnswer(req.body?.message || 'general', retrieved);
+    await recordTurns(conversation, req.body.message, fallback.message, { fallback: true, sources: fallback.sources });
     
     res.status(200).json({
       success: true,
       data: {
-        message: fallbackResponse,
+        message: fallback.message,
+        sources: fallback.sources,
+        conversationId: conversation?._id,
         timestamp: new Date().toISOString(),
         fallback: true,
         error: process.env.NODE_ENV === 'development' ? error.message : undefined
@@ -96,6 +135,269 @@ Remember to respond as a warm, friendly South Indian local who loves sharing the
   }
 };
 
+// Heartbeat comments keep mobile networks and proxies from closing a quiet stream
+const STREAM_HEARTBEAT_MS = 15000;
+
+/**
+ * SOUTH INDIAN GUIDE: Same chat as chatWithAI, streamed as Server-Sent Events
+ * so the reply shows up while the model is still writing it:
+ *   event: start  data: { timestamp, provider, conversationId? }
+ *   event: token  data: { text }             (raw model text, in order)
+ *   event: done   data: { message, sources, conversationId?, timestamp, responseTime, fallback? }
+ *   event: error  data: { message }          (after partial text; the stream then ends)
+ * `done.message` is the full reply with markdown removed; clients replace the
+ * streamed text with it, which also drops the closing "SOURCES: ..." line the
+ * model writes. Closing the connection cancels the model request; the partial
+ * answer is kept in the conversation, marked as interrupted.
+ */
+const streamChatWithAI = async (req, res) => {
+  const { message, context = {} } = req.body;
+
+  if (!message || typeof message !== 'string' || message.trim().length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'What would you like to know about our beautiful South India, friend?'
+    });
+  }
+
+  // Before the stream opens, so an unknown conversation is still a plain 404
+  const session = await loadChatSession(req, message, context);
+  if (session.notFound) {
+    return res.status(404).json({
+      success: false,
+      message: 'Conversation not found'
+    });
+  }
+  const { conversation, history } = session;
+  const conversationId = conversation?._id;
+  const retrieved = await retrieveChatPlaces(message, context, conversation);
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const abortController = new AbortController();
+  let finished = false;
+  res.on('close', () => {
+    if (!finished) {
+      console.log('🔌 South Indian Guide Stream - Client disconnected, cancelling AI request');
+      abortController.abort();
+    }
+  });
+
+  const sendEvent = (event, data) => {
+    if (!res.writableEnded) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+  const heartbeat = setInterval(() => {
+    if (!res.writableEnded) res.write(': ping\n\n');
+  }, STREAM_HEARTBEAT_MS);
+
+  const stop = () => {
+    finished = true;
+    clearInterval(heartbeat);
+  };
+  const finish = (event, data) => {
+    stop();
+    sendEvent(event, data);
+    res.end();
+  };
+
+  // Answer text without the SOURCES line and markdown, plus the places it cited
+  const settle = (reply) => {
+    const { text, sources } = extractCitations(reply, retrieved);
+    return { message: cleanMarkdownFromResponse(text), sources };
+  };
+
+  const finishWithFallback = async (error) => {
+    const fallback = getFallbackAnswer(message, retrieved);
+    sendEvent('token', { text: fallback.message });
+    await recordTurns(conversation, message, fallback.message, { fallback: true, sources: fallback.sources });
+    finish('done', {
+      message: fallback.message,
+      sources: fallback.sources,
+      conversationId,
+      timestamp: new Date().toISOString(),
+      responseTime: Date.now() - req.startTime,
+      fallback: true,
+      error: error && process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  };
+
+  if (!llmClient.isAvailable()) {
+    console.log('⚠️ South Indian Guide Stream - No AI provider, using fallback');
+    sendEvent('start', { timestamp: new Date().toISOString(), provider: null, conversationId });
+    return finishWithFallback();
+  }
+
+  let fullResponse = '';
+  try {
+    const enhancedPrompt = await buildChatPrompt(message, context, history, retrieved);
+    sendEvent('start', { timestamp: new Date().toISOString(), provider: llmClient.getInfo().provider, conversationId });
+    console.log(`🧠 South Indian Guide Stream - Streaming from ${llmClient.getInfo().provider}`);
+
+    for await (const text of llmClient.stream(enhancedPrompt, { task: 'chat', signal: abortController.signal })) {
+      if (abortController.signal.aborted) break;
+      fullResponse += text;
+      sendEvent('token', { text });
+    }
+
+    if (abortController.signal.aborted) {
+      stop();
+      const partial = settle(fullResponse);
+      return recordTurns(conversation, message, partial.message, { interrupted: true, sources: partial.sources });
+    }
+
+    const { message: cleanResponse, sources } = settle(fullResponse);
+    console.log(`✅ South Indian Guide Stream - Completed ${cleanResponse.length} characters, ${sources.length} sources, in ${Date.now() - req.startTime}ms`);
+
+    await recordTurns(conversation, message, cleanResponse, { sources });
+    finish('done', {
+      message: cleanResponse,
+      sources,
+      conversationId,
+      timestamp: new Date().toISOString(),
+      responseTime: Date.now() - req.startTime
+    });
+
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      stop();
+      const partial = settle(fullResponse);
+      return recordTurns(conversation, message, partial.message, { interrupted: true, sources: partial.sources });
+    }
+
+    console.error('❌ South Indian Guide Stream - Error in AI chat:', error);
+
+    // Nothing shown yet: answer like chatWithAI does. Otherwise keep what the user already has.
+    if (fullResponse.length === 0) {
+      return finishWithFallback(error);
+    }
+    const partial = settle(fullResponse);
+    await recordTurns(conversation, message, partial.message, { interrupted: true, sources: partial.sources });
+    finish('error', {
+      message: 'The guide was interrupted. Please ask again for the rest of the answer.'
+    });
+  }
+};
+
+// List the signed-in user's conversations, most recent first
+const getConversations = async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  try {
+    const { limit = 20, page = 1 } = req.query;
+    const limitNum = parseInt(limit);
+    const pageNum = parseInt(page);
+    const filter = { userId: req.user.id };
+
+    // Only the last turn is loaded, for the preview line
+    const [conversations, totalCount] = await Promise.all([
+      Conversation.find(filter, { turns: { $slice: -1 }, summary: 0 })
+        .sort({ lastMessageAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Conversation.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    res.status(200).json({
+      success: true,
+      count: conversations.length,
+      totalCount,
+      currentPage: pageNum,
+      totalPages,
+      hasNextPage: pageNum < totalPages,
+      hasPrevPage: pageNum > 1,
+      data: conversations.map(conversation => conversation.toListItem())
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching conversations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching conversations'
+    });
+  }
+};
+
+// Get one conversation with its stored turns, to resume it
+const getConversation = async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  try {
+    const conversation = await Conversation.findForUser(req.params.id, req.user.id);
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...conversation.toListItem(),
+        // Turns beyond the stored limit were dropped, oldest first
+        hasOlderTurns: conversation.turnCount > conversation.turns.length,
+        turns: conversation.turns.map(turn => ({
+          id: turn._id,
+          role: turn.role,
+          content: turn.content,
+          fallback: turn.fallback,
+          interrupted: turn.interrupted,
+          sources: turn.sources,
+          createdAt: turn.createdAt
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching conversation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching conversation'
+    });
+  }
+};
+
+// Delete a conversation and its history
+const deleteConversation = async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  try {
+    const result = await Conversation.deleteOne({ _id: req.params.id, userId: req.user.id });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Conversation deleted successfully',
+      data: { id: req.params.id }
+    });
+
+  } catch (error) {
+    console.error('❌ Error deleting conversation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting conversation'
+    });
+  }
+};
+
 // SOUTH INDIAN GUIDE: Get travel suggestions for South Indian destinations
 const getTravelSuggestions = async (req, res) => {
   try {
@@ -121,8 +423,8 @@ const getTravelSuggestions = async (req, res) => {
 
     console.log(`🌴 South Indian Travel Suggestions - Found ${places.length} database places, generating AI suggestions`);
 
-    // Check if we have Gemini API
-    if (!process.env.GEMINI_API_KEY) {
+    // Check if we have an AI provider
+    if (!llmClient.isAvailable()) {
       const fallbackSuggestions = generateSouthIndianFallbackSuggestions(interests, state_preference);
       return res.status(200).json({
         success: true,
@@ -135,8 +437,6 @@ const getTravelSuggestions = async (req, res) => {
       });
     }
 
-    const model = genAI.getGenerativeModel({ model: 'gemini-1.5-flash-latest' });
-
     const prompt = `You are a warm, friendly South Indian local guide who knows every corner of India like family!
 
 User is looking for travel suggestions with these preferences:
@@ -158,10 +458,9 @@ As their local friend and guide, provide 4-5 amazing South Indian destinations.
 
 Write in a natural, conversational tone without any markdown formatting. Be warm and personal like talking to a friend. Keep it sweet and not too detailed - around 300-400 words total.`;
 
-    console.log('🧠 South Indian Travel Suggestions - Sending to Gemini AI');
+    console.log(`🧠 South Indian Travel Suggestions - Sending to ${llmClient.getInfo().provider}`);
 
-    const result = await model.generateContent(prompt);
-    const suggestions = await result.response.text();
+    const suggestions = await llmClient.generate(prompt, { task: 'travelSuggestions' });
     const cleanSuggestions = cleanMarkdownFromResponse(suggestions);
 
     console.log('✅ South Indian Travel Suggestions - AI response received');
@@ -215,12 +514,18 @@ const getPlaceInfo = async (req, res) => {
       }).catch(() => null);
     }
 
+    // No id: look the place up in the catalog from the question
+    if (!place && question) {
+      const [match] = await retrievePlaces(question, { limit: 1 });
+      place = match?.place || null;
+    }
+
     const placeName = place?.name || extractPlaceFromQuestion(question) || 'this beautiful place';
     
     console.log('🌴 South Indian Place Info - Processing place:', placeName);
 
-    // Check if we have Gemini API
-    if (!process.env.GEMINI_API_KEY) {
+    // Check if we have an AI provider
+    if (!llmClient.isAvailable()) {
       const fallbackInfo = generateSouthIndianFallbackPlaceInfo(place, question, placeName);
       return res.status(200).json({
         success: true,
@@ -238,18 +543,8 @@ const getPlaceInfo = async (req, res) => {
       });
     }
 
-    const model = genAI.getGenerativeModel({ model: 'gemini-1.5-flash-latest' });
-
-    let contextInfo = '';
-    if (place) {
-      contextInfo = `
-About ${place.name}:
-- Location: ${place.city}, ${place.state}
-- Type: ${place.category}
-- Local Rating: ${place.rating || 'Well-loved'}/5
-- Description: ${place.description || 'A beautiful South Indian destination'}
-`;
-    }
+    // Real timings, fees and accessibility from the catalog
+    const contextInfo = place ? formatPlaceFacts([{ place }], { citations: false }) : '';
 
     const prompt = `You are a friendly local South Indian guide who knows ${placeName} very well!
 
@@ -268,10 +563,9 @@ As their local friend, share warm insights about this place:
 
 Write naturally without markdown formatting. Be conversational, sweet, and helpful. Keep it informative but not overwhelming - around 250-300 words.`;
 
-    console.log('🧠 South Indian Place Info - Sending to Gemini AI');
+    console.log(`🧠 South Indian Place Info - Sending to ${llmClient.getInfo().provider}`);
 
-    const result = await model.generateContent(prompt);
-    const response = await result.response.text();
+    const response = await llmClient.generate(prompt, { task: 'placeInfo' });
     const cleanResponse = cleanMarkdownFromResponse(response);
 
     console.log('✅ South Indian Place Info - AI response received');
@@ -309,6 +603,116 @@ Write naturally without markdown formatting. Be conversational, sweet, and helpf
   }
 };
 
+/**
+ * Conversation and earlier turns for a chat request. Signed-in users get the
+ * stored conversation named by body.conversationId ({ notFound: true } if it
+ * is not theirs) or a new one. Everyone else, and everyone while the database
+ * is unreachable, gets the recent messages the page sent in context.previousMessages.
+ */
+async function loadChatSession(req, message, context) {
+  const { conversationId } = req.body;
+  const clientHistory = () => historyFromClientMessages(context.previousMessages);
+
+  if (!req.user) {
+    return { conversation: null, history: clientHistory() };
+  }
+
+  let conversation;
+  try {
+    if (conversationId) {
+      conversation = await Conversation.findForUser(conversationId, req.user.id);
+      if (!conversation) return { notFound: true };
+    } else {
+      conversation = await Conversation.create({
+        userId: req.user.id,
+        title: Conversation.titleFromMessage(message)
+      });
+    }
+  } catch (error) {
+    console.warn('⚠️ Conversation unavailable, answering without saved history:', error.message);
+    return { conversation: null, history: clientHistory() };
+  }
+
+  const history = await prepareHistory(conversation);
+  if (history.summaryUpdate) {
+    const { summary, summarizedUntil } = history.summaryUpdate;
+    await Conversation.saveSummary(conversation._id, summary, summarizedUntil)
+      .catch(error => console.warn('⚠️ Could not save conversation summary:', error.message));
+  }
+
+  return { conversation, history };
+}
+
+// Ids of the places the latest answer cited, so follow-ups can refer back to them
+function getEarlierPlaceIds(conversation, context) {
+  const turns = conversation
+    ? conversation.turns
+    : (Array.isArray(context.previousMessages) ? context.previousMessages : []);
+
+  for (const turn of turns.slice(-4).reverse()) {
+    if (Array.isArray(turn?.sources) && turn.sources.length > 0) {
+      return turn.sources.map(source => source.id).filter(Boolean);
+    }
+  }
+  return [];
+}
+
+// Catalog places for a chat message; context.userLocation anchors "near me" questions
+function retrieveChatPlaces(message, context, conversation) {
+  return retrievePlaces(message, {
+    earlierPlaceIds: getEarlierPlaceIds(conversation, context),
+    location: context.userLocation || null
+  });
+}
+
+// Rule-based answer; with catalog matches it gives their real timings and fees
+function getFallbackAnswer(message, retrieved) {
+  if (retrieved.length === 0) {
+    return { message: getSouthIndianFallbackResponse(message), sources: [] };
+  }
+
+  return {
+    message: `My AI friend is taking a little break, but here is what our catalog says:\n\n${describePlacesForTraveller(retrieved)}\n\nAsk me anything else about these places, friend!`,
+    sources: retrieved.map(toSource)
+  };
+}
+
+// Save a question and its answer; a failed write must not cost the traveller the answer
+async function recordTurns(conversation, message, answer, flags = {}) {
+  if (!conversation) return;
+
+  const turns = [{ role: 'user', content: message.trim() }];
+  if (answer && answer.trim()) {
+    turns.push({ role: 'assistant', content: answer, ...flags });
+  }
+
+  try {
+    await Conversation.appendTurns(conversation._id, turns);
+  } catch (error) {
+    console.warn('⚠️ Could not save chat turns:', error.message);
+  }
+}
+
+// Full guide prompt for a chat message, with the conversation so far and the
+// catalog places it is about, if any
+async function buildChatPrompt(message, context, history, retrieved = []) {
+  const systemContext = await buildSouthIndianSystemContext(context);
+  const historySection = formatHistoryForPrompt(history);
+  const placesSection = formatPlaceFacts(retrieved);
+
+  return `${systemContext}
+${historySection ? `
+${historySection}
+
+The traveller may refer back to this conversation: words like "there", "that place" or "the second one" mean what was discussed above. Answer the new question in that light and don't repeat earlier answers.
+` : ''}${placesSection ? `
+${placesSection}
+` : ''}
+User Question: ${message}
+
+Remember to respond as a warm, friendly South Indian local who loves sharing the beauty of south indian places. Be conversational, sweet, and focus on authentic local experiences. NO MARKDOWN formatting - just natural,brief, informative, flowing text that's easy to read.`;
+}
+
 // Helper function to build South Indian system context
 async function buildSouthIndianSystemContext(context) {
   let systemContext = `You are a warm, friendly South Indian tour guide who absolutely loves sharing the beauty and culture of South India! You speak like a local friend - sweet, welcoming, and knowledgeable.
@@ -523,9 +927,20 @@ function addRequestTiming(req, res, next) {
   next();
 }
 
+// Validation arrays for express-validator
+const validations = {
+  validateConversationId,
+  validateListConversations
+};
+
 module.exports = {
   chatWithAI,
+  streamChatWithAI,
+  getConversations,
+  getConversation,
+  deleteConversation,
   getTravelSuggestions,
   getPlaceInfo,
-  addRequestTiming
+  addRequestTiming,
+  validations
 };
\ No newline at end of file
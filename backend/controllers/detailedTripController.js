@@ -1,24 +1,33 @@
 // backend/controllers/detailedTripController.js - UPDATED WITH DYNAMIC LOCATIONS
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const Place = require('../models/Place');
 const DistanceCalculator = require('../utils/distanceCalculator');
-const { USER_LOCATIONS, getLocationById, validateLocation } = require('../config/locations'); // IMPORT LOCATIONS
+const { USER_LOCATIONS, DEFAULT_LOCATION_ID } = require('../config/locations');
+const { resolveTripEndpoints } = require('../utils/locationResolver');
+const llmClient = require('../utils/llmClient');
+const { generateAIOutput } = require('../utils/aiOutput');
 
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 const distanceCalculator = new DistanceCalculator();
 
+// Custom start points (GPS, hotels) have no district/state/description of
+// their own; fill them so the prompt and fallback text still read well
+function withDisplayDefaults(location) {
+  return {
+    ...location,
+    district: location.district || location.name,
+    state: location.state || 'India',
+    description: location.description || location.address || `Trip starting point: ${location.name}`
+  };
+}
+
 class DetailedTripController {
   constructor() {
-    this.model = genAI.getGenerativeModel({ model: 'gemini-1.5-flash-latest' });
-    
     // Bind methods to preserve 'this' context
     this.generateDetailedPlan = this.generateDetailedPlan.bind(this);
     this.generatePersonalizedPlan = this.generatePersonalizedPlan.bind(this);
     this.calculateRealTimeSchedule = this.calculateRealTimeSchedule.bind(this);
     this.buildEnhancedPrompt = this.buildEnhancedPrompt.bind(this);
-    this.parseAndEnhanceAIResponse = this.parseAndEnhanceAIResponse.bind(this);
+    this.enhanceAIPlan = this.enhanceAIPlan.bind(this);
     this.generateStructuredFallbackPlan = this.generateStructuredFallbackPlan.bind(this);
     this.getAvailableLocations = this.getAvailableLocations.bind(this);
   }
@@ -28,18 +37,19 @@ class DetailedTripController {
    */
   async generateDetailedPlan(req, res) {
     try {
-      // EXTRACT USER LOCATION ID FROM REQUEST
-      const { places, preferences, routeMetrics, algorithm, userProfile, userLocationId } = req.body;
+      const { places, preferences, routeMetrics, algorithm, userProfile } = req.body;
       
-      // GET USER LOCATION WITH VALIDATION
-      if (userLocationId && !validateLocation(userLocationId)) {
+      // START/END: any coordinate, geocoded address, saved or configured location
+      const endpoints = await resolveTripEndpoints(req.body, { userId: req.user?.id });
+      if (endpoints.errors.length > 0) {
         return res.status(400).json({
           success: false,
-          message: `Invalid user location ID: ${userLocationId}. Available locations: ${Object.keys(USER_LOCATIONS).join(', ')}`
+          message: endpoints.errors.join('; ')
         });
       }
 
-      const userLocation = getLocationById(userLocationId || 'coimbatore');
+      const userLocation = withDisplayDefaults(endpoints.startLocation);
+      const endLocation = endpoints.endLocation ? withDisplayDefaults(endpoints.endLocation) : null;
       
       // Get comprehensive current date/time for real-time planning
       const currentDateTime = this.getCurrentDateTimeContext();
@@ -71,11 +81,12 @@ class DetailedTripController {
         places, 
         preferences, 
         currentDateTime,
-        userLocation // PASS USER LOCATION
+        userLocation, // PASS USER LOCATION
+        endLocation
       );
 
-      // Generate comprehensive personalized plan using Gemini AI
-      const personalizedPlan = await this.generatePersonalizedPlan(
+      // Generate comprehensive personalized plan using the configured AI provider
+      const { plan: personalizedPlan, aiOutput } = await this.generatePersonalizedPlan(
         places, 
         preferences, 
         routeMetrics, 
@@ -102,7 +113,15 @@ class DetailedTripController {
             coordinates: userLocation.coordinates,
             district: userLocation.district,
             state: userLocation.state,
-            description: userLocation.description
+            description: userLocation.description,
+            source: userLocation.source
+          },
+          endingLocation: endLocation && {
+            id: endLocation.id,
+            name: endLocation.name,
+            coordinates: endLocation.coordinates,
+            address: endLocation.address,
+            source: endLocation.source
           },
           
           // Interactive features
@@ -163,7 +182,8 @@ class DetailedTripController {
         
         // Metadata
         generatedAt: new Date().toISOString(),
-        aiModel: 'gemini-1.5-flash-enhanced',
+        aiModel: aiOutput.status !== 'fallback' ? aiOutput.model : 'rule-based',
+        aiOutput,
         algorithm: algorithm || 'personalized-optimization',
         userSpecific: true,
         realTimePlanning: true,
@@ -184,175 +204,108 @@ class DetailedTripController {
   }
 
   /**
-   * Generate comprehensive personalized plan using Gemini AI with dynamic start location
+   * Generate comprehensive personalized plan using the configured AI provider with dynamic start location.
+   * Returns { plan, aiOutput }; fields the model got wrong come from the structured fallback plan.
    */
   async generatePersonalizedPlan(places, preferences, routeMetrics, algorithm, currentDateTime, realTimeSchedule, userProfile, userLocation) {
-    try {
-      // Build enhanced prompt with all user-specific data including dynamic location
-      const prompt = this.buildEnhancedPrompt(
-        places, 
-        preferences, 
-        routeMetrics, 
-        algorithm, 
-        currentDateTime, 
-        realTimeSchedule, 
-        userProfile,
-        userLocation // PASS USER LOCATION
-      );
-
-      console.log('🤖 Sending enhanced request to Gemini AI for personalized planning...');
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const aiResponse = response.text();
-
-      console.log('✅ Gemini AI personalized response received');
+    // Build enhanced prompt with all user-specific data including dynamic location
+    const prompt = this.buildEnhancedPrompt(
+      places, 
+      preferences, 
+      routeMetrics, 
+      algorithm, 
+      currentDateTime, 
+      realTimeSchedule, 
+      userProfile,
+      userLocation // PASS USER LOCATION
+    );
+
+    if (llmClient.isAvailable()) {
+      console.log(`🤖 Sending enhanced request to ${llmClient.getInfo().provider} for personalized planning...`);
+    }
 
-      // Parse and enhance the AI response
-      const structuredPlan = this.parseAndEnhanceAIResponse(
-        aiResponse, 
+    const { data, aiOutput } = await generateAIOutput('detailedPlan', prompt, {
+      fallback: () => this.generateStructuredFallbackPlan(
         places, 
         preferences, 
         realTimeSchedule, 
         currentDateTime,
-        userLocation // PASS USER LOCATION
-      );
-
-      return structuredPlan;
+        userLocation, // PASS USER LOCATION
+        algorithm
+      )
+    });
 
-    } catch (error) {
-      console.error('🚨 Gemini AI personalized planning failed:', error);
-      return this.generateStructuredFallbackPlan(
-        places, 
-        preferences, 
-        realTimeSchedule, 
-        currentDateTime,
-        userLocation // PASS USER LOCATION
-      );
+    if (aiOutput.status === 'fallback') {
+      return { plan: data, aiOutput };
     }
+
+    console.log(`✅ AI personalized plan received (${aiOutput.status})`);
+    return {
+      plan: this.enhanceAIPlan(data, places, realTimeSchedule, currentDateTime, userLocation),
+      aiOutput
+    };
   }
 
   /**
-   * Fixed parseAndEnhanceAIResponse method with robust JSON parsing and dynamic location
+   * Add map view, trip tracking and dynamic location data to a plan written by the AI
    */
-  parseAndEnhanceAIResponse(aiResponse, places, preferences, realTimeSchedule, currentDateTime, userLocation) {
-    try {
-      // Multiple JSON extraction strategies
-      let parsedPlan = null;
-      
-      // Strategy 1: Look for the main JSON block
-      let jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        try {
-          parsedPlan = JSON.parse(jsonMatch[0]);
-        } catch (e) {
-          console.warn('Strategy 1 failed, trying strategy 2...');
-        }
-      }
+  enhanceAIPlan(aiPlan, places, realTimeSchedule, currentDateTime, userLocation) {
+    return {
+      ...aiPlan,
       
-      // Strategy 2: Look for JSON between code blocks
-      if (!parsedPlan) {
-        const codeBlockMatch = aiResponse.match(/```json\s*([\s\S]*?)\s*```/i);
-        if (codeBlockMatch) {
-          try {
-            parsedPlan = JSON.parse(codeBlockMatch[1]);
-          } catch (e) {
-            console.warn('Strategy 2 failed, trying strategy 3...');
+      // Add map view functionality with dynamic start location
+      mapViewData: {
+        enabled: true,
+        startLocation: {
+          name: userLocation.name,
+          coordinates: { 
+            lat: userLocation.coordinates.latitude, 
+            lng: userLocation.coordinates.longitude 
           }
-        }
-      }
-      
-      // Strategy 3: Clean and attempt to fix common JSON issues
-      if (!parsedPlan && jsonMatch) {
-        try {
-          let cleanedJson = jsonMatch[0]
-            .replace(/,\s*}/g, '}')  // Remove trailing commas before }
-            .replace(/,\s*]/g, ']')  // Remove trailing commas before ]
-            .replace(/[\u0000-\u001F\u007F-\u009F]/g, '') // Remove control characters
-            .replace(/\n/g, ' ')     // Replace newlines with spaces
-            .replace(/\r/g, '')      // Remove carriage returns
-            .replace(/\t/g, ' ')     // Replace tabs with spaces
-            .replace(/\s+/g, ' ');   // Collapse multiple spaces
-            
-          parsedPlan = JSON.parse(cleanedJson);
-        } catch (e) {
-          console.warn('Strategy 3 failed, using fallback...');
-        }
-      }
-      
-      // If all JSON parsing failed, use fallback
-      if (!parsedPlan) {
-        console.error('All JSON parsing strategies failed, using structured fallback');
-        throw new Error('JSON parsing failed - using fallback plan');
-      }
-
-      // Enhance the parsed plan with interactive features and dynamic location
-      const enhancedPlan = {
-        ...parsedPlan,
-        
-        // Add map view functionality with dynamic start location
-        mapViewData: {
-          enabled: true,
-          startLocation: {
-            name: userLocation.name,
-            coordinates: { 
-              lat: userLocation.coordinates.latitude, 
-              lng: userLocation.coordinates.longitude 
-            }
-          },
-          waypoints: places.map((place, index) => ({
-            id: place.id,
-            name: place.name,
-            coordinates: { lat: place.location.latitude, lng: place.location.longitude },
-            order: index + 1,
-            scheduledTime: realTimeSchedule.timeline[index + 1]?.arrivalTime
-          })),
-          routePolyline: realTimeSchedule.routeCoordinates,
-          realTimeTracking: true
         },
-        
-        // Add trip tracking functionality
-        tripTracking: {
+        waypoints: places.map((place, index) => ({
+          id: place.id,
+          name: place.name,
+          coordinates: { lat: place.location.latitude, lng: place.location.longitude },
+          order: index + 1,
+          scheduledTime: realTimeSchedule.timeline[index + 1]?.arrivalTime
+        })),
+        routePolyline: realTimeSchedule.routeCoordinates,
+        realTimeTracking: true
+      },
+      
+      // Add trip tracking functionality
+      tripTracking: {
+        enabled: true,
+        startTripEndpoint: '/api/trips/start-realtime-tracking',
+        updateProgressEndpoint: '/api/trips/update-progress',
+        completeTrip: '/api/trips/complete-realtime-trip',
+        autoProgress: {
           enabled: true,
-          startTripEndpoint: '/api/trips/start-realtime-tracking',
-          updateProgressEndpoint: '/api/trips/update-progress',
-          completeTrip: '/api/trips/complete-realtime-trip',
-          autoProgress: {
-            enabled: true,
-            interval: 40000,
-            smartProgression: true
-          }
-        },
-        
-        // Real-time context
-        realTimeContext: currentDateTime,
-        lastUpdated: new Date().toISOString(),
-        
-        // Starting location info
-        startingLocation: {
-          id: userLocation.id,
-          name: userLocation.name,
-          coordinates: userLocation.coordinates,
-          district: userLocation.district,
-          state: userLocation.state
+          interval: 40000,
+          smartProgression: true
         }
-      };
-
-      console.log('✅ AI response parsed and enhanced successfully with dynamic location');
-      return enhancedPlan;
-
-    } catch (error) {
-      console.error('Error parsing AI response:', error);
-      console.log('🔄 Falling back to structured plan generation...');
+      },
       
-      // Use fallback plan generation
-      return this.generateStructuredFallbackPlan(places, preferences, realTimeSchedule, currentDateTime, userLocation);
-    }
+      // Real-time context
+      realTimeContext: currentDateTime,
+      lastUpdated: new Date().toISOString(),
+      
+      // Starting location info
+      startingLocation: {
+        id: userLocation.id,
+        name: userLocation.name,
+        coordinates: userLocation.coordinates,
+        district: userLocation.district,
+        state: userLocation.state
+      }
+    };
   }
 
   /**
    * Generate structured fallback plan with dynamic start location
    */
-  generateStructuredFallbackPlan(places, preferences, realTimeSchedule, currentDateTime, userLocation) {
+  generateStructuredFallbackPlan(places, preferences, realTimeSchedule, currentDateTime, userLocation, algorithm) {
     console.log('⚠️ Using structured fallback plan generation with dynamic location');
     
     try {
@@ -556,7 +509,7 @@ Generate a complete trip plan with all timeline items, tips, and recommendations
   /**
    * Calculate real-time schedule with dynamic start location
    */
-  async calculateRealTimeSchedule(places, preferences, currentDateTime, userLocation) {
+  async calculateRealTimeSchedule(places, preferences, currentDateTime, userLocation, endLocation = null) {
     const schedule = {
       timeline: [],
       routeCoordinates: [],
@@ -649,6 +602,43 @@ Generate a complete trip plan with all timeline items, tips, and recommendations
       currentTime = departureTime;
     }
 
+    // OPTIONAL END POINT (hotel, station) after the last place
+    if (endLocation && places.length > 0) {
+      const lastLocation = places[places.length - 1].location;
+      let travelTime = 45;
+      let travelDistance = 25;
+
+      try {
+        const travelData = await distanceCalculator.calculateDrivingDistance(
+          { lat: lastLocation.latitude, lng: lastLocation.longitude },
+          { lat: endLocation.coordinates.latitude, lng: endLocation.coordinates.longitude }
+        );
+        travelTime = travelData.duration || travelTime;
+        travelDistance = travelData.distance || travelDistance;
+      } catch (error) {
+        console.warn(`Error calculating travel to ${endLocation.name}:`, error.message);
+      }
+
+      currentTime = new Date(currentTime.getTime() + travelTime * 60000);
+
+      schedule.timeline.push({
+        id: `${endLocation.id}_end`,
+        name: endLocation.name,
+        type: 'end',
+        coordinates: {
+          lat: endLocation.coordinates.latitude,
+          lng: endLocation.coordinates.longitude
+        },
+        scheduledTime: this.formatDateTime(currentTime),
+        arrivalTime: this.formatDateTime(currentTime),
+        duration: 0,
+        travelTime,
+        travelDistance
+      });
+      schedule.routeCoordinates.push([endLocation.coordinates.latitude, endLocation.coordinates.longitude]);
+      schedule.totalDistance += travelDistance;
+    }
+
     schedule.totalDuration = Math.round((currentTime - startDateTime) / (1000 * 60));
     return schedule;
   }
@@ -806,7 +796,8 @@ Generate a complete trip plan with all timeline items, tips, and recommendations
       res.status(200).json({
         success: true,
         locations,
-        defaultLocation: 'coimbatore',
+        defaultLocation: DEFAULT_LOCATION_ID,
+        customLocations: 'Any { latitude, longitude }, { address } or { savedLocationId } is also accepted as startLocation / endLocation',
         totalLocations: locations.length
       });
     } catch (error) {
@@ -2,7 +2,112 @@
 const Place = require('../models/Place');
 const { validationResult, body, param, query } = require('express-validator');
 
+// Enum values come straight from the schema so the rules cannot drift from it
+const CATEGORIES = Place.schema.path('category').enumValues;
+const AMENITIES = Place.schema.path('amenities').caster.enumValues;
+const BEST_TIMES = Place.schema.path('bestTimeToVisit').caster.enumValues;
+const MONTHS = Place.schema.path('seasonalInfo.bestMonths').caster.enumValues;
+const CURRENCIES = Place.schema.path('entryFee').schema.path('currency').enumValues;
+const DATA_SOURCES = Place.schema.path('dataSource').enumValues;
+const MODERATION_STATUSES = Place.schema.path('moderationStatus').enumValues;
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const TIME_PATTERN = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Top-level fields editable through the admin API (and bulk updates)
+const EDITABLE_FIELDS = [
+  'id', 'slug', 'name', 'description', 'category', 'location', 'address', 'averageVisitDuration',
+  'bestTimeToVisit', 'rating', 'entryFee', 'openingHours', 'seasonalInfo', 'accessibility', 'amenities',
+  'suitableFor', 'kidFriendly', 'wheelchairAccessible', 'images', 'tags', 'isActive', 'verified',
+  'dataSource', 'externalIds', 'moderationStatus'
+];
+
+// Fields a regular user may fill in when submitting a place for review
+const SUBMITTABLE_FIELDS = [
+  'name', 'description', 'category', 'location', 'address', 'averageVisitDuration', 'bestTimeToVisit',
+  'entryFee', 'openingHours', 'seasonalInfo', 'accessibility', 'amenities', 'suitableFor', 'kidFriendly',
+  'wheelchairAccessible', 'images', 'tags'
+];
+
 // Validation middleware
+
+// Mirrors placeSchema. On create the schema's required fields are required;
+// on update every field is optional but must still be valid when present.
+const placeFieldRules = ({ isUpdate = false } = {}) => {
+  const required = field => (isUpdate ? body(field).optional() : body(field));
+
+  return [
+    required('name').isString().trim().isLength({ min: 1, max: 200 }).withMessage('Name must be 1-200 characters'),
+    required('description').isString().isLength({ min: 1, max: 2000 }).withMessage('Description must be 1-2000 characters'),
+    required('category').isString().toLowerCase().isIn(CATEGORIES).withMessage(`Category must be one of: ${CATEGORIES.join(', ')}`),
+    required('location.latitude').isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+    required('location.longitude').isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+    required('address.city').isString().trim().notEmpty().withMessage('address.city is required'),
+    required('address.state').isString().trim().notEmpty().withMessage('address.state is required'),
+    body('address.pincode').optional().matches(/^[1-9][0-9]{5}$/).withMessage('address.pincode must be a 6-digit Indian PIN code'),
+    body('id').optional().matches(/^[a-z0-9-]+$/).withMessage('id may only contain lowercase letters, numbers and hyphens'),
+    body('slug').optional().matches(/^[a-z0-9-]+$/).withMessage('slug may only contain lowercase letters, numbers and hyphens'),
+    body('averageVisitDuration').optional().isInt({ min: 15, max: 1440 }).withMessage('averageVisitDuration must be 15-1440 minutes'),
+    body('rating').optional().isFloat({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+    body(['entryFee.indian', 'entryFee.foreign', 'entryFee.student', 'entryFee.senior', 'entryFee.camera'])
+      .optional().isFloat({ min: 0 }).withMessage('Entry fees cannot be negative'),
+    body('entryFee.currency').optional().isIn(CURRENCIES).withMessage(`Currency must be one of: ${CURRENCIES.join(', ')}`),
+    body('openingHours').optional().isObject().custom(hours => Object.keys(hours).every(day => WEEKDAYS.includes(day)))
+      .withMessage(`openingHours keys must be weekdays: ${WEEKDAYS.join(', ')}`),
+    body(['openingHours.*.open', 'openingHours.*.close']).optional().matches(TIME_PATTERN).withMessage('Opening hours must be in HH:MM format'),
+    body('openingHours.*.closed').optional().isBoolean().withMessage('openingHours.<day>.closed must be a boolean'),
+    body('bestTimeToVisit').optional().isArray().withMessage('bestTimeToVisit must be an array'),
+    body('bestTimeToVisit.*').isIn(BEST_TIMES).withMessage(`bestTimeToVisit entries must be one of: ${BEST_TIMES.join(', ')}`),
+    body('amenities').optional().isArray().withMessage('amenities must be an array'),
+    body('amenities.*').isIn(AMENITIES).withMessage(`amenities entries must be one of: ${AMENITIES.join(', ')}`),
+    body(['seasonalInfo.bestMonths', 'seasonalInfo.avoid']).optional().isArray().withMessage('Seasonal months must be arrays'),
+    body(['seasonalInfo.bestMonths.*', 'seasonalInfo.avoid.*']).isIn(MONTHS).withMessage('Months must be lowercase month names'),
+    body('tags').optional().isArray().withMessage('tags must be an array'),
+    body('tags.*').isString().isLength({ max: 50 }).withMessage('Tags cannot exceed 50 characters'),
+    body('images').optional().isArray().withMessage('images must be an array'),
+    body('images.*.url').isURL().withMessage('Image url must be a valid URL'),
+    body(['kidFriendly', 'wheelchairAccessible', 'isActive', 'verified']).optional().isBoolean().withMessage('Flags must be booleans'),
+    body(['accessibility.*', 'suitableFor.*']).optional().isBoolean().withMessage('Accessibility and suitability flags must be booleans'),
+    body('dataSource').optional().isIn(DATA_SOURCES).withMessage(`dataSource must be one of: ${DATA_SOURCES.join(', ')}`),
+    body('moderationStatus').optional().isIn(MODERATION_STATUSES).withMessage(`moderationStatus must be one of: ${MODERATION_STATUSES.join(', ')}`)
+  ];
+};
+
+const validateAdminPlaceId = [
+  param('id').isString().trim().notEmpty().withMessage('Place ID is required')
+];
+
+const validateCreatePlace = placeFieldRules();
+
+const validateUpdatePlace = [
+  ...validateAdminPlaceId,
+  ...placeFieldRules({ isUpdate: true })
+];
+
+const validateDeletePlace = [
+  ...validateAdminPlaceId,
+  query('hard').optional().isBoolean().withMessage('hard must be true or false')
+];
+
+const validateModerationQueue = [
+  query('status').optional().isIn(MODERATION_STATUSES).withMessage(`status must be one of: ${MODERATION_STATUSES.join(', ')}`),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100'),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer')
+];
+
+const validateModeratePlace = [
+  ...validateAdminPlaceId,
+  body('status').isIn(['approved', 'rejected', 'needs-review']).withMessage('status must be approved, rejected or needs-review'),
+  body('note').optional().isString().isLength({ max: 500 }).withMessage('note cannot exceed 500 characters')
+];
+
+const validateBulkOperation = [
+  body('operation').isIn(['activate', 'deactivate', 'update']).withMessage('Invalid operation. Use: activate, deactivate, or update'),
+  body('placeIds').isArray({ min: 1, max: 500 }).withMessage('placeIds must be an array of 1-500 IDs'),
+  body('placeIds.*').isMongoId().withMessage('placeIds must be MongoDB IDs'),
+  body('updateData').optional().isObject().custom(data => Object.keys(data).every(key => EDITABLE_FIELDS.includes(key.split('.')[0])))
+    .withMessage('updateData contains fields that cannot be bulk-updated')
+];
+
 const validatePlace = [
   param('id').isMongoId().withMessage('Invalid place ID'),
 ];
@@ -626,8 +731,11 @@ const checkPlaceOpenStatus = async (req, res) => {
   }
 };
 
-// Bulk operations for places
+// Bulk operations for places (admin)
 const bulkOperations = async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
   try {
     const { operation, placeIds, updateData } = req.body;
 
@@ -669,7 +777,8 @@ const bulkOperations = async (req, res) => {
         }
         result = await Place.updateMany(
           { _id: { $in: placeIds } },
-          { $set: { ...updateData, updatedAt: new Date() } }
+          { $set: { ...updateData, updatedAt: new Date() } },
+          { runValidators: true }
         );
         break;
     }
@@ -687,8 +796,291 @@ const bulkOperations = async (req, res) => {
   }
 };
 
+// Create a place directly in the catalog (admin)
+const createPlace = async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  try {
+    const place = new Place({
+      ...pickFields(req.body, EDITABLE_FIELDS),
+      moderation: { reviewedBy: req.user.id, reviewedAt: new Date() }
+    });
+
+    await place.save();
+
+    console.log(`🆕 Admin ${req.user.id} created place ${place.name} (${place._id})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Place created successfully',
+      data: place
+    });
+
+  } catch (error) {
+    handlePlaceWriteError(res, error, 'Error creating place');
+  }
+};
+
+// Partially update a place (admin); nested objects are merged, arrays replaced
+const updatePlace = async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  try {
+    const place = await findPlaceForAdmin(req.params.id);
+
+    if (!place) {
+      return res.status(404).json({
+        success: false,
+        message: 'Place not found'
+      });
+    }
+
+    const updates = flattenUpdates(pickFields(req.body, EDITABLE_FIELDS));
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Nothing to update. Editable fields: ${EDITABLE_FIELDS.join(', ')}`
+      });
+    }
+
+    Object.entries(updates).forEach(([path, value]) => place.set(path, value));
+    await place.save();
+
+    console.log(`✏️ Admin ${req.user.id} updated place ${place._id}: ${Object.keys(updates).join(', ')}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Place updated successfully',
+      updatedFields: Object.keys(updates),
+      data: place
+    });
+
+  } catch (error) {
+    handlePlaceWriteError(res, error, 'Error updating place');
+  }
+};
+
+// Deactivate a place (admin). Saved trips keep referencing it, so deletion is
+// soft unless ?hard=true is passed.
+const deletePlace = async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  try {
+    const place = await findPlaceForAdmin(req.params.id);
+
+    if (!place) {
+      return res.status(404).json({
+        success: false,
+        message: 'Place not found'
+      });
+    }
+
+    const hardDelete = req.query.hard === 'true';
+
+    if (hardDelete) {
+      await place.deleteOne();
+    } else {
+      place.isActive = false;
+      await place.save();
+    }
+
+    console.log(`🗑️ Admin ${req.user.id} ${hardDelete ? 'deleted' : 'deactivated'} place ${place._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: hardDelete ? 'Place permanently deleted' : 'Place deactivated',
+      data: { id: place._id, hardDelete }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error deleting place');
+  }
+};
+
+// Suggest a new place (any logged-in user). It stays hidden until approved.
+const submitPlace = async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  try {
+    const place = new Place({
+      ...pickFields(req.body, SUBMITTABLE_FIELDS),
+      isActive: false,
+      verified: false,
+      dataSource: 'user-submission',
+      moderationStatus: 'pending',
+      submittedBy: req.user.id
+    });
+
+    await place.save();
+
+    console.log(`📨 User ${req.user.id} submitted place ${place.name} (${place._id}) for review`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Thanks! Your place was submitted and will appear once a moderator approves it.',
+      data: place
+    });
+
+  } catch (error) {
+    handlePlaceWriteError(res, error, 'Error submitting place');
+  }
+};
+
+// Places the current user has submitted, with their moderation state
+const getMySubmissions = async (req, res) => {
+  try {
+    const places = await Place.find({ submittedBy: req.user.id })
+      .sort({ createdAt: -1 })
+      .select('name category address moderationStatus moderation createdAt')
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: places.length,
+      data: places
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error fetching submissions');
+  }
+};
+
+// Moderation queue (admin), oldest first so nothing waits forever
+const getModerationQueue = async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  try {
+    const { status = 'pending', limit = 20, page = 1 } = req.query;
+    const limitNum = parseInt(limit);
+    const pageNum = parseInt(page);
+    const filter = { moderationStatus: status };
+
+    const [places, totalCount] = await Promise.all([
+      Place.find(filter)
+        .sort({ createdAt: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      Place.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      status,
+      count: places.length,
+      totalCount,
+      currentPage: pageNum,
+      totalPages: Math.ceil(totalCount / limitNum),
+      data: places
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error fetching moderation queue');
+  }
+};
+
+// Approve, reject or flag a place (admin). Only approved places are active.
+const moderatePlace = async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  try {
+    const place = await findPlaceForAdmin(req.params.id);
+
+    if (!place) {
+      return res.status(404).json({
+        success: false,
+        message: 'Place not found'
+      });
+    }
+
+    const { status, note } = req.body;
+    const previousStatus = place.moderationStatus;
+
+    place.moderationStatus = status;
+    place.isActive = status === 'approved';
+    place.moderation = {
+      reviewedBy: req.user.id,
+      reviewedAt: new Date(),
+      note
+    };
+
+    if (status === 'approved') {
+      place.verified = true;
+      place.lastVerified = new Date();
+    }
+
+    await place.save();
+
+    console.log(`🛡️ Admin ${req.user.id} moderated place ${place._id}: ${previousStatus} → ${status}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Place ${status === 'needs-review' ? 'flagged for review' : status}`,
+      data: place
+    });
+
+  } catch (error) {
+    handlePlaceWriteError(res, error, 'Error moderating place');
+  }
+};
+
 // Helper functions
 
+// Admin lookups accept either the Mongo _id or the custom string id, active or not
+function findPlaceForAdmin(id) {
+  const conditions = [{ id }, { slug: String(id).toLowerCase() }];
+  if (/^[0-9a-fA-F]{24}$/.test(id)) conditions.unshift({ _id: id });
+  return Place.findOne({ $or: conditions });
+}
+
+function pickFields(source, fields) {
+  return fields.reduce((picked, field) => {
+    if (source[field] !== undefined) picked[field] = source[field];
+    return picked;
+  }, {});
+}
+
+// { address: { city: 'X' } } -> { 'address.city': 'X' } so partial updates
+// don't wipe sibling fields. Arrays are treated as whole values.
+function flattenUpdates(updates, prefix = '') {
+  return Object.entries(updates).reduce((flat, [key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+      Object.assign(flat, flattenUpdates(value, path));
+    } else {
+      flat[path] = value;
+    }
+    return flat;
+  }, {});
+}
+
+function handlePlaceWriteError(res, error, message) {
+  if (error.code === 11000) {
+    const field = Object.keys(error.keyPattern || error.keyValue || {})[0] || 'id';
+    return res.status(409).json({
+      success: false,
+      message: `A place with this ${field} already exists`
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  handleError(res, error, message);
+}
+
 // Check if place is currently open
 function isPlaceOpenNow(place, day, time) {
   try {
@@ -1160,7 +1552,13 @@ function minutesToTime(minutes) {
 const validations = {
   validatePlace,
   validateNearbySearch,
-  validateRouteOptimization
+  validateRouteOptimization,
+  validateCreatePlace,
+  validateUpdatePlace,
+  validateDeletePlace,
+  validateModerationQueue,
+  validateModeratePlace,
+  validateBulkOperation
 };
 
 module.exports = {
@@ -1173,5 +1571,12 @@ module.exports = {
   checkPlaceOpenStatus,
   optimizeRoute,
   bulkOperations,
+  createPlace,
+  updatePlace,
+  deletePlace,
+  submitPlace,
+  getMySubmissions,
+  getModerationQueue,
+  moderatePlace,
   validations
 };
\ No newline at end of file
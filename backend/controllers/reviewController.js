@@ -0,0 +1,393 @@
+// backend/controllers/reviewController.js
+const Place = require('../models/Place');
+const Review = require('../models/Review');
+const { Trip } = require('../models/Trip');
+const { validationResult, body, param, query } = require('express-validator');
+
+const TRAVELER_TYPES = Review.schema.path('travelerType').enumValues;
+const REPORT_REASONS = Review.schema.path('reports').schema.path('reason').enumValues;
+const REVIEW_STATUSES = Review.schema.path('status').enumValues;
+
+const SORT_OPTIONS = {
+  recent: { createdAt: -1 },
+  rating_high: { rating: -1, createdAt: -1 },
+  rating_low: { rating: 1, createdAt: -1 }
+};
+
+// Validation middleware
+const validateListReviews = [
+  param('id').isString().trim().notEmpty().withMessage('Place ID is required'),
+  query('sort').optional().isIn(Object.keys(SORT_OPTIONS)).withMessage(`sort must be one of: ${Object.keys(SORT_OPTIONS).join(', ')}`),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('limit must be between 1 and 50'),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer')
+];
+
+const validatePostReview = [
+  param('id').isString().trim().notEmpty().withMessage('Place ID is required'),
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be a whole number from 1 to 5'),
+  body('title').optional().isString().trim().isLength({ max: 120 }).withMessage('Title cannot exceed 120 characters'),
+  body('text').optional().isString().trim().isLength({ max: 2000 }).withMessage('Review cannot exceed 2000 characters'),
+  body('visitDate').optional().isISO8601().withMessage('visitDate must be an ISO 8601 date')
+    .custom(value => new Date(value) <= new Date()).withMessage('visitDate cannot be in the future'),
+  body('travelerType').optional().isIn(TRAVELER_TYPES).withMessage(`travelerType must be one of: ${TRAVELER_TYPES.join(', ')}`),
+  body('tripId').optional().isMongoId().withMessage('Invalid tripId')
+];
+
+const validateReviewId = [
+  param('reviewId').isMongoId().withMessage('Invalid review ID')
+];
+
+const validateReportReview = [
+  ...validateReviewId,
+  body('reason').isIn(REPORT_REASONS).withMessage(`reason must be one of: ${REPORT_REASONS.join(', ')}`),
+  body('details').optional().isString().isLength({ max: 500 }).withMessage('details cannot exceed 500 characters')
+];
+
+const validateReviewStatus = [
+  ...validateReviewId,
+  body('status').isIn(REVIEW_STATUSES).withMessage(`status must be one of: ${REVIEW_STATUSES.join(', ')}`)
+];
+
+// Utility function to handle validation errors
+const handleValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  return null;
+};
+
+// Enhanced error handler
+const handleError = (res, error, message = 'Internal server error', statusCode = 500) => {
+  console.error(`${message}:`, error);
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  const isDevelopment = process.env.NODE_ENV === 'development';
+
+  res.status(statusCode).json({
+    success: false,
+    message,
+    ...(isDevelopment && { error: error.message, stack: error.stack })
+  });
+};
+
+// List published reviews for a place with the rating summary
+const getPlaceReviews = async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  try {
+    const place = await Place.findByFlexibleId(req.params.id);
+
+    if (!place || !place.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Place not found'
+      });
+    }
+
+    const { sort = 'recent', limit = 10, page = 1 } = req.query;
+    const limitNum = parseInt(limit);
+    const pageNum = parseInt(page);
+    const filter = { place: place._id, status: 'published' };
+
+    const [reviews, summary, myReview] = await Promise.all([
+      Review.find(filter)
+        .sort(SORT_OPTIONS[sort])
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Review.getPlaceSummary(place._id),
+      req.user ? Review.findOne({ place: place._id, userId: req.user.id }) : null
+    ]);
+
+    const totalPages = Math.ceil(summary.reviewCount / limitNum);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        placeId: place.id || place._id.toString(),
+        placeName: place.name,
+        summary,
+        reviews: reviews.map(review => review.toPublicJSON()),
+        myReview: myReview ? { ...myReview.toPublicJSON(), status: myReview.status } : null
+      },
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error fetching reviews');
+  }
+};
+
+// Create or update the current user's review of a place. Passing tripId links
+// it to a saved trip: the visit is marked verified and the rating and notes
+// are copied onto that trip's stop.
+const postReview = async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  try {
+    const place = await Place.findByFlexibleId(req.params.id);
+
+    if (!place || !place.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Place not found'
+      });
+    }
+
+    const { rating, title, text, visitDate, travelerType, tripId } = req.body;
+
+    let tripLink = null;
+    if (tripId) {
+      tripLink = await linkReviewToTrip(tripId, place, req.user, { rating, text });
+
+      if (tripLink.error) {
+        return res.status(tripLink.status).json({
+          success: false,
+          message: tripLink.error
+        });
+      }
+    }
+
+    let review = await Review.findOne({ place: place._id, userId: req.user.id });
+    const isNew = !review;
+
+    if (isNew) {
+      review = new Review({ place: place._id, userId: req.user.id });
+    }
+
+    review.set({
+      userName: req.user.name,
+      rating,
+      title,
+      text: text || '',
+      visitDate: visitDate ? new Date(visitDate) : tripLink?.visitDate || review.visitDate,
+      travelerType: travelerType || review.travelerType,
+      ...(tripLink && { tripId, verifiedVisit: tripLink.visited })
+    });
+
+    await review.save();
+    const summary = await Review.recomputePlaceRating(place._id);
+
+    console.log(`⭐ ${isNew ? 'New' : 'Updated'} ${rating}★ review of ${place.name} by ${req.user.id} (avg now ${summary.averageRating})`);
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      message: isNew ? 'Review posted' : 'Review updated',
+      data: {
+        review: { ...review.toPublicJSON(), status: review.status },
+        summary
+      }
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reviewed this place; try again to update it'
+      });
+    }
+    handleError(res, error, 'Error posting review');
+  }
+};
+
+// Flag a review; enough reports hide it and take it out of the place rating
+const reportReview = async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  try {
+    const review = await Review.findById(req.params.reviewId);
+
+    if (!review || review.status === 'removed') {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (review.userId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot report your own review'
+      });
+    }
+
+    const wasPublished = review.status === 'published';
+
+    if (!review.addReport(req.user.id, req.body.reason, req.body.details)) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reported this review'
+      });
+    }
+
+    await review.save();
+
+    if (wasPublished && review.status === 'hidden') {
+      await Review.recomputePlaceRating(review.place);
+      console.log(`🚩 Review ${review._id} hidden after ${review.reportCount} reports`);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Thanks, a moderator will take a look'
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error reporting review');
+  }
+};
+
+// Delete a review (its author or an admin)
+const deleteReview = async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  try {
+    const review = await Review.findById(req.params.reviewId);
+
+    if (!review || (review.userId !== req.user.id && req.user.role !== 'admin')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    await review.deleteOne();
+    const summary = await Review.recomputePlaceRating(review.place);
+
+    res.status(200).json({
+      success: true,
+      message: 'Review deleted',
+      data: { id: review._id, summary }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error deleting review');
+  }
+};
+
+// Reported reviews, most reported first (admin)
+const getReportedReviews = async (req, res) => {
+  try {
+    const reviews = await Review.find({ reportCount: { $gt: 0 }, status: { $ne: 'removed' } })
+      .sort({ reportCount: -1, updatedAt: -1 })
+      .limit(100)
+      .populate('place', 'name id')
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      data: reviews
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error fetching reported reviews');
+  }
+};
+
+// Publish, hide or remove a review after moderation (admin)
+const setReviewStatus = async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  try {
+    const review = await Review.findById(req.params.reviewId);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    review.status = req.body.status;
+
+    // Restoring a review clears the reports that hid it
+    if (review.status === 'published') {
+      review.reports = [];
+      review.reportCount = 0;
+    }
+
+    await review.save();
+    const summary = await Review.recomputePlaceRating(review.place);
+
+    res.status(200).json({
+      success: true,
+      message: `Review ${review.status}`,
+      data: { review: { ...review.toPublicJSON(), status: review.status }, summary }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error updating review status');
+  }
+};
+
+// Helper functions
+
+// Validate that the user is on the trip and the trip includes this place;
+// copies the rating onto the stop when the user may edit the trip.
+async function linkReviewToTrip(tripId, place, user, { rating, text }) {
+  const trip = await Trip.findById(tripId);
+
+  if (!trip || !trip.getAccessLevel(user.id)) {
+    return { status: 404, error: 'Trip not found' };
+  }
+
+  const placeKeys = [place.id, place._id.toString()].filter(Boolean);
+  const tripPlace = trip.places.find(stop => placeKeys.includes(stop.placeId));
+
+  if (!tripPlace) {
+    return { status: 400, error: 'This place is not part of that trip' };
+  }
+
+  if (trip.canEdit(user.id)) {
+    tripPlace.rating = rating;
+    if (text) tripPlace.notes = text.slice(0, 500);
+    trip.logActivity(user, 'trip_updated', { placeName: tripPlace.name, details: `Rated ${rating}/5` });
+    await trip.save();
+  }
+
+  return {
+    visited: tripPlace.visited,
+    visitDate: tripPlace.visited ? trip.progress?.startedAt || trip.schedule?.startDate : undefined
+  };
+}
+
+// Validation arrays for express-validator
+const validations = {
+  validateListReviews,
+  validatePostReview,
+  validateReviewId,
+  validateReportReview,
+  validateReviewStatus
+};
+
+module.exports = {
+  getPlaceReviews,
+  postReview,
+  reportReview,
+  deleteReview,
+  getReportedReviews,
+  setReviewStatus,
+  validations
+};
@@ -1,6 +1,8 @@
 // backend/controllers/routeController.js
 const Place = require('../models/Place');
 const PathOptimizer = require('../utils/pathOptimizer');
+const { resolveLocation } = require('../utils/locationResolver');
+const { ROUTE_END_MODES, getRouteEndMode } = require('../config/locations');
 
 // Enhanced route optimization with comprehensive error handling
 const optimizeRoute = async (req, res) => {
@@ -12,8 +14,11 @@ const optimizeRoute = async (req, res) => {
       totalTimeAvailable = 480, // 8 hours in minutes
       startDay = new Date().getDay(),
       optimizationLevel = 'fast', // 'fast', 'balanced', 'optimal'
-      preferences = {}
+      preferences = {},
+      endLocation: endSpec,
+      returnToStart
     } = req.body;
+    const endMode = getRouteEndMode({ endMode: req.body.endMode, endLocation: endSpec, returnToStart });
 
     console.log(req.body);
     // Enhanced input validation
@@ -23,7 +28,9 @@ const optimizeRoute = async (req, res) => {
       endTime,
       totalTimeAvailable,
       startDay,
-      optimizationLevel
+      optimizationLevel,
+      endMode,
+      endSpec
     });
 
     if (!validation.isValid) {
@@ -34,6 +41,20 @@ const optimizeRoute = async (req, res) => {
       });
     }
 
+    // A fixed end can be coordinates, an address, a saved or a configured location
+    let endLocation = null;
+    if (endMode === 'fixed') {
+      const end = await resolveLocation(endSpec, { userId: req.user?.id, role: 'end' });
+      if (end.error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid input parameters',
+          errors: [end.error]
+        });
+      }
+      endLocation = end.location;
+    }
+
     console.log(`Optimizing route for ${placeIds.length} places with ${optimizationLevel} optimization`);
 
     // Fetch places with enhanced error handling
@@ -62,7 +83,9 @@ const optimizeRoute = async (req, res) => {
       startDay,
       priorityWeight: preferences.priorityWeight || 0.3,
       timeWeight: preferences.timeWeight || 0.4,
-      openingWeight: preferences.openingWeight || 0.3
+      openingWeight: preferences.openingWeight || 0.3,
+      endMode,
+      endLocation
     };
 
     // Execute optimization with timeout protection
@@ -98,6 +121,9 @@ const optimizeRoute = async (req, res) => {
         feasible: optimizedRoute.feasible,
         efficiency: `${optimizedRoute.efficiency?.toFixed(1)}%`,
         optimizationLevel,
+        endMode,
+        endLocation,
+        endLeg: optimizedRoute.endLeg || null,
         warnings: generateWarnings(optimizedRoute, places, timeConstraints)
       }
     };
@@ -661,7 +687,7 @@ const getTravelMatrix = async (req, res) => {
 
 function validateOptimizeRouteInput(input) {
   const errors = [];
-  const { placeIds, startTime, endTime, totalTimeAvailable, startDay, optimizationLevel } = input;
+  const { placeIds, startTime, endTime, totalTimeAvailable, startDay, optimizationLevel, endMode, endSpec } = input;
 
   // Validate placeIds
   if (!placeIds || !Array.isArray(placeIds)) {
@@ -711,6 +737,13 @@ function validateOptimizeRouteInput(input) {
     errors.push(`optimizationLevel must be one of: ${validLevels.join(', ')}`);
   }
 
+  // Validate endMode
+  if (!ROUTE_END_MODES.includes(endMode)) {
+    errors.push(`endMode must be one of: ${ROUTE_END_MODES.join(', ')}`);
+  } else if (endMode === 'fixed' && !endSpec) {
+    errors.push('endLocation is required when endMode is "fixed"');
+  }
+
   return {
     isValid: errors.length === 0,
     errors
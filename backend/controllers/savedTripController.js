@@ -0,0 +1,1026 @@
+// backend/controllers/savedTripController.js
+const { Trip } = require('../models/Trip');
+const User = require('../models/User');
+const Place = require('../models/Place');
+const TrackingSession = require('../models/TrackingSession');
+const OptimizationAlgorithms = require('../utils/optimizationAlgorithms');
+const { validationResult, body, param, query } = require('express-validator');
+
+const optimizationAlgorithms = new OptimizationAlgorithms();
+
+const TRIP_STATUSES = ['draft', 'planned', 'active', 'completed', 'cancelled', 'archived'];
+
+const COLLABORATOR_PERMISSIONS = ['view', 'edit'];
+
+// owned: trips I created, shared: trips others invited me to
+const LIST_SCOPES = ['all', 'owned', 'shared'];
+
+// Fields a client may change through PUT /saved/:id
+const UPDATABLE_FIELDS = ['name', 'description', 'status', 'schedule', 'preferences', 'feedback', 'tags'];
+
+// Validation middleware
+const validateSaveTrip = [
+  body('name').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('description').optional().isString().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('result').isObject().withMessage('result must be the object returned by optimize-with-algorithm'),
+  body('result.route').isArray({ min: 1 }).withMessage('result.route must contain at least one place'),
+  body('status').optional().isIn(TRIP_STATUSES).withMessage(`Status must be one of: ${TRIP_STATUSES.join(', ')}`),
+  body('schedule.startDate').optional().isISO8601().withMessage('schedule.startDate must be an ISO 8601 date')
+];
+
+const validateTripId = [
+  param('id').isMongoId().withMessage('Invalid trip ID')
+];
+
+const validateListTrips = [
+  query('status').optional().isIn(TRIP_STATUSES).withMessage(`Status must be one of: ${TRIP_STATUSES.join(', ')}`),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100'),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  query('scope').optional().isIn(LIST_SCOPES).withMessage(`scope must be one of: ${LIST_SCOPES.join(', ')}`)
+];
+
+const validateUpdateTrip = [
+  ...validateTripId,
+  body('name').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('status').optional().isIn(TRIP_STATUSES).withMessage(`Status must be one of: ${TRIP_STATUSES.join(', ')}`),
+  body('places').optional().isArray({ min: 1 }).withMessage('places must be a non-empty array'),
+  body('version').optional().isInt({ min: 0 }).withMessage('version must be the trip version you last loaded')
+];
+
+const validateReoptimizeTrip = [
+  ...validateTripId,
+  body('currentTime').matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('currentTime must be in HH:MM format'),
+  body('endTime').optional().matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('endTime must be in HH:MM format'),
+  body('currentDate').optional().isISO8601().withMessage('currentDate must be an ISO 8601 date'),
+  body('currentLocation.latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+  body('currentLocation.longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+  body('apply').optional().isBoolean().withMessage('apply must be a boolean')
+];
+
+const validateInviteCollaborator = [
+  ...validateTripId,
+  body('email').isEmail().withMessage('A valid email is required'),
+  body('permission').optional().isIn(COLLABORATOR_PERMISSIONS).withMessage(`permission must be one of: ${COLLABORATOR_PERMISSIONS.join(', ')}`)
+];
+
+const validateUpdateCollaborator = [
+  ...validateTripId,
+  param('userId').isMongoId().withMessage('Invalid collaborator ID'),
+  body('permission').isIn(COLLABORATOR_PERMISSIONS).withMessage(`permission must be one of: ${COLLABORATOR_PERMISSIONS.join(', ')}`)
+];
+
+const validateRemoveCollaborator = [
+  ...validateTripId,
+  param('userId').isMongoId().withMessage('Invalid collaborator ID')
+];
+
+const validateTripActivity = [
+  ...validateTripId,
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200')
+];
+
+// Utility function to handle validation errors
+const handleValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  return null;
+};
+
+// Enhanced error handler
+const handleError = (res, error, message = 'Internal server error', statusCode = 500) => {
+  console.error(`${message}:`, error);
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  // Another request saved the same trip between our read and write
+  if (error.name === 'VersionError') {
+    return res.status(409).json({
+      success: false,
+      message: 'This trip was changed by someone else while you were editing. Reload it and try again.',
+      type: 'VERSION_CONFLICT'
+    });
+  }
+
+  const isDevelopment = process.env.NODE_ENV === 'development';
+
+  res.status(statusCode).json({
+    success: false,
+    message,
+    ...(isDevelopment && { error: error.message, stack: error.stack })
+  });
+};
+
+// Save the result of optimize-with-algorithm as a Trip document
+const saveTrip = async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  try {
+    const userId = req.user.id;
+    const {
+      name,
+      description = '',
+      result,
+      preferences = {},
+      constraints = {},
+      schedule = {},
+      status = 'planned',
+      tags = []
+    } = req.body;
+
+    const places = mapRouteToTripPlaces(result.route);
+
+    const trip = new Trip({
+      userId,
+      name: name || `${places.length}-Place South India Trip`,
+      description,
+      places,
+      schedule: {
+        ...schedule,
+        startTime: schedule.startTime || constraints.startTime || preferences.startTime || '09:00',
+        duration: schedule.duration || constraints.totalTimeAvailable || result.metrics?.totalTime
+      },
+      // updateTripMetrics() in the pre-save hook fills this in from places
+      metrics: {},
+      preferences: buildTripPreferences(preferences, constraints),
+      status,
+      metadata: {
+        algorithm: result.algorithm || result.optimizationDetails?.algorithmUsed,
+        generatedAt: new Date(),
+        optimizationTime: result.metrics?.executionTime || result.optimizationDetails?.executionTime,
+        fallbackUsed: !!(result.optimizationDetails?.fallbackUsed || result.emergencyFallback),
+        constraints: {
+          timeLimited: !!constraints.totalTimeAvailable,
+          budgetLimited: !!constraints.budget,
+          accessibilityRequired: !!(constraints.accessibility?.wheelchairAccess || constraints.accessibility?.kidFriendly)
+        }
+      },
+      tags
+    });
+
+    await trip.save();
+
+    console.log(`💾 Saved trip ${trip._id} (${trip.places.length} places) for user ${userId}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Trip saved successfully',
+      data: serializeTrip(trip, 'owner')
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error saving trip');
+  }
+};
+
+// List a user's saved trips, filtered by status and schedule date
+const getSavedTrips = async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  try {
+    const userId = req.user.id;
+    const {
+      status,
+      from,
+      to,
+      scope = 'all',
+      sortBy = 'createdAt',
+      sortOrder = 'desc',
+      limit = 20,
+      page = 1
+    } = req.query;
+
+    const filter = scope === 'owned'
+      ? { userId }
+      : scope === 'shared'
+        ? { 'sharing.sharedWith.userId': userId }
+        : { $or: [{ userId }, { 'sharing.sharedWith.userId': userId }] };
+
+    if (status) {
+      filter.status = status;
+    } else {
+      // Archived trips are hidden unless explicitly requested
+      filter.status = { $ne: 'archived' };
+    }
+
+    if (from || to) {
+      filter['schedule.startDate'] = {};
+      if (from) filter['schedule.startDate'].$gte = new Date(from);
+      if (to) filter['schedule.startDate'].$lte = new Date(to);
+    }
+
+    const sortField = ['createdAt', 'updatedAt', 'name', 'schedule.startDate'].includes(sortBy) ? sortBy : 'createdAt';
+    const sortCriteria = { [sortField]: sortOrder === 'asc' ? 1 : -1 };
+
+    const limitNum = parseInt(limit);
+    const pageNum = parseInt(page);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [trips, totalCount] = await Promise.all([
+      Trip.find(filter)
+        .sort(sortCriteria)
+        .skip(skip)
+        .limit(limitNum)
+        .select('-optimizationHistory -activityLog')
+        .lean(),
+      Trip.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    res.status(200).json({
+      success: true,
+      count: trips.length,
+      totalCount,
+      currentPage: pageNum,
+      totalPages,
+      hasNextPage: pageNum < totalPages,
+      hasPrevPage: pageNum > 1,
+      data: trips.map(({ __v, ...trip }) => ({
+        ...trip,
+        version: __v,
+        access: Trip.getAccessLevel(trip, userId)
+      })),
+      filters: { status, from, to, scope },
+      sort: { sortBy: sortField, sortOrder }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error fetching saved trips');
+  }
+};
+
+// Get a single saved trip with its summary and remaining metrics
+const getSavedTripById = async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  try {
+    const trip = await Trip.findById(req.params.id).select('-activityLog');
+
+    const access = checkTripAccess(res, trip, req.user.id, 'view');
+    if (!access) return;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...serializeTrip(trip, access),
+        summary: trip.generateSummary(),
+        remaining: trip.getRemainingMetrics()
+      }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error fetching saved trip');
+  }
+};
+
+// Update a saved trip; replacing places re-runs the metric hook on save.
+// Owners and edit collaborators only. Once a trip is shared, `version` (the one
+// you loaded) is required and a stale one gets a 409 instead of silently
+// overwriting someone else's newer changes. On an unshared trip it is optional.
+const updateSavedTrip = async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  try {
+    const trip = await Trip.findById(req.params.id);
+
+    const access = checkTripAccess(res, trip, req.user.id, 'edit');
+    if (!access) return;
+
+    if (!checkTripVersion(res, trip, req.body.version, access)) return;
+
+    const changedFields = UPDATABLE_FIELDS.filter(field => req.body[field] !== undefined);
+    changedFields.forEach(field => trip.set(field, req.body[field]));
+
+    if (changedFields.length > 0) {
+      trip.logActivity(req.user, 'trip_updated', { details: { fields: changedFields } });
+    }
+
+    if (req.body.places) {
+      const previousPlaces = trip.places.map(place => place.toObject());
+      trip.places = normalizeTripPlaces(req.body.places);
+      logPlaceChanges(trip, req.user, previousPlaces, trip.places);
+    }
+
+    await trip.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Trip updated successfully',
+      data: serializeTrip(trip, access)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error updating saved trip');
+  }
+};
+
+// Delete a saved trip
+const deleteSavedTrip = async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  try {
+    const trip = await Trip.findById(req.params.id);
+
+    const access = checkTripAccess(res, trip, req.user.id, 'owner');
+    if (!access) return;
+
+    await trip.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Trip deleted successfully',
+      data: { id: trip._id }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error deleting saved trip');
+  }
+};
+
+// Re-plan the unvisited stops of a trip that is running late. Returns the new
+// schedule plus a diff against the saved plan; `apply: true` writes it back.
+// No `version` needed: the plan is built from the stored trip, not a client
+// copy, and a save racing ours still fails with a VersionError (409).
+const reoptimizeTrip = async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  try {
+    const userId = req.user.id;
+    const {
+      currentTime,
+      endTime = '18:00',
+      currentDate,
+      apply = false
+    } = req.body;
+
+    const trip = await Trip.findById(req.params.id);
+
+    // Anyone on the trip can preview a re-plan; writing it back needs edit rights
+    const access = checkTripAccess(res, trip, userId, apply ? 'edit' : 'view');
+    if (!access) return;
+
+    const remainingTripPlaces = trip.places
+      .filter(place => !place.visited)
+      .sort((a, b) => a.order - b.order);
+
+    if (remainingTripPlaces.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Every place in this trip has already been visited'
+      });
+    }
+
+    if (optimizationAlgorithms.parseTime(currentTime) >= optimizationAlgorithms.parseTime(endTime)) {
+      return res.status(400).json({
+        success: false,
+        message: `currentTime must be earlier than endTime (${endTime})`
+      });
+    }
+
+    // Without an explicit position, fall back to the last ping of a live tracking session
+    let currentLocation = req.body.currentLocation;
+    if (!currentLocation) {
+      const session = await TrackingSession.findActiveForTrip(trip._id);
+      currentLocation = session?.lastLocation;
+    }
+
+    if (currentLocation?.latitude === undefined || currentLocation?.longitude === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'currentLocation is required when the trip has no active tracking session'
+      });
+    }
+
+    const date = currentDate ? new Date(currentDate) : new Date();
+    const candidates = await buildReoptimizationCandidates(remainingTripPlaces);
+
+    console.log(`🔁 Re-optimizing trip ${trip._id}: ${candidates.length} remaining places at ${currentTime}`);
+
+    const result = await optimizationAlgorithms.reoptimizeRemainingSchedule(candidates, {
+      startCoordinates: {
+        latitude: currentLocation.latitude,
+        longitude: currentLocation.longitude,
+        name: 'Current position'
+      },
+      currentTime,
+      endTime,
+      currentDate: date,
+      currentDay: date.getDay(),
+      budget: trip.preferences?.budget || Infinity
+    });
+
+    const diff = buildScheduleDiff(remainingTripPlaces, result);
+
+    if (apply) {
+      const visitedPlaces = trip.places
+        .filter(place => place.visited)
+        .sort((a, b) => a.order - b.order)
+        .map(place => place.toObject());
+      const originalMetrics = trip.metrics.toObject();
+
+      trip.places = normalizeTripPlaces([...visitedPlaces, ...mapRouteToTripPlaces(result.route)]);
+      trip.updateTripMetrics();
+
+      trip.logActivity(req.user, 'schedule_replanned', {
+        details: { kept: diff.summary.keptCount, dropped: diff.dropped.map(place => place.name) }
+      });
+
+      trip.optimizationHistory.push({
+        strategy: 'live-reoptimization',
+        originalMetrics,
+        optimizedMetrics: trip.metrics.toObject(),
+        improvement: {
+          distance: (originalMetrics.totalDistance || 0) - trip.metrics.totalDistance,
+          time: (originalMetrics.totalTime || 0) - trip.metrics.totalTime,
+          cost: (originalMetrics.totalCost || 0) - trip.metrics.totalCost
+        }
+      });
+
+      await trip.save();
+
+      console.log(`💾 Applied re-optimized schedule to trip ${trip._id}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: diff.dropped.length > 0
+        ? `Schedule re-planned; ${diff.dropped.length} place(s) no longer fit`
+        : 'Schedule re-planned; all remaining places still fit',
+      data: {
+        tripId: trip._id,
+        applied: !!apply,
+        route: result.route,
+        diff,
+        replanWindow: result.replanWindow,
+        timingAnalysis: result.timingAnalysis,
+        ...(apply && { trip: serializeTrip(trip, access) })
+      }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error re-optimizing trip');
+  }
+};
+
+// Make a trip viewable by anyone holding its share link
+const enableTripSharing = async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  try {
+    const trip = await Trip.findById(req.params.id);
+
+    const access = checkTripAccess(res, trip, req.user.id, 'owner');
+    if (!access) return;
+
+    // The pre-save hook issues a token the first time a trip goes public
+    trip.sharing.isPublic = true;
+    trip.logActivity(req.user, 'sharing_enabled');
+    await trip.save();
+
+    console.log(`🔗 Sharing enabled for trip ${trip._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Share link enabled',
+      data: buildShareInfo(trip)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error enabling trip sharing');
+  }
+};
+
+// Turn the share link off; the token is kept so re-enabling restores the same link
+const disableTripSharing = async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  try {
+    const trip = await Trip.findById(req.params.id);
+
+    const access = checkTripAccess(res, trip, req.user.id, 'owner');
+    if (!access) return;
+
+    trip.sharing.isPublic = false;
+    trip.logActivity(req.user, 'sharing_disabled');
+    await trip.save();
+
+    console.log(`🔒 Sharing disabled for trip ${trip._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Share link disabled',
+      data: buildShareInfo(trip)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error disabling trip sharing');
+  }
+};
+
+// Issue a new share token so previously sent links stop working
+const rotateShareToken = async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  try {
+    const trip = await Trip.findById(req.params.id);
+
+    const access = checkTripAccess(res, trip, req.user.id, 'owner');
+    if (!access) return;
+
+    trip.sharing.shareToken = Trip.generateShareToken();
+    trip.logActivity(req.user, 'share_link_rotated');
+    await trip.save();
+
+    console.log(`🔄 Share token rotated for trip ${trip._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Share link rotated; old links no longer work',
+      data: buildShareInfo(trip)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error rotating share token');
+  }
+};
+
+// Invite a registered user by email; re-inviting changes their permission
+const inviteCollaborator = async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  try {
+    const { email, permission = 'view' } = req.body;
+    const trip = await Trip.findById(req.params.id);
+
+    const access = checkTripAccess(res, trip, req.user.id, 'owner');
+    if (!access) return;
+
+    const invitee = await User.findByEmail(email);
+
+    if (!invitee || !invitee.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'No account found for that email. Ask them to register first.'
+      });
+    }
+
+    const inviteeId = invitee._id.toString();
+
+    if (inviteeId === trip.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'The trip owner is already on this trip'
+      });
+    }
+
+    const existing = trip.sharing.sharedWith.find(entry => entry.userId === inviteeId);
+
+    if (existing) {
+      existing.permission = permission;
+    } else {
+      trip.sharing.sharedWith.push({
+        userId: inviteeId,
+        email: invitee.email,
+        name: invitee.name,
+        permission,
+        invitedBy: req.user.id,
+        sharedAt: new Date()
+      });
+    }
+
+    trip.logActivity(req.user, existing ? 'collaborator_updated' : 'collaborator_added', {
+      details: { userId: inviteeId, name: invitee.name, permission }
+    });
+    await trip.save();
+
+    console.log(`🤝 ${existing ? 'Updated' : 'Added'} collaborator ${inviteeId} (${permission}) on trip ${trip._id}`);
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      message: existing
+        ? `${invitee.name} now has ${permission} access`
+        : `${invitee.name} was invited with ${permission} access`,
+      data: trip.sharing.sharedWith
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error inviting collaborator');
+  }
+};
+
+// Change a collaborator's permission
+const updateCollaborator = async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  try {
+    const trip = await Trip.findById(req.params.id);
+
+    const access = checkTripAccess(res, trip, req.user.id, 'owner');
+    if (!access) return;
+
+    const collaborator = trip.sharing.sharedWith.find(entry => entry.userId === req.params.userId);
+
+    if (!collaborator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collaborator not found on this trip'
+      });
+    }
+
+    collaborator.permission = req.body.permission;
+    trip.logActivity(req.user, 'collaborator_updated', {
+      details: { userId: collaborator.userId, name: collaborator.name, permission: collaborator.permission }
+    });
+    await trip.save();
+
+    res.status(200).json({
+      success: true,
+      message: `${collaborator.name || 'Collaborator'} now has ${collaborator.permission} access`,
+      data: trip.sharing.sharedWith
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error updating collaborator');
+  }
+};
+
+// Remove a collaborator; collaborators may also remove themselves (leave the trip)
+const removeCollaborator = async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  try {
+    const trip = await Trip.findById(req.params.id);
+    const isSelf = req.params.userId === req.user.id;
+
+    const access = checkTripAccess(res, trip, req.user.id, isSelf ? 'view' : 'owner');
+    if (!access) return;
+
+    const collaborator = trip.sharing.sharedWith.find(entry => entry.userId === req.params.userId);
+
+    if (!collaborator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collaborator not found on this trip'
+      });
+    }
+
+    trip.sharing.sharedWith.pull(collaborator);
+    trip.logActivity(req.user, 'collaborator_removed', {
+      details: { userId: collaborator.userId, name: collaborator.name }
+    });
+    await trip.save();
+
+    res.status(200).json({
+      success: true,
+      message: isSelf ? 'You left the trip' : `${collaborator.name || 'Collaborator'} was removed from the trip`,
+      data: isSelf ? [] : trip.sharing.sharedWith
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error removing collaborator');
+  }
+};
+
+// Activity log, newest first
+const getTripActivity = async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const trip = await Trip.findById(req.params.id).select('userId sharing activityLog');
+
+    const access = checkTripAccess(res, trip, req.user.id, 'view');
+    if (!access) return;
+
+    const activity = trip.activityLog
+      .map(entry => entry.toObject())
+      .reverse()
+      .slice(0, limit);
+
+    res.status(200).json({
+      success: true,
+      count: activity.length,
+      totalCount: trip.activityLog.length,
+      data: activity
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error fetching trip activity');
+  }
+};
+
+// Helper functions
+
+const ACCESS_RANK = { view: 1, edit: 2, owner: 3 };
+
+// Returns the caller's access level, or sends 404/403 and returns null. Trips
+// the caller has no access to at all look the same as missing ones.
+function checkTripAccess(res, trip, userId, required) {
+  const access = trip ? trip.getAccessLevel(userId) : null;
+
+  if (!access) {
+    res.status(404).json({
+      success: false,
+      message: 'Trip not found'
+    });
+    return null;
+  }
+
+  if (ACCESS_RANK[access] < ACCESS_RANK[required]) {
+    res.status(403).json({
+      success: false,
+      message: required === 'owner'
+        ? 'Only the trip owner can do this'
+        : 'You have view-only access to this trip',
+      type: 'FORBIDDEN'
+    });
+    return null;
+  }
+
+  return access;
+}
+
+// Reject an edit made against an older copy of the trip. Returns false once it has responded.
+function checkTripVersion(res, trip, version, access) {
+  if (version === undefined) {
+    if (trip.sharing.sharedWith.length === 0) return true;
+
+    res.status(400).json({
+      success: false,
+      message: 'This trip is shared, so edits must include the version you loaded',
+      type: 'VERSION_REQUIRED',
+      data: { currentVersion: trip.__v }
+    });
+    return false;
+  }
+
+  if (parseInt(version) !== trip.__v) {
+    res.status(409).json({
+      success: false,
+      message: 'This trip was changed by someone else since you loaded it. Review the latest version and try again.',
+      type: 'VERSION_CONFLICT',
+      data: {
+        yourVersion: parseInt(version),
+        currentVersion: trip.__v,
+        trip: serializeTrip(trip, access)
+      }
+    });
+    return false;
+  }
+
+  return true;
+}
+
+function serializeTrip(trip, access) {
+  const { __v, ...data } = trip.toObject({ virtuals: true });
+  return { ...data, version: __v, access };
+}
+
+// Record which places were added, removed or moved by a places replacement
+function logPlaceChanges(trip, user, previousPlaces, nextPlaces) {
+  const previousIds = previousPlaces.map(place => place.placeId);
+  const nextIds = nextPlaces.map(place => place.placeId);
+
+  nextPlaces
+    .filter(place => !previousIds.includes(place.placeId))
+    .forEach(place => trip.logActivity(user, 'place_added', { placeId: place.placeId, placeName: place.name }));
+
+  previousPlaces
+    .filter(place => !nextIds.includes(place.placeId))
+    .forEach(place => trip.logActivity(user, 'place_removed', { placeId: place.placeId, placeName: place.name }));
+
+  // Compare the relative order of places present before and after
+  const keptBefore = previousPlaces
+    .filter(place => nextIds.includes(place.placeId))
+    .sort((a, b) => a.order - b.order)
+    .map(place => place.placeId);
+  const keptAfter = [...nextPlaces]
+    .filter(place => previousIds.includes(place.placeId))
+    .sort((a, b) => a.order - b.order)
+    .map(place => place.placeId);
+
+  if (keptBefore.join('|') !== keptAfter.join('|')) {
+    trip.logActivity(user, 'places_reordered', { details: { order: keptAfter } });
+  }
+}
+
+function buildShareInfo(trip) {
+  const { isPublic, shareToken, publicViews } = trip.sharing;
+  const sharePath = shareToken ? `/shared/${shareToken}` : null;
+
+  return {
+    isPublic,
+    shareToken: shareToken || null,
+    sharePath,
+    shareUrl: sharePath && process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL}${sharePath}` : null,
+    publicViews
+  };
+}
+
+// Convert an optimizer route into tripPlaceSchema entries. Optimizers record
+// the leg *into* each place, while the Trip schema stores the leg *out of* it.
+function mapRouteToTripPlaces(route) {
+  return route.map((place, index) => {
+    const next = route[index + 1];
+
+    return {
+      placeId: String(place.id || place._id || place.placeId || `place_${index + 1}`),
+      name: place.name || `Place ${index + 1}`,
+      category: place.category || 'general',
+      location: {
+        latitude: parseFloat(place.location?.latitude ?? place.latitude),
+        longitude: parseFloat(place.location?.longitude ?? place.longitude)
+      },
+      visitDuration: Math.max(15, parseInt(place.averageVisitDuration || place.visitDuration) || 90),
+      entryFee: place.entryFee?.indian ?? place.entryFee?.amount ?? (typeof place.entryFee === 'number' ? place.entryFee : 0),
+      order: index + 1,
+      arrivalTime: place.arrivalTime,
+      departureTime: place.departureTime,
+      travelTimeToNext: next ? Math.round(next.travelTimeFromPrevious || 0) : 0,
+      travelDistanceToNext: next ? Math.round((next.travelDistanceFromPrevious || 0) * 100) / 100 : 0
+    };
+  });
+}
+
+// Places sent back by the client are already in schema shape; only re-number them
+function normalizeTripPlaces(places) {
+  return places.map((place, index) => ({
+    ...place,
+    order: index + 1
+  }));
+}
+
+// Turn saved trip places into optimizer input. Opening hours and ratings are not
+// stored on the trip, so they are looked up from the Place collection.
+async function buildReoptimizationCandidates(tripPlaces) {
+  const placeIds = tripPlaces.map(place => place.placeId);
+  const objectIds = placeIds.filter(id => /^[0-9a-fA-F]{24}$/.test(id));
+
+  const dbPlaces = await Place.find({
+    $or: [{ id: { $in: placeIds } }, { _id: { $in: objectIds } }]
+  }).lean();
+
+  const dbPlacesById = new Map();
+  dbPlaces.forEach(place => {
+    if (place.id) dbPlacesById.set(place.id, place);
+    dbPlacesById.set(String(place._id), place);
+  });
+
+  return tripPlaces.map(tripPlace => {
+    const dbPlace = dbPlacesById.get(tripPlace.placeId) || {};
+
+    return {
+      ...dbPlace,
+      id: tripPlace.placeId,
+      name: tripPlace.name,
+      category: tripPlace.category,
+      location: {
+        latitude: tripPlace.location.latitude,
+        longitude: tripPlace.location.longitude
+      },
+      averageVisitDuration: tripPlace.visitDuration,
+      entryFee: dbPlace.entryFee || { indian: tripPlace.entryFee || 0 },
+      rating: dbPlace.rating || tripPlace.rating || 3.5
+    };
+  });
+}
+
+// Compare the re-planned route against the saved order of the remaining places
+function buildScheduleDiff(remainingTripPlaces, result) {
+  const original = new Map(remainingTripPlaces.map((place, index) => [place.placeId, { place, index }]));
+  const keptOriginalOrder = remainingTripPlaces
+    .filter(place => result.route.some(stop => String(stop.id) === place.placeId))
+    .map(place => place.placeId);
+
+  const kept = result.route.map((stop, newIndex) => {
+    const { place } = original.get(String(stop.id));
+    const newDuration = stop.averageVisitDuration;
+    const delayMinutes = place.arrivalTime
+      ? optimizationAlgorithms.parseTime(stop.arrivalTime) - optimizationAlgorithms.parseTime(place.arrivalTime)
+      : null;
+
+    return {
+      placeId: place.placeId,
+      name: place.name,
+      originalOrder: place.order,
+      newOrder: newIndex + 1,
+      moved: keptOriginalOrder.indexOf(place.placeId) !== newIndex,
+      originalArrival: place.arrivalTime || null,
+      newArrival: stop.arrivalTime,
+      newDeparture: stop.departureTime,
+      delayMinutes,
+      originalDuration: place.visitDuration,
+      newDuration,
+      shortened: stop.shortened
+    };
+  });
+
+  const dropped = result.droppedPlaces.map(stop => {
+    const { place } = original.get(String(stop.id));
+    return {
+      placeId: place.placeId,
+      name: place.name,
+      originalOrder: place.order,
+      plannedArrival: place.arrivalTime || null,
+      reason: stop.dropReason
+    };
+  });
+
+  const lastOriginal = remainingTripPlaces[remainingTripPlaces.length - 1];
+  const lastStop = result.route[result.route.length - 1];
+
+  return {
+    kept,
+    dropped,
+    reordered: kept.filter(stop => stop.moved).map(stop => stop.placeId),
+    shortened: kept.filter(stop => stop.shortened).map(stop => stop.placeId),
+    summary: {
+      remainingPlaces: remainingTripPlaces.length,
+      keptCount: kept.length,
+      droppedCount: dropped.length,
+      reorderedCount: kept.filter(stop => stop.moved).length,
+      shortenedCount: kept.filter(stop => stop.shortened).length,
+      originalEndTime: lastOriginal.departureTime || null,
+      projectedEndTime: lastStop ? lastStop.departureTime : null,
+      availableMinutes: result.replanWindow.availableMinutes
+    }
+  };
+}
+
+function buildTripPreferences(preferences, constraints) {
+  const startLocation = constraints.startLocation || preferences.startLocation;
+
+  return {
+    interests: preferences.interests,
+    budget: constraints.budget || preferences.budget,
+    maxTravelTime: constraints.totalTimeAvailable,
+    startLocation: startLocation ? {
+      latitude: startLocation.latitude ?? startLocation.coordinates?.latitude,
+      longitude: startLocation.longitude ?? startLocation.coordinates?.longitude,
+      name: startLocation.name
+    } : undefined,
+    accessibility: constraints.accessibility,
+    groupSize: preferences.groupSize,
+    optimizationGoal: ['distance', 'time', 'rating', 'cost', 'balanced'].includes(preferences.optimizeFor)
+      ? preferences.optimizeFor
+      : 'balanced'
+  };
+}
+
+// Validation arrays for express-validator
+const validations = {
+  validateSaveTrip,
+  validateTripId,
+  validateListTrips,
+  validateUpdateTrip,
+  validateReoptimizeTrip,
+  validateInviteCollaborator,
+  validateUpdateCollaborator,
+  validateRemoveCollaborator,
+  validateTripActivity
+};
+
+module.exports = {
+  saveTrip,
+  getSavedTrips,
+  getSavedTripById,
+  updateSavedTrip,
+  deleteSavedTrip,
+  reoptimizeTrip,
+  enableTripSharing,
+  disableTripSharing,
+  rotateShareToken,
+  inviteCollaborator,
+  updateCollaborator,
+  removeCollaborator,
+  getTripActivity,
+  mapRouteToTripPlaces,
+  validations
+};
@@ -0,0 +1,176 @@
+// backend/controllers/sharedController.js
+const { Trip } = require('../models/Trip');
+const Route = require('../models/Route');
+const { validationResult, param } = require('express-validator');
+
+// Trip fields exposed through a share link; owner, collaborators and history stay private
+const SHARED_TRIP_FIELDS = 'name description places schedule metrics status tags sharing.publicViews updatedAt';
+const SHARED_ROUTE_FIELDS = 'name description settings stops metrics status tags publicViews updatedAt';
+
+// Validation middleware
+const validateShareToken = [
+  param('token').matches(/^[A-Za-z0-9_-]{8,64}$/).withMessage('Invalid share token')
+];
+
+// Utility function to handle validation errors
+const handleValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  return null;
+};
+
+// Enhanced error handler
+const handleError = (res, error, message = 'Internal server error', statusCode = 500) => {
+  console.error(`${message}:`, error);
+
+  const isDevelopment = process.env.NODE_ENV === 'development';
+
+  res.status(statusCode).json({
+    success: false,
+    message,
+    ...(isDevelopment && { error: error.message, stack: error.stack })
+  });
+};
+
+// Read-only view of a shared trip (or saved route). No login required; each
+// successful fetch counts as a public view.
+const getSharedItinerary = async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  try {
+    const { token } = req.params;
+
+    const trip = await Trip.findOneAndUpdate(
+      { 'sharing.shareToken': token, 'sharing.isPublic': true },
+      { $inc: { 'sharing.publicViews': 1 } },
+      // A view is not an edit: leave updatedAt alone
+      { new: true, projection: SHARED_TRIP_FIELDS, timestamps: false }
+    ).lean();
+
+    if (trip) {
+      return res.status(200).json({
+        success: true,
+        data: serializeSharedTrip(trip)
+      });
+    }
+
+    const route = await Route.findOneAndUpdate(
+      { shareToken: token, isPublic: true },
+      { $inc: { publicViews: 1 } },
+      { new: true, projection: SHARED_ROUTE_FIELDS, timestamps: false }
+    )
+      .populate('stops.place', 'name category city')
+      .lean();
+
+    if (route) {
+      return res.status(200).json({
+        success: true,
+        data: serializeSharedRoute(route)
+      });
+    }
+
+    // Unknown, rotated and disabled links all look the same
+    res.status(404).json({
+      success: false,
+      message: 'This share link is invalid or has been turned off'
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error loading shared itinerary');
+  }
+};
+
+// Helper functions
+
+function serializeSharedTrip(trip) {
+  const places = [...(trip.places || [])]
+    .sort((a, b) => a.order - b.order)
+    .map(place => ({
+      order: place.order,
+      placeId: place.placeId,
+      name: place.name,
+      category: place.category,
+      location: place.location,
+      arrivalTime: place.arrivalTime,
+      departureTime: place.departureTime,
+      visitDuration: place.visitDuration,
+      entryFee: place.entryFee,
+      travelTimeToNext: place.travelTimeToNext,
+      travelDistanceToNext: place.travelDistanceToNext
+    }));
+
+  return {
+    type: 'trip',
+    name: trip.name,
+    description: trip.description,
+    status: trip.status,
+    tags: trip.tags || [],
+    schedule: trip.schedule || {},
+    places,
+    metrics: {
+      totalDistance: trip.metrics?.totalDistance || 0,
+      totalTravelTime: trip.metrics?.totalTravelTime || 0,
+      totalVisitTime: trip.metrics?.totalVisitTime || 0,
+      totalTime: trip.metrics?.totalTime || 0,
+      totalCost: trip.metrics?.totalCost || 0,
+      placesCount: places.length
+    },
+    publicViews: trip.sharing?.publicViews || 0,
+    updatedAt: trip.updatedAt
+  };
+}
+
+function serializeSharedRoute(route) {
+  const places = [...(route.stops || [])]
+    .sort((a, b) => a.order - b.order)
+    .map(stop => ({
+      order: stop.order,
+      placeId: stop.placeData?.id || stop.place?._id?.toString(),
+      name: stop.placeData?.name || stop.place?.name,
+      category: stop.place?.category,
+      location: stop.placeData?.location,
+      arrivalTime: stop.arrivalTime,
+      departureTime: stop.departureTime,
+      visitDuration: stop.visitDuration,
+      entryFee: 0,
+      travelTimeToNext: stop.travelTimeToNext,
+      travelDistanceToNext: stop.travelDistanceToNext
+    }));
+
+  return {
+    type: 'route',
+    name: route.name,
+    description: route.description,
+    status: route.status,
+    tags: route.tags || [],
+    schedule: { startTime: route.settings?.startTime },
+    places,
+    metrics: {
+      totalDistance: route.metrics?.totalDistance || 0,
+      totalTravelTime: route.metrics?.totalTravelTime || 0,
+      totalVisitTime: route.metrics?.totalVisitTime || 0,
+      totalTime: route.metrics?.totalTime || 0,
+      totalCost: 0,
+      placesCount: places.length
+    },
+    publicViews: route.publicViews || 0,
+    updatedAt: route.updatedAt
+  };
+}
+
+// Validation arrays for express-validator
+const validations = {
+  validateShareToken
+};
+
+module.exports = {
+  getSharedItinerary,
+  validations
+};
@@ -0,0 +1,517 @@
+// backend/controllers/trackingController.js
+const { Trip } = require('../models/Trip');
+const TrackingSession = require('../models/TrackingSession');
+const DistanceCalculator = require('../utils/distanceCalculator');
+const { validationResult, body, query, param } = require('express-validator');
+
+const distanceCalculator = new DistanceCalculator();
+
+// Leave a place only once the traveler is clearly outside its geofence
+const DEPARTURE_HYSTERESIS = 1.5;
+
+// How late (in minutes) the traveler may be before we warn about the schedule
+const SCHEDULE_SLACK_MINUTES = 15;
+
+const TRACKING_ACTIONS = ['update_location', 'arrive_at_checkpoint', 'stop'];
+
+// Validation middleware
+const validateStartTracking = [
+  body('tripId').isMongoId().withMessage('tripId must be a saved trip ID'),
+  body('startLocation.latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+  body('startLocation.longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+  body('geofenceRadius').optional().isInt({ min: 25, max: 2000 }).withMessage('geofenceRadius must be 25-2000 meters')
+];
+
+const validateUpdateProgress = [
+  body('trackingId').optional().isMongoId().withMessage('Invalid trackingId'),
+  body('tripId').optional().isMongoId().withMessage('Invalid tripId'),
+  body('action').optional().isIn(TRACKING_ACTIONS).withMessage(`action must be one of: ${TRACKING_ACTIONS.join(', ')}`),
+  body('currentLocation.latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+  body('currentLocation.longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+  body('currentTime').optional().matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('currentTime must be in HH:MM format')
+];
+
+const validateRealTimeUpdates = [
+  query('trackingId').optional().isMongoId().withMessage('Invalid trackingId'),
+  query('tripId').optional().isMongoId().withMessage('Invalid tripId'),
+  query('currentTime').optional().matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('currentTime must be in HH:MM format')
+];
+
+const validateTrackingId = [
+  param('trackingId').isMongoId().withMessage('Invalid trackingId')
+];
+
+// Utility function to handle validation errors
+const handleValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  return null;
+};
+
+// Enhanced error handler
+const handleError = (res, error, message = 'Internal server error', statusCode = 500) => {
+  console.error(`${message}:`, error);
+
+  const isDevelopment = process.env.NODE_ENV === 'development';
+
+  res.status(statusCode).json({
+    success: false,
+    message,
+    ...(isDevelopment && { error: error.message, stack: error.stack })
+  });
+};
+
+// Start (or resume) a tracking session for a saved trip
+const startTracking = async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  try {
+    const { tripId, startLocation, geofenceRadius } = req.body;
+    const userId = req.user.id;
+
+    const trip = await Trip.findById(tripId);
+    if (!trip || trip.userId !== userId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
+      });
+    }
+
+    if (['completed', 'cancelled', 'archived'].includes(trip.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot track a trip that is ${trip.status}`
+      });
+    }
+
+    // Reloading the page should pick the running session back up
+    const existingSession = await TrackingSession.findActiveForTrip(trip._id);
+    if (existingSession) {
+      return res.status(200).json({
+        success: true,
+        message: 'Resumed existing tracking session',
+        data: {
+          trackingId: existingSession._id,
+          resumed: true,
+          state: await buildTrackingState(existingSession, trip, existingSession.events)
+        }
+      });
+    }
+
+    const session = new TrackingSession({
+      tripId: trip._id,
+      userId,
+      geofenceRadius,
+      startLocation: startLocation ? {
+        latitude: startLocation.latitude,
+        longitude: startLocation.longitude
+      } : undefined
+    });
+
+    session.addEvent({
+      type: 'started',
+      message: `Tracking started for ${trip.name}`
+    });
+
+    if (startLocation?.latitude !== undefined && startLocation?.longitude !== undefined) {
+      const ping = session.recordPing(startLocation);
+      applyGeofence(session, trip, ping);
+    }
+
+    if (trip.status === 'planned' || trip.status === 'draft') {
+      trip.status = 'active';
+    }
+    trip.progress.startedAt = trip.progress.startedAt || new Date();
+    trip.progress.lastUpdated = new Date();
+
+    await Promise.all([session.save(), saveTripProgress(trip)]);
+
+    console.log(`📡 Tracking session ${session._id} started for trip ${trip._id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Real-time tracking started successfully',
+      data: {
+        trackingId: session._id,
+        resumed: false,
+        state: await buildTrackingState(session, trip, session.events)
+      }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to start tracking');
+  }
+};
+
+// Record a position ping, a manual check-in, or stop the session
+const updateProgress = async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  try {
+    const { trackingId, tripId, currentLocation, checkpointId, action = 'update_location' } = req.body;
+
+    const session = await findSession(trackingId, tripId, req.user.id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tracking session not found'
+      });
+    }
+
+    if (session.status !== 'active') {
+      return res.status(409).json({
+        success: false,
+        message: `Tracking session is already ${session.status}`
+      });
+    }
+
+    const trip = await Trip.findById(session.tripId);
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip for this tracking session no longer exists'
+      });
+    }
+
+    const eventCountBefore = session.events.length;
+
+    switch (action) {
+      case 'stop':
+        session.end('stopped');
+        break;
+
+      case 'arrive_at_checkpoint': {
+        const place = trip.places.find(p => p.placeId === checkpointId);
+        if (!place) {
+          return res.status(404).json({
+            success: false,
+            message: `Place ${checkpointId} is not part of this trip`
+          });
+        }
+        if (currentLocation?.latitude !== undefined && currentLocation?.longitude !== undefined) {
+          session.recordPing(currentLocation);
+        }
+        markArrival(session, trip, place, 'manual');
+        break;
+      }
+
+      default: {
+        if (currentLocation?.latitude === undefined || currentLocation?.longitude === undefined) {
+          return res.status(400).json({
+            success: false,
+            message: 'currentLocation with latitude and longitude is required'
+          });
+        }
+        const ping = session.recordPing(currentLocation);
+        applyGeofence(session, trip, ping);
+      }
+    }
+
+    if (session.status === 'active' && trip.places.length > 0 && trip.places.every(p => p.visited)) {
+      session.end('completed');
+    }
+
+    trip.progress.lastUpdated = new Date();
+    await Promise.all([session.save(), saveTripProgress(trip)]);
+
+    const newEvents = session.events.slice(eventCountBefore);
+
+    res.status(200).json({
+      success: true,
+      message: 'Progress updated successfully',
+      data: await buildTrackingState(session, trip, newEvents, req.body.currentTime)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to update progress');
+  }
+};
+
+// Events since the client's last poll plus a live schedule check
+const getRealTimeUpdates = async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  try {
+    const { trackingId, tripId, lastUpdateTime, currentTime } = req.query;
+
+    const session = await findSession(trackingId, tripId, req.user.id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tracking session not found'
+      });
+    }
+
+    const trip = await Trip.findById(session.tripId);
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip for this tracking session no longer exists'
+      });
+    }
+
+    const since = parseSince(lastUpdateTime);
+    const state = await buildTrackingState(session, trip, session.getEventsSince(since), currentTime);
+
+    const updates = state.events.map(eventToUpdate);
+    if (state.schedule) {
+      updates.push(state.schedule);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        updates,
+        state,
+        serverTime: new Date().toISOString(),
+        nextUpdateIn: session.status === 'active' ? 40000 : null
+      }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to get updates');
+  }
+};
+
+// Full state of a tracking session
+const getTrackingSession = async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  try {
+    const session = await TrackingSession.findOne({ _id: req.params.trackingId, userId: req.user.id });
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tracking session not found'
+      });
+    }
+
+    const trip = await Trip.findById(session.tripId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...(trip ? await buildTrackingState(session, trip, session.events) : {}),
+        pings: session.pings
+      }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch tracking session');
+  }
+};
+
+// Helper functions
+
+// Sessions are only visible to the user who started them
+function findSession(trackingId, tripId, userId) {
+  if (trackingId) return TrackingSession.findOne({ _id: trackingId, userId });
+  if (tripId) return TrackingSession.findOne({ tripId, userId }).sort({ startedAt: -1 });
+  return Promise.resolve(null);
+}
+
+// Detect leaving the current stop and arriving at an unvisited one
+function applyGeofence(session, trip, ping) {
+  const radiusKm = session.geofenceRadius / 1000;
+
+  // A fix less precise than the fence itself cannot tell inside from outside
+  if (ping.accuracy && ping.accuracy > session.geofenceRadius * 2) {
+    return;
+  }
+
+  if (session.currentPlaceId) {
+    const currentPlace = trip.places.find(p => p.placeId === session.currentPlaceId);
+    const distance = currentPlace ? distanceToPlace(ping, currentPlace) : Infinity;
+
+    if (distance > radiusKm * DEPARTURE_HYSTERESIS) {
+      session.addEvent({
+        type: 'departure',
+        placeId: session.currentPlaceId,
+        placeName: currentPlace?.name,
+        detectedBy: 'geofence',
+        message: `Left ${currentPlace?.name || 'the previous stop'}`
+      });
+      session.currentPlaceId = null;
+      trip.progress.currentPlace = null;
+    }
+  }
+
+  const [arrived] = trip.places
+    .filter(place => !place.visited)
+    .map(place => ({ place, distance: distanceToPlace(ping, place) }))
+    .filter(candidate => candidate.distance <= radiusKm)
+    .sort((a, b) => a.distance - b.distance);
+
+  if (arrived) {
+    markArrival(session, trip, arrived.place, 'geofence');
+  }
+}
+
+// Write only what tracking changes. trip.save() would bump the edit version
+// (__v), and editors of a trip being tracked would then get spurious conflicts.
+function saveTripProgress(trip) {
+  const visitedIds = trip.places.filter(place => place.visited).map(place => place.placeId);
+  const update = {
+    $set: {
+      status: trip.status,
+      progress: trip.progress.toObject()
+    }
+  };
+  const options = {};
+
+  // Match by placeId so an edit that reordered the places meanwhile is not undone
+  if (visitedIds.length > 0) {
+    update.$set['places.$[visitedPlace].visited'] = true;
+    options.arrayFilters = [{ 'visitedPlace.placeId': { $in: visitedIds } }];
+  }
+
+  return Trip.updateOne({ _id: trip._id }, update, options);
+}
+
+function markArrival(session, trip, place, detectedBy) {
+  if (!place.visited) {
+    trip.visitPlace(place.placeId);
+  }
+  trip.progress.currentPlace = place.placeId;
+  session.currentPlaceId = place.placeId;
+
+  session.addEvent({
+    type: detectedBy === 'manual' ? 'manual_checkin' : 'arrival',
+    placeId: place.placeId,
+    placeName: place.name,
+    detectedBy,
+    message: `Arrived at ${place.name}!`
+  });
+}
+
+function distanceToPlace(position, place) {
+  return distanceCalculator.calculateDistance(
+    position.latitude,
+    position.longitude,
+    place.location.latitude,
+    place.location.longitude
+  );
+}
+
+async function buildTrackingState(session, trip, events = [], currentTime = null) {
+  const nextPlace = trip.getNextPlace();
+  const currentPlace = trip.getCurrentPlace();
+  const lastLocation = session.lastLocation;
+
+  let next = null;
+  if (nextPlace) {
+    next = {
+      placeId: nextPlace.placeId,
+      name: nextPlace.name,
+      location: nextPlace.location,
+      plannedArrival: nextPlace.arrivalTime || null
+    };
+
+    if (lastLocation?.latitude !== undefined) {
+      const travel = await distanceCalculator.calculateDrivingDistance(lastLocation, nextPlace.location);
+      next.distanceKm = Math.round(distanceToPlace(lastLocation, nextPlace) * 100) / 100;
+      next.etaMinutes = travel.duration;
+    }
+  }
+
+  return {
+    trackingId: session._id,
+    tripId: trip._id,
+    status: session.status,
+    tripStatus: trip.status,
+    startedAt: session.startedAt,
+    endedAt: session.endedAt,
+    lastPingAt: session.lastPingAt,
+    geofenceRadius: session.geofenceRadius,
+    currentLocation: lastLocation || null,
+    currentPlace: currentPlace ? { placeId: currentPlace.placeId, name: currentPlace.name } : null,
+    nextPlace: next,
+    progress: {
+      placesVisited: trip.progress.placesVisited,
+      totalPlaces: trip.places.length,
+      percentComplete: trip.progress.percentComplete
+    },
+    visitedPlaceIds: trip.places.filter(p => p.visited).map(p => p.placeId),
+    remaining: trip.getRemainingMetrics(),
+    schedule: buildScheduleUpdate(next, currentTime),
+    events
+  };
+}
+
+// Compare the projected arrival at the next stop with the planned one
+function buildScheduleUpdate(next, currentTime) {
+  if (!next?.plannedArrival || next.etaMinutes === undefined) return null;
+
+  const now = currentTime ? timeToMinutes(currentTime) : minutesSinceMidnight(new Date());
+  const delay = Math.round(now + next.etaMinutes - timeToMinutes(next.plannedArrival));
+
+  if (delay > SCHEDULE_SLACK_MINUTES) {
+    return {
+      type: 'schedule',
+      severity: 'warning',
+      delayMinutes: delay,
+      message: `Running about ${delay} min behind schedule for ${next.name}`,
+      timestamp: new Date()
+    };
+  }
+
+  return {
+    type: 'schedule',
+    severity: 'info',
+    delayMinutes: delay,
+    message: delay < -SCHEDULE_SLACK_MINUTES
+      ? `About ${-delay} min ahead of schedule for ${next.name}`
+      : `On schedule for ${next.name} (ETA ${next.etaMinutes} min)`,
+    timestamp: new Date()
+  };
+}
+
+function eventToUpdate(event) {
+  return {
+    type: event.type,
+    placeId: event.placeId,
+    message: event.message,
+    timestamp: event.timestamp,
+    severity: event.type === 'stopped' ? 'warning' : 'info'
+  };
+}
+
+function parseSince(lastUpdateTime) {
+  if (!lastUpdateTime) return null;
+  return /^\d+$/.test(lastUpdateTime) ? new Date(Number(lastUpdateTime)) : new Date(lastUpdateTime);
+}
+
+function timeToMinutes(timeStr) {
+  const [hours, minutes] = timeStr.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function minutesSinceMidnight(date) {
+  return date.getHours() * 60 + date.getMinutes();
+}
+
+// Validation arrays for express-validator
+const validations = {
+  validateStartTracking,
+  validateUpdateProgress,
+  validateRealTimeUpdates,
+  validateTrackingId
+};
+
+module.exports = {
+  startTracking,
+  updateProgress,
+  getRealTimeUpdates,
+  getTrackingSession,
+  validations
+};
@@ -1,17 +1,29 @@
 // backend/controllers/tripController.js - FIXED Complete Working Version
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const Place = require('../models/Place');
 const OptimizationAlgorithms = require('../utils/optimizationAlgorithms');
 const DistanceCalculator = require('../utils/distanceCalculator');
-
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const { resolveTripEndpoints } = require('../utils/locationResolver');
+const { normalizeSeed } = require('../utils/seededRandom');
+const { runAlgorithmWithTimeLimit, getRoutePoints } = require('../utils/algorithmRunner');
+const routingEngine = require('../utils/routingEngine');
+const { generateAIOutput } = require('../utils/aiOutput');
+const { ALGORITHM_IDS, AI_SCHEMAS } = require('../config/aiSchemas');
 
 // Initialize optimization algorithms and distance calculator
 const optimizationAlgorithms = new OptimizationAlgorithms();
 const distanceCalculator = new DistanceCalculator();
 
+// Ordering-only optimizers get slow and overfill the day past this many places;
+// the orienteering optimizers choose a subset from up to MAX_CANDIDATE_PLACES
+const MAX_ORDERED_PLACES = 25;
+const MAX_CANDIDATE_PLACES = 100;
+const SUBSET_ALGORITHMS = ['simulatedAnnealing', 'antColony'];
+
+// Per-solver time limits for compare-algorithms
+const DEFAULT_COMPARISON_TIME_LIMIT = 10000;
+const MAX_COMPARISON_TIME_LIMIT = 30000;
+
 // FIXED: Enhanced place enrichment function with better error handling
 async function enrichPlacesFromDatabase(inputPlaces) {
   console.log(`🔍 Starting place enrichment for ${inputPlaces.length} places...`);
@@ -193,29 +205,51 @@ function escapeRegex(string) {
   return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
-// FIXED: Enhanced Gemini analysis with better error handling and algorithm mapping
+// Models often answer with a common alias ("greedy", "aco") instead of our algorithm id
+const ALGORITHM_ALIASES = {
+  'greedy': 'advancedGreedy',
+  'advanced-greedy': 'advancedGreedy',
+  'enhanced-greedy': 'advancedGreedy',
+  'genetic-algorithm': 'genetic',
+  'ga': 'genetic',
+  'nearest-neighbor': 'nearestNeighbor',
+  'nn': 'nearestNeighbor',
+  'dynamic-programming': 'dynamicProgramming',
+  'dp': 'dynamicProgramming',
+  'time-window-tsp': 'timeWindowTSP',
+  'tsptw': 'timeWindowTSP',
+  'simulated-annealing': 'simulatedAnnealing',
+  'sa': 'simulatedAnnealing',
+  'ant-colony': 'antColony',
+  'aco': 'antColony'
+};
+
+function normalizeTripAnalysis(analysis) {
+  const algorithm = analysis.algorithmRecommendation?.algorithm;
+  if (typeof algorithm === 'string') {
+    const key = algorithm.trim().toLowerCase();
+    analysis.algorithmRecommendation.algorithm = ALGORITHM_ALIASES[key] ||
+      ALGORITHM_IDS.find(id => id.toLowerCase() === key) ||
+      algorithm;
+  }
+  return analysis;
+}
+
+// AI trip analysis, checked against the tripAnalysis schema: { analysis, aiOutput }
 async function getGeminiTripAnalysis(places, preferences, constraints) {
   console.log('🤖 Starting Gemini AI analysis...');
   
-  if (!process.env.GEMINI_API_KEY) {
-    console.warn('⚠️ Gemini API key not found, using fallback analysis');
-    return generateFallbackAnalysis(places, preferences, constraints);
-  }
+  // Calculate geographic spread for algorithm selection
+  const coordinates = places.map(p => p.location).filter(loc => loc && loc.latitude && loc.longitude);
+  const spread = coordinates.length >= 2 ? calculateGeographicSpread(coordinates) : {
+    maxDistance: 0,
+    averageDistance: 0,
+    density: 'high',
+    complexity: 'low'
+  };
   
-  try {
-    const model = genAI.getGenerativeModel({ model: 'gemini-1.5-flash-latest' });
-    
-    // Calculate geographic spread for algorithm selection
-    const coordinates = places.map(p => p.location).filter(loc => loc && loc.latitude && loc.longitude);
-    const spread = coordinates.length >= 2 ? calculateGeographicSpread(coordinates) : {
-      maxDistance: 0,
-      averageDistance: 0,
-      density: 'high',
-      complexity: 'low'
-    };
-    
-    // ENHANCED PROMPT with strict JSON formatting requirements
-    const analysisPrompt = `You are a travel optimization AI. Analyze this South Indian trip and respond with ONLY a valid JSON object.
+  // ENHANCED PROMPT with strict JSON formatting requirements
+  const analysisPrompt = `You are a travel optimization AI. Analyze this South Indian trip and respond with ONLY a valid JSON object.
 
 CRITICAL INSTRUCTIONS:
 - Respond with ONLY valid RFC 8259 compliant JSON
@@ -233,7 +267,7 @@ ${index + 1}. ${place.name} (${place.city}, ${place.state})
    • Rating: ${place.rating}/5 ⭐
    • Duration: ${place.averageVisitDuration} minutes
    • Entry: ₹${place.entryFee?.indian || 0}
-   • Location: ${place.location.latitude}, ${place.location.longitude}
+   • Location: ${place.location?.latitude}, ${place.location?.longitude}
    • Source: ${place._source || 'database'}
 `).join('')}
 
@@ -248,7 +282,7 @@ GEOGRAPHIC ANALYSIS:
 • Complexity: ${spread.complexity || 'low'}
 
 Select the best algorithm and provide analysis in JSON format.
-Available algorithms: "advancedGreedy", "genetic", "nearestNeighbor", "dynamicProgramming"
+Available algorithms: "advancedGreedy", "genetic", "nearestNeighbor", "dynamicProgramming", "timeWindowTSP" (use timeWindowTSP when opening hours are short or split), "simulatedAnnealing", "antColony" (use these when there are more places than fit in the day and the best subset must be chosen)
 
 {
   "tripOverview": "Brief 2-3 sentence description of this trip",
@@ -277,135 +311,34 @@ Available algorithms: "advancedGreedy", "genetic", "nearestNeighbor", "dynamicPr
     "Try local cuisine"
   ]
 }
-Available algorithms: "advancedGreedy", "genetic", "nearestNeighbor", "dynamicProgramming"
+Available algorithms: "advancedGreedy", "genetic", "nearestNeighbor", "dynamicProgramming", "timeWindowTSP" (use timeWindowTSP when opening hours are short or split), "simulatedAnnealing", "antColony" (use these when there are more places than fit in the day and the best subset must be chosen)
 
 Respond with ONLY the JSON object above, filled with appropriate values.`;
 
-    console.log('📤 Sending request to Gemini AI...');
-    
-    const result = await Promise.race([
-      model.generateContent(analysisPrompt),
-      new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Gemini API timeout')), 20000)
-      )
-    ]);
-    
-    const response = await result.response;
-    const aiResponse = response.text();
-    
-    console.log('📥 Gemini AI response received');
-    const analysis = await parseGeminiResponseWithFallbacks(aiResponse, places, preferences, constraints);
-    
-    return analysis;
-    
-  } catch (error) {
-    console.error('🚨 Gemini analysis failed:', error);
-    console.log('🔄 Using fallback analysis...');
-    return generateFallbackAnalysis(places, preferences, constraints);
-  }
-}
-
-// FIXED: Parse Gemini response with multiple fallback strategies
-async function parseGeminiResponseWithFallbacks(aiResponse, places, preferences, constraints) {
-  const strategies = [
-    // Strategy 1: Direct JSON parsing
-    () => JSON.parse(aiResponse),
-    
-    // Strategy 2: Extract JSON from markdown code blocks
-    () => {
-      const codeBlockMatch = aiResponse.match(/```(?:json)?\s*(\{[\s\S]*?\})\s*```/);
-      if (codeBlockMatch) {
-        return JSON.parse(codeBlockMatch[1]);
-      }
-      throw new Error('No code block found');
-    },
-    
-    // Strategy 3: Find JSON object boundaries
-    () => {
-      const jsonStart = aiResponse.indexOf('{');
-      const jsonEnd = aiResponse.lastIndexOf('}');
-      
-      if (jsonStart === -1 || jsonEnd === -1 || jsonStart >= jsonEnd) {
-        throw new Error('No valid JSON boundaries found');
-      }
-      
-      const jsonStr = aiResponse.substring(jsonStart, jsonEnd + 1);
-      return JSON.parse(jsonStr);
-    },
-    
-    // Strategy 4: Clean and extract JSON
-    () => {
-      const cleaned = aiResponse.replace(/```json|```|\n\s*\/\/.*$/gm, '').trim();
-      const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-      throw new Error('No JSON found after cleaning');
-    }
-  ];
-
-  // Try each parsing strategy
-  for (let i = 0; i < strategies.length; i++) {
-    try {
-      console.log(`Trying parsing strategy ${i + 1}...`);
-      const analysis = strategies[i]();
-      
-      // FIXED: Ensure algorithm name is valid
-      const validAlgorithms = ['advancedGreedy', 'genetic', 'nearestNeighbor', 'dynamicProgramming'];
-      if (analysis.algorithmRecommendation?.algorithm) {
-        const recommendedAlgorithm = analysis.algorithmRecommendation.algorithm;
-        
-        // Map common variations to correct names
-        const algorithmMap = {
-          'greedy': 'advancedGreedy',
-          'advanced-greedy': 'advancedGreedy',
-          'enhanced-greedy': 'advancedGreedy',
-          'genetic-algorithm': 'genetic',
-          'ga': 'genetic',
-          'nearest-neighbor': 'nearestNeighbor',
-          'nn': 'nearestNeighbor',
-          'dynamic-programming': 'dynamicProgramming',
-          'dp': 'dynamicProgramming'
-        };
-        
-        const mappedAlgorithm = algorithmMap[recommendedAlgorithm.toLowerCase()] || recommendedAlgorithm;
-        
-        if (validAlgorithms.includes(mappedAlgorithm)) {
-          analysis.algorithmRecommendation.algorithm = mappedAlgorithm;
-        } else {
-          console.warn(`Invalid algorithm "${recommendedAlgorithm}" recommended by AI, using advancedGreedy`);
-          analysis.algorithmRecommendation.algorithm = 'advancedGreedy';
-          analysis.algorithmRecommendation.reason = `Fallback to advanced greedy (original: ${recommendedAlgorithm})`;
-        }
-      }
-      
-      console.log(`🧠 AI recommended algorithm: ${analysis.algorithmRecommendation?.algorithm}`);
-      return analysis;
-    } catch (parseError) {
-      console.warn(`Parsing strategy ${i + 1} failed:`, parseError.message);
-      continue;
-    }
-  }
+  const { data: analysis, aiOutput } = await generateAIOutput('tripAnalysis', analysisPrompt, {
+    timeoutMs: 20000,
+    normalize: normalizeTripAnalysis,
+    fallback: () => generateFallbackAnalysis(places, preferences, constraints)
+  });
 
-  // If all parsing strategies fail, generate fallback analysis
-  console.error('🚨 All JSON parsing strategies failed, using fallback analysis');
-  return generateFallbackAnalysis(places, preferences, constraints);
+  console.log(`🧠 AI recommended algorithm: ${analysis.algorithmRecommendation?.algorithm} (${aiOutput.fields.algorithmRecommendation || 'missing'})`);
+  return { analysis, aiOutput };
 }
 
-// Generate detailed itinerary with Gemini AI
-async function generateGeminiItinerary(route, geminiAnalysis, preferences, constraints) {
+// Generate detailed itinerary with Gemini AI: { data, aiOutput }
+async function generateGeminiItinerary(route, geminiAnalysis, preferences, constraints, breaks = []) {
   if (!route || route.length === 0) {
     return {
-      itinerary: 'No places in optimized route to create itinerary.',
-      alternatives: ['Try with different places or constraints'],
-      practicalInfo: {}
+      data: {
+        itinerary: 'No places in optimized route to create itinerary.',
+        alternatives: ['Try with different places or constraints'],
+        practicalInfo: {}
+      },
+      aiOutput: null
     };
   }
 
-  try {
-    const model = genAI.getGenerativeModel({ model: 'gemini-1.5-flash-latest' });
-    
-    const itineraryPrompt = `Create a detailed day itinerary for this optimized South Indian route:
+  const itineraryPrompt = `Create a detailed day itinerary for this optimized South Indian route:
 
 OPTIMIZED ROUTE (${route.length} places):
 ${route.map((place, index) => `
@@ -421,7 +354,10 @@ PREFERENCES:
 • Start Time: ${constraints.startTime || '09:00'}
 • Time Available: ${constraints.totalTimeAvailable || 480} minutes
 • Budget: ${constraints.budget ? '₹' + constraints.budget : 'Flexible'}
-
+${breaks.length > 0 ? `
+SCHEDULED BREAKS (already part of the timings - keep them):
+${breaks.map(pause => `• ${describeScheduledBreak(pause)}`).join('\n')}
+` : ''}
 Return detailed itinerary in JSON format:
 {
   "itinerary": "Hour-by-hour schedule with timings and recommendations",
@@ -434,24 +370,22 @@ Return detailed itinerary in JSON format:
   }
 }`;
 
-    const result = await model.generateContent(itineraryPrompt);
-    const response = await result.response;
-    const aiResponse = response.text();
-    
-    const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[0]);
-    }
-  } catch (error) {
-    console.error('Gemini itinerary generation failed:', error);
-  }
+  return generateAIOutput('itinerary', itineraryPrompt, {
+    fallback: () => generateFallbackItinerary(route, constraints, breaks)
+  });
+}
 
-  // Fallback itinerary
+// Rule-based itinerary when the AI is unavailable or its reply is unusable
+function generateFallbackItinerary(route, constraints, breaks) {
   const startTime = constraints.startTime || '09:00';
   const totalHours = Math.round((constraints.totalTimeAvailable || 480) / 60);
   
+  const breakSummary = breaks.length > 0
+    ? ` Breaks: ${breaks.map(describeScheduledBreak).join('; ')}.`
+    : '';
+
   return {
-    itinerary: `Start your ${route.length}-place journey at ${startTime}. Visit ${route.map(p => p.name).join(' → ')}. Total duration: approximately ${totalHours} hours including travel time.`,
+    itinerary: `Start your ${route.length}-place journey at ${startTime}. Visit ${route.map(p => p.name).join(' → ')}. Total duration: approximately ${totalHours} hours including travel time.${breakSummary}`,
     alternatives: [
       'Consider starting 30 minutes earlier for a more relaxed pace',
       'Add buffer time between locations for traffic delays',
@@ -481,7 +415,17 @@ function generateFallbackAnalysis(places, preferences, constraints) {
   let algorithm = 'advancedGreedy';
   let reason = 'General purpose optimization with timing intelligence';
   
-  if (places.length <= 6 && spread.complexity === 'low') {
+  const hasSplitHours = places.some(place =>
+    Object.values(place.openingHours || {}).some(day => day?.breaks?.length > 0)
+  );
+
+  if (places.length > MAX_ORDERED_PLACES) {
+    algorithm = 'simulatedAnnealing';
+    reason = 'More places than fit in a day - choosing the best subset';
+  } else if (hasSplitHours && places.length <= 12) {
+    algorithm = 'timeWindowTSP';
+    reason = 'Some places close in the middle of the day - opening hours are treated as hard limits';
+  } else if (places.length <= 6 && spread.complexity === 'low') {
     algorithm = 'dynamicProgramming';
     reason = 'Small number of places with low complexity - optimal solution possible';
   } else if (places.length >= 10 && spread.complexity === 'high') {
@@ -564,6 +508,9 @@ function generateWarnings(places, spread, constraints) {
   if (fallbackPlaces.length > 0) {
     warnings.push(`${fallbackPlaces.length} places not found in database - using approximate data`);
   }
+
+  // Required, excluded and fixed-time settings that cannot all hold
+  warnings.push(...optimizationAlgorithms.findVisitConstraintConflicts(places, constraints));
   
   return warnings.length > 0 ? warnings : ['No specific warnings for this itinerary'];
 }
@@ -610,6 +557,18 @@ function calculateGeographicSpread(coordinates) {
 }
 
 // FIXED: Apply optimization algorithm function with proper method calls
+// Constraints for the optimizers (start/end points arrive already resolved)
+function buildAlgorithmConstraints(preferences, algorithmParams = {}) {
+  return {
+    ...preferences,
+    ...algorithmParams,
+    startTime: preferences.startTime || '09:00',
+    endTime: preferences.endTime || '18:00',
+    budget: preferences.budget || Infinity,
+    totalTimeAvailable: preferences.totalTimeAvailable || 480
+  };
+}
+
 async function applyOptimizationAlgorithm(places, algorithmRecommendation, preferences, algorithmParams) {
   const algorithm = algorithmRecommendation.algorithm || 'advancedGreedy';
   
@@ -618,17 +577,7 @@ async function applyOptimizationAlgorithm(places, algorithmRecommendation, prefe
   
   try {
     let result;
-    
-    // Prepare constraints for algorithms
-    const constraints = {
-      ...preferences,
-      ...algorithmParams,
-      startLocationId: preferences.startLocationId || 'coimbatore',
-      startTime: preferences.startTime || '09:00',
-      endTime: preferences.endTime || '18:00',
-      budget: preferences.budget || Infinity,
-      totalTimeAvailable: preferences.totalTimeAvailable || 480
-    };
+    const constraints = buildAlgorithmConstraints(preferences, algorithmParams);
     
     // FIXED: Use the correct method names that exist in OptimizationAlgorithms class
     switch (algorithm) {
@@ -647,6 +596,18 @@ async function applyOptimizationAlgorithm(places, algorithmRecommendation, prefe
       case 'dynamicProgramming':
         result = await optimizationAlgorithms.dynamicProgrammingOptimization(places, constraints);
         break;
+
+      case 'timeWindowTSP':
+        result = await optimizationAlgorithms.timeWindowTSPOptimization(places, constraints);
+        break;
+
+      case 'simulatedAnnealing':
+        result = await optimizationAlgorithms.simulatedAnnealingOptimization(places, constraints);
+        break;
+
+      case 'antColony':
+        result = await optimizationAlgorithms.antColonyOptimization(places, constraints);
+        break;
         
       default:
         console.warn(`Unknown algorithm: ${algorithm}, falling back to advancedGreedy`);
@@ -671,7 +632,6 @@ async function applyOptimizationAlgorithm(places, algorithmRecommendation, prefe
     console.log('🔄 Falling back to advanced greedy algorithm...');
     try {
       const fallbackResult = await optimizationAlgorithms.advancedGreedyOptimization(places, {
-        startLocationId: 'coimbatore',
         startTime: '09:00',
         endTime: '18:00',
         ...preferences
@@ -719,6 +679,10 @@ const optimizeTripWithAI = async (req, res) => {
       algorithmParams = {}
     } = req.body;
 
+    // Seeds every random step of the stochastic optimizers so a route can be regenerated
+    const requestSeed = req.body.seed ?? algorithmParams.seed ?? constraints.seed;
+    const seed = requestSeed === undefined || requestSeed === null ? undefined : normalizeSeed(requestSeed);
+
     // Enhanced input validation
     const validation = validateTripOptimizationInput(req.body);
     if (!validation.isValid) {
@@ -729,7 +693,18 @@ const optimizeTripWithAI = async (req, res) => {
       });
     }
 
+    // Start (and optional end) can be any coordinate, an address or a saved location
+    const endpoints = await resolveTripEndpoints(req.body, { userId: req.user?.id });
+    if (endpoints.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: endpoints.errors
+      });
+    }
+
     console.log(`📊 Input: ${places.length} places, Level: ${preferences.optimizationLevel || 'balanced'}`);
+    console.log(`📍 From ${endpoints.startLocation.name}${endpoints.endLocation ? ` to ${endpoints.endLocation.name}` : ''}`);
 
     // Step 1: Enhanced place enrichment from database
     console.log('🔍 Enriching places from database...');
@@ -744,24 +719,71 @@ const optimizeTripWithAI = async (req, res) => {
 
     // Step 2: Get Gemini AI analysis with fallback
     console.log('🧠 Getting Gemini AI analysis...');
-    const geminiAnalysis = await getGeminiTripAnalysis(enrichedPlaces, preferences, constraints);
+    const { analysis: geminiAnalysis, aiOutput: analysisOutput } = await getGeminiTripAnalysis(enrichedPlaces, preferences, constraints);
     
-    // Step 3: Apply optimization algorithm
-    console.log(`⚡ Applying ${geminiAnalysis.algorithmRecommendation.algorithm} algorithm...`);
+    // Step 3: Apply optimization algorithm (an explicitly requested one wins over the AI pick)
+    let algorithmRecommendation = preferences.algorithm
+      ? { algorithm: preferences.algorithm, reason: 'Requested by user' }
+      : geminiAnalysis.algorithmRecommendation;
+
+    // Large catalogs need an optimizer that picks places, not just one that orders them
+    if (!preferences.algorithm && enrichedPlaces.length > MAX_ORDERED_PLACES &&
+        !SUBSET_ALGORITHMS.includes(algorithmRecommendation.algorithm)) {
+      algorithmRecommendation = {
+        algorithm: 'simulatedAnnealing',
+        reason: `${enrichedPlaces.length} candidate places - choosing the best subset for the day`
+      };
+    }
+
+    console.log(`⚡ Applying ${algorithmRecommendation.algorithm} algorithm...`);
+    const algorithmPreferences = {
+      ...preferences,
+      ...constraints,
+      startCoordinates: null,
+      startLocation: endpoints.startLocation,
+      endLocation: endpoints.endLocation,
+      endMode: endpoints.endMode
+    };
+
+    // Road-network legs between every pair of points, computed once for all solvers
+    await routingEngine.prefetch(getRoutePoints(enrichedPlaces, algorithmPreferences));
+
     const algorithmResult = await applyOptimizationAlgorithm(
       enrichedPlaces,
-      geminiAnalysis.algorithmRecommendation,
-      { ...preferences, ...constraints },
-      algorithmParams
+      algorithmRecommendation,
+      algorithmPreferences,
+      { ...algorithmParams, seed }
     );
 
+    // Visit constraint conflicts are reported whichever analysis ran
+    const algorithmConstraints = buildAlgorithmConstraints(algorithmPreferences, algorithmParams);
+    const visitConstraintConflicts = optimizationAlgorithms.findVisitConstraintConflicts(enrichedPlaces, algorithmConstraints);
+
+    // Alternative routes (cheapest, shortest drive, ...) with their trade-offs against this one
+    let routeOptions = null;
+    if (preferences.routeOptions !== false && algorithmResult.route?.length > 0) {
+      try {
+        routeOptions = await optimizationAlgorithms.paretoRouteOptions(
+          enrichedPlaces,
+          algorithmConstraints,
+          algorithmResult
+        );
+      } catch (error) {
+        console.warn('⚠️ Route options failed:', error.message);
+      }
+    }
+
+    // Restaurants near each scheduled meal break
+    const breaks = await optimizationAlgorithms.attachBreakRestaurants(algorithmResult.breaks, algorithmConstraints);
+
     // Step 4: Generate detailed itinerary
     console.log('📋 Generating detailed itinerary...');
-    const detailedItinerary = await generateGeminiItinerary(
+    const { data: detailedItinerary, aiOutput: itineraryOutput } = await generateGeminiItinerary(
       algorithmResult.route,
       geminiAnalysis,
       preferences,
-      constraints
+      constraints,
+      breaks
     );
 
     // Step 5: Build comprehensive response
@@ -772,6 +794,17 @@ const optimizeTripWithAI = async (req, res) => {
       algorithm: algorithmResult.algorithm,
       route: algorithmResult.route,
       itinerary: detailedItinerary.itinerary,
+      startingLocation: endpoints.startLocation,
+      endLocation: endpoints.endLocation,
+      endMode: endpoints.endMode,
+      endLeg: algorithmResult.endLeg || null,
+      droppedPlaces: algorithmResult.droppedPlaces || [],
+      infeasibility: algorithmResult.infeasibility || null,
+      selection: algorithmResult.selection || null,
+      unselectedPlaces: algorithmResult.unselectedPlaces || [],
+      visitConstraints: algorithmResult.visitConstraints || null,
+      breaks,
+      routeOptions,
       
       // Algorithm metrics
       metrics: {
@@ -779,10 +812,12 @@ const optimizeTripWithAI = async (req, res) => {
         totalDistance: algorithmResult.totalDistance || 0,
         totalTravelTime: algorithmResult.totalTravelTime || 0,
         totalVisitTime: algorithmResult.totalVisitTime || 0,
+        totalBreakTime: algorithmResult.totalBreakTime || 0,
         efficiency: algorithmResult.efficiency || 0,
         constraintsSatisfied: algorithmResult.constraintsSatisfied || true,
         placesVisited: algorithmResult.route?.length || 0,
         placesSkipped: places.length - (algorithmResult.route?.length || 0),
+        localSearch: algorithmResult.localSearch || null,
         executionTime: executionTime
       },
       
@@ -800,18 +835,26 @@ const optimizeTripWithAI = async (req, res) => {
       // Combined data
       optimizationDetails: {
         algorithmUsed: algorithmResult.algorithm,
-        aiAnalysisUsed: true,
+        aiAnalysisUsed: analysisOutput.status !== 'fallback',
         aiRecommendedAlgorithm: geminiAnalysis.algorithmRecommendation?.algorithm,
         executionTime: executionTime,
         optimizationLevel: preferences.optimizationLevel || 'balanced',
         fallbackUsed: algorithmResult.fallbackUsed || false,
+        seed: algorithmResult.seed ?? seed ?? null,
         placesEnriched: enrichedPlaces.filter(p => p._enriched).length,
         placesFallback: enrichedPlaces.filter(p => p._source === 'fallback').length
       },
       
       alternatives: detailedItinerary.alternatives || [],
       practicalInfo: detailedItinerary.practicalInfo || {},
+
+      // Which parts of the AI output were generated and which came from fallbacks
+      aiOutput: {
+        analysis: analysisOutput,
+        itinerary: itineraryOutput
+      },
       warnings: [
+        ...visitConstraintConflicts,
         ...(algorithmResult.warnings || []),
         ...(geminiAnalysis.warnings || []),
         ...enrichedPlaces.filter(p => p._warning).map(p => p._warning)
@@ -941,16 +984,30 @@ function validateTripOptimizationInput(body) {
     errors.push('places must be an array');
   } else if (places.length === 0) {
     errors.push('At least 1 place is required');
-  } else if (places.length > 25) {
-    errors.push('Maximum 25 places allowed');
+  } else if (places.length > MAX_CANDIDATE_PLACES) {
+    errors.push(`Maximum ${MAX_CANDIDATE_PLACES} places allowed`);
   }
 
+  const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
   // Validate individual places
   if (places && Array.isArray(places)) {
     places.forEach((place, index) => {
       if (!place.id && !place._id && !place.name) {
         errors.push(`Place at index ${index} must have an id, _id, or name`);
       }
+
+      // Per-place visit constraints
+      ['required', 'excluded'].forEach(field => {
+        if (place[field] !== undefined && typeof place[field] !== 'boolean') {
+          errors.push(`Place at index ${index}: ${field} must be true or false`);
+        }
+      });
+      ['fixedArrival', 'earliest', 'latest'].forEach(field => {
+        if (place[field] !== undefined && place[field] !== null && !timeRegex.test(place[field])) {
+          errors.push(`Place at index ${index}: ${field} must be in HH:MM format`);
+        }
+      });
     });
   }
 
@@ -965,11 +1022,31 @@ function validateTripOptimizationInput(body) {
   }
 
   // Validate time format
-  const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
   if (constraints.startTime && !timeRegex.test(constraints.startTime)) {
     errors.push('startTime must be in HH:MM format');
   }
 
+  // Validate meal / rest breaks (true for the default lunch, or a list)
+  if (constraints.breaks !== undefined && constraints.breaks !== null && typeof constraints.breaks !== 'boolean') {
+    if (!Array.isArray(constraints.breaks) || constraints.breaks.length > 5) {
+      errors.push('breaks must be true, false or an array of up to 5 breaks');
+    } else {
+      constraints.breaks.forEach((pause, index) => {
+        if (!pause || !timeRegex.test(pause.earliest) || !timeRegex.test(pause.latest)) {
+          errors.push(`Break at index ${index}: earliest and latest must be in HH:MM format`);
+        } else if (timeToMinutes(pause.earliest) > timeToMinutes(pause.latest)) {
+          errors.push(`Break at index ${index}: earliest must not be after latest`);
+        }
+        if (pause?.duration !== undefined && (typeof pause.duration !== 'number' || pause.duration < 5 || pause.duration > 240)) {
+          errors.push(`Break at index ${index}: duration must be between 5 and 240 minutes`);
+        }
+        if (pause?.type !== undefined && !['meal', 'rest'].includes(pause.type)) {
+          errors.push(`Break at index ${index}: type must be meal or rest`);
+        }
+      });
+    }
+  }
+
   // Validate budget
   if (constraints.budget && 
       (typeof constraints.budget !== 'number' || constraints.budget < 0)) {
@@ -982,12 +1059,267 @@ function validateTripOptimizationInput(body) {
     errors.push(`optimizationLevel must be one of: ${validLevels.join(', ')}`);
   }
 
+  // Validate seed (a number, or a string that is hashed into one)
+  const seed = body.seed ?? body.algorithmParams?.seed ?? constraints.seed;
+  if (seed !== undefined && seed !== null &&
+      !(typeof seed === 'number' && Number.isFinite(seed)) &&
+      !(typeof seed === 'string' && seed.length > 0 && seed.length <= 100)) {
+    errors.push('seed must be a number or a string of up to 100 characters');
+  }
+
+  // Validate solver tuning params against the widest range any optimizer accepts;
+  // each optimizer then clamps them to its own paramLimits
+  const tuningLimits = {};
+  optimizationAlgorithms.getAvailableAlgorithms().forEach(({ paramLimits = {} }) => {
+    Object.entries(paramLimits).forEach(([name, { min, max }]) => {
+      const current = tuningLimits[name];
+      tuningLimits[name] = current
+        ? { min: Math.min(current.min, min), max: Math.max(current.max, max) }
+        : { min, max };
+    });
+  });
+  [['algorithmParams', body.algorithmParams || {}], ['preferences', preferences], ['constraints', constraints]].forEach(([source, values]) => {
+    Object.entries(tuningLimits).forEach(([name, { min, max }]) => {
+      const value = values[name];
+      if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max)) {
+        errors.push(`${source}.${name} must be a number between ${min} and ${max}`);
+      }
+    });
+  });
+
+  // Validate explicitly requested algorithm
+  const validAlgorithms = optimizationAlgorithms.getAvailableAlgorithms().map(algorithm => algorithm.id);
+  if (preferences.algorithm && !validAlgorithms.includes(preferences.algorithm)) {
+    errors.push(`algorithm must be one of: ${validAlgorithms.join(', ')}`);
+  }
+
   return {
     isValid: errors.length === 0,
     errors
   };
 }
 
+// COMPARE ALL OPTIMIZERS ON THE SAME INPUT
+const compareAlgorithms = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const {
+      places,
+      preferences = {},
+      constraints = {},
+      algorithmParams = {},
+      algorithms: requestedAlgorithms
+    } = req.body;
+
+    const validation = validateTripOptimizationInput(req.body);
+    const errors = [...validation.errors];
+
+    const availableAlgorithms = optimizationAlgorithms.getAvailableAlgorithms();
+    const availableIds = availableAlgorithms.map(algorithm => algorithm.id);
+    if (requestedAlgorithms !== undefined &&
+        (!Array.isArray(requestedAlgorithms) || requestedAlgorithms.some(id => !availableIds.includes(id)))) {
+      errors.push(`algorithms must be an array of: ${availableIds.join(', ')}`);
+    }
+
+    const { timeLimitMs = DEFAULT_COMPARISON_TIME_LIMIT } = req.body;
+    if (typeof timeLimitMs !== 'number' || timeLimitMs < 1000 || timeLimitMs > MAX_COMPARISON_TIME_LIMIT) {
+      errors.push(`timeLimitMs must be a number between 1000 and ${MAX_COMPARISON_TIME_LIMIT}`);
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    const endpoints = await resolveTripEndpoints(req.body, { userId: req.user?.id });
+    if (endpoints.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: endpoints.errors
+      });
+    }
+
+    const enrichedPlaces = await enrichPlacesFromDatabase(places);
+    if (enrichedPlaces.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No valid places could be processed'
+      });
+    }
+
+    // Every solver sees the same places, endpoints, limits and seed
+    const requestSeed = req.body.seed ?? algorithmParams.seed ?? constraints.seed;
+    const seed = normalizeSeed(requestSeed);
+    const algorithmConstraints = {
+      ...preferences,
+      ...constraints,
+      ...algorithmParams,
+      seed,
+      startCoordinates: null,
+      startLocation: endpoints.startLocation,
+      endLocation: endpoints.endLocation,
+      endMode: endpoints.endMode,
+      startTime: constraints.startTime || preferences.startTime || '09:00',
+      endTime: constraints.endTime || preferences.endTime || '18:00',
+      budget: constraints.budget || preferences.budget || Infinity,
+      totalTimeAvailable: constraints.totalTimeAvailable || preferences.totalTimeAvailable || 480
+    };
+
+    const candidates = availableAlgorithms.filter(algorithm =>
+      !requestedAlgorithms || requestedAlgorithms.includes(algorithm.id)
+    );
+
+    console.log(`⚖️ Comparing ${candidates.length} algorithms on ${enrichedPlaces.length} places (limit ${timeLimitMs}ms each)`);
+
+    // Workers read these legs from a cache copy instead of loading the road graph
+    await routingEngine.prefetch(getRoutePoints(enrichedPlaces, algorithmConstraints));
+
+    const runs = await Promise.all(candidates.map(algorithm => {
+      if (algorithm.maxPlaces && enrichedPlaces.length > algorithm.maxPlaces) {
+        return {
+          algorithm: algorithm.id,
+          status: 'skipped',
+          error: `Handles at most ${algorithm.maxPlaces} places`,
+          executionTime: 0
+        };
+      }
+      return runAlgorithmWithTimeLimit(algorithm.id, enrichedPlaces, algorithmConstraints, timeLimitMs);
+    }));
+
+    const results = await Promise.all(runs.map(async run => {
+      const details = availableAlgorithms.find(algorithm => algorithm.id === run.algorithm);
+      const entry = {
+        algorithm: run.algorithm,
+        name: details.name,
+        status: run.status,
+        error: run.error || null,
+        executionTime: run.executionTime
+      };
+
+      if (run.status !== 'ok' || !run.result?.route) {
+        return entry;
+      }
+
+      const route = run.result.route;
+      const metrics = await optimizationAlgorithms.calculateRouteMetrics(route, algorithmConstraints);
+
+      return {
+        ...entry,
+        route,
+        endLeg: run.result.endLeg || null,
+        droppedPlaces: run.result.droppedPlaces || [],
+        seed: run.result.seed ?? null,
+        metrics: {
+          ...metrics,
+          placesVisited: route.length,
+          placesSkipped: enrichedPlaces.length - route.length,
+          totalRating: route.reduce((sum, place) => sum + (place.rating || 0), 0)
+        },
+        fitsDay: metrics.totalTime <= getAvailableMinutes(algorithmConstraints, constraints),
+        withinBudget: metrics.totalCost <= algorithmConstraints.budget
+      };
+    }));
+
+    const ranking = results
+      .filter(result => result.status === 'ok')
+      .sort(compareAlgorithmResults)
+      .map((result, index) => ({ rank: index + 1, algorithm: result.algorithm, name: result.name }));
+
+    const executionTime = Date.now() - startTime;
+    console.log(`✅ Comparison complete in ${executionTime}ms: ${ranking.map(entry => entry.algorithm).join(' > ') || 'no results'}`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        results,
+        ranking,
+        recommendation: buildComparisonRecommendation(results, ranking),
+        startingLocation: endpoints.startLocation,
+        endLocation: endpoints.endLocation,
+        endMode: endpoints.endMode,
+        placesCompared: enrichedPlaces.length,
+        timeLimitMs,
+        seed,
+        executionTime
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 Algorithm comparison failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Algorithm comparison failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Minutes in the day window the solvers were given, capped by an explicit totalTimeAvailable
+function getAvailableMinutes(constraints, requestConstraints) {
+  const windowMinutes = timeToMinutes(constraints.endTime) - timeToMinutes(constraints.startTime);
+  return requestConstraints.totalTimeAvailable
+    ? Math.min(windowMinutes, requestConstraints.totalTimeAvailable)
+    : windowMinutes;
+}
+
+// Routes that fit the day and budget first, then most places, best ratings, least time and distance
+function compareAlgorithmResults(a, b) {
+  const fits = result => (result.fitsDay ? 1 : 0) + (result.withinBudget ? 1 : 0);
+
+  return (fits(b) - fits(a))
+    || (b.metrics.placesVisited - a.metrics.placesVisited)
+    || (b.metrics.totalRating - a.metrics.totalRating)
+    || (a.metrics.totalTime - b.metrics.totalTime)
+    || (a.metrics.totalDistance - b.metrics.totalDistance)
+    || (a.executionTime - b.executionTime);
+}
+
+function buildComparisonRecommendation(results, ranking) {
+  if (ranking.length === 0) {
+    return null;
+  }
+
+  const best = results.find(result => result.algorithm === ranking[0].algorithm);
+  const runnerUp = ranking[1] && results.find(result => result.algorithm === ranking[1].algorithm);
+  const { metrics } = best;
+
+  const reasons = [
+    `Visits ${metrics.placesVisited} place${metrics.placesVisited === 1 ? '' : 's'} in ${Math.floor(metrics.totalTime / 60)}h ${Math.round(metrics.totalTime % 60)}m over ${metrics.totalDistance.toFixed(1)} km`
+  ];
+
+  if (!best.fitsDay) reasons.push('no algorithm found a route that fits the day');
+  if (!best.withinBudget) reasons.push('no algorithm found a route within the budget');
+
+  if (runnerUp) {
+    const extraPlaces = metrics.placesVisited - runnerUp.metrics.placesVisited;
+    const distanceSaved = runnerUp.metrics.totalDistance - metrics.totalDistance;
+    const timeSaved = runnerUp.metrics.totalTime - metrics.totalTime;
+
+    if (best.fitsDay && !runnerUp.fitsDay) {
+      reasons.push(`${runnerUp.name} runs past the end of the day`);
+    } else if (extraPlaces > 0) {
+      reasons.push(`${extraPlaces} more than ${runnerUp.name}`);
+    } else if (distanceSaved >= 0.1) {
+      reasons.push(`${distanceSaved.toFixed(1)} km shorter than ${runnerUp.name}`);
+    } else if (timeSaved >= 1) {
+      reasons.push(`${Math.round(timeSaved)} min faster than ${runnerUp.name}`);
+    } else {
+      reasons.push(`ties with ${runnerUp.name}`);
+    }
+  }
+
+  return {
+    algorithm: best.algorithm,
+    name: best.name,
+    reason: reasons.join('; ')
+  };
+}
+
 // Generate AI Algorithm Explanation - NEW ENDPOINT
 const generateAlgorithmExplanation = async (req, res) => {
   const startTime = Date.now();
@@ -1002,7 +1334,8 @@ const generateAlgorithmExplanation = async (req, res) => {
       preferences = {},
       startingLocation,
       originalPlaces = [],
-      explanationLevel = 'detailed'
+      explanationLevel = 'detailed',
+      breaks = []
     } = req.body;
 
     // Validate input
@@ -1020,29 +1353,19 @@ const generateAlgorithmExplanation = async (req, res) => {
 
     // Generate explanation based on algorithm and level
     let explanation;
+    let aiOutput = null;
 
-    if (process.env.GEMINI_API_KEY && explanationLevel !== 'simple') {
-      try {
-        explanation = await generateGeminiAlgorithmExplanation(
-          route, 
-          algorithmName, 
-          metrics, 
-          preferences, 
-          startingLocation, 
-          originalPlaces,
-          explanationLevel
-        );
-      } catch (geminiError) {
-        console.warn('Gemini explanation failed, using fallback:', geminiError.message);
-        explanation = generateFallbackAlgorithmExplanation(
-          route, 
-          algorithmName, 
-          metrics, 
-          preferences, 
-          startingLocation,
-          explanationLevel
-        );
-      }
+    if (explanationLevel !== 'simple') {
+      ({ data: explanation, aiOutput } = await generateGeminiAlgorithmExplanation(
+        route, 
+        algorithmName, 
+        metrics, 
+        preferences, 
+        startingLocation, 
+        originalPlaces,
+        explanationLevel,
+        breaks
+      ));
     } else {
       explanation = generateFallbackAlgorithmExplanation(
         route, 
@@ -1050,7 +1373,8 @@ const generateAlgorithmExplanation = async (req, res) => {
         metrics, 
         preferences, 
         startingLocation,
-        explanationLevel
+        explanationLevel,
+        breaks
       );
     }
 
@@ -1065,7 +1389,8 @@ const generateAlgorithmExplanation = async (req, res) => {
         explanationLevel,
         generatedAt: new Date().toISOString(),
         executionTime,
-        aiGenerated: !!process.env.GEMINI_API_KEY && explanationLevel !== 'simple'
+        aiGenerated: !!aiOutput && aiOutput.status !== 'fallback',
+        aiOutput
       }
     });
 
@@ -1080,15 +1405,16 @@ const generateAlgorithmExplanation = async (req, res) => {
   }
 };
 
-// Generate Gemini AI Algorithm Explanation
-async function generateGeminiAlgorithmExplanation(route, algorithm, metrics, preferences, startingLocation, originalPlaces, level) {
-  const model = genAI.getGenerativeModel({ model: 'gemini-1.5-flash-latest' });
-
+// Generate Gemini AI Algorithm Explanation: { data, aiOutput }
+async function generateGeminiAlgorithmExplanation(route, algorithm, metrics, preferences, startingLocation, originalPlaces, level, breaks = []) {
   const algorithmDescriptions = {
     'advancedGreedy': 'Smart Timing-Aware Greedy Algorithm',
     'genetic': 'Evolutionary Genetic Algorithm', 
     'nearestNeighbor': 'Distance-Optimized Nearest Neighbor',
-    'dynamicProgramming': 'Optimal Dynamic Programming Solution'
+    'dynamicProgramming': 'Optimal Dynamic Programming Solution',
+    'timeWindowTSP': 'Opening-Hours-Aware Time-Window TSP',
+    'simulatedAnnealing': 'Simulated Annealing Place Selection',
+    'antColony': 'Ant Colony Place Selection'
   };
 
   // Calculate additional insights
@@ -1129,7 +1455,10 @@ OPTIMIZATION RESULTS:
 - Total distance: ${metrics?.totalDistance?.toFixed(1) || 'N/A'} km
 - Efficiency: ${metrics?.efficiency?.toFixed(1) || 'N/A'}%
 - Travel time: ${metrics?.totalTravelTime || 'N/A'} minutes
-
+${breaks.length > 0 ? `
+SCHEDULED BREAKS (base the meal plan on these):
+${breaks.map(pause => `- ${describeScheduledBreak(pause)}`).join('\n')}
+` : ''}
 EXPLANATION LEVEL: ${complexity}
 
 Provide a comprehensive explanation and trip plan in a valid in JSON format:
@@ -1203,24 +1532,20 @@ Focus on explaining the LOGICAL REASONING behind each decision, especially:
 8. Important cultural etiquette and rules for the visited places.
 Make it conversational and insightful, as if explaining to a curious traveler from the perspective of an expert South Indian pro guide.`;
 
-  const result = await model.generateContent(prompt);
-  const response = await result.response;
-  const aiResponse = response.text();
-
-  // Parse JSON response
-  const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
-  if (jsonMatch) {
-    const parsedExplanation = JSON.parse(jsonMatch[0]);
-    
-    // Add fallback reasoning if not enough steps provided
-    if (!parsedExplanation.reasoning || parsedExplanation.reasoning.length < route.length) {
-      parsedExplanation.reasoning = generateDetailedReasoningSteps(route, algorithm, preferences, startingLocation);
+  // Every stop needs its own reasoning step; fewer falls back to the rule-based steps
+  const schema = AI_SCHEMAS.algorithmExplanation;
+  const routeSchema = {
+    ...schema,
+    properties: {
+      ...schema.properties,
+      reasoning: { ...schema.properties.reasoning, minItems: route.length }
     }
+  };
 
-    return parsedExplanation;
-  } else {
-    throw new Error('Failed to parse AI explanation response');
-  }
+  return generateAIOutput('algorithmExplanation', prompt, {
+    schema: routeSchema,
+    fallback: () => generateFallbackAlgorithmExplanation(route, algorithm, metrics, preferences, startingLocation, level, breaks)
+  });
 }
 
 // Generate detailed reasoning steps for each place
@@ -1294,12 +1619,15 @@ function generateDetailedReasoningSteps(route, algorithm, preferences, startingL
 }
 
 // Generate Fallback Algorithm Explanation
-function generateFallbackAlgorithmExplanation(route, algorithm, metrics, preferences, startingLocation, level) {
+function generateFallbackAlgorithmExplanation(route, algorithm, metrics, preferences, startingLocation, level, breaks = []) {
   const algorithmTitles = {
     'advancedGreedy': 'Smart Greedy Algorithm with Timing Intelligence',
     'genetic': 'Evolutionary Genetic Algorithm',
     'nearestNeighbor': 'Distance-Optimized Nearest Neighbor',
-    'dynamicProgramming': 'Optimal Dynamic Programming Solution'
+    'dynamicProgramming': 'Optimal Dynamic Programming Solution',
+    'timeWindowTSP': 'Opening-Hours-Aware Time-Window TSP',
+    'simulatedAnnealing': 'Simulated Annealing Place Selection',
+    'antColony': 'Ant Colony Place Selection'
   };
 
   const title = algorithmTitles[algorithm] || 'Advanced Route Optimization';
@@ -1338,6 +1666,27 @@ function generateFallbackAlgorithmExplanation(route, algorithm, metrics, prefere
       'Guaranteed best possible solution for given constraints',
       'Optimized total trip value within time limits',
       'Used exact optimization rather than approximation'
+    ],
+    'timeWindowTSP': [
+      'Treated every opening hour and midday closure as a hard limit',
+      'Scheduled waits where arriving early was unavoidable',
+      'Fitted as many places as the day allows, then the best-rated',
+      'Finished the day as early as possible within those limits',
+      'Explained exactly why any place could not be included'
+    ],
+    'simulatedAnnealing': [
+      'Chose the best-rated set of places that fits your day and budget',
+      'Tried thousands of swaps, additions and removals',
+      'Occasionally accepted worse routes early on to escape dead ends',
+      'Kept every visit inside its opening hours',
+      'Smoothed the final order to cut unnecessary driving'
+    ],
+    'antColony': [
+      'Chose the best-rated set of places that fits your day and budget',
+      'Let many simulated travelers explore different day plans',
+      'Reinforced the stop sequences that scored best',
+      'Kept every visit inside its opening hours',
+      'Smoothed the final order to cut unnecessary driving'
     ]
   };
 
@@ -1350,7 +1699,7 @@ function generateFallbackAlgorithmExplanation(route, algorithm, metrics, prefere
     reasoning,
     optimizations: optimizations[algorithm] || optimizations['advancedGreedy'],
     tips,
-    mealPlan: generateMealPlan(route, preferences)
+    mealPlan: generateMealPlan(route, preferences, breaks)
   };
 
   // Add technical details for technical level
@@ -1406,8 +1755,15 @@ function generatePracticalTips(route, preferences, startingLocation) {
   return tips.slice(0, 5); // Limit to 5 most relevant tips
 }
 
-// Generate meal planning recommendations
-function generateMealPlan(route, preferences) {
+// "Lunch 13:05-14:05 after Fort Kochi (near Kashi Cafe, 250 m)"
+function describeScheduledBreak(pause) {
+  const where = pause.afterOrder > 0 ? `after ${pause.placeName}` : `at ${pause.placeName || 'the start'}`;
+  const restaurant = pause.restaurant ? ` (near ${pause.restaurant.name}, ${pause.restaurant.distance} m)` : '';
+  return `${pause.label} ${pause.startTime}-${pause.endTime} ${where}${restaurant}`;
+}
+
+// Generate meal planning recommendations; breaks the optimizer scheduled take priority
+function generateMealPlan(route, preferences, breaks = []) {
   const startTime = preferences.startTime || '09:00';
   const startMinutes = timeToMinutes(startTime);
   
@@ -1442,6 +1798,16 @@ function generateMealPlan(route, preferences) {
     mealPlan.lunch = 'Pack lunch from home as your schedule may not align with restaurant hours';
   }
 
+  // Meal breaks already in the schedule replace the estimate above
+  const mealBreaks = breaks.filter(pause => pause.type === 'meal');
+  if (mealBreaks.length > 0) {
+    mealPlan.lunch = mealBreaks.map(describeScheduledBreak).join('; ');
+  }
+  const restBreaks = breaks.filter(pause => pause.type === 'rest');
+  if (restBreaks.length > 0) {
+    mealPlan.rest = restBreaks.map(describeScheduledBreak).join('; ');
+  }
+
   // Snacks planning
   const longVisits = route.filter(p => (p.averageVisitDuration || 90) > 120);
   if (longVisits.length > 0) {
@@ -1469,6 +1835,18 @@ function generateTechnicalDetails(algorithm, routeLength, metrics) {
     'dynamicProgramming': {
       complexity: 'O(n² × 2ⁿ)',
       description: 'Exponential space and time - only feasible for small problems (n < 15)'
+    },
+    'timeWindowTSP': {
+      complexity: 'O(n² × 2ⁿ) / O(n⁴)',
+      description: 'Exact label-setting DP up to 12 places, cheapest feasible insertion above that'
+    },
+    'simulatedAnnealing': {
+      complexity: 'O(i × n)',
+      description: 'Where i=iterations (default 20000); each move re-times the chosen route'
+    },
+    'antColony': {
+      complexity: 'O(i × a × n²)',
+      description: 'Where i=iterations, a=ants (default 60 × 20); each ant builds a feasible route'
     }
   };
 
@@ -1505,6 +1883,131 @@ function minutesToTime(minutes) {
   return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
 }
 
+// MULTI-DAY PLANNING WITH OVERNIGHT STAYS
+const planMultiDayTrip = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const {
+      places,
+      numberOfDays,
+      startDate,
+      preferences = {},
+      constraints = {}
+    } = req.body;
+
+    const validation = validateMultiDayInput(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: validation.errors
+      });
+    }
+
+    const endpoints = await resolveTripEndpoints(req.body, { userId: req.user?.id });
+    if (endpoints.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: endpoints.errors
+      });
+    }
+
+    console.log(`🗓️ Multi-day planning: ${places.length} places over ${numberOfDays} days`);
+
+    const enrichedPlaces = await enrichPlacesFromDatabase(places);
+    if (enrichedPlaces.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No valid places could be processed'
+      });
+    }
+
+    const result = await optimizationAlgorithms.multiDayOptimization(enrichedPlaces, {
+      ...preferences,
+      ...constraints,
+      numberOfDays,
+      startDate: startDate ? new Date(startDate) : new Date(),
+      startCoordinates: null,
+      startLocation: endpoints.startLocation,
+      endLocation: endpoints.endLocation,
+      endMode: endpoints.endMode,
+      dailyStartTime: constraints.dailyStartTime || constraints.startTime || '09:00',
+      dailyEndTime: constraints.dailyEndTime || constraints.endTime || '18:00',
+      budget: constraints.budget || Infinity
+    });
+
+    const executionTime = Date.now() - startTime;
+
+    res.status(200).json({
+      success: true,
+      algorithm: result.algorithm,
+      days: result.days,
+      route: result.route,
+      unscheduledPlaces: result.unscheduledPlaces,
+      startingLocation: result.startLocation,
+      endLocation: result.endLocation,
+      endMode: result.endMode,
+      metrics: {
+        numberOfDays,
+        totalTime: result.totalTime,
+        totalDistance: result.totalDistance,
+        totalTravelTime: result.totalTravelTime,
+        totalCost: result.totalCost,
+        placesVisited: result.placesSelected,
+        placesSkipped: result.unscheduledPlaces.length,
+        overnightStays: result.days.filter(day => day.overnightBase).length,
+        executionTime
+      },
+      warnings: [
+        ...(result.unscheduledPlaces.length > 0
+          ? [`${result.unscheduledPlaces.length} place(s) could not be scheduled - consider adding a day`]
+          : []),
+        ...enrichedPlaces.filter(p => p._warning).map(p => `${p.name}: ${p._warning}`)
+      ]
+    });
+
+  } catch (error) {
+    console.error('💥 Multi-day planning failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Multi-day planning failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+function validateMultiDayInput(body) {
+  const { numberOfDays, startDate, constraints = {} } = body;
+  const { errors } = validateTripOptimizationInput(body);
+
+  if (!Number.isInteger(numberOfDays) || numberOfDays < 1 || numberOfDays > 14) {
+    errors.push('numberOfDays must be an integer between 1 and 14');
+  }
+
+  if (startDate && isNaN(new Date(startDate).getTime())) {
+    errors.push('startDate must be a valid date');
+  }
+
+  const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+  ['dailyStartTime', 'dailyEndTime'].forEach(field => {
+    if (constraints[field] && !timeRegex.test(constraints[field])) {
+      errors.push(`${field} must be in HH:MM format`);
+    }
+  });
+
+  if (constraints.dailyStartTime && constraints.dailyEndTime &&
+      timeToMinutes(constraints.dailyStartTime) >= timeToMinutes(constraints.dailyEndTime)) {
+    errors.push('dailyStartTime must be earlier than dailyEndTime');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
 // Get quick trip suggestions with AI recommendations
 const getTripSuggestions = async (req, res) => {
   try {
@@ -1566,7 +2069,7 @@ const getTripSuggestions = async (req, res) => {
     }
 
     // Generate AI suggestions
-    const suggestions = await generateAISuggestions(places, {
+    const { data: suggestions, aiOutput } = await generateAISuggestions(places, {
       timeAvailable: parseInt(timeAvailable),
       interests: Array.isArray(interests) ? interests : interests.split(','),
       budget: budget ? parseInt(budget) : undefined,
@@ -1587,7 +2090,8 @@ const getTripSuggestions = async (req, res) => {
       },
       metadata: {
         generatedAt: new Date().toISOString(),
-        aiGenerated: true
+        aiGenerated: aiOutput.status !== 'fallback',
+        aiOutput
       }
     });
 
@@ -1601,19 +2105,11 @@ const getTripSuggestions = async (req, res) => {
   }
 };
 
-// Generate AI suggestions for different trip types
+// Generate AI suggestions for different trip types: { data, aiOutput }
 async function generateAISuggestions(places, criteria) {
   console.log('🤖 Generating AI trip suggestions...');
-  
-  if (!process.env.GEMINI_API_KEY) {
-    console.warn('⚠️ Gemini API not available, using fallback suggestions');
-    return generateFallbackSuggestions(places, criteria);
-  }
-
-  try {
-    const model = genAI.getGenerativeModel({ model: 'gemini-1.5-flash-latest' });
 
-    const suggestionsPrompt = `Create 3 different trip suggestions from these South Indian places:
+  const suggestionsPrompt = `Create 3 different trip suggestions from these South Indian places:
 
 AVAILABLE PLACES (showing top ${Math.min(places.length, 20)}):
 ${places.slice(0, 20).map((place, index) => `
@@ -1667,23 +2163,9 @@ Create exactly 3 trip suggestions in this JSON format:
 
 Select places that best match the interests: ${criteria.interests?.join(', ')}, considering time and budget constraints.`;
 
-    const result = await model.generateContent(suggestionsPrompt);
-    const response = await result.response;
-    const aiResponse = response.text();
-    
-    const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      const aiSuggestions = JSON.parse(jsonMatch[0]);
-      console.log('✅ AI suggestions generated successfully');
-      return aiSuggestions;
-    } else {
-      throw new Error('No valid JSON in AI response');
-    }
-    
-  } catch (error) {
-    console.error('AI suggestions failed:', error);
-    return generateFallbackSuggestions(places, criteria);
-  }
+  return generateAIOutput('tripSuggestions', suggestionsPrompt, {
+    fallback: () => generateFallbackSuggestions(places, criteria)
+  });
 }
 
 // Generate fallback suggestions when AI fails
@@ -1784,7 +2266,7 @@ const analyzeExistingTrip = async (req, res) => {
     }
 
     // Get AI analysis
-    const analysis = await getGeminiTripAnalysis(enrichedPlaces, {}, {});
+    const { analysis, aiOutput } = await getGeminiTripAnalysis(enrichedPlaces, {}, {});
     
     // Calculate current trip metrics (original order)
     let currentMetrics;
@@ -1832,6 +2314,7 @@ const analyzeExistingTrip = async (req, res) => {
           algorithm: optimized.algorithm
         },
         aiAnalysis: analysis,
+        aiOutput,
         improvements: {
           timeSaved: Math.round(timeSaved),
           timeSavedFormatted: `${Math.floor(timeSaved / 60)}h ${Math.round(timeSaved % 60)}m`,
@@ -1922,8 +2405,10 @@ function addRequestTiming(req, res, next) {
 
 module.exports = {
   optimizeTripWithAI,
+  planMultiDayTrip,
   getTripSuggestions,
   analyzeExistingTrip,
   generateAlgorithmExplanation,
+  compareAlgorithms,
   addRequestTiming
 };
\ No newline at end of file
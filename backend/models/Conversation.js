@@ -0,0 +1,132 @@
+// backend/models/Conversation.js
+const mongoose = require('mongoose');
+
+// Keep stored history bounded; older turns are dropped first (the summary still covers them)
+const MAX_STORED_TURNS = 200;
+const MAX_TURN_LENGTH = 8000;
+const MAX_TITLE_LENGTH = 80;
+
+// Catalog place an answer was based on
+const sourceSchema = new mongoose.Schema({
+  id: String,
+  name: String,
+  city: String,
+  state: String,
+  category: String,
+  reason: String,
+  distanceKm: Number
+}, { _id: false });
+
+// Schema for one message in a conversation
+const turnSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['user', 'assistant'],
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  fallback: {
+    type: Boolean,
+    default: false
+  }, // answered by the rule-based guide instead of the AI
+  interrupted: {
+    type: Boolean,
+    default: false
+  }, // the stream stopped before the answer was complete
+  sources: [sourceSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Main conversation schema
+const conversationSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: MAX_TITLE_LENGTH,
+    default: 'New conversation'
+  },
+  turns: [turnSchema],
+  turnCount: {
+    type: Number,
+    default: 0
+  },
+  // Running summary of the turns up to summarizedUntil, sent instead of them
+  summary: {
+    type: String,
+    default: ''
+  },
+  summarizedUntil: Date,
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+conversationSchema.index({ userId: 1, lastMessageAt: -1 });
+
+// Instance methods
+
+// Entry for the conversation list
+conversationSchema.methods.toListItem = function() {
+  const lastTurn = this.turns[this.turns.length - 1];
+  return {
+    id: this._id,
+    title: this.title,
+    turnCount: this.turnCount,
+    preview: lastTurn ? lastTurn.content.substring(0, 120) : '',
+    lastMessageAt: this.lastMessageAt,
+    createdAt: this.createdAt
+  };
+};
+
+// Static methods
+
+// Title from the opening question, cut at a word boundary
+conversationSchema.statics.titleFromMessage = function(message) {
+  const text = message.replace(/\s+/g, ' ').trim();
+  if (text.length <= MAX_TITLE_LENGTH) return text;
+  const cut = text.substring(0, MAX_TITLE_LENGTH - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${lastSpace > 40 ? cut.substring(0, lastSpace) : cut}…`;
+};
+
+// Conversation owned by the user, or null
+conversationSchema.statics.findForUser = function(id, userId) {
+  if (!mongoose.isValidObjectId(id)) return Promise.resolve(null);
+  return this.findOne({ _id: id, userId });
+};
+
+// Append turns in one atomic update, so two replies finishing together both land
+conversationSchema.statics.appendTurns = function(id, turns) {
+  const entries = turns.map(turn => ({
+    createdAt: new Date(),
+    ...turn,
+    content: turn.content.substring(0, MAX_TURN_LENGTH)
+  }));
+
+  return this.updateOne({ _id: id }, {
+    $push: { turns: { $each: entries, $slice: -MAX_STORED_TURNS } },
+    $inc: { turnCount: entries.length },
+    $set: { lastMessageAt: new Date() }
+  });
+};
+
+// Store a new running summary covering every turn up to `until`
+conversationSchema.statics.saveSummary = function(id, summary, until) {
+  return this.updateOne({ _id: id }, { $set: { summary, summarizedUntil: until } });
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
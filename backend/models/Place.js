@@ -79,7 +79,21 @@ const dayScheduleSchema = new mongoose.Schema({
   closed: {
     type: Boolean,
     default: false
-  }
+  },
+  // Closures inside opening hours, e.g. a temple shut from 12:30 to 16:00
+  breaks: [{
+    _id: false,
+    start: {
+      type: String,
+      match: /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/,
+      required: true
+    },
+    end: {
+      type: String,
+      match: /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/,
+      required: true
+    }
+  }]
 }, { _id: false });
 
 const openingHoursSchema = new mongoose.Schema({
@@ -374,7 +388,19 @@ const placeSchema = new mongoose.Schema({
   moderationStatus: {
     type: String,
     enum: ['pending', 'approved', 'rejected', 'needs-review'],
-    default: 'approved'
+    default: 'approved',
+    index: true
+  },
+
+  submittedBy: String, // user ID for user-submission places
+
+  moderation: {
+    reviewedBy: String,
+    reviewedAt: Date,
+    note: {
+      type: String,
+      maxLength: [500, 'Moderation note cannot exceed 500 characters']
+    }
   },
   
   // Timestamps
@@ -482,13 +508,17 @@ placeSchema.statics.smartSearch = async function(query, options = {}) {
     maxDistance,
     coordinates,
     limit = 50,
-    sortBy = 'rating'
+    sortBy = 'rating',
+    textIndex = false
   } = options;
   
   let searchQuery = { isActive: true };
   
-  // Text search
-  if (query && query.trim()) {
+  // Text index search: any word may match and results carry a relevance score,
+  // which suits free-form questions. Can't be combined with coordinates.
+  if (textIndex && query && query.trim()) {
+    searchQuery.$text = { $search: query.trim() };
+  } else if (query && query.trim()) {
     const searchTerms = query.trim().split(/\s+/);
     const regexQueries = searchTerms.map(term => ({
       $or: [
@@ -527,10 +557,12 @@ placeSchema.statics.smartSearch = async function(query, options = {}) {
     searchQuery.rating = { $gte: minRating };
   }
   
-  let queryBuilder = this.find(searchQuery);
+  let queryBuilder = searchQuery.$text
+    ? this.find(searchQuery, { score: { $meta: 'textScore' } })
+    : this.find(searchQuery);
   
   // Geospatial search
-  if (coordinates && maxDistance) {
+  if (coordinates && maxDistance && !searchQuery.$text) {
     queryBuilder = this.find({
       ...searchQuery,
       location: {
@@ -560,6 +592,9 @@ placeSchema.statics.smartSearch = async function(query, options = {}) {
     case 'popularity':
       sortCriteria = { views: -1, bookmarks: -1, rating: -1 };
       break;
+    case 'relevance':
+      sortCriteria = searchQuery.$text ? { score: { $meta: 'textScore' }, rating: -1 } : { rating: -1, name: 1 };
+      break;
     default:
       sortCriteria = { rating: -1, name: 1 };
   }
@@ -0,0 +1,167 @@
+// backend/models/Review.js
+const mongoose = require('mongoose');
+
+// Reviews with this many reports are hidden until a moderator looks at them
+const REPORT_HIDE_THRESHOLD = 3;
+
+const reportSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['spam', 'offensive', 'irrelevant', 'fake', 'other'],
+    required: true
+  },
+  details: {
+    type: String,
+    maxLength: 500
+  },
+  reportedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Main review schema - one review per user per place
+const reviewSchema = new mongoose.Schema({
+  place: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Place',
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  userName: String,
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5']
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxLength: [120, 'Title cannot exceed 120 characters']
+  },
+  text: {
+    type: String,
+    trim: true,
+    maxLength: [2000, 'Review cannot exceed 2000 characters'],
+    default: ''
+  },
+  visitDate: Date,
+  travelerType: {
+    type: String,
+    enum: ['solo', 'couple', 'family', 'friends', 'business']
+  },
+
+  // Set when the review was written from a saved trip
+  tripId: String,
+  verifiedVisit: {
+    type: Boolean,
+    default: false
+  },
+
+  status: {
+    type: String,
+    enum: ['published', 'hidden', 'removed'],
+    default: 'published'
+  },
+  reports: [reportSchema],
+  reportCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+reviewSchema.index({ place: 1, userId: 1 }, { unique: true });
+reviewSchema.index({ place: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, reportCount: -1 });
+
+// Instance methods
+
+// Record a report; returns false if this user already reported the review
+reviewSchema.methods.addReport = function(userId, reason, details) {
+  if (this.reports.some(report => report.userId === userId)) {
+    return false;
+  }
+
+  this.reports.push({ userId, reason, details, reportedAt: new Date() });
+  this.reportCount = this.reports.length;
+
+  if (this.reportCount >= REPORT_HIDE_THRESHOLD && this.status === 'published') {
+    this.status = 'hidden';
+  }
+
+  return true;
+};
+
+// Public shape - reporter identities stay private
+reviewSchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id.toString(),
+    userId: this.userId,
+    userName: this.userName,
+    rating: this.rating,
+    title: this.title,
+    text: this.text,
+    visitDate: this.visitDate,
+    travelerType: this.travelerType,
+    verifiedVisit: this.verifiedVisit,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static methods
+
+// Published-review summary for a place: average, count and star distribution
+reviewSchema.statics.getPlaceSummary = async function(placeObjectId) {
+  const [summary] = await this.aggregate([
+    { $match: { place: new mongoose.Types.ObjectId(placeObjectId), status: 'published' } },
+    {
+      $group: {
+        _id: null,
+        averageRating: { $avg: '$rating' },
+        reviewCount: { $sum: 1 },
+        ratings: { $push: '$rating' }
+      }
+    }
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  (summary?.ratings || []).forEach(rating => {
+    distribution[Math.round(rating)] += 1;
+  });
+
+  return {
+    averageRating: summary ? Math.round(summary.averageRating * 10) / 10 : null,
+    reviewCount: summary?.reviewCount || 0,
+    distribution
+  };
+};
+
+// Write the published-review average and count back onto the Place. With no
+// reviews left the curated rating is kept and only the count is reset.
+reviewSchema.statics.recomputePlaceRating = async function(placeObjectId) {
+  const Place = mongoose.model('Place');
+  const summary = await this.getPlaceSummary(placeObjectId);
+
+  const update = summary.reviewCount > 0
+    ? { rating: summary.averageRating, reviewCount: summary.reviewCount }
+    : { reviewCount: 0 };
+
+  await Place.updateOne({ _id: placeObjectId }, { $set: update });
+  return summary;
+};
+
+reviewSchema.statics.REPORT_HIDE_THRESHOLD = REPORT_HIDE_THRESHOLD;
+
+module.exports = mongoose.model('Review', reviewSchema);
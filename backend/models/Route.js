@@ -1,5 +1,6 @@
 // backend/models/Route.js
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 
 // Schema for individual route stops
 const routeStopSchema = new mongoose.Schema({
@@ -152,6 +153,10 @@ const routeSchema = new mongoose.Schema({
     unique: true,
     sparse: true
   },
+  publicViews: {
+    type: Number,
+    default: 0
+  },
   
   // Feedback and rating
   rating: {
@@ -230,10 +235,9 @@ routeSchema.statics.findPublicRoutes = function(limit = 10) {
   .populate('stops.place', 'name city state rating');
 };
 
-// Static method to generate unique share token
+// Static method to generate unique share token (unguessable, URL-safe)
 routeSchema.statics.generateShareToken = function() {
-  return Math.random().toString(36).substring(2, 15) + 
-         Math.random().toString(36).substring(2, 15);
+  return crypto.randomBytes(18).toString('base64url');
 };
 
 // Pre-save middleware
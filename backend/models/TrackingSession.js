@@ -0,0 +1,155 @@
+// backend/models/TrackingSession.js
+const mongoose = require('mongoose');
+
+// Keep the stored trail bounded; older pings are dropped first
+const MAX_STORED_PINGS = 500;
+
+// Schema for a single position report from the traveler's device
+const positionPingSchema = new mongoose.Schema({
+  latitude: {
+    type: Number,
+    required: true,
+    min: -90,
+    max: 90
+  },
+  longitude: {
+    type: Number,
+    required: true,
+    min: -180,
+    max: 180
+  },
+  accuracy: Number, // in meters, as reported by the device
+  speed: Number, // in m/s, as reported by the device
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Schema for things that happened during the session (arrivals, departures, ...)
+const trackingEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['started', 'arrival', 'departure', 'manual_checkin', 'stopped', 'completed'],
+    required: true
+  },
+  placeId: String,
+  placeName: String,
+  message: String,
+  detectedBy: {
+    type: String,
+    enum: ['geofence', 'manual', 'system'],
+    default: 'system'
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Main tracking session schema
+const trackingSessionSchema = new mongoose.Schema({
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: true,
+    index: true
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'stopped', 'completed'],
+    default: 'active',
+    index: true
+  },
+  geofenceRadius: {
+    type: Number, // in meters
+    default: 150,
+    min: 25,
+    max: 2000
+  },
+  startLocation: {
+    latitude: Number,
+    longitude: Number
+  },
+  lastLocation: positionPingSchema,
+  pings: [positionPingSchema],
+  pingCount: {
+    type: Number,
+    default: 0
+  },
+  currentPlaceId: String, // place whose geofence the traveler is currently inside
+  events: [trackingEventSchema],
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  endedAt: Date,
+  lastPingAt: Date
+}, {
+  timestamps: true
+});
+
+trackingSessionSchema.index({ tripId: 1, status: 1 });
+
+// Instance methods
+
+// Persist a position report, trimming the oldest stored pings
+trackingSessionSchema.methods.recordPing = function(position) {
+  const ping = {
+    latitude: position.latitude,
+    longitude: position.longitude,
+    accuracy: position.accuracy,
+    speed: position.speed,
+    recordedAt: position.timestamp ? new Date(position.timestamp) : new Date()
+  };
+
+  this.pings.push(ping);
+  if (this.pings.length > MAX_STORED_PINGS) {
+    this.pings.splice(0, this.pings.length - MAX_STORED_PINGS);
+  }
+
+  this.lastLocation = ping;
+  this.lastPingAt = ping.recordedAt;
+  this.pingCount += 1;
+
+  return ping;
+};
+
+// Append an event and return it
+trackingSessionSchema.methods.addEvent = function(event) {
+  this.events.push({ timestamp: new Date(), ...event });
+  return this.events[this.events.length - 1];
+};
+
+// Events that happened after the given time
+trackingSessionSchema.methods.getEventsSince = function(since) {
+  if (!since) return this.events;
+  const sinceDate = new Date(since);
+  if (isNaN(sinceDate.getTime())) return this.events;
+  return this.events.filter(event => event.timestamp > sinceDate);
+};
+
+// Close the session
+trackingSessionSchema.methods.end = function(status = 'stopped', message = null) {
+  this.status = status;
+  this.endedAt = new Date();
+  this.currentPlaceId = null;
+  this.addEvent({
+    type: status === 'completed' ? 'completed' : 'stopped',
+    message: message || (status === 'completed' ? 'All places visited - trip complete!' : 'Tracking stopped')
+  });
+};
+
+// Static methods
+
+// Find the active session for a trip, if any
+trackingSessionSchema.statics.findActiveForTrip = function(tripId) {
+  return this.findOne({ tripId, status: 'active' }).sort({ startedAt: -1 });
+};
+
+module.exports = mongoose.model('TrackingSession', trackingSessionSchema);
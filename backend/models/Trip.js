@@ -1,5 +1,8 @@
 // backend/models/Trip.js
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const ACTIVITY_LOG_LIMIT = 200;
 
 // Schema for individual places in the trip
 const tripPlaceSchema = new mongoose.Schema({
@@ -265,11 +268,14 @@ const tripSchema = new mongoose.Schema({
     },
     sharedWith: [{
       userId: String,
+      email: String,
+      name: String,
       permission: {
         type: String,
         enum: ['view', 'edit'],
         default: 'view'
       },
+      invitedBy: String,
       sharedAt: Date
     }],
     publicViews: {
@@ -301,6 +307,24 @@ const tripSchema = new mongoose.Schema({
     lowercase: true
   }],
 
+  // Who changed what, newest last (capped at ACTIVITY_LOG_LIMIT entries)
+  activityLog: [{
+    at: { type: Date, default: Date.now },
+    userId: String,
+    userName: String,
+    action: {
+      type: String,
+      enum: [
+        'place_added', 'place_removed', 'places_reordered', 'trip_updated', 'schedule_replanned',
+        'collaborator_added', 'collaborator_updated', 'collaborator_removed',
+        'sharing_enabled', 'sharing_disabled', 'share_link_rotated'
+      ]
+    },
+    placeId: String,
+    placeName: String,
+    details: mongoose.Schema.Types.Mixed
+  }],
+
   // Analytics and optimization history
   optimizationHistory: [{
     timestamp: { type: Date, default: Date.now },
@@ -315,11 +339,14 @@ const tripSchema = new mongoose.Schema({
     }
   }]
 }, {
-  timestamps: true
+  timestamps: true,
+  // Every save bumps __v, so concurrent edits from collaborators fail instead of overwriting
+  optimisticConcurrency: true
 });
 
 // Indexes for better query performance
 tripSchema.index({ userId: 1, status: 1 });
+tripSchema.index({ 'sharing.sharedWith.userId': 1 });
 tripSchema.index({ 'sharing.isPublic': 1, 'feedback.overallRating': -1 });
 tripSchema.index({ 'schedule.startDate': 1 });
 tripSchema.index({ 'metadata.generatedAt': -1 });
@@ -356,6 +383,30 @@ tripSchema.virtual('progressPercentage').get(function() {
 
 // Instance methods
 
+// 'owner', 'edit', 'view' or null for the given user
+tripSchema.methods.getAccessLevel = function(userId) {
+  return getAccessLevel(this, userId);
+};
+
+tripSchema.methods.canEdit = function(userId) {
+  return ['owner', 'edit'].includes(this.getAccessLevel(userId));
+};
+
+// Append an activity log entry for `user` ({ id, name }) and trim the oldest ones
+tripSchema.methods.logActivity = function(user, action, extra = {}) {
+  this.activityLog.push({
+    at: new Date(),
+    userId: user?.id,
+    userName: user?.name,
+    action,
+    ...extra
+  });
+
+  if (this.activityLog.length > ACTIVITY_LOG_LIMIT) {
+    this.activityLog.splice(0, this.activityLog.length - ACTIVITY_LOG_LIMIT);
+  }
+};
+
 // Update trip progress
 tripSchema.methods.updateProgress = function() {
   const visitedPlaces = this.places.filter(place => place.visited).length;
@@ -534,10 +585,12 @@ tripSchema.statics.getTripStatistics = function(userId = null) {
   ]);
 };
 
-// Generate share token
+// Access level on a plain (lean) trip object
+tripSchema.statics.getAccessLevel = getAccessLevel;
+
+// Generate share token (unguessable, URL-safe)
 tripSchema.statics.generateShareToken = function() {
-  return Math.random().toString(36).substring(2, 15) + 
-         Math.random().toString(36).substring(2, 15);
+  return crypto.randomBytes(18).toString('base64url');
 };
 
 // Pre-save middleware
@@ -610,6 +663,14 @@ tripSchema.post('save', function() {
 });
 
 // Helper functions
+function getAccessLevel(trip, userId) {
+  if (!userId) return null;
+  if (trip.userId === userId) return 'owner';
+
+  const collaborator = (trip.sharing?.sharedWith || []).find(entry => entry.userId === userId);
+  return collaborator ? collaborator.permission : null;
+}
+
 function getDurationRange(duration) {
   const ranges = {
     'half-day': { min: 120, max: 300 }, // 2-5 hours
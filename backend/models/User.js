@@ -0,0 +1,137 @@
+// backend/models/User.js
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const PASSWORD_KEY_LENGTH = 64;
+const MAX_SAVED_LOCATIONS = 20;
+
+// Places a user starts or ends trips from (hotel, home, office)
+const savedLocationSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'Label is required'],
+    trim: true,
+    maxlength: [60, 'Label cannot exceed 60 characters']
+  },
+  address: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Address cannot exceed 300 characters']
+  },
+  latitude: {
+    type: Number,
+    required: true,
+    min: -90,
+    max: 90
+  },
+  longitude: {
+    type: Number,
+    required: true,
+    min: -180,
+    max: 180
+  }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+// Main user schema
+const userSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please provide a valid email address']
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // Stored as "salt:hash" (scrypt); never returned by default
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user',
+    index: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  preferences: {
+    homeLocationId: String,
+    interests: [String]
+  },
+  savedLocations: {
+    type: [savedLocationSchema],
+    validate: [list => list.length <= MAX_SAVED_LOCATIONS, `You can save up to ${MAX_SAVED_LOCATIONS} locations`]
+  },
+  lastLoginAt: Date
+}, {
+  timestamps: true
+});
+
+// Instance methods
+
+// Hash and store a new password
+userSchema.methods.setPassword = async function(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt);
+  this.passwordHash = `${salt}:${hash.toString('hex')}`;
+};
+
+// Compare a candidate password against the stored hash (requires +passwordHash)
+userSchema.methods.verifyPassword = async function(password) {
+  if (!this.passwordHash) return false;
+
+  const [salt, storedHash] = this.passwordHash.split(':');
+  const storedBuffer = Buffer.from(storedHash, 'hex');
+  const candidate = await scrypt(password, salt);
+
+  return storedBuffer.length === candidate.length && crypto.timingSafeEqual(storedBuffer, candidate);
+};
+
+// Safe representation for API responses
+userSchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id.toString(),
+    email: this.email,
+    name: this.name,
+    role: this.role,
+    preferences: this.preferences,
+    savedLocations: (this.savedLocations || []).map(location => ({
+      id: location._id.toString(),
+      label: location.label,
+      address: location.address,
+      latitude: location.latitude,
+      longitude: location.longitude
+    })),
+    createdAt: this.createdAt,
+    lastLoginAt: this.lastLoginAt
+  };
+};
+
+// Static methods
+
+userSchema.statics.findByEmail = function(email) {
+  return this.findOne({ email: String(email).toLowerCase().trim() });
+};
+
+function scrypt(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, PASSWORD_KEY_LENGTH, (error, derivedKey) => {
+      if (error) return reject(error);
+      resolve(derivedKey);
+    });
+  });
+}
+
+userSchema.statics.MAX_SAVED_LOCATIONS = MAX_SAVED_LOCATIONS;
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,27 @@
+// backend/routes/auth.js
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const { requireAuth } = require('../middleware/auth');
+
+const { validations } = authController;
+
+// POST /api/auth/register - Create an account
+// Body: { email, name, password }
+router.post('/register', validations.validateRegister, authController.register);
+
+// POST /api/auth/login - Log in and receive a token
+// Body: { email, password }
+router.post('/login', validations.validateLogin, authController.login);
+
+// GET /api/auth/me - Current user (requires Authorization: Bearer <token>)
+router.get('/me', requireAuth, authController.getMe);
+
+// POST /api/auth/me/locations - Save a trip start/end location (hotel, home)
+// Body: { label, latitude, longitude } or { label, address }
+router.post('/me/locations', requireAuth, validations.validateSavedLocation, authController.addSavedLocation);
+
+// DELETE /api/auth/me/locations/:locationId - Remove a saved location
+router.delete('/me/locations/:locationId', requireAuth, validations.validateSavedLocationId, authController.removeSavedLocation);
+
+module.exports = router;
@@ -3,10 +3,17 @@ const express = require('express');
 const router = express.Router();
 const {
   chatWithAI,
+  streamChatWithAI,
+  getConversations,
+  getConversation,
+  deleteConversation,
   getTravelSuggestions,
   getPlaceInfo,
-  addRequestTiming
+  addRequestTiming,
+  validations
 } = require('../controllers/chatController');
+const { requireAuth } = require('../middleware/auth');
+const llmClient = require('../utils/llmClient');
 
 // Add timing middleware to all chat routes for performance monitoring
 router.use(addRequestTiming);
@@ -18,9 +25,24 @@ router.use((req, res, next) => {
 });
 
 // POST /api/chat - Main chat endpoint with AI assistant
-// Body: { message: string, context?: object }
+// Body: { message: string, context?: object, conversationId?: string }
+// Signed-in users' turns are saved; send back the returned conversationId to continue
 router.post('/', chatWithAI);
 
+// POST /api/chat/stream - Same chat, streamed token by token as Server-Sent Events
+// Body: { message: string, context?: object, conversationId?: string }
+router.post('/stream', streamChatWithAI);
+
+// GET /api/chat/conversations - The user's saved conversations, most recent first
+// Query: { limit?: number, page?: number }
+router.get('/conversations', requireAuth, validations.validateListConversations, getConversations);
+
+// GET /api/chat/conversations/:id - One conversation with its turns, to resume it
+router.get('/conversations/:id', requireAuth, validations.validateConversationId, getConversation);
+
+// DELETE /api/chat/conversations/:id - Delete a conversation
+router.delete('/conversations/:id', requireAuth, validations.validateConversationId, deleteConversation);
+
 // POST /api/chat/suggestions - Get AI-powered travel suggestions
 // Body: { interests: array, duration: string, budget: string, travelStyle: string, season: string }
 router.post('/suggestions', getTravelSuggestions);
@@ -35,7 +57,7 @@ router.get('/health', (req, res) => {
     success: true,
     message: 'Chat service is operational',
     services: {
-      geminiAI: process.env.GEMINI_API_KEY ? 'configured' : 'missing',
+      ai: llmClient.getInfo(),
       database: 'connected'
     },
     timestamp: new Date().toISOString()
@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const distanceController = require('../controllers/distanceController');
+const { requireAuth, requireRole } = require('../middleware/auth');
 
 // Middleware for request logging
 router.use((req, res, next) => {
@@ -36,8 +37,8 @@ router.get('/estimate-cost', distanceController.estimateTravelCost);
 // GET /api/distance/cache-stats - Get cache statistics
 router.get('/cache-stats', distanceController.getCacheStats);
 
-// DELETE /api/distance/cache - Clear cache
-router.delete('/cache', distanceController.clearCache);
+// DELETE /api/distance/cache - Clear cache (admin only)
+router.delete('/cache', requireAuth, requireRole('admin'), distanceController.clearCache);
 
 // GET /api/distance/health - Health check
 router.get('/health', (req, res) => {
@@ -4,6 +4,7 @@ const router = express.Router();
 const mapController = require('../controllers/mapController');
 const osmHelpers = require('../utils/osmHelpers');
 const leafletHelpers = require('../utils/leafletHelpers');
+const routingEngine = require('../utils/routingEngine');
 
 // Map bounds and viewport endpoints
 router.get('/bounds', mapController.getMapBounds);
@@ -199,7 +200,7 @@ router.get('/elevation', async (req, res) => {
   }
 });
 
-// Calculate route using OSRM
+// Calculate route: offline road graph, then OSRM, then the straight-line estimate
 router.post('/calculate-route', async (req, res) => {
   try {
     const { coordinates, profile = 'driving' } = req.body;
@@ -228,7 +229,7 @@ router.post('/calculate-route', async (req, res) => {
       }
     }
 
-    const route = await osmHelpers.calculateRoute(coordinates, profile);
+    const route = await routingEngine.routeThrough(coordinates, { profile });
 
     if (!route) {
       return res.status(404).json({
@@ -241,6 +242,8 @@ router.post('/calculate-route', async (req, res) => {
       success: true,
       profile,
       waypoints: coordinates,
+      method: route.method,
+      backend: route.backend,
       data: route
     });
 
@@ -407,6 +410,7 @@ router.get('/api-status', async (req, res) => {
       success: true,
       timestamp: new Date().toISOString(),
       apis: status,
+      routing: routingEngine.getStatus(),
       allOperational: Object.values(status).every(Boolean)
     });
 
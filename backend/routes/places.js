@@ -2,6 +2,9 @@
 const express = require('express');
 const router = express.Router();
 const Place = require('../models/Place');
+const placeController = require('../controllers/placeController');
+const reviewController = require('../controllers/reviewController');
+const { requireAuth, requireRole } = require('../middleware/auth');
 //const { generateDetailedPlaceInfo } = require('../services/geminiService');
 
 // GET /api/places - Get all places with optional filtering
@@ -467,6 +470,57 @@ router.get('/category/:category', async (req, res) => {
   }
 });
 
+// CATALOG ADMINISTRATION & MODERATION
+
+const { validations } = placeController;
+const requireAdmin = [requireAuth, requireRole('admin')];
+
+// POST /api/places/submissions - Suggest a place (logged-in users; queued as pending)
+router.post('/submissions', requireAuth, validations.validateCreatePlace, placeController.submitPlace);
+
+// GET /api/places/submissions/mine - Places I submitted and their moderation status
+router.get('/submissions/mine', requireAuth, placeController.getMySubmissions);
+
+// GET /api/places/admin/moderation - Moderation queue (?status=pending|needs-review|rejected|approved)
+router.get('/admin/moderation', requireAdmin, validations.validateModerationQueue, placeController.getModerationQueue);
+
+// PATCH /api/places/:id/moderation - Approve, reject or flag a place
+router.patch('/:id/moderation', requireAdmin, validations.validateModeratePlace, placeController.moderatePlace);
+
+// POST /api/places/bulk - Bulk activate / deactivate / update
+router.post('/bulk', requireAdmin, validations.validateBulkOperation, placeController.bulkOperations);
+
+// POST /api/places - Create a place
+router.post('/', requireAdmin, validations.validateCreatePlace, placeController.createPlace);
+
+// PUT /api/places/:id - Update a place (partial)
+router.put('/:id', requireAdmin, validations.validateUpdatePlace, placeController.updatePlace);
+
+// DELETE /api/places/:id - Deactivate a place (?hard=true removes it)
+router.delete('/:id', requireAdmin, validations.validateDeletePlace, placeController.deletePlace);
+
+// REVIEWS
+
+const { validations: reviewValidations } = reviewController;
+
+// GET /api/places/admin/reviews/reported - Reported reviews (admin)
+router.get('/admin/reviews/reported', requireAdmin, reviewController.getReportedReviews);
+
+// POST /api/places/reviews/:reviewId/report - Report a review
+router.post('/reviews/:reviewId/report', requireAuth, reviewValidations.validateReportReview, reviewController.reportReview);
+
+// PATCH /api/places/reviews/:reviewId/status - Publish, hide or remove a review (admin)
+router.patch('/reviews/:reviewId/status', requireAdmin, reviewValidations.validateReviewStatus, reviewController.setReviewStatus);
+
+// DELETE /api/places/reviews/:reviewId - Delete a review (author or admin)
+router.delete('/reviews/:reviewId', requireAuth, reviewValidations.validateReviewId, reviewController.deleteReview);
+
+// GET /api/places/:id/reviews - Published reviews and rating summary (?sort=recent|rating_high|rating_low)
+router.get('/:id/reviews', reviewValidations.validateListReviews, reviewController.getPlaceReviews);
+
+// POST /api/places/:id/reviews - Post or update your review (optionally linked to a saved trip)
+router.post('/:id/reviews', requireAuth, reviewValidations.validatePostReview, reviewController.postReview);
+
 // GET /api/places/:id - Get specific place by ID (MUST be last!)
 router.get('/:id', async (req, res) => {
   try {
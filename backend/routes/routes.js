@@ -35,6 +35,8 @@ router.get('/algorithm-support', (req, res) => {
       'advancedGreedy',
       'genetic',
       'nearestNeighbor',
+      'dynamicProgramming',
+      'timeWindowTSP',
       'antColony',
       'simulatedAnnealing'
     ],
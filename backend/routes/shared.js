@@ -0,0 +1,11 @@
+// backend/routes/shared.js
+const express = require('express');
+const router = express.Router();
+const sharedController = require('../controllers/sharedController');
+
+const { validations } = sharedController;
+
+// GET /api/shared/:token - Read-only view of a shared trip (no login required)
+router.get('/:token', validations.validateShareToken, sharedController.getSharedItinerary);
+
+module.exports = router;
@@ -6,15 +6,21 @@ const router = express.Router();
 // Import controllers
 const {
   optimizeTripWithAI,
+  planMultiDayTrip,
   getTripSuggestions,
   analyzeExistingTrip,
   generateAlgorithmExplanation, // ADDED FROM FIRST VERSION
+  compareAlgorithms,
   addRequestTiming
 } = require('../controllers/tripController');
 
 const detailedTripController = require('../controllers/detailedTripController');
+const savedTripController = require('../controllers/savedTripController');
+const trackingController = require('../controllers/trackingController');
 const distanceController = require('../controllers/distanceController');
 const mapController = require('../controllers/mapController');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const llmClient = require('../utils/llmClient');
 
 // Middleware for request timing and logging
 router.use(addRequestTiming);
@@ -107,10 +113,11 @@ router.post('/optimize-with-algorithm', handleAsyncErrors(async (req, res) => {
     });
   }
   
-  if (places.length > 25) {
+  // Above 25 places the controller switches to an optimizer that picks a subset
+  if (places.length > 100) {
     return res.status(400).json({
       success: false,
-      message: 'Maximum 25 places allowed',
+      message: 'Maximum 100 places allowed',
       type: 'VALIDATION_ERROR'
     });
   }
@@ -314,7 +321,7 @@ router.get('/map/heatmap', handleAsyncErrors(mapController.getHeatmapData));
 router.get('/cache-stats', handleAsyncErrors(distanceController.getCacheStats));
 
 // 17. CLEAR CACHE
-router.delete('/cache', handleAsyncErrors(distanceController.clearCache));
+router.delete('/cache', requireAuth, requireRole('admin'), handleAsyncErrors(distanceController.clearCache));
 
 // 18. HEALTH CHECK
 router.get('/health', handleAsyncErrors(async (req, res) => {
@@ -332,7 +339,7 @@ router.get('/health', handleAsyncErrors(async (req, res) => {
         activePlaces: placeCount,
         apiVersion: '2.0',
         features: {
-          aiOptimization: !!process.env.GEMINI_API_KEY,
+          aiOptimization: llmClient.isAvailable(),
           distanceCalculation: true,
           mapVisualization: true,
           realTimePlanning: true,
@@ -376,7 +383,9 @@ router.get('/info', (req, res) => {
         optimization: [
           'POST /api/trips/optimize-with-algorithm - Main AI optimization',
           'POST /api/trips/generate-detailed-plan - Detailed personalized planning (PRIMARY)',
-          'POST /api/trips/detailed-plan - Detailed personalized planning (ALTERNATIVE)'
+          'POST /api/trips/detailed-plan - Detailed personalized planning (ALTERNATIVE)',
+          'POST /api/trips/plan-multi-day - Day-by-day itinerary with overnight stays',
+          'POST /api/trips/compare-algorithms - Run every optimizer side by side and rank the routes'
         ],
         suggestions: [
           'GET /api/trips/suggestions - AI trip suggestions',
@@ -392,6 +401,32 @@ router.get('/info', (req, res) => {
           'GET /api/trips/map/places-in-bounds - Places in viewport',
           'POST /api/trips/map/optimized-route - Map route'
         ],
+        saved: [
+          'POST /api/trips/saved - Save an optimized trip',
+          'GET /api/trips/saved - List owned and shared trips (status, from, to, scope filters)',
+          'GET /api/trips/saved/:id - Get a saved trip',
+          'PUT /api/trips/saved/:id - Update a saved trip',
+          'DELETE /api/trips/saved/:id - Delete a saved trip'
+        ],
+        sharing: [
+          'POST /api/trips/saved/:id/share - Enable the public share link',
+          'DELETE /api/trips/saved/:id/share - Disable the public share link',
+          'POST /api/trips/saved/:id/share/rotate - Issue a new share link',
+          'GET /api/shared/:token - Read-only shared trip (no login)'
+        ],
+        collaboration: [
+          'POST /api/trips/saved/:id/collaborators - Invite a user by email (view or edit)',
+          'PUT /api/trips/saved/:id/collaborators/:userId - Change a collaborator\'s permission',
+          'DELETE /api/trips/saved/:id/collaborators/:userId - Remove a collaborator (or leave the trip)',
+          'GET /api/trips/saved/:id/activity - Who added, removed or reordered places'
+        ],
+        tracking: [
+          'POST /api/trips/start-realtime-tracking - Start tracking a saved trip',
+          'PUT /api/trips/update-progress - Send a position ping or check in',
+          'GET /api/trips/real-time-updates - Poll tracking events and schedule status',
+          'GET /api/trips/tracking/:trackingId - Full tracking session state',
+          'POST /api/trips/saved/:id/reoptimize - Re-plan remaining stops from the current position and time'
+        ],
         utility: [
           'GET /api/trips/health - Health check',
           'GET /api/trips/info - API information'
@@ -406,102 +441,78 @@ router.get('/info', (req, res) => {
   });
 });
 
-// ADDED FROM FIRST VERSION: Real-time trip tracking endpoints
-router.post('/start-realtime-tracking', handleAsyncErrors(async (req, res) => {
-  try {
-    const { tripId, userId, startLocation } = req.body;
-    
-    // Store tracking session (implement with your database)
-    const trackingSession = {
-      tripId,
-      userId, 
-      startLocation,
-      startTime: new Date(),
-      status: 'active'
-    };
+// SAVED TRIP ROUTES
 
-    res.status(200).json({
-      success: true,
-      data: {
-        trackingId: `track_${Date.now()}`,
-        session: trackingSession,
-        message: 'Real-time tracking started successfully'
-      }
-    });
-  } catch (error) {
-    console.error('Start tracking error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to start tracking',
-      error: error.message
-    });
-  }
-}));
+const { validations: savedTripValidations } = savedTripController;
 
-router.put('/update-progress', handleAsyncErrors(async (req, res) => {
-  try {
-    const { tripId, currentLocation, checkpointId, action } = req.body;
-    
-    // Update progress logic here
-    const progressUpdate = {
-      tripId,
-      currentLocation,
-      checkpointId,
-      action,
-      timestamp: new Date()
-    };
+// 20. SAVE AN OPTIMIZED TRIP
+router.post('/saved', requireAuth, savedTripValidations.validateSaveTrip, handleAsyncErrors(savedTripController.saveTrip));
 
-    res.status(200).json({
-      success: true,
-      data: progressUpdate,
-      message: 'Progress updated successfully'
-    });
-  } catch (error) {
-    console.error('Update progress error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to update progress',
-      error: error.message
-    });
-  }
-}));
+// 21. LIST SAVED TRIPS (filters: status, from, to)
+router.get('/saved', requireAuth, savedTripValidations.validateListTrips, handleAsyncErrors(savedTripController.getSavedTrips));
 
-router.get('/real-time-updates', handleAsyncErrors(async (req, res) => {
-  try {
-    const { tripId, currentLocation, lastUpdateTime } = req.query;
-    
-    // Generate mock real-time updates
-    const updates = [
-      {
-        type: 'traffic',
-        message: 'Light traffic ahead - no delays expected',
-        timestamp: new Date(),
-        severity: 'info'
-      },
-      {
-        type: 'weather',
-        message: 'Clear skies - perfect for sightseeing!',
-        timestamp: new Date(),
-        severity: 'info'
-      }
-    ];
+// 22. GET SAVED TRIP
+router.get('/saved/:id', requireAuth, savedTripValidations.validateTripId, handleAsyncErrors(savedTripController.getSavedTripById));
 
-    res.status(200).json({
-      success: true,
-      data: {
-        updates,
-        nextUpdateIn: 40000 // 40 seconds
-      }
-    });
-  } catch (error) {
-    console.error('Real-time updates error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to get updates',
-      error: error.message
-    });
-  }
-}));
+// 23. UPDATE SAVED TRIP
+router.put('/saved/:id', requireAuth, savedTripValidations.validateUpdateTrip, handleAsyncErrors(savedTripController.updateSavedTrip));
+
+// 24. DELETE SAVED TRIP
+router.delete('/saved/:id', requireAuth, savedTripValidations.validateTripId, handleAsyncErrors(savedTripController.deleteSavedTrip));
+
+// REAL-TIME TRACKING ROUTES
+
+const { validations: trackingValidations } = trackingController;
+
+// 25. START (OR RESUME) TRACKING A SAVED TRIP
+router.post('/start-realtime-tracking', requireAuth, trackingValidations.validateStartTracking, handleAsyncErrors(trackingController.startTracking));
+
+// 26. POSITION PING / MANUAL CHECK-IN / STOP
+router.put('/update-progress', requireAuth, trackingValidations.validateUpdateProgress, handleAsyncErrors(trackingController.updateProgress));
+
+// 27. EVENTS SINCE LAST POLL + SCHEDULE STATUS
+router.get('/real-time-updates', requireAuth, trackingValidations.validateRealTimeUpdates, handleAsyncErrors(trackingController.getRealTimeUpdates));
+
+// 28. FULL TRACKING SESSION STATE
+router.get('/tracking/:trackingId', requireAuth, trackingValidations.validateTrackingId, handleAsyncErrors(trackingController.getTrackingSession));
+
+// 29. RE-PLAN REMAINING STOPS WHEN RUNNING LATE
+router.post('/saved/:id/reoptimize', requireAuth, savedTripValidations.validateReoptimizeTrip, handleAsyncErrors(savedTripController.reoptimizeTrip));
+
+// MULTI-DAY PLANNING ROUTES
+
+// 30. MULTI-DAY ITINERARY WITH OVERNIGHT STAYS
+router.post('/plan-multi-day', handleAsyncErrors(planMultiDayTrip));
+
+// TRIP SHARING ROUTES
+
+// 31. ENABLE PUBLIC SHARE LINK
+router.post('/saved/:id/share', requireAuth, savedTripValidations.validateTripId, handleAsyncErrors(savedTripController.enableTripSharing));
+
+// 32. DISABLE PUBLIC SHARE LINK
+router.delete('/saved/:id/share', requireAuth, savedTripValidations.validateTripId, handleAsyncErrors(savedTripController.disableTripSharing));
+
+// 33. ROTATE SHARE TOKEN
+router.post('/saved/:id/share/rotate', requireAuth, savedTripValidations.validateTripId, handleAsyncErrors(savedTripController.rotateShareToken));
+
+// COLLABORATION ROUTES
+
+// 34. INVITE COLLABORATOR BY EMAIL
+router.post('/saved/:id/collaborators', requireAuth, savedTripValidations.validateInviteCollaborator, handleAsyncErrors(savedTripController.inviteCollaborator));
+
+// 35. CHANGE COLLABORATOR PERMISSION
+router.put('/saved/:id/collaborators/:userId', requireAuth, savedTripValidations.validateUpdateCollaborator, handleAsyncErrors(savedTripController.updateCollaborator));
+
+// 36. REMOVE COLLABORATOR / LEAVE TRIP
+router.delete('/saved/:id/collaborators/:userId', requireAuth, savedTripValidations.validateRemoveCollaborator, handleAsyncErrors(savedTripController.removeCollaborator));
+
+// 37. TRIP ACTIVITY LOG
+router.get('/saved/:id/activity', requireAuth, savedTripValidations.validateTripActivity, handleAsyncErrors(savedTripController.getTripActivity));
+
+// ALGORITHM COMPARISON ROUTES
+
+// 38. RUN EVERY OPTIMIZER ON THE SAME INPUT AND RANK THE ROUTES
+router.post('/compare-algorithms', handleAsyncErrors(compareAlgorithms));
 
 // DEBUG ENDPOINT - Test detailed plan generation
 router.post('/test-detailed-plan', handleAsyncErrors(async (req, res) => {
@@ -561,6 +572,8 @@ router.use('*', (req, res) => {
       : 'Check available endpoints below',
     availableEndpoints: [
       'POST /optimize-with-algorithm',
+      'POST /plan-multi-day',
+      'POST /compare-algorithms',
       'POST /generate-detailed-plan (PRIMARY)',
       'POST /detailed-plan (ALTERNATIVE)', 
       'GET /suggestions',
@@ -568,6 +581,15 @@ router.use('*', (req, res) => {
       'POST /distance',
       'GET /health',
       'GET /info',
+      'POST /saved',
+      'GET /saved',
+      'GET|PUT|DELETE /saved/:id',
+      'POST /saved/:id/reoptimize',
+      'POST|DELETE /saved/:id/share',
+      'POST /saved/:id/share/rotate',
+      'POST /saved/:id/collaborators',
+      'PUT|DELETE /saved/:id/collaborators/:userId',
+      'GET /saved/:id/activity',
       'POST /test-detailed-plan (DEBUG)'
     ],
     backendStatus: 'Check if backend server is running on correct port'
@@ -809,15 +831,18 @@ module.exports = router;
 module.exports.routeInfo = {
   prefix: '/api/trips',
   version: '2.0',
-  totalRoutes: 22, // Updated count with added routes
+  totalRoutes: 37, // Updated count with added routes
   categories: {
-    optimization: 2,
+    optimization: 3, // Includes multi-day planning
     detailedPlanning: 2, // Both endpoints
     suggestions: 2,
     distance: 6,
     map: 5,
     utility: 3,
-    realTime: 3, // Added real-time tracking routes
+    realTime: 5, // Real-time tracking sessions and live re-planning
+    savedTrips: 5,
+    sharing: 3,
+    collaboration: 4,
     algorithmExplanation: 1 // Added algorithm explanation
   },
   detailedPlanEndpoints: [
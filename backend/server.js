@@ -7,6 +7,8 @@ const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
 const connectDB = require('./config/database');
+const { authenticate } = require('./middleware/auth');
+const { getSecret } = require('./utils/authTokens');
 
 // Import routes
 const placeRoutes = require('./routes/places');
@@ -15,6 +17,16 @@ const chatRoutes = require('./routes/chat');
 const tripRoutes = require('./routes/trips');
 const distanceRoutes = require('./routes/distance');
 const mapRoutes = require('./routes/map');
+const authRoutes = require('./routes/auth');
+const sharedRoutes = require('./routes/shared');
+
+// Refuse to start rather than sign sessions with a secret anyone can read
+try {
+  getSecret();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -46,6 +58,15 @@ const intensiveLimiter = rateLimit({
   }
 });
 
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: {
+    error: 'Too many login attempts. Please try again later.',
+    retryAfter: '15 minutes'
+  }
+});
+
 // ✅ FIXED CORS CONFIGURATION
 const corsOptions = {
   origin: function (origin, callback) {
@@ -95,9 +116,15 @@ app.use((req, res, next) => {
   next();
 });
 
+// Attach req.user when a valid token is sent; anonymous requests pass through
+app.use('/api', authenticate);
+
 // Apply intensive rate limiting only to specific optimization endpoints
 app.use('/api/trips', intensiveLimiter, tripRoutes);
 app.use('/api/routes', intensiveLimiter, routeRoutes);
+
+// Only the credential endpoints are brute-force targets; /me is called on every page load
+app.use(['/api/auth/login', '/api/auth/register'], authLimiter);
 app.set('trust proxy', 1);
 
 // Root URL welcome message to confirm the server is running
@@ -158,12 +185,14 @@ app.get('/api/health', async (req, res) => {
 });
 
 // Mount API routes
+app.use('/api/auth', authRoutes);
 app.use('/api/places', placeRoutes);
 app.use('/api/routes', routeRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/trips', tripRoutes);
 app.use('/api/distance', distanceRoutes);
 app.use('/api/map', mapRoutes);
+app.use('/api/shared', sharedRoutes);
 
 // API documentation endpoint
 app.get('/api/docs', (req, res) => {
@@ -185,15 +214,38 @@ app.get('/api/docs', (req, res) => {
       cost: 'Free',
       features: ['No API keys required', 'Unlimited requests', 'Open source']
     },
+    authentication: {
+      scheme: 'Bearer token in the Authorization header',
+      anonymousAccess: 'Browsing places, maps, trip optimization and shared trip links',
+      requiresLogin: 'Saved trips, collaboration, live tracking and re-planning',
+      requiresAdmin: 'Place catalog administration, moderation and clearing distance caches'
+    },
     endpoints: {
+      auth: {
+        base: '/auth',
+        description: 'User accounts and login',
+        methods: ['GET', 'POST'],
+        examples: [
+          'POST /auth/register - Create an account',
+          'POST /auth/login - Log in and receive a token',
+          'GET /auth/me - Current user'
+        ]
+      },
       places: {
         base: '/places',
-        description: 'Tourist place data and search',
-        methods: ['GET'],
+        description: 'Tourist place data and search, plus catalog administration',
+        methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
         examples: [
           'GET /places - Get all places with filters',
           'GET /places/category/temple - Get temples',
-          'GET /places/nearby?latitude=12.9716&longitude=77.5946 - Get nearby places'
+          'GET /places/nearby?latitude=12.9716&longitude=77.5946 - Get nearby places',
+          'GET /places/:id/reviews - Reviews and rating summary',
+          'POST /places/:id/reviews - Review a place (login)',
+          'POST /places/submissions - Suggest a place for review (login)',
+          'POST|PUT|DELETE /places[/:id] - Manage the catalog (admin)',
+          'GET /places/admin/moderation - Moderation queue (admin)',
+          'PATCH /places/:id/moderation - Approve or reject a place (admin)',
+          'POST /places/bulk - Bulk activate/deactivate/update (admin)'
         ]
       },
       map: {
@@ -216,13 +268,25 @@ app.get('/api/docs', (req, res) => {
         description: 'Advanced trip planning with AI optimization',
         methods: ['GET', 'POST', 'PUT', 'DELETE'],
         examples: [
-          'GET /trips - Get all trips for user',
-          'GET /trips/:id - Get specific trip',
-          'POST /trips/generate - Generate new trip',
-          'POST /trips/optimize - Optimize trip places',
-          'GET /trips/templates - Get trip templates',
-          'PUT /trips/:id - Update trip',
-          'DELETE /trips/:id - Delete trip'
+          'POST /trips/optimize-with-algorithm - Optimize trip places',
+          'POST /trips/saved - Save an optimized trip',
+          'GET /trips/saved - Get all saved trips for the logged-in user',
+          'GET /trips/saved/:id - Get specific trip',
+          'PUT /trips/saved/:id - Update trip',
+          'DELETE /trips/saved/:id - Delete trip',
+          'POST /trips/saved/:id/reoptimize - Re-plan remaining stops when running late',
+          'POST|DELETE /trips/saved/:id/share - Enable or disable the public share link',
+          'POST /trips/saved/:id/share/rotate - Issue a new share link',
+          'POST /trips/saved/:id/collaborators - Invite a collaborator by email',
+          'GET /trips/saved/:id/activity - Trip activity log'
+        ]
+      },
+      shared: {
+        base: '/shared',
+        description: 'Read-only shared itineraries, no login required',
+        methods: ['GET'],
+        examples: [
+          'GET /shared/:token - View a shared trip'
         ]
       },
       routes: {
@@ -237,9 +301,10 @@ app.get('/api/docs', (req, res) => {
       chat: {
         base: '/chat',
         description: 'AI chat assistant for travel planning',
-        methods: ['POST'],
+        methods: ['GET', 'POST', 'DELETE'],
         examples: [
-          'POST /chat - Chat with AI assistant'
+          'POST /chat - Chat with AI assistant',
+          'GET /chat/conversations - Saved conversations to resume (login required)'
         ]
       },
       distance: {
@@ -323,7 +388,7 @@ app.use('/api/*', (req, res) => {
   res.status(404).json({
     success: false,
     message: 'API endpoint not found',
-    availableEndpoints: ['/places', '/routes', '/trips', '/chat', '/distance', '/map'],
+    availableEndpoints: ['/auth', '/places', '/routes', '/trips', '/chat', '/distance', '/map', '/shared'],
     requestedEndpoint: req.originalUrl,
     suggestion: 'Check /api/docs for available endpoints'
   });
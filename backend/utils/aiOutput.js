@@ -0,0 +1,124 @@
+// backend/utils/aiOutput.js - Schema-checked AI artifacts, filled field by field from rule-based fallbacks
+const llmClient = require('./llmClient');
+const { AI_SCHEMAS } = require('../config/aiSchemas');
+const { getTopLevelField } = require('./schemaValidator');
+
+const MAX_REPORTED_ERRORS = 20;
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Keep every top-level field the model got right and take the rest from the
+ * fallback. One bad entry invalidates its whole top-level field (e.g. the
+ * timeline). When nothing usable came back the fallback is returned as is,
+ * extra fields included.
+ */
+function mergeWithFallback(schema, result, fallback) {
+  const declared = Object.keys(schema.properties || {});
+  const usable = isObject(result.data) && !result.errors.some(error => getTopLevelField(error.path) === null);
+  const invalid = new Set(result.errors.map(error => getTopLevelField(error.path)));
+
+  const data = {};
+  const fields = {};
+
+  if (usable) {
+    for (const [key, value] of Object.entries(result.data)) {
+      if (invalid.has(key) || value === null || value === undefined) continue;
+      data[key] = value;
+      if (declared.includes(key)) fields[key] = 'ai';
+    }
+  }
+
+  const gaps = declared.filter(key => !fields[key]);
+  if (gaps.length === 0) {
+    return { data, fields, status: 'ai' };
+  }
+
+  const fallbackData = fallback ? fallback() : {};
+  if (Object.keys(fields).length === 0) {
+    declared.forEach(key => {
+      if (fallbackData[key] !== undefined) fields[key] = 'fallback';
+    });
+    return { data: fallbackData, fields, status: 'fallback' };
+  }
+
+  let filled = 0;
+  for (const key of gaps) {
+    if (fallbackData[key] === undefined) continue;
+    data[key] = fallbackData[key];
+    fields[key] = 'fallback';
+    filled++;
+  }
+  // Gaps nobody could fill only count when the model's value was rejected
+  return { data, fields, status: filled > 0 || gaps.some(key => invalid.has(key)) ? 'partial' : 'ai' };
+}
+
+/**
+ * Generate one artifact declared in config/aiSchemas.js:
+ *
+ *   const { data, aiOutput } = await generateAIOutput('tripAnalysis', prompt, {
+ *     fallback: () => generateFallbackAnalysis(places, preferences, constraints)
+ *   });
+ *
+ * The reply is validated, repaired once by the model if needed, and merged
+ * with the fallback. `aiOutput` says where each field came from:
+ *   { schema, provider, model, status: 'ai' | 'partial' | 'fallback',
+ *     repaired, attempts, fields: { name: 'ai' | 'fallback' }, errors, reason? }
+ * Options: fallback() builds the rule-based version, normalize(data) fixes
+ * known model quirks before validation, schema overrides the declared one for
+ * call-specific limits, plus task and timeoutMs for the client.
+ */
+async function generateAIOutput(schemaName, prompt, options = {}) {
+  const {
+    fallback,
+    normalize,
+    schema = AI_SCHEMAS[schemaName],
+    task = schemaName,
+    timeoutMs
+  } = options;
+
+  if (!schema) {
+    throw new Error(`Unknown AI output schema: ${schemaName}`);
+  }
+
+  let result = { data: null, errors: [], repaired: false, attempts: 0 };
+  let reason = null;
+
+  if (!llmClient.isAvailable()) {
+    reason = llmClient.getInfo().error;
+  } else {
+    try {
+      result = await llmClient.generateStructured(prompt, schema, { task, timeoutMs, normalize });
+    } catch (error) {
+      console.error(`🚨 AI ${schemaName} request failed:`, error.message);
+      reason = error.message;
+    }
+  }
+
+  const { data, fields, status } = mergeWithFallback(schema, result, fallback);
+  const info = llmClient.getInfo();
+
+  if (status !== 'ai') {
+    const fallbackFields = Object.keys(fields).filter(key => fields[key] === 'fallback');
+    console.log(`🔧 AI ${schemaName}: ${status}, fallback used for ${fallbackFields.join(', ') || 'nothing'}`);
+  }
+
+  return {
+    data,
+    aiOutput: {
+      schema: schemaName,
+      provider: result.attempts > 0 ? info.provider : null,
+      model: result.attempts > 0 ? info.model : null,
+      status,
+      repaired: result.repaired,
+      attempts: result.attempts,
+      fields,
+      errors: result.errors.slice(0, MAX_REPORTED_ERRORS),
+      ...(reason ? { reason } : {})
+    }
+  };
+}
+
+module.exports = {
+  generateAIOutput
+};
@@ -0,0 +1,101 @@
+// backend/utils/algorithmRunner.js - Run one optimizer in a worker thread with a hard time limit
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const routingEngine = require('./routingEngine');
+
+// Optimizer method for each algorithm ID in AVAILABLE_ALGORITHMS
+const ALGORITHM_METHODS = {
+  advancedGreedy: 'advancedGreedyOptimization',
+  genetic: 'geneticAlgorithmOptimization',
+  nearestNeighbor: 'nearestNeighborOptimization',
+  dynamicProgramming: 'dynamicProgrammingOptimization',
+  timeWindowTSP: 'timeWindowTSPOptimization',
+  simulatedAnnealing: 'simulatedAnnealingOptimization',
+  antColony: 'antColonyOptimization'
+};
+
+// Every point an optimizer may travel between; start and end may be flat or { coordinates }
+function getRoutePoints(places, constraints) {
+  return [
+    constraints.startCoordinates,
+    constraints.startLocation?.coordinates || constraints.startLocation,
+    constraints.endLocation?.coordinates || constraints.endLocation,
+    ...places.map(place => place.location)
+  ].filter(Boolean);
+}
+
+/**
+ * The optimizers are synchronous CPU work, so a timer in the same thread could
+ * never interrupt them. Each run gets its own worker, which is terminated when
+ * the time limit passes. Resolves (never rejects) with
+ * { algorithm, status: 'ok' | 'timeout' | 'error', result, error, executionTime }.
+ * Call routingEngine.prefetch() on the trip's points first: workers get a copy
+ * of those cached legs instead of loading the road graph themselves.
+ */
+function runAlgorithmWithTimeLimit(algorithm, places, constraints, timeLimitMs) {
+  const startTime = Date.now();
+
+  return new Promise(resolve => {
+    let settled = false;
+    const finish = (outcome) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      resolve({ algorithm, result: null, error: null, ...outcome, executionTime: Date.now() - startTime });
+    };
+
+    if (!ALGORITHM_METHODS[algorithm]) {
+      finish({ status: 'error', error: `Unknown algorithm: ${algorithm}` });
+      return;
+    }
+
+    // Mongoose documents and ObjectIds do not survive the structured clone into the worker
+    const worker = new Worker(__filename, {
+      workerData: {
+        algorithm,
+        places: JSON.parse(JSON.stringify(places)),
+        constraints: JSON.parse(JSON.stringify(constraints, (key, value) => (value === Infinity ? null : value))),
+        routingCache: routingEngine.exportCache(getRoutePoints(places, constraints))
+      }
+    });
+
+    const timer = setTimeout(() => {
+      finish({ status: 'timeout', error: `Stopped after ${timeLimitMs}ms` });
+      worker.terminate();
+    }, timeLimitMs);
+
+    worker.on('message', message => {
+      if (message.error) {
+        finish({ status: 'error', error: message.error });
+      } else {
+        finish({ status: 'ok', result: message.result });
+      }
+      worker.terminate();
+    });
+
+    worker.on('error', error => finish({ status: 'error', error: error.message }));
+    worker.on('exit', code => finish({ status: 'error', error: `Worker exited with code ${code}` }));
+  });
+}
+
+// Worker side: run the optimizer and post the result back
+if (!isMainThread && workerData?.algorithm) {
+  const OptimizationAlgorithms = require('./optimizationAlgorithms');
+  const { algorithm, places, constraints, routingCache } = workerData;
+
+  // Legs the main thread did not prefetch fall back to the estimate
+  routingEngine.configure({ backends: ['estimate'] });
+  routingEngine.primeCache(routingCache);
+
+  // JSON has no Infinity; an unset budget was sent as null
+  if (constraints.budget === null) constraints.budget = Infinity;
+
+  new OptimizationAlgorithms()[ALGORITHM_METHODS[algorithm]](places, constraints)
+    .then(result => parentPort.postMessage({ result }))
+    .catch(error => parentPort.postMessage({ error: error.message }));
+}
+
+module.exports = {
+  ALGORITHM_METHODS,
+  getRoutePoints,
+  runAlgorithmWithTimeLimit
+};
@@ -0,0 +1,61 @@
+// backend/utils/authTokens.js - HS256 signed access tokens (JWT format)
+const crypto = require('crypto');
+
+const DEFAULT_TTL_SECONDS = 7 * 24 * 60 * 60; // 7 days
+const DEV_SECRET = 'tourwithai-dev-secret-change-me';
+
+// The fallback is public in the repo, so it is only accepted for local development
+function getSecret() {
+  if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+
+  if (process.env.NODE_ENV !== 'development') {
+    throw new Error('JWT_SECRET must be set (the built-in secret is only used with NODE_ENV=development)');
+  }
+
+  return DEV_SECRET;
+}
+
+function base64UrlEncode(value) {
+  return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+}
+
+// Issue a token for a user; `sub` carries the user ID
+function signToken(payload, ttlSeconds = parseInt(process.env.JWT_TTL_SECONDS) || DEFAULT_TTL_SECONDS) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64UrlEncode({ alg: 'HS256', typ: 'JWT' });
+  const body = base64UrlEncode({ ...payload, iat: now, exp: now + ttlSeconds });
+  return `${header}.${body}.${sign(`${header}.${body}`)}`;
+}
+
+// Returns the decoded payload, or throws with a reason the middleware can report
+function verifyToken(token) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) {
+    throw new Error('Malformed token');
+  }
+
+  const [header, body, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${body}`));
+  const actual = Buffer.from(signature);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new Error('Invalid token signature');
+  }
+
+  const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+  if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000)) {
+    throw new Error('Token expired');
+  }
+
+  return payload;
+}
+
+module.exports = {
+  getSecret,
+  signToken,
+  verifyToken
+};
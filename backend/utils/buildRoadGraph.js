@@ -0,0 +1,304 @@
+// backend/utils/buildRoadGraph.js - Build the offline road graph from an OpenStreetMap (Overpass JSON) extract
+//
+// 1. Download the drivable roads for South India from Overpass (or convert a
+//    Geofabrik extract to the same JSON with osmium), e.g.
+//
+//      [out:json][timeout:900];
+//      way["highway"~"^(motorway|trunk|primary|secondary|tertiary|unclassified|residential)(_link)?$"]
+//        (8.0,74.0,15.9,80.4);
+//      (._;>;);
+//      out body;
+//
+// 2. npm run build-road-graph -- path/to/extract.json [output.json]
+//
+// The output defaults to data/road-graph.json, which is where routingEngine.js
+// looks unless ROAD_GRAPH_PATH is set. A South India extract is a few hundred MB
+// of JSON, so give Node room: NODE_OPTIONS=--max-old-space-size=4096.
+const fs = require('fs');
+const path = require('path');
+const { haversineMeters } = require('./roadGraph');
+
+const DEFAULT_OUTPUT = path.join(__dirname, '..', 'data', 'road-graph.json');
+
+// Typical free-flow car speeds on Indian roads, km/h
+const ROAD_SPEEDS = {
+  motorway: 80,
+  trunk: 60,
+  primary: 50,
+  secondary: 40,
+  tertiary: 35,
+  unclassified: 30,
+  residential: 20,
+  motorway_link: 40,
+  trunk_link: 35,
+  primary_link: 30,
+  secondary_link: 25,
+  tertiary_link: 25
+};
+
+// Winding roads are slow whatever their class: every 500° of turning per km
+// halves the speed again. Hairpin ghat sections to Ooty or Munnar reach
+// 1000-2000°/km, while a plain road stays under ~100°/km.
+const CURVATURE_DEGREES_PER_HALVING = 500;
+const MIN_SPEED = 15;
+const MIN_CURVE_SEGMENT_METERS = 200;
+const MIN_TURN_STEP_METERS = 5;
+
+function parseMaxSpeed(value) {
+  if (!value) return null;
+  const speed = parseFloat(value);
+  if (!Number.isFinite(speed) || speed <= 0) return null;
+  return /mph/i.test(value) ? speed * 1.609 : speed;
+}
+
+// 1 = forward only, -1 = against the way's node order, 0 = both directions
+function getOneway(tags) {
+  const oneway = tags.oneway;
+  if (oneway === '-1') return -1;
+  if (oneway === 'yes' || oneway === '1' || oneway === 'true') return 1;
+  if (oneway === 'no') return 0;
+  if (tags.highway === 'motorway' || tags.junction === 'roundabout') return 1;
+  return 0;
+}
+
+function bearing(a, b) {
+  const toRad = deg => deg * Math.PI / 180;
+  const y = Math.sin(toRad(b.lon - a.lon)) * Math.cos(toRad(b.lat));
+  const x = Math.cos(toRad(a.lat)) * Math.sin(toRad(b.lat)) -
+            Math.sin(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.cos(toRad(b.lon - a.lon));
+  return Math.atan2(y, x) * 180 / Math.PI;
+}
+
+// Sum of heading changes along a polyline, skipping sub-5 m steps (GPS noise)
+function totalTurning(points) {
+  let turning = 0;
+  let previousBearing = null;
+  let anchor = points[0];
+
+  for (let i = 1; i < points.length; i++) {
+    if (haversineMeters(anchor.lat, anchor.lon, points[i].lat, points[i].lon) < MIN_TURN_STEP_METERS) continue;
+    const current = bearing(anchor, points[i]);
+    if (previousBearing !== null) {
+      let change = Math.abs(current - previousBearing);
+      if (change > 180) change = 360 - change;
+      turning += change;
+    }
+    previousBearing = current;
+    anchor = points[i];
+  }
+
+  return turning;
+}
+
+function getSegmentSpeed(baseSpeed, meters, points) {
+  if (meters < MIN_CURVE_SEGMENT_METERS) return baseSpeed;
+  const degreesPerKm = totalTurning(points) / (meters / 1000);
+  const speed = baseSpeed / (1 + degreesPerKm / CURVATURE_DEGREES_PER_HALVING);
+  return Math.min(baseSpeed, Math.max(MIN_SPEED, speed));
+}
+
+/**
+ * Turn Overpass elements into { nodes, edges } for RoadGraph. Ways are split
+ * at junctions (nodes shared by several ways, plus way ends); the nodes in
+ * between become the edge shape. Only the largest connected piece is kept so
+ * that every snapped point can reach every other.
+ */
+function buildRoadGraph(elements, { source = null } = {}) {
+  const coords = new Map();
+  const ways = [];
+
+  for (const element of elements) {
+    if (element.type === 'node') {
+      coords.set(element.id, { lat: element.lat, lon: element.lon });
+    } else if (element.type === 'way' && element.tags && ROAD_SPEEDS[element.tags.highway] && Array.isArray(element.nodes)) {
+      ways.push(element);
+    }
+  }
+
+  // How many ways touch each node; 2+ (or a way end) makes it a junction
+  const usage = new Map();
+  for (const way of ways) {
+    way.nodes.forEach((id, index) => {
+      const isEnd = index === 0 || index === way.nodes.length - 1;
+      usage.set(id, (usage.get(id) || 0) + (isEnd ? 2 : 1));
+    });
+  }
+
+  const segments = [];
+  let missingNodeRefs = 0;
+
+  for (const way of ways) {
+    const oneway = getOneway(way.tags);
+    const nodeIds = oneway === -1 ? [...way.nodes].reverse() : way.nodes;
+    const baseSpeed = Math.min(ROAD_SPEEDS[way.tags.highway], parseMaxSpeed(way.tags.maxspeed) || Infinity);
+
+    // A way with nodes missing from the extract is cut at the gaps
+    let run = [];
+    const flushRun = () => {
+      if (run.length < 2) {
+        run = [];
+        return;
+      }
+      let start = 0;
+      for (let i = 1; i < run.length; i++) {
+        if (i === run.length - 1 || usage.get(run[i].id) > 1) {
+          const points = run.slice(start, i + 1);
+          let meters = 0;
+          for (let k = 1; k < points.length; k++) {
+            meters += haversineMeters(points[k - 1].lat, points[k - 1].lon, points[k].lat, points[k].lon);
+          }
+          if (points[0].id !== points[points.length - 1].id && meters > 0) {
+            const speed = getSegmentSpeed(baseSpeed, meters, points);
+            segments.push({
+              from: points[0].id,
+              to: points[points.length - 1].id,
+              meters,
+              seconds: meters / (speed / 3.6),
+              oneway: oneway !== 0,
+              shape: points.slice(1, -1)
+            });
+          }
+          start = i;
+        }
+      }
+      run = [];
+    };
+
+    for (const id of nodeIds) {
+      const point = coords.get(id);
+      if (point) {
+        run.push({ id, ...point });
+      } else {
+        missingNodeRefs++;
+        flushRun();
+      }
+    }
+    if (run.length > 0) flushRun();
+  }
+
+  // Keep the largest connected component (union-find over junction ids)
+  const parent = new Map();
+  const find = id => {
+    let root = id;
+    while (parent.get(root) !== root) root = parent.get(root);
+    while (parent.get(id) !== root) {
+      const next = parent.get(id);
+      parent.set(id, root);
+      id = next;
+    }
+    return root;
+  };
+  for (const segment of segments) {
+    if (!parent.has(segment.from)) parent.set(segment.from, segment.from);
+    if (!parent.has(segment.to)) parent.set(segment.to, segment.to);
+    const a = find(segment.from);
+    const b = find(segment.to);
+    if (a !== b) parent.set(a, b);
+  }
+
+  const componentSizes = new Map();
+  for (const id of parent.keys()) {
+    const root = find(id);
+    componentSizes.set(root, (componentSizes.get(root) || 0) + 1);
+  }
+  let mainRoot = null;
+  for (const [root, size] of componentSizes) {
+    if (mainRoot === null || size > componentSizes.get(mainRoot)) mainRoot = root;
+  }
+
+  const nodeIndex = new Map();
+  const nodes = [];
+  const round = value => Math.round(value * 1e6) / 1e6;
+  const indexOf = id => {
+    if (!nodeIndex.has(id)) {
+      const point = coords.get(id);
+      nodeIndex.set(id, nodes.length / 2);
+      nodes.push(round(point.lat), round(point.lon));
+    }
+    return nodeIndex.get(id);
+  };
+
+  const edges = [];
+  for (const segment of segments) {
+    if (find(segment.from) !== mainRoot) continue;
+    const edge = [
+      indexOf(segment.from),
+      indexOf(segment.to),
+      Math.round(segment.meters),
+      Math.round(segment.seconds * 10) / 10,
+      segment.oneway ? 1 : 0
+    ];
+    if (segment.shape.length > 0) {
+      edge.push(segment.shape.flatMap(point => [round(point.lat), round(point.lon)]));
+    }
+    edges.push(edge);
+  }
+
+  return {
+    graph: {
+      version: 1,
+      source,
+      generatedAt: new Date().toISOString(),
+      nodes,
+      edges
+    },
+    stats: {
+      ways: ways.length,
+      missingNodeRefs,
+      segments: segments.length,
+      junctions: nodes.length / 2,
+      edges: edges.length,
+      droppedComponents: componentSizes.size - 1
+    }
+  };
+}
+
+function buildRoadGraphFile(inputPath, outputPath = DEFAULT_OUTPUT) {
+  console.log(`🛣️ Reading OSM extract from ${inputPath}...`);
+  const extract = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
+  const elements = extract.elements || extract;
+
+  if (!Array.isArray(elements)) {
+    throw new Error('Expected Overpass JSON with an "elements" array');
+  }
+
+  const { graph, stats } = buildRoadGraph(elements, { source: path.basename(inputPath) });
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, JSON.stringify(graph));
+
+  console.log(`✅ Road graph written to ${outputPath}`);
+  console.log(`   ${stats.ways} ways → ${stats.junctions} junctions, ${stats.edges} road segments`);
+  if (stats.missingNodeRefs > 0) {
+    console.log(`   ⚠️ ${stats.missingNodeRefs} node references were missing from the extract`);
+  }
+  if (stats.droppedComponents > 0) {
+    console.log(`   ✂️ Dropped ${stats.droppedComponents} pieces not connected to the main network`);
+  }
+
+  return stats;
+}
+
+module.exports = {
+  ROAD_SPEEDS,
+  buildRoadGraph,
+  buildRoadGraphFile
+};
+
+// Run the build if this file is executed directly
+if (require.main === module) {
+  const [inputPath, outputPath] = process.argv.slice(2);
+
+  if (!inputPath) {
+    console.error('Usage: npm run build-road-graph -- <overpass-extract.json> [output.json]');
+    process.exit(1);
+  }
+
+  try {
+    buildRoadGraphFile(inputPath, outputPath);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Road graph build failed:', error);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,150 @@
+// backend/utils/chatHistory.js - Earlier chat turns for the prompt, within a token budget
+//
+// Recent turns go into the prompt word for word. Once they outgrow the budget
+// the oldest ones are folded into a running summary, so a long conversation
+// costs about the same per message as a short one.
+const llmClient = require('./llmClient');
+
+const DEFAULT_HISTORY_TOKENS = 1500;
+// One long itinerary answer should not crowd out every other turn
+const MAX_TURN_TOKENS = 350;
+const MAX_SUMMARY_CHARS = 1200;
+const MAX_CLIENT_TURNS = 10;
+const SUMMARY_TIMEOUT_MS = 15000;
+
+const getHistoryBudget = () => parseInt(process.env.CHAT_HISTORY_TOKENS, 10) || DEFAULT_HISTORY_TOKENS;
+
+// Rough count for budgeting; English text averages about four characters per token
+const estimateTokens = text => Math.ceil((text || '').length / 4);
+
+function clipTurn(content) {
+  const maxChars = MAX_TURN_TOKENS * 4;
+  return content.length > maxChars ? `${content.substring(0, maxChars)}…` : content;
+}
+
+const formatTurn = turn => `${turn.role === 'user' ? 'Traveller' : 'Guide'}: ${clipTurn(turn.content)}`;
+
+/**
+ * Split turns the summary does not cover yet into the ones to fold into it and
+ * the ones to send verbatim. Nothing is folded while everything fits; after
+ * that the oldest turns go until the rest fit in half the budget, so the
+ * summary is rewritten every few messages rather than on each one.
+ */
+function planHistory(turns, budget) {
+  const costs = turns.map(turn => estimateTokens(formatTurn(turn)));
+  let total = costs.reduce((sum, cost) => sum + cost, 0);
+
+  if (total <= budget) {
+    return { toSummarize: [], recent: turns };
+  }
+
+  let start = 0;
+  while (start < turns.length - 1 && total > budget / 2) {
+    total -= costs[start];
+    start++;
+  }
+  // Don't open the verbatim part with an answer whose question was folded away
+  if (turns[start].role === 'assistant' && start < turns.length - 1) {
+    start++;
+  }
+
+  return { toSummarize: turns.slice(0, start), recent: turns.slice(start) };
+}
+
+// Without a model: remember what the traveller asked, newest last
+function buildFallbackSummary(previousSummary, turns) {
+  const questions = turns
+    .filter(turn => turn.role === 'user')
+    .map(turn => turn.content.replace(/\s+/g, ' ').trim().substring(0, 150));
+
+  const summary = [previousSummary, questions.length > 0 ? `The traveller asked: ${questions.join(' | ')}` : '']
+    .filter(Boolean)
+    .join('\n');
+
+  return summary.length > MAX_SUMMARY_CHARS ? `…${summary.slice(-MAX_SUMMARY_CHARS)}` : summary;
+}
+
+async function summarizeTurns(previousSummary, turns) {
+  if (llmClient.isAvailable()) {
+    const prompt = `You keep notes on a chat between a traveller and a South Indian tour guide. Update the notes with the new messages below.
+
+Keep every place, date, budget, group detail, preference and decision the traveller mentioned, and the places and tips the guide recommended. Drop greetings and small talk. Plain text, no markdown, at most 150 words.
+
+CURRENT NOTES:
+${previousSummary || '(none yet)'}
+
+NEW MESSAGES:
+${turns.map(formatTurn).join('\n')}
+
+Updated notes:`;
+
+    try {
+      const summary = await llmClient.generate(prompt, {
+        task: 'chatSummary',
+        temperature: 0.2,
+        maxTokens: 300,
+        timeoutMs: SUMMARY_TIMEOUT_MS
+      });
+      if (summary && summary.trim()) {
+        return summary.trim().substring(0, MAX_SUMMARY_CHARS);
+      }
+    } catch (error) {
+      console.warn('⚠️ Chat summary failed, keeping a plain list of questions:', error.message);
+    }
+  }
+
+  return buildFallbackSummary(previousSummary, turns);
+}
+
+/**
+ * History for a stored conversation ({ turns, summary, summarizedUntil }):
+ *   { summary, recent, summaryUpdate }
+ * `summaryUpdate` is { summary, summarizedUntil } when older turns were just
+ * folded in and the caller should save it; otherwise null.
+ */
+async function prepareHistory(conversation, budget = getHistoryBudget()) {
+  const summary = conversation.summary || '';
+  const since = conversation.summarizedUntil ? new Date(conversation.summarizedUntil) : null;
+  const pending = since ? conversation.turns.filter(turn => turn.createdAt > since) : conversation.turns;
+
+  const { toSummarize, recent } = planHistory(pending, budget - estimateTokens(summary));
+  if (toSummarize.length === 0) {
+    return { summary, recent, summaryUpdate: null };
+  }
+
+  const summaryUpdate = {
+    summary: await summarizeTurns(summary, toSummarize),
+    summarizedUntil: toSummarize[toSummarize.length - 1].createdAt
+  };
+  return { summary: summaryUpdate.summary, recent, summaryUpdate };
+}
+
+// History for signed-out users: the last messages the page sent along, never summarized
+function historyFromClientMessages(messages, budget = getHistoryBudget()) {
+  const turns = (Array.isArray(messages) ? messages : [])
+    .filter(message => message && typeof message.content === 'string' && message.content.trim() && !message.isError)
+    .map(message => ({ role: message.type === 'user' ? 'user' : 'assistant', content: message.content.trim() }))
+    .slice(-MAX_CLIENT_TURNS);
+
+  return { summary: '', recent: planHistory(turns, budget).recent, summaryUpdate: null };
+}
+
+// Prompt section for the history, or '' when there is none
+function formatHistoryForPrompt(history) {
+  if (!history || (!history.summary && history.recent.length === 0)) return '';
+
+  const parts = ['CONVERSATION SO FAR:'];
+  if (history.summary) {
+    parts.push(`Notes on earlier messages: ${history.summary}`);
+  }
+  history.recent.forEach(turn => parts.push(formatTurn(turn)));
+
+  return parts.join('\n');
+}
+
+module.exports = {
+  estimateTokens,
+  prepareHistory,
+  historyFromClientMessages,
+  formatHistoryForPrompt
+};
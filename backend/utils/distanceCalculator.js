@@ -1,4 +1,5 @@
 // backend/utils/distanceCalculator.js - FIXED VERSION
+const routingEngine = require('./routingEngine');
 
 class DistanceCalculator {
   constructor() {
@@ -43,7 +44,8 @@ class DistanceCalculator {
   }
 
   /**
-   * FIXED: Calculate driving distance and time with consistent coordinate handling
+   * FIXED: Calculate driving distance and time with consistent coordinate handling.
+   * The numbers come from routingEngine, whose backend is reported in `method`.
    */
   async calculateDrivingDistance(from, to) {
     try {
@@ -65,27 +67,18 @@ class DistanceCalculator {
         throw new Error('Coordinates out of valid range');
       }
 
-      const straightDistance = this.calculateDistance(fromLat, fromLng, toLat, toLng);
-
-      // Simulate driving distance (typically 1.3-1.5x straight-line distance)
-      const drivingDistance = straightDistance * 1.4;
-      
-      // Estimate driving time based on distance and terrain
-      let estimatedSpeed = 40; // km/h average speed
-      
-      if (straightDistance < 20) {
-        estimatedSpeed = 25; // City traffic
-      } else if (straightDistance > 100) {
-        estimatedSpeed = 60; // Highway
-      }
-
-      const drivingTime = (drivingDistance / estimatedSpeed) * 60; // Convert to minutes
+      // Road network when a graph is built, otherwise the 1.4x straight-line estimate
+      const leg = await routingEngine.getLeg(
+        { latitude: fromLat, longitude: fromLng },
+        { latitude: toLat, longitude: toLng }
+      );
 
       return {
-        distance: Math.round(drivingDistance * 100) / 100, // Round to 2 decimal places
-        duration: Math.round(drivingTime),
-        estimatedSpeed,
-        method: 'estimated',
+        distance: leg.distance,
+        duration: leg.duration,
+        estimatedSpeed: leg.estimatedSpeed,
+        method: leg.method,
+        backend: leg.backend,
         coordinates: {
           from: { lat: fromLat, lng: fromLng },
           to: { lat: toLat, lng: toLng }
@@ -0,0 +1,349 @@
+// backend/utils/llmClient.js - One client for every AI call: Gemini, any OpenAI-compatible endpoint, or an offline mock
+const axios = require('axios');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { getMockResponse } = require('./llmMockResponses');
+const { validateSchema } = require('./schemaValidator');
+
+const DEFAULT_MODELS = {
+  gemini: 'gemini-1.5-flash-latest',
+  openai: 'gpt-4o-mini',
+  mock: 'mock-guide'
+};
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_TIMEOUT_MS = 30000;
+
+// How much of a bad reply, and how many of its problems, go back to the model for repair
+const MAX_REPAIR_REPLY_CHARS = 12000;
+const MAX_REPAIR_ERRORS = 20;
+
+/**
+ * Every provider takes a prompt string plus options
+ * { system, temperature, maxTokens, json, task, signal } and implements
+ * generate() -> Promise<string> and stream() -> async iterable of text chunks.
+ * `task` names the call site (e.g. 'chat', 'tripAnalysis'); only the mock uses it.
+ * `signal` is an AbortSignal that cancels the request upstream.
+ */
+
+class GeminiProvider {
+  constructor({ apiKey, model }) {
+    this.name = 'gemini';
+    this.model = model;
+    this.client = new GoogleGenerativeAI(apiKey);
+  }
+
+  getModel(options) {
+    const generationConfig = {};
+    if (options.temperature !== undefined) generationConfig.temperature = options.temperature;
+    if (options.maxTokens) generationConfig.maxOutputTokens = options.maxTokens;
+    if (options.json) generationConfig.responseMimeType = 'application/json';
+
+    return this.client.getGenerativeModel({
+      model: this.model,
+      generationConfig,
+      ...(options.system ? { systemInstruction: options.system } : {})
+    });
+  }
+
+  getRequestOptions(options) {
+    return options.signal ? { signal: options.signal } : {};
+  }
+
+  async generate(prompt, options) {
+    const result = await this.getModel(options).generateContent(prompt, this.getRequestOptions(options));
+    return result.response.text();
+  }
+
+  async *stream(prompt, options) {
+    const result = await this.getModel(options).generateContentStream(prompt, this.getRequestOptions(options));
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      if (text) yield text;
+    }
+  }
+}
+
+// Chat Completions API: OpenAI itself, or Ollama / vLLM / LM Studio / OpenRouter via OPENAI_BASE_URL
+class OpenAICompatibleProvider {
+  constructor({ apiKey, baseUrl, model, timeoutMs }) {
+    this.name = 'openai';
+    this.model = model;
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.timeoutMs = timeoutMs;
+  }
+
+  buildRequest(prompt, options, stream) {
+    const messages = [];
+    if (options.system) messages.push({ role: 'system', content: options.system });
+    messages.push({ role: 'user', content: prompt });
+
+    return {
+      model: this.model,
+      messages,
+      stream,
+      ...(options.temperature !== undefined ? { temperature: options.temperature } : {}),
+      ...(options.maxTokens ? { max_tokens: options.maxTokens } : {})
+    };
+  }
+
+  getHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+    };
+  }
+
+  async generate(prompt, options) {
+    const response = await axios.post(
+      `${this.baseUrl}/chat/completions`,
+      this.buildRequest(prompt, options, false),
+      { headers: this.getHeaders(), timeout: this.timeoutMs, signal: options.signal }
+    );
+
+    const content = response.data?.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new Error('LLM response had no message content');
+    }
+    return content;
+  }
+
+  // Server-sent events: "data: {json}" lines, ending with "data: [DONE]"
+  async *stream(prompt, options) {
+    const response = await axios.post(
+      `${this.baseUrl}/chat/completions`,
+      this.buildRequest(prompt, options, true),
+      { headers: this.getHeaders(), timeout: this.timeoutMs, responseType: 'stream', signal: options.signal }
+    );
+
+    let buffer = '';
+    for await (const chunk of response.data) {
+      buffer += chunk.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const data = line.trim();
+        if (!data.startsWith('data:')) continue;
+        const payload = data.slice(5).trim();
+        if (payload === '[DONE]') return;
+        try {
+          const text = JSON.parse(payload).choices?.[0]?.delta?.content;
+          if (text) yield text;
+        } catch (error) {
+          console.warn('Skipping malformed LLM stream event:', payload.substring(0, 100));
+        }
+      }
+    }
+  }
+}
+
+// Offline and deterministic: the same prompt always gets the same answer.
+// LLM_MOCK_STREAM_DELAY_MS paces stream() like a real model, for UI work.
+class MockProvider {
+  constructor({ model, streamDelayMs }) {
+    this.name = 'mock';
+    this.model = model;
+    this.streamDelayMs = streamDelayMs;
+  }
+
+  async generate(prompt, options) {
+    return getMockResponse(prompt, options);
+  }
+
+  async *stream(prompt, options) {
+    const text = getMockResponse(prompt, options);
+    // Word-sized chunks, whitespace kept, so the pieces join back to the full text
+    for (const piece of text.match(/\S+\s*/g) || []) {
+      if (this.streamDelayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.streamDelayMs));
+      }
+      if (options.signal?.aborted) return;
+      yield piece;
+    }
+  }
+}
+
+function buildRepairPrompt(prompt, reply, errors) {
+  return `${prompt}
+
+---
+Your previous reply to the request above did not match the required JSON format.
+
+YOUR PREVIOUS REPLY:
+${reply.substring(0, MAX_REPAIR_REPLY_CHARS)}
+
+PROBLEMS FOUND:
+${errors.slice(0, MAX_REPAIR_ERRORS).map(error => `- ${error.path} ${error.message}`).join('\n')}
+
+Return ONLY the corrected JSON object. Fix every problem listed, keep every other value as it was, and add no text outside the JSON.`;
+}
+
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`LLM request timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+class LLMClient {
+  constructor() {
+    this.configure();
+  }
+
+  /**
+   * Pick the provider. LLM_PROVIDER (gemini | openai | mock) wins; without it
+   * a GEMINI_API_KEY selects Gemini and an OPENAI_API_KEY or OPENAI_BASE_URL
+   * selects the OpenAI-compatible adapter. With none of these the client is
+   * unavailable and callers use their rule-based fallbacks, as before.
+   * LLM_MODEL overrides the provider's default model.
+   */
+  configure(config = {}) {
+    const env = process.env;
+    const providerName = config.provider || env.LLM_PROVIDER ||
+      (env.GEMINI_API_KEY ? 'gemini' : (env.OPENAI_API_KEY || env.OPENAI_BASE_URL) ? 'openai' : null);
+
+    this.provider = null;
+    this.providerError = null;
+    this.timeoutMs = config.timeoutMs || parseInt(env.LLM_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+
+    if (!providerName) {
+      this.providerError = 'No LLM provider configured';
+      return;
+    }
+
+    const model = config.model || env.LLM_MODEL || DEFAULT_MODELS[providerName];
+
+    if (providerName === 'gemini') {
+      const apiKey = config.apiKey || env.GEMINI_API_KEY;
+      if (!apiKey) {
+        this.providerError = 'LLM_PROVIDER is gemini but GEMINI_API_KEY is not set';
+      } else {
+        this.provider = new GeminiProvider({ apiKey, model });
+      }
+    } else if (providerName === 'openai') {
+      this.provider = new OpenAICompatibleProvider({
+        apiKey: config.apiKey || env.OPENAI_API_KEY,
+        baseUrl: config.baseUrl || env.OPENAI_BASE_URL || DEFAULT_OPENAI_BASE_URL,
+        model,
+        timeoutMs: this.timeoutMs
+      });
+    } else if (providerName === 'mock') {
+      this.provider = new MockProvider({
+        model,
+        streamDelayMs: config.streamDelayMs ?? (parseInt(env.LLM_MOCK_STREAM_DELAY_MS, 10) || 0)
+      });
+    } else {
+      this.providerError = `Unknown LLM_PROVIDER: ${providerName} (use gemini, openai or mock)`;
+    }
+
+    if (this.providerError) {
+      console.warn(`⚠️ ${this.providerError}; AI features will use fallbacks`);
+    }
+  }
+
+  isAvailable() {
+    return !!this.provider;
+  }
+
+  getInfo() {
+    return {
+      available: this.isAvailable(),
+      provider: this.provider?.name || null,
+      model: this.provider?.model || null,
+      error: this.providerError
+    };
+  }
+
+  requireProvider() {
+    if (!this.provider) {
+      throw new Error(this.providerError);
+    }
+    return this.provider;
+  }
+
+  // Plain text completion
+  async generate(prompt, options = {}) {
+    const provider = this.requireProvider();
+    return withTimeout(provider.generate(prompt, options), options.timeoutMs || this.timeoutMs);
+  }
+
+  // Completion parsed as JSON; throws when the reply holds no valid JSON object
+  async generateJSON(prompt, options = {}) {
+    const text = await this.generate(prompt, { ...options, json: true });
+    return this.parseJSON(text);
+  }
+
+  /**
+   * JSON completion checked against a schema from config/aiSchemas.js. A
+   * reply that does not parse or has field errors is sent back once with the
+   * problems listed. Bad output never throws; the caller gets
+   * { data, errors, repaired, attempts } and decides what to fall back to.
+   * Provider failures (no key, timeout, network) do throw.
+   * `normalize(data)` may tidy known model quirks before validation.
+   */
+  async generateStructured(prompt, schema, options = {}) {
+    const { normalize, ...generateOptions } = options;
+
+    const check = text => {
+      let data;
+      try {
+        data = this.parseJSON(text);
+      } catch (error) {
+        return { data: null, errors: [{ path: '$', message: `is not valid JSON (${error.message})` }] };
+      }
+      if (normalize) data = normalize(data);
+      return { data, errors: validateSchema(data, schema) };
+    };
+
+    const reply = await this.generate(prompt, { ...generateOptions, json: true });
+    const first = check(reply);
+    if (first.errors.length === 0) {
+      return { ...first, repaired: false, attempts: 1 };
+    }
+
+    console.warn(`⚠️ AI ${options.task || 'JSON'} reply has ${first.errors.length} schema problem(s), asking for a repair`);
+    let second;
+    try {
+      const repairReply = await this.generate(buildRepairPrompt(prompt, reply, first.errors), {
+        ...generateOptions,
+        json: true,
+        task: options.task && `${options.task}:repair`
+      });
+      second = check(repairReply);
+    } catch (error) {
+      console.warn('AI repair request failed:', error.message);
+      return { ...first, repaired: false, attempts: 2 };
+    }
+
+    // Keep the repair unless it made things worse
+    if (second.data && (!first.data || second.errors.length <= first.errors.length)) {
+      return { ...second, repaired: true, attempts: 2 };
+    }
+    return { ...first, repaired: false, attempts: 2 };
+  }
+
+  /**
+   * Text chunks as the model produces them:
+   *   for await (const chunk of llmClient.stream(prompt)) res.write(chunk);
+   */
+  async *stream(prompt, options = {}) {
+    const provider = this.requireProvider();
+    yield* provider.stream(prompt, options);
+  }
+
+  // Models wrap JSON in code fences or chatter; take the outermost object
+  parseJSON(text) {
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    const candidate = fenced ? fenced[1] : text;
+    const start = candidate.indexOf('{');
+    const end = candidate.lastIndexOf('}');
+
+    if (start === -1 || end <= start) {
+      throw new Error('No JSON object in LLM response');
+    }
+    return JSON.parse(candidate.slice(start, end + 1));
+  }
+}
+
+module.exports = new LLMClient();
@@ -0,0 +1,193 @@
+// backend/utils/locationResolver.js - Turn request input into trip start/end locations
+
+const User = require('../models/User');
+const osmHelpers = require('./osmHelpers');
+const {
+  USER_LOCATIONS,
+  DEFAULT_LOCATION_ID,
+  ROUTE_END_MODES,
+  getRouteEndMode,
+  createCustomLocation,
+  standardizeLocationFormat
+} = require('../config/locations');
+
+const MAX_GEOCODE_CACHE = 500;
+const geocodeCache = new Map();
+
+/**
+ * Resolve one location spec into a standardized location.
+ * Accepted forms:
+ *   'chennai' or { locationId: 'chennai' }  - a configured location
+ *   { latitude, longitude, name? }          - any coordinate, e.g. live GPS
+ *   { address: 'Hotel ..., Coimbatore' }    - geocoded with Nominatim
+ *   { savedLocationId }                     - one of the user's saved locations
+ * Returns { location } or { error }.
+ */
+async function resolveLocation(spec, { userId, role = 'start' } = {}) {
+  if (typeof spec === 'string') {
+    return resolveConfiguredLocation(spec, role);
+  }
+
+  if (!spec || typeof spec !== 'object') {
+    return { error: `${role} location must be a location ID or an object` };
+  }
+
+  if (spec.savedLocationId) {
+    return resolveSavedLocation(spec.savedLocationId, userId, role);
+  }
+
+  const coordinates = spec.coordinates || spec.location || spec;
+  if (coordinates.latitude !== undefined && coordinates.longitude !== undefined) {
+    const location = createCustomLocation(coordinates.latitude, coordinates.longitude, {
+      ...spec,
+      name: spec.name || (role === 'start' ? 'Current position' : 'End point'),
+      source: spec.source || 'coordinates'
+    });
+
+    return location
+      ? { location }
+      : { error: `${role} location has invalid coordinates` };
+  }
+
+  if (spec.address) {
+    return geocodeLocation(spec.address, { name: spec.name, role });
+  }
+
+  if (spec.locationId || spec.id) {
+    return resolveConfiguredLocation(spec.locationId || spec.id, role);
+  }
+
+  return { error: `${role} location needs a locationId, coordinates, address or savedLocationId` };
+}
+
+/**
+ * Resolve the start and optional end of a trip from a request body.
+ * Start: constraints.startCoordinates (live position), then startLocation,
+ * then a location ID (userLocationId / startLocationId), then the default.
+ * This matches the precedence the optimizers use.
+ * End: set by endMode - 'open' (last place), 'return' (the start) or
+ * 'fixed' (constraints.endLocation). Without endMode it is inferred from
+ * endLocation / returnToStart.
+ * Returns { startLocation, endLocation, endMode, errors }.
+ */
+async function resolveTripEndpoints(source = {}, { userId } = {}) {
+  const constraints = source.constraints || {};
+  const errors = [];
+
+  const startSpec = constraints.startCoordinates
+    || constraints.startLocation
+    || source.startLocation
+    || source.userLocationId
+    || constraints.startLocationId
+    || source.preferences?.userLocationId
+    || DEFAULT_LOCATION_ID;
+
+  const start = await resolveLocation(startSpec, { userId, role: 'start' });
+  if (start.error) errors.push(start.error);
+
+  const endSpec = constraints.endLocation || source.endLocation;
+  const endMode = getRouteEndMode({
+    endMode: constraints.endMode || source.endMode,
+    endLocation: endSpec,
+    returnToStart: constraints.returnToStart || source.returnToStart
+  });
+
+  let endLocation = null;
+
+  if (!ROUTE_END_MODES.includes(endMode)) {
+    errors.push(`endMode must be one of: ${ROUTE_END_MODES.join(', ')}`);
+  } else if (endMode === 'return') {
+    endLocation = start.location || null;
+  } else if (endMode === 'fixed') {
+    if (!endSpec) {
+      errors.push('endMode "fixed" needs an endLocation');
+    } else {
+      const end = await resolveLocation(endSpec, { userId, role: 'end' });
+      if (end.error) errors.push(end.error);
+      endLocation = end.location || null;
+    }
+  }
+
+  return {
+    startLocation: start.location || null,
+    endLocation,
+    endMode,
+    errors
+  };
+}
+
+// Helper functions
+
+function resolveConfiguredLocation(locationId, role) {
+  const location = USER_LOCATIONS[locationId];
+
+  if (!location) {
+    return {
+      error: `Unknown ${role} location ID: ${locationId}. Pass coordinates or an address instead, or one of: ${Object.keys(USER_LOCATIONS).join(', ')}`
+    };
+  }
+
+  return { location: { ...standardizeLocationFormat(location), source: 'preset' } };
+}
+
+async function resolveSavedLocation(savedLocationId, userId, role) {
+  if (!userId) {
+    return { error: `Log in to use a saved ${role} location` };
+  }
+
+  const user = await User.findById(userId).select('savedLocations').lean();
+  const saved = user?.savedLocations?.find(entry => entry._id.toString() === String(savedLocationId));
+
+  if (!saved) {
+    return { error: `Saved ${role} location not found` };
+  }
+
+  return {
+    location: createCustomLocation(saved.latitude, saved.longitude, {
+      id: `saved:${saved._id}`,
+      name: saved.label,
+      address: saved.address,
+      source: 'saved'
+    })
+  };
+}
+
+async function geocodeLocation(address, { name, role }) {
+  const query = String(address).trim();
+  const cacheKey = query.toLowerCase();
+
+  if (!geocodeCache.has(cacheKey)) {
+    let results;
+    try {
+      results = await osmHelpers.geocodeAddress(query);
+    } catch (error) {
+      return { error: `Could not look up the ${role} address right now` };
+    }
+
+    if (results.length === 0) {
+      return { error: `Could not find the ${role} address: ${query}` };
+    }
+
+    if (geocodeCache.size >= MAX_GEOCODE_CACHE) {
+      geocodeCache.delete(geocodeCache.keys().next().value);
+    }
+    geocodeCache.set(cacheKey, results[0]);
+  }
+
+  const result = geocodeCache.get(cacheKey);
+
+  return {
+    location: createCustomLocation(result.latitude, result.longitude, {
+      name: name || result.displayName.split(',')[0],
+      address: result.displayName,
+      district: result.address?.state_district || result.address?.city,
+      state: result.address?.state,
+      source: 'address'
+    })
+  };
+}
+
+module.exports = {
+  resolveLocation,
+  resolveTripEndpoints
+};
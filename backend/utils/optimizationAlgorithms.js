@@ -1,24 +1,199 @@
 // backend/utils/optimizationAlgorithms.js - COMPLETE WORKING VERSION
 const DistanceCalculator = require('./distanceCalculator');
-
-// Mock locations if config is not available
-const USER_LOCATIONS = {
-  coimbatore: {
-    name: 'Coimbatore',
-    coordinates: { latitude: 11.0168, longitude: 76.9558 }
+const routingEngine = require('./routingEngine');
+const osmHelpers = require('./osmHelpers');
+const { createRandom } = require('./seededRandom');
+const {
+  getAllLocations,
+  USER_LOCATIONS,
+  DEFAULT_LOCATION_ID,
+  ROUTE_END_MODES,
+  getRouteEndMode
+} = require('../config/locations');
+
+// Above this many places the time-window solver switches from exact DP to insertion
+const TSPTW_EXACT_LIMIT = 12;
+
+// Optimizers that applyOptimizationAlgorithm can run, keyed by the name clients send
+const AVAILABLE_ALGORITHMS = [
+  {
+    id: 'advancedGreedy',
+    name: 'Smart Timing-Aware Greedy',
+    description: 'Picks the best next place by rating, distance, timing and cost',
+    bestFor: 'Most day trips',
+    complexity: 'O(n²)'
+  },
+  {
+    id: 'genetic',
+    name: 'Genetic Algorithm',
+    description: 'Evolves a population of routes towards the shortest, best-rated order',
+    bestFor: 'Many places spread over a large area',
+    complexity: 'O(g × p × n)',
+    params: { generations: 100, populationSize: 50, eliteSize: 10, mutationRate: 0.2, crossoverRate: 0.8, seed: 'optional' },
+    paramLimits: {
+      generations: { min: 1, max: 300, integer: true },
+      populationSize: { min: 4, max: 150, integer: true },
+      eliteSize: { min: 1, max: 30, integer: true },
+      mutationRate: { min: 0, max: 1 },
+      crossoverRate: { min: 0, max: 1 }
+    }
+  },
+  {
+    id: 'nearestNeighbor',
+    name: 'Nearest Neighbor',
+    description: 'Always drives to the closest unvisited place',
+    bestFor: 'Places far apart where travel time dominates',
+    complexity: 'O(n²)'
   },
-  chennai: {
-    name: 'Chennai',
-    coordinates: { latitude: 13.0827, longitude: 80.2707 }
+  {
+    id: 'dynamicProgramming',
+    name: 'Dynamic Programming TSP',
+    description: 'Exact shortest route through every place; ignores opening hours',
+    bestFor: 'Up to 12 places without tight opening hours',
+    complexity: 'O(n² × 2ⁿ)',
+    maxPlaces: 12
   },
-  bangalore: {
-    name: 'Bangalore',
-    coordinates: { latitude: 12.9716, longitude: 77.5946 }
+  {
+    id: 'timeWindowTSP',
+    name: 'Time-Window TSP',
+    description: 'Treats opening hours (including midday closures) as hard limits, waits for places to open, and explains any place that cannot fit',
+    bestFor: 'Temples and museums with short or split opening hours',
+    complexity: `O(n² × 2ⁿ) up to ${TSPTW_EXACT_LIMIT} places, O(n⁴) insertion above`
+  },
+  {
+    id: 'simulatedAnnealing',
+    name: 'Simulated Annealing',
+    description: 'Chooses the best-rated subset of a large catalog that fits the day and budget, then orders it',
+    bestFor: 'Picking from 25-100 candidate places',
+    complexity: 'O(iterations × n)',
+    maxPlaces: 100,
+    params: { iterations: 20000, initialTemperature: 2, finalTemperature: 0.01, seed: 'optional' },
+    paramLimits: {
+      iterations: { min: 1, max: 100000, integer: true },
+      initialTemperature: { min: 0.01, max: 100 },
+      finalTemperature: { min: 0.0001, max: 10 }
+    }
+  },
+  {
+    id: 'antColony',
+    name: 'Ant Colony Optimization',
+    description: 'Ants build day routes guided by pheromone trails and keep the best-scoring subset',
+    bestFor: 'Picking from 25-100 candidate places spread over a region',
+    complexity: 'O(iterations × ants × n²)',
+    maxPlaces: 100,
+    params: { iterations: 60, antCount: 20, alpha: 1, beta: 2, evaporation: 0.1, seed: 'optional' },
+    paramLimits: {
+      iterations: { min: 1, max: 300, integer: true },
+      antCount: { min: 1, max: 60, integer: true },
+      alpha: { min: 0, max: 5 },
+      beta: { min: 0, max: 5 },
+      evaporation: { min: 0.01, max: 1 }
+    }
   }
+];
+
+// HH:MM for fixedArrival / earliest / latest on a place
+const VISIT_TIME_PATTERN = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Meal and rest breaks used when constraints.breaks is true (an array replaces them)
+const DEFAULT_BREAKS = [
+  { id: 'lunch', label: 'Lunch', type: 'meal', earliest: '12:30', latest: '14:00', duration: 60 }
+];
+
+// How far from the stop where a meal break falls to look for restaurants (metres)
+const BREAK_RESTAURANT_RADIUS = 1500;
+// Restaurant lookups by rounded coordinate, kept for the life of the process
+const restaurantCache = new Map();
+
+// Greedy scoring weights; each criterion is scored 0-1 in calculateMultiCriteriaScore
+const DEFAULT_GREEDY_WEIGHTS = {
+  rating: 0.25,
+  distance: 0.20,
+  timing: 0.25,
+  cost: 0.10,
+  userPreference: 0.15,
+  crowdLevel: 0.05
 };
 
-function getLocationById(locationId) {
-  return USER_LOCATIONS[locationId] || USER_LOCATIONS.coimbatore;
+// Weight profiles the greedy builder is re-run with to find alternative routes.
+// The blends fill in the Pareto front between the single-objective extremes.
+const ROUTE_OPTION_PROFILES = [
+  { id: 'balanced', weights: DEFAULT_GREEDY_WEIGHTS },
+  { id: 'cheapest', weights: { rating: 0.10, distance: 0.15, timing: 0.15, cost: 0.50, userPreference: 0.05, crowdLevel: 0.05 } },
+  { id: 'shortestDrive', weights: { rating: 0.10, distance: 0.55, timing: 0.15, cost: 0.05, userPreference: 0.05, crowdLevel: 0.10 } },
+  { id: 'highestRated', weights: { rating: 0.55, distance: 0.10, timing: 0.15, cost: 0.05, userPreference: 0.10, crowdLevel: 0.05 } },
+  { id: 'leastCrowded', weights: { rating: 0.15, distance: 0.10, timing: 0.15, cost: 0.05, userPreference: 0.05, crowdLevel: 0.50 } },
+  { id: 'cheapAndClose', weights: { rating: 0.10, distance: 0.35, timing: 0.10, cost: 0.35, userPreference: 0.05, crowdLevel: 0.05 } },
+  { id: 'ratedAndQuiet', weights: { rating: 0.40, distance: 0.10, timing: 0.10, cost: 0.00, userPreference: 0.05, crowdLevel: 0.35 } }
+];
+
+// Objectives a route option is judged on. better(a, b) < 0 when a is better.
+// Places visited only counts towards dominance; it does not get its own option.
+const ROUTE_OBJECTIVES = [
+  { id: 'cheapest', label: 'Cheapest', better: (a, b) => a.totalCost - b.totalCost },
+  { id: 'shortestDrive', label: 'Shortest drive', better: (a, b) => a.totalDistance - b.totalDistance },
+  { id: 'highestRated', label: 'Highest rated', better: (a, b) => b.averageRating - a.averageRating },
+  { id: 'leastCrowded', label: 'Least crowded', better: (a, b) => a.crowdLevel - b.crowdLevel },
+  { id: 'mostPlaces', better: (a, b) => b.placesVisited - a.placesVisited }
+];
+
+// A start or end point as { name, coordinates }, from either flat or nested coordinates
+function toRoutePoint(location, defaultName) {
+  if (!location) return null;
+
+  const latitude = parseFloat(location.coordinates?.latitude ?? location.latitude);
+  const longitude = parseFloat(location.coordinates?.longitude ?? location.longitude);
+  if (isNaN(latitude) || isNaN(longitude)) return null;
+
+  return {
+    ...location,
+    name: location.name || defaultName,
+    coordinates: { latitude, longitude }
+  };
+}
+
+/**
+ * Start and optional end of a route. Controllers resolve user input (GPS,
+ * geocoded address, saved location) into constraints.startLocation and
+ * constraints.endLocation; startCoordinates overrides the start for re-plans
+ * and overnight legs. constraints.endMode picks how the route ends: 'open'
+ * (at the last place, no end point), 'return' (back at the start) or 'fixed'
+ * (at endLocation). Unknown location IDs and end modes throw instead of
+ * quietly planning a different route.
+ */
+function resolveRouteEndpoints(constraints = {}) {
+  const { startCoordinates, startLocation, startLocationId, endLocation } = constraints;
+
+  // Where the trip began; a re-plan starts from startCoordinates but still returns here
+  const tripStart = () => {
+    const start = toRoutePoint(startLocation, 'Start');
+    if (start) return start;
+
+    const locationId = startLocationId || DEFAULT_LOCATION_ID;
+    if (!USER_LOCATIONS[locationId]) {
+      throw new Error(`Unknown start location: ${locationId}`);
+    }
+    return toRoutePoint(USER_LOCATIONS[locationId]);
+  };
+
+  const start = toRoutePoint(startCoordinates, 'Current position') || tripStart();
+
+  const endMode = getRouteEndMode(constraints);
+  if (!ROUTE_END_MODES.includes(endMode)) {
+    throw new Error(`Unknown end mode: ${endMode}`);
+  }
+
+  let end = null;
+  if (endMode === 'return') {
+    end = tripStart();
+  } else if (endMode === 'fixed') {
+    end = toRoutePoint(endLocation, 'End point');
+    if (!end) {
+      throw new Error('End mode "fixed" needs an endLocation with coordinates');
+    }
+  }
+
+  return { startLocation: start, endLocation: end, endMode };
 }
 
 class OptimizationAlgorithms {
@@ -28,12 +203,30 @@ class OptimizationAlgorithms {
     this.maxCacheSize = 2000;
   }
 
+  getAvailableAlgorithms() {
+    return AVAILABLE_ALGORITHMS.map(algorithm => ({ ...algorithm }));
+  }
+
+  // Tuning params from the constraints, defaulted and clamped to the algorithm's
+  // paramLimits: the solvers run on the event loop, so no request may ask for hours
+  getTuningParams(algorithmId, constraints = {}) {
+    const { params, paramLimits } = AVAILABLE_ALGORITHMS.find(algorithm => algorithm.id === algorithmId);
+
+    return Object.fromEntries(Object.entries(paramLimits).map(([name, { min, max, integer }]) => {
+      const value = constraints[name];
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return [name, params[name]];
+      }
+      const clamped = Math.min(max, Math.max(min, value));
+      return [name, integer ? Math.round(clamped) : clamped];
+    }));
+  }
+
   /**
    * FIXED: Advanced Greedy Algorithm with Complete Timing Intelligence
    */
   async advancedGreedyOptimization(places, constraints = {}) {
     const {
-      startLocationId = 'coimbatore',
       startTime = '09:00',
       endTime = '18:00',
       userPreferredTimes = ['morning', 'afternoon'],
@@ -53,27 +246,20 @@ class OptimizationAlgorithms {
         preferEvening: false,
         maxTravelTimePercent: 40
       },
-      weights = {
-        rating: 0.25,
-        distance: 0.20,
-        timing: 0.25,
-        cost: 0.10,
-        userPreference: 0.15,
-        crowdLevel: 0.05
-      }
+      weights = DEFAULT_GREEDY_WEIGHTS
     } = constraints;
 
-    console.log(`🧠 Advanced Greedy Algorithm: Processing ${places.length} places from ${startLocationId}`);
-
-    const userLocation = getLocationById(startLocationId);
+    const { startLocation: userLocation, endLocation, endMode } = resolveRouteEndpoints(constraints);
     const startLocation = userLocation.coordinates;
-    
-    console.log(`📍 Starting from: ${userLocation.name}`);
+    places = this.withoutExcludedPlaces(places);
+
+    console.log(`🧠 Advanced Greedy Algorithm: Processing ${places.length} places`);
+    console.log(`📍 Starting from: ${userLocation.name}${endLocation ? `, ending at ${endLocation.name}` : ''}`);
     console.log(`⏰ Time window: ${startTime} - ${endTime}`);
     console.log(`📅 Day: ${this.getDayName(currentDay)}`);
 
     if (places.length === 0) {
-      return this.createEmptyResult('advanced-greedy', userLocation);
+      return this.createEmptyResult('advanced-greedy', userLocation, { endLocation, endMode });
     }
 
     // PHASE 1: Validate places with timing intelligence
@@ -90,12 +276,14 @@ class OptimizationAlgorithms {
     console.log(`✅ Timing-validated places: ${validPlaces.length}/${places.length}`);
 
     if (validPlaces.length === 0) {
-      return this.createEmptyResult('advanced-greedy', userLocation, {
+      return this.enforceScheduleConstraints(this.createEmptyResult('advanced-greedy', userLocation, {
+        endLocation,
+        endMode,
         error: 'No places available during specified time window',
         validPlaces: 0,
         totalPlaces: places.length,
         issues: ['All places closed', 'Time constraints too restrictive']
-      });
+      }), places, constraints);
     }
 
     // PHASE 2: Intelligent route building
@@ -104,7 +292,7 @@ class OptimizationAlgorithms {
       startLocation,
       startTime,
       endTime,
-      constraints,
+      { ...constraints, endLocation },
       weights,
       userPreferredTimes,
       userPreferences,
@@ -112,27 +300,36 @@ class OptimizationAlgorithms {
       currentDate
     );
 
-    return {
+    const routeConstraints = { ...constraints, startTime, endTime, currentDay, budget };
+    const improved = await this.improveRouteWithLocalSearch({
       ...result,
       algorithm: 'advanced-greedy',
-      startLocation: userLocation
-    };
+      startLocation: userLocation,
+      endLocation,
+      endMode
+    }, routeConstraints);
+
+    return this.enforceScheduleConstraints(improved, places, routeConstraints);
   }
 
   /**
    * FIXED: Enhanced Genetic Algorithm
+   * Every random step draws from one PRNG seeded with constraints.seed (or a
+   * fresh seed), and the seed is returned so the same route can be rebuilt.
    */
   async geneticAlgorithmOptimization(places, constraints = {}) {
     const {
-      populationSize = 50,
-      generations = 100,
-      mutationRate = 0.2,
-      crossoverRate = 0.8,
-      eliteSize = 10,
-      startLocationId = 'coimbatore'
-    } = constraints;
+      populationSize,
+      generations,
+      mutationRate,
+      crossoverRate,
+      eliteSize
+    } = this.getTuningParams('genetic', constraints);
 
-    console.log(`🧬 Genetic Algorithm: ${places.length} places, ${generations} generations`);
+    const random = createRandom(constraints.seed);
+    places = this.withoutExcludedPlaces(places);
+
+    console.log(`🧬 Genetic Algorithm: ${places.length} places, ${generations} generations, seed ${random.seed}`);
 
     // Use greedy for small problems
     if (places.length < 4) {
@@ -141,7 +338,7 @@ class OptimizationAlgorithms {
     }
 
     try {
-      const userLocation = getLocationById(startLocationId);
+      const { startLocation: userLocation, endLocation, endMode } = resolveRouteEndpoints(constraints);
       const validPlaces = await this.validatePlacesForGenetic(places, constraints);
 
       if (validPlaces.length < 2) {
@@ -150,12 +347,15 @@ class OptimizationAlgorithms {
       }
 
       // Initialize population
-      let population = await this.initializePopulation(validPlaces, populationSize, constraints);
+      let population = await this.initializePopulation(validPlaces, populationSize, constraints, random);
+      const seedRoute = population[0];
       let bestOverallFitness = -Infinity;
       let stagnationCounter = 0;
       let bestSolution = null;
+      let generationsRun = 0;
 
       for (let generation = 0; generation < generations; generation++) {
+        generationsRun = generation + 1;
         try {
           // Evaluate fitness
           const fitnessResults = await this.evaluatePopulationFitness(population, constraints);
@@ -186,7 +386,8 @@ class OptimizationAlgorithms {
             eliteSize, 
             crossoverRate, 
             mutationRate,
-            constraints
+            constraints,
+            random
           );
 
           if (generation % 20 === 0) {
@@ -198,20 +399,64 @@ class OptimizationAlgorithms {
         }
       }
 
-      // Calculate final metrics
       const finalRoute = bestSolution || population[0] || [];
-      const metrics = await this.calculateRouteMetrics(finalRoute, constraints);
 
       console.log(`🎯 Genetic algorithm complete: Best fitness = ${bestOverallFitness.toFixed(4)}`);
 
-      return {
-        route: finalRoute,
-        ...metrics,
+      // Individuals mix the greedy seed's timed stops with untimed places (fitness
+      // only reads locations, durations, fees and ratings), so time the winner afresh
+      const {
+        startTime = '09:00',
+        endTime = '18:00',
+        currentDay = new Date().getDay(),
+        budget = Infinity
+      } = constraints;
+      const timeWindowOptions = {
+        dayName: this.getDayName(currentDay),
+        tripStart: this.parseTime(startTime),
+        tripEnd: this.parseTime(endTime),
+        budget,
+        breaks: this.getBreaks(constraints)
+      };
+      const timeRoute = async route => {
+        const problem = await this.buildTimeWindowProblem(route, userLocation, endLocation, timeWindowOptions);
+        const order = route.map((place, index) => index);
+        return {
+          violations: this.simulateTimeWindowRoute(problem, order, { strict: false })?.violations || 0,
+          result: this.buildTimeWindowResult(problem, order, { startTime, endLocation, strict: false })
+        };
+      };
+
+      // Fitness never sees opening hours or the trip end, so the winner can overrun
+      // the day; the greedy seed keeps to it where it can
+      let timed = await timeRoute(finalRoute);
+      if (timed.violations > 0 && seedRoute && seedRoute !== finalRoute) {
+        const seedTimed = await timeRoute(seedRoute);
+        if (seedTimed.violations < timed.violations) {
+          console.log(`🧬 Winner breaks ${timed.violations} time limits, keeping the greedy seed (${seedTimed.violations})`);
+          timed = seedTimed;
+        }
+      }
+
+      let improved = await this.improveRouteWithLocalSearch({
+        ...timed.result,
         algorithm: 'genetic',
         startLocation: userLocation,
-        generations: generation + 1,
-        finalFitness: bestOverallFitness
-      };
+        endLocation,
+        endMode,
+        generations: generationsRun,
+        finalFitness: bestOverallFitness,
+        seed: random.seed
+      }, constraints);
+
+      // enforceScheduleConstraints reports what is still broken when it runs
+      if (!this.needsScheduleEnforcement(places, constraints) && improved.route.length > 0) {
+        const problem = await this.buildTimeWindowProblem(improved.route, userLocation, endLocation, timeWindowOptions);
+        const simulation = this.simulateTimeWindowRoute(problem, improved.route.map((place, index) => index), { strict: false });
+        improved = { ...improved, warnings: this.describeScheduleViolations(problem, simulation) };
+      }
+
+      return this.enforceScheduleConstraints(improved, places, constraints);
 
     } catch (error) {
       console.error('Genetic algorithm failed:', error);
@@ -223,15 +468,16 @@ class OptimizationAlgorithms {
    * FIXED: Nearest Neighbor Algorithm
    */
   async nearestNeighborOptimization(places, constraints = {}) {
-    const { startLocationId = 'coimbatore', budget = Infinity } = constraints;
+    const { budget = Infinity } = constraints;
+    places = this.withoutExcludedPlaces(places);
     
     console.log(`🔍 Nearest Neighbor Algorithm: ${places.length} places`);
 
-    const userLocation = getLocationById(startLocationId);
+    const { startLocation: userLocation, endLocation, endMode } = resolveRouteEndpoints(constraints);
     const startLocation = userLocation.coordinates;
 
     if (places.length === 0) {
-      return this.createEmptyResult('nearest-neighbor', userLocation);
+      return this.createEmptyResult('nearest-neighbor', userLocation, { endLocation, endMode });
     }
 
     const route = [];
@@ -279,13 +525,20 @@ class OptimizationAlgorithms {
       }
     }
 
+    let endLeg = null;
+    if (endLocation && route.length > 0) {
+      const closingDistance = await this.calculateDistance(currentLocation, endLocation.coordinates);
+      totalDistance += closingDistance;
+      endLeg = { name: endLocation.name, distance: closingDistance, travelTime: Math.round(closingDistance * 1.5) };
+    }
+
     // Add travel time estimate
     const travelTimeEstimate = Math.round(totalDistance * 1.5); // ~1.5 min per km
     const totalTimeWithTravel = totalTime + travelTimeEstimate;
 
     console.log(`🎯 Nearest neighbor complete: ${route.length} places selected`);
 
-    return {
+    const improved = await this.improveRouteWithLocalSearch({
       route,
       totalTime: totalTimeWithTravel,
       totalTravelTime: travelTimeEstimate,
@@ -294,15 +547,21 @@ class OptimizationAlgorithms {
       totalCost,
       efficiency: this.calculateBasicEfficiency(route, totalTimeWithTravel),
       algorithm: 'nearest-neighbor',
-      startLocation: userLocation
-    };
+      startLocation: userLocation,
+      endLocation,
+      endMode,
+      endLeg
+    }, constraints);
+
+    return this.enforceScheduleConstraints(improved, places, constraints);
   }
 
   /**
    * FIXED: Dynamic Programming Algorithm (for small problems)
    */
   async dynamicProgrammingOptimization(places, constraints = {}) {
-    const { startLocationId = 'coimbatore', budget = Infinity } = constraints;
+    const { budget = Infinity } = constraints;
+    places = this.withoutExcludedPlaces(places);
     
     console.log(`💎 Dynamic Programming Algorithm: ${places.length} places`);
 
@@ -312,30 +571,503 @@ class OptimizationAlgorithms {
       return this.geneticAlgorithmOptimization(places, constraints);
     }
 
-    const userLocation = getLocationById(startLocationId);
+    const { startLocation: userLocation, endLocation, endMode } = resolveRouteEndpoints(constraints);
     
     if (places.length === 0) {
-      return this.createEmptyResult('dynamic-programming', userLocation);
+      return this.createEmptyResult('dynamic-programming', userLocation, { endLocation, endMode });
     }
 
     try {
-      const result = await this.solveTSPWithDP(places, userLocation.coordinates, budget);
+      const { closingLeg, ...result } = await this.solveTSPWithDP(places, userLocation.coordinates, budget, endLocation?.coordinates);
       
       console.log(`🎯 Dynamic programming complete: ${result.route.length} places`);
 
-      return {
+      return this.enforceScheduleConstraints({
         ...result,
         algorithm: 'dynamic-programming',
-        startLocation: userLocation
-      };
+        startLocation: userLocation,
+        endLocation,
+        endMode,
+        endLeg: closingLeg ? { name: endLocation.name, ...closingLeg } : null
+      }, places, constraints);
     } catch (error) {
       console.error('Dynamic programming failed:', error);
       return this.nearestNeighborOptimization(places, constraints);
     }
   }
 
+  /**
+   * Time-Window TSP (TSPTW)
+   * Each place's opening hours for the trip weekday are hard windows: a visit
+   * must start and finish inside one window, arriving early means waiting, and
+   * the whole day must fit between startTime and endTime (including the drive
+   * to the end point). Solved exactly for small trips and by cheapest feasible
+   * insertion above that. Places that cannot fit are returned in droppedPlaces
+   * with the reason.
+   */
+  async timeWindowTSPOptimization(places, constraints = {}) {
+    const {
+      startTime = '09:00',
+      endTime = '18:00',
+      currentDay = new Date().getDay(),
+      budget = Infinity
+    } = constraints;
+
+    const { startLocation: userLocation, endLocation, endMode } = resolveRouteEndpoints(constraints);
+    const dayName = this.getDayName(currentDay);
+    places = this.withoutExcludedPlaces(places);
+
+    console.log(`🕰️ Time-Window TSP: ${places.length} places on ${dayName}, ${startTime} - ${endTime}`);
+
+    if (places.length === 0) {
+      return this.createEmptyResult('time-window-tsp', userLocation, { endLocation, endMode, feasible: true, droppedPlaces: [] });
+    }
+
+    const problem = await this.buildTimeWindowProblem(places, userLocation, endLocation, {
+      dayName,
+      tripStart: this.parseTime(startTime),
+      tripEnd: this.parseTime(endTime),
+      budget,
+      breaks: this.getBreaks(constraints)
+    });
+
+    const solution = problem.stops.length <= TSPTW_EXACT_LIMIT
+      ? this.solveTimeWindowExact(problem)
+      : this.solveTimeWindowInsertion(problem);
+
+    const routeIndexes = new Set(solution.order);
+    const droppedPlaces = problem.stops
+      .filter((stop, index) => !routeIndexes.has(index))
+      .map(stop => ({
+        ...stop.place,
+        dropReason: this.explainTimeWindowInfeasibility(problem, stop.index, solution.order)
+      }));
+
+    let result = this.buildTimeWindowResult(problem, solution.order, { startTime, endLocation });
+    if (solution.method === 'insertion') {
+      // Insertion can leave crossings; local search keeps every window intact
+      result = await this.improveRouteWithLocalSearch(result, constraints);
+    }
+    const feasible = droppedPlaces.length === 0;
+
+    console.log(`🎯 Time-Window TSP (${solution.method}) complete: ${result.route.length}/${places.length} places${feasible ? '' : `, ${droppedPlaces.length} cannot fit`}`);
+
+    return this.enforceScheduleConstraints({
+      ...result,
+      algorithm: 'time-window-tsp',
+      solver: solution.method,
+      startLocation: userLocation,
+      endLocation,
+      endMode,
+      feasible,
+      droppedPlaces,
+      infeasibility: feasible ? null : {
+        summary: `${droppedPlaces.length} of ${places.length} places cannot be visited on ${dayName} between ${startTime} and ${endTime}`,
+        places: droppedPlaces.map(place => ({
+          id: this.getPlaceKey(place),
+          name: place.name,
+          reason: place.dropReason
+        }))
+      },
+      warnings: droppedPlaces.map(place => `${place.name}: ${place.dropReason}`)
+    }, places, constraints);
+  }
+
+  /**
+   * Simulated Annealing (orienteering)
+   * Picks which places to visit as well as the order: maximizes the summed
+   * place ratings minus a small distance penalty while every stop keeps its
+   * opening hours, the day ends by endTime and entry fees stay within budget.
+   * Moves insert, remove, replace, relocate or reverse stops; worse routes are
+   * accepted with a probability that falls as the temperature cools.
+   */
+  async simulatedAnnealingOptimization(places, constraints = {}) {
+    const {
+      iterations,
+      initialTemperature,
+      finalTemperature
+    } = this.getTuningParams('simulatedAnnealing', constraints);
+
+    console.log(`🔥 Simulated Annealing: choosing from ${places.length} places, ${iterations} iterations`);
+
+    return this.runOrienteeringOptimization(places, constraints, 'simulated-annealing', (problem, random) =>
+      this.solveOrienteeringWithAnnealing(problem, random, { iterations, initialTemperature, finalTemperature })
+    );
+  }
+
+  /**
+   * Ant Colony Optimization (orienteering)
+   * Each ant builds a feasible day route stop by stop, choosing the next place
+   * by pheromone and by rating per minute spent getting there and visiting.
+   * The best route of each iteration reinforces its trail.
+   */
+  async antColonyOptimization(places, constraints = {}) {
+    const {
+      iterations,
+      antCount,
+      alpha,
+      beta,
+      evaporation
+    } = this.getTuningParams('antColony', constraints);
+
+    console.log(`🐜 Ant Colony: choosing from ${places.length} places, ${antCount} ants × ${iterations} iterations`);
+
+    return this.runOrienteeringOptimization(places, constraints, 'ant-colony', (problem, random) =>
+      this.solveOrienteeringWithAntColony(problem, random, { iterations, antCount, alpha, beta, evaporation })
+    );
+  }
+
+  /**
+   * Re-plan the unvisited stops of a trip that is running late.
+   * Starts from the traveler's current position and time, keeps opening hours
+   * for the trip weekday, and retries stops that no longer fit with a shortened
+   * visit before giving up on them.
+   */
+  async reoptimizeRemainingSchedule(remainingPlaces, constraints = {}) {
+    const {
+      currentTime,
+      endTime = '18:00',
+      currentDay = new Date().getDay(),
+      currentDate = new Date(),
+      userPreferredTimes = ['morning', 'afternoon'],
+      shortenFactor = 0.6,
+      timeConstraints = {
+        minPlaceTime: 30,
+        maxWaitTime: 60,
+        bufferTime: 30
+      }
+    } = constraints;
+
+    const windowMinutes = Math.max(0, this.parseTime(endTime) - this.parseTime(currentTime));
+    const minPlaceTime = timeConstraints.minPlaceTime || 30;
+
+    console.log(`🔁 Re-optimizing ${remainingPlaces.length} remaining places from ${currentTime} to ${endTime}`);
+
+    // The remaining window, not the default 8-hour cap, bounds the new plan
+    const replanConstraints = {
+      ...constraints,
+      startTime: currentTime,
+      endTime,
+      currentDay,
+      currentDate,
+      timeConstraints: { ...timeConstraints, maxDuration: windowMinutes }
+    };
+
+    const shortenPlace = place => {
+      const shortenedDuration = Math.max(minPlaceTime, Math.round(place.averageVisitDuration * shortenFactor));
+      return shortenedDuration < place.averageVisitDuration
+        ? { ...place, averageVisitDuration: shortenedDuration, originalVisitDuration: place.averageVisitDuration }
+        : place;
+    };
+
+    let result = await this.advancedGreedyOptimization(remainingPlaces, replanConstraints);
+
+    // Shorten only the stops that were dropped first, then every stop, and keep
+    // whichever plan fits more places
+    if (result.route.length < remainingPlaces.length) {
+      const selectedKeys = new Set(result.route.map(place => this.getPlaceKey(place)));
+      const shorteningStrategies = [
+        remainingPlaces.map(place => selectedKeys.has(this.getPlaceKey(place)) ? place : shortenPlace(place)),
+        remainingPlaces.map(shortenPlace)
+      ];
+
+      for (const compressedPlaces of shorteningStrategies) {
+        const compressedResult = await this.advancedGreedyOptimization(compressedPlaces, replanConstraints);
+        if (compressedResult.route.length > result.route.length) {
+          console.log(`✂️ Shortening visits fits ${compressedResult.route.length - result.route.length} more places`);
+          result = compressedResult;
+        }
+      }
+    }
+
+    const routeKeys = new Set(result.route.map(place => this.getPlaceKey(place)));
+    const dayName = this.getDayName(currentDay).toLowerCase();
+    const season = this.getCurrentSeason(currentDate.getMonth());
+
+    const droppedPlaces = [];
+    for (const place of remainingPlaces) {
+      if (routeKeys.has(this.getPlaceKey(place))) continue;
+
+      const validation = await this.validatePlaceTimings(
+        place,
+        dayName,
+        this.parseTime(currentTime),
+        this.parseTime(endTime),
+        timeConstraints,
+        season,
+        userPreferredTimes
+      );
+
+      droppedPlaces.push({
+        ...place,
+        dropReason: validation.isValid ? `Not enough time left before ${endTime}` : validation.reason
+      });
+    }
+
+    return {
+      ...result,
+      route: result.route.map(place => ({
+        ...place,
+        shortened: !!place.originalVisitDuration && place.averageVisitDuration < place.originalVisitDuration
+      })),
+      droppedPlaces,
+      algorithm: 'live-reoptimization',
+      replanWindow: {
+        startTime: currentTime,
+        endTime,
+        availableMinutes: windowMinutes,
+        day: this.getDayName(currentDay)
+      }
+    };
+  }
+
+  /**
+   * Multi-Day Planner with Overnight Stays
+   * Chains the places outward from the start, splits the chain into days,
+   * plans each day with the greedy optimizer for that day's weekday, and picks
+   * an overnight base between one day's last stop and the next day's places.
+   */
+  async multiDayOptimization(places, constraints = {}) {
+    const {
+      numberOfDays = 2,
+      startDate = new Date(),
+      dailyStartTime = '09:00',
+      dailyEndTime = '18:00',
+      budget = Infinity,
+      timeConstraints = {
+        minPlaceTime: 30,
+        maxWaitTime: 60,
+        bufferTime: 30
+      }
+    } = constraints;
+
+    const { startLocation: userLocation, endLocation, endMode } = resolveRouteEndpoints(constraints);
+    const dailyMinutes = this.parseTime(dailyEndTime) - this.parseTime(dailyStartTime);
+    const firstDate = new Date(startDate);
+
+    console.log(`🗓️ Multi-Day Planner: ${places.length} places over ${numberOfDays} days from ${userLocation.name}`);
+
+    if (places.length === 0) {
+      return { ...this.createEmptyResult('multi-day', userLocation), days: [], unscheduledPlaces: [] };
+    }
+
+    const orderedPlaces = this.orderPlacesByProximity(places, userLocation.coordinates);
+    const dayBuckets = await this.splitPlacesIntoDays(orderedPlaces, numberOfDays, dailyMinutes, userLocation.coordinates);
+    const baseCandidates = this.getOvernightBaseCandidates(places);
+
+    const days = [];
+    let carryOver = [];
+    let currentBase = { name: userLocation.name, coordinates: userLocation.coordinates, source: 'start' };
+    let remainingBudget = budget;
+
+    for (let dayIndex = 0; dayIndex < numberOfDays; dayIndex++) {
+      const date = new Date(firstDate);
+      date.setDate(firstDate.getDate() + dayIndex);
+
+      // Places that were closed or did not fit yesterday get first chance today
+      const dayCandidates = [...carryOver, ...(dayBuckets[dayIndex] || [])];
+      const isLastDay = dayIndex === numberOfDays - 1;
+
+      // Only the last day heads for the trip's end point; other days end at an overnight base
+      const result = dayCandidates.length > 0
+        ? await this.advancedGreedyOptimization(dayCandidates, {
+          ...constraints,
+          startCoordinates: { ...currentBase.coordinates, name: currentBase.name },
+          endLocation: isLastDay ? endLocation : null,
+          endMode: isLastDay && endLocation ? 'fixed' : 'open',
+          startTime: dailyStartTime,
+          endTime: dailyEndTime,
+          currentDay: date.getDay(),
+          currentDate: date,
+          budget: remainingBudget,
+          timeConstraints: { ...timeConstraints, maxDuration: dailyMinutes }
+        })
+        : this.createEmptyResult('advanced-greedy', currentBase);
+
+      const scheduledKeys = new Set(result.route.map(place => this.getPlaceKey(place)));
+      carryOver = dayCandidates.filter(place => !scheduledKeys.has(this.getPlaceKey(place)));
+      remainingBudget -= result.totalCost || 0;
+
+      const lastStop = result.route.length > 0
+        ? result.route[result.route.length - 1].location
+        : currentBase.coordinates;
+      const upcomingPlaces = isLastDay ? [] : [...carryOver, ...(dayBuckets[dayIndex + 1] || [])];
+      const overnightBase = isLastDay ? null : await this.chooseOvernightBase(lastStop, upcomingPlaces, baseCandidates);
+
+      days.push({
+        day: dayIndex + 1,
+        date: date.toISOString().split('T')[0],
+        weekday: this.getDayName(date.getDay()),
+        startLocation: currentBase,
+        overnightBase,
+        endLocation: isLastDay ? endLocation : null,
+        endLeg: result.endLeg || null,
+        route: result.route,
+        metrics: {
+          totalTime: result.totalTime || 0,
+          totalDistance: result.totalDistance || 0,
+          totalTravelTime: result.totalTravelTime || 0,
+          totalCost: result.totalCost || 0,
+          placesVisited: result.route.length,
+          efficiency: result.efficiency || 0
+        }
+      });
+
+      if (overnightBase) currentBase = overnightBase;
+    }
+
+    const scheduledPlaces = days.reduce((sum, day) => sum + day.route.length, 0);
+
+    console.log(`✅ Multi-day plan: ${scheduledPlaces}/${places.length} places scheduled, ${carryOver.length} unscheduled`);
+
+    return {
+      algorithm: 'multi-day',
+      startLocation: userLocation,
+      endLocation,
+      endMode,
+      days,
+      route: days.flatMap(day => day.route.map(place => ({ ...place, day: day.day }))),
+      unscheduledPlaces: carryOver.map(place => ({
+        ...place,
+        reason: `Could not fit into ${numberOfDays} day(s) between ${dailyStartTime} and ${dailyEndTime}`
+      })),
+      totalTime: days.reduce((sum, day) => sum + day.metrics.totalTime, 0),
+      totalDistance: days.reduce((sum, day) => sum + day.metrics.totalDistance, 0),
+      totalTravelTime: days.reduce((sum, day) => sum + day.metrics.totalTravelTime, 0),
+      totalCost: days.reduce((sum, day) => sum + day.metrics.totalCost, 0),
+      placesSelected: scheduledPlaces
+    };
+  }
+
+  // Nearest-neighbour chain from the start, so consecutive days move steadily outward
+  orderPlacesByProximity(places, startLocation) {
+    const remaining = [...places];
+    const ordered = [];
+    let currentLocation = startLocation;
+
+    while (remaining.length > 0) {
+      let nearestIndex = 0;
+      let nearestDistance = Infinity;
+
+      for (let i = 0; i < remaining.length; i++) {
+        const distance = this.calculateStraightLineDistance(currentLocation, remaining[i].location);
+        if (distance < nearestDistance) {
+          nearestDistance = distance;
+          nearestIndex = i;
+        }
+      }
+
+      const [nearest] = remaining.splice(nearestIndex, 1);
+      ordered.push(nearest);
+      currentLocation = nearest.location;
+    }
+
+    return ordered;
+  }
+
+  // Cut the chain into at most numberOfDays contiguous, roughly equal-effort buckets
+  async splitPlacesIntoDays(orderedPlaces, numberOfDays, dailyMinutes, startLocation) {
+    const efforts = [];
+    let previousLocation = startLocation;
+
+    for (const place of orderedPlaces) {
+      const travelData = await this.getTravelData(previousLocation, place.location);
+      efforts.push((place.averageVisitDuration || 90) + travelData.travelTime);
+      previousLocation = place.location;
+    }
+
+    const totalEffort = efforts.reduce((sum, effort) => sum + effort, 0);
+    const targetPerDay = Math.min(dailyMinutes, totalEffort / numberOfDays);
+
+    const buckets = [[]];
+    let bucketEffort = 0;
+
+    orderedPlaces.forEach((place, index) => {
+      const current = buckets[buckets.length - 1];
+      if (current.length > 0 && bucketEffort + efforts[index] > targetPerDay && buckets.length < numberOfDays) {
+        buckets.push([place]);
+        bucketEffort = efforts[index];
+      } else {
+        current.push(place);
+        bucketEffort += efforts[index];
+      }
+    });
+
+    return buckets;
+  }
+
+  // Configured start locations plus the centre of every city the trip touches
+  getOvernightBaseCandidates(places) {
+    const candidates = getAllLocations().map(location => ({
+      id: location.id,
+      name: location.name,
+      city: location.district,
+      coordinates: location.coordinates,
+      source: 'config'
+    }));
+
+    const placesByCity = {};
+    places.forEach(place => {
+      const city = place.city || place.address?.city;
+      if (!city || city === 'Unknown') return;
+      (placesByCity[city] = placesByCity[city] || []).push(place);
+    });
+
+    Object.entries(placesByCity).forEach(([city, cityPlaces]) => {
+      candidates.push({
+        id: `city:${city.toLowerCase()}`,
+        name: city,
+        city,
+        coordinates: {
+          latitude: cityPlaces.reduce((sum, p) => sum + p.location.latitude, 0) / cityPlaces.length,
+          longitude: cityPlaces.reduce((sum, p) => sum + p.location.longitude, 0) / cityPlaces.length
+        },
+        source: 'places'
+      });
+    });
+
+    return candidates;
+  }
+
+  // Minimise the evening drive plus the next morning's drive to the nearest upcoming place
+  async chooseOvernightBase(fromLocation, upcomingPlaces, candidates) {
+    let target = fromLocation;
+    let nearestUpcoming = Infinity;
+    upcomingPlaces.forEach(place => {
+      const distance = this.calculateStraightLineDistance(fromLocation, place.location);
+      if (distance < nearestUpcoming) {
+        nearestUpcoming = distance;
+        target = place.location;
+      }
+    });
+
+    let best = null;
+    for (const candidate of candidates) {
+      const eveningDrive = this.calculateStraightLineDistance(fromLocation, candidate.coordinates);
+      const morningDrive = this.calculateStraightLineDistance(candidate.coordinates, target);
+      const score = eveningDrive + morningDrive;
+
+      if (!best || score < best.score || (score === best.score && morningDrive < best.morningDrive)) {
+        best = { candidate, score, eveningDrive, morningDrive };
+      }
+    }
+
+    if (!best) return null;
+
+    const eveningTravel = await this.getTravelData(fromLocation, best.candidate.coordinates);
+    return {
+      ...best.candidate,
+      distanceFromLastStop: Math.round(eveningTravel.distance * 10) / 10,
+      travelTimeFromLastStop: Math.round(eveningTravel.travelTime)
+    };
+  }
+
   // ==================== HELPER METHODS ====================
 
+  getPlaceKey(place) {
+    return String(place.id || place._id || place.placeId);
+  }
+
   createEmptyResult(algorithm, startLocation, additional = {}) {
     return {
       route: [],
@@ -431,6 +1163,22 @@ class OptimizationAlgorithms {
       currentTime = timingInfo.departureTime;
     }
 
+    // Final drive from the last stop to the end point (hotel, station)
+    let endLeg = null;
+    if (constraints.endLocation && selectedPlaces.length > 0) {
+      const travelData = await this.getTravelData(currentLocation, constraints.endLocation.coordinates);
+      endLeg = {
+        name: constraints.endLocation.name,
+        distance: travelData.distance,
+        travelTime: travelData.travelTime,
+        departureTime: this.formatTime(currentTime),
+        arrivalTime: this.formatTime(currentTime + travelData.travelTime)
+      };
+      totalDistance += travelData.distance;
+      totalTravelTime += travelData.travelTime;
+      totalTime += travelData.travelTime;
+    }
+
     timingStats.averageTimingScore = selectedPlaces.reduce((sum, p) => 
       sum + (p.timingInfo?.timingScore || 0.5), 0
     ) / Math.max(selectedPlaces.length, 1);
@@ -443,6 +1191,7 @@ class OptimizationAlgorithms {
       totalTravelTime,
       efficiency: this.calculateTimingAwareEfficiency(selectedPlaces, totalTime, timingStats),
       placesSelected: selectedPlaces.length,
+      endLeg,
       timingAnalysis: {
         ...timingStats,
         travelTimePercentage: Math.round((totalTravelTime / Math.max(totalTime, 1)) * 100),
@@ -484,8 +1233,11 @@ class OptimizationAlgorithms {
         const adjustedArrivalTime = timingCheck.earliestEntry;
         const visitEndTime = adjustedArrivalTime + candidate.averageVisitDuration;
         
-        // Check if we can complete visit within trip window
-        if (visitEndTime > tripEndTime - (constraints.timeConstraints?.bufferTime || 30)) continue;
+        // Check if we can complete visit (and still reach the end point) within trip window
+        const closingTravelTime = constraints.endLocation
+          ? (await this.getTravelData(candidate.location, constraints.endLocation.coordinates)).travelTime
+          : 0;
+        if (visitEndTime + closingTravelTime > tripEndTime - (constraints.timeConstraints?.bufferTime || 30)) continue;
 
         // Check other constraints
         const constraintCheck = this.checkEnhancedConstraints(
@@ -561,10 +1313,19 @@ class OptimizationAlgorithms {
         userPreferredTimes
       );
 
+      // A booking or earliest/latest start narrows when the visit may begin
+      const [visitWindow] = timingValidation.isValid
+        ? this.applyVisitWindow([{ open: timingValidation.timing.openTime, close: timingValidation.timing.closeTime }], place)
+        : [];
+      if (timingValidation.isValid && !visitWindow) {
+        console.log(`🔒 ${place.name}: ${this.describeVisitConstraint(place)} is outside its opening hours`);
+        continue;
+      }
+
       if (timingValidation.isValid) {
         validPlaces.push({
           ...place,
-          timing: timingValidation.timing,
+          timing: { ...timingValidation.timing, openTime: visitWindow.open, closeTime: visitWindow.close },
           seasonality: timingValidation.seasonality,
           userPreferenceAlignment: timingValidation.userPreferenceAlignment
         });
@@ -700,6 +1461,7 @@ class OptimizationAlgorithms {
       cost: 1 - Math.min(1, this.getPlaceEntryCost(candidate) / 500),
       timing: timingCheck.timingScore || 0.5,
       userPreference: timingCheck.userPreferenceScore || 0.5,
+      crowdLevel: 1 - this.estimateCrowdLevel(candidate, arrivalTime, constraints.currentDay ?? new Date().getDay()),
       diversity: this.calculateDiversityScore(candidate, selectedPlaces)
     };
 
@@ -759,7 +1521,7 @@ class OptimizationAlgorithms {
     );
   }
 
-  async initializePopulation(places, populationSize, constraints) {
+  async initializePopulation(places, populationSize, constraints, random = createRandom()) {
     const population = [];
     
     try {
@@ -774,7 +1536,7 @@ class OptimizationAlgorithms {
     
     // Fill with random solutions
     while (population.length < populationSize) {
-      const randomRoute = this.shuffleArray([...places]).slice(0, Math.min(15, places.length));
+      const randomRoute = this.shuffleArray([...places], random).slice(0, Math.min(15, places.length));
       population.push(randomRoute);
     }
     
@@ -807,7 +1569,7 @@ class OptimizationAlgorithms {
     return Math.max(0.01, fitness);
   }
 
-  async createNewGeneration(population, fitnessResults, populationSize, eliteSize, crossoverRate, mutationRate, constraints) {
+  async createNewGeneration(population, fitnessResults, populationSize, eliteSize, crossoverRate, mutationRate, constraints, random = createRandom()) {
     const sortedIndividuals = population
       .map((individual, index) => ({ individual, fitness: fitnessResults[index] }))
       .sort((a, b) => b.fitness - a.fitness);
@@ -817,18 +1579,18 @@ class OptimizationAlgorithms {
       .map(item => [...item.individual]);
 
     while (newPopulation.length < populationSize) {
-      const parent1 = this.tournamentSelection(sortedIndividuals);
-      const parent2 = this.tournamentSelection(sortedIndividuals);
+      const parent1 = this.tournamentSelection(sortedIndividuals, random);
+      const parent2 = this.tournamentSelection(sortedIndividuals, random);
       
       let offspring;
-      if (Math.random() < crossoverRate) {
-        offspring = this.crossover(parent1, parent2);
+      if (random.next() < crossoverRate) {
+        offspring = this.crossover(parent1, parent2, random);
       } else {
         offspring = [...parent1];
       }
       
-      if (Math.random() < mutationRate) {
-        offspring = this.mutate(offspring);
+      if (random.next() < mutationRate) {
+        offspring = this.mutate(offspring, random);
       }
       
       newPopulation.push(offspring);
@@ -837,24 +1599,24 @@ class OptimizationAlgorithms {
     return newPopulation;
   }
 
-  tournamentSelection(individuals, tournamentSize = 3) {
+  tournamentSelection(individuals, random = createRandom(), tournamentSize = 3) {
     const tournament = [];
     for (let i = 0; i < tournamentSize; i++) {
-      const randomIndex = Math.floor(Math.random() * individuals.length);
+      const randomIndex = random.int(individuals.length);
       tournament.push(individuals[randomIndex]);
     }
     tournament.sort((a, b) => b.fitness - a.fitness);
     return tournament[0].individual;
   }
 
-  crossover(parent1, parent2) {
+  crossover(parent1, parent2, random = createRandom()) {
     if (!parent1 || !parent2 || parent1.length === 0 || parent2.length === 0) {
       return parent1.length > 0 ? [...parent1] : [...parent2];
     }
 
     const length = Math.min(parent1.length, parent2.length);
-    const start = Math.floor(Math.random() * length);
-    const end = start + Math.floor(Math.random() * (length - start));
+    const start = random.int(length);
+    const end = start + random.int(length - start);
     
     const child = Array(length).fill(null);
     
@@ -881,21 +1643,21 @@ class OptimizationAlgorithms {
     return child.filter(place => place !== null);
   }
 
-  mutate(individual, mutationRate = 0.15) {
-    if (Math.random() > mutationRate || individual.length < 2) return individual;
+  mutate(individual, random = createRandom(), mutationRate = 0.15) {
+    if (random.next() > mutationRate || individual.length < 2) return individual;
     
     const mutated = [...individual];
-    const mutationType = Math.random();
+    const mutationType = random.next();
     
     if (mutationType < 0.5 && mutated.length >= 2) {
       // Swap mutation
-      const i = Math.floor(Math.random() * mutated.length);
-      const j = Math.floor(Math.random() * mutated.length);
+      const i = random.int(mutated.length);
+      const j = random.int(mutated.length);
       [mutated[i], mutated[j]] = [mutated[j], mutated[i]];
     } else if (mutated.length >= 3) {
       // Reverse segment
-      const start = Math.floor(Math.random() * mutated.length);
-      const end = Math.floor(Math.random() * mutated.length);
+      const start = random.int(mutated.length);
+      const end = random.int(mutated.length);
       const [reverseStart, reverseEnd] = [Math.min(start, end), Math.max(start, end)];
       
       if (reverseEnd > reverseStart) {
@@ -909,14 +1671,16 @@ class OptimizationAlgorithms {
 
   // ==================== DYNAMIC PROGRAMMING ====================
 
-  async solveTSPWithDP(places, startLocation, budget) {
+  // endLocation null leaves the path open at the last place; pass startLocation for a round trip
+  async solveTSPWithDP(places, startLocation, budget, endLocation = null) {
     const n = places.length;
     const dp = new Map();
     const parent = new Map();
     
-    // Create distance matrix
+    // Create distance matrix; the final leg goes to the end point, if there is one
     const distances = Array(n + 1).fill().map(() => Array(n + 1).fill(0));
     const costs = Array(n + 1).fill(0);
+    const closingDistances = Array(n + 1).fill(0);
     
     // Calculate distances
     for (let i = 0; i < n; i++) {
@@ -924,6 +1688,11 @@ class OptimizationAlgorithms {
       const distance = await this.calculateDistance(startLocation, places[i].location);
       distances[0][i + 1] = distance;
       distances[i + 1][0] = distance;
+      if (endLocation) {
+        closingDistances[i + 1] = endLocation === startLocation
+          ? distance
+          : await this.calculateDistance(places[i].location, endLocation);
+      }
       
       for (let j = i + 1; j < n; j++) {
         const dist = await this.calculateDistance(places[i].location, places[j].location);
@@ -938,7 +1707,7 @@ class OptimizationAlgorithms {
       if (dp.has(key)) return dp.get(key);
       
       if (mask === (1 << n) - 1) {
-        return distances[pos][0];
+        return closingDistances[pos];
       }
       
       let result = Infinity;
@@ -981,75 +1750,1640 @@ class OptimizationAlgorithms {
       pos = nextCity + 1;
     }
     
-    const totalTime = route.reduce((sum, place) => sum + place.averageVisitDuration, 0) + totalDistance * 1.5;
+    const totalTravelTime = totalDistance * 1.5;
+    const totalTime = route.reduce((sum, place) => sum + place.averageVisitDuration, 0) + totalTravelTime;
     const totalCost = route.reduce((sum, place) => sum + this.getPlaceEntryCost(place), 0);
+    const closingDistance = endLocation ? closingDistances[pos] : 0;
     
     return {
       route,
       totalDistance,
+      totalTravelTime,
       totalTime,
       totalCost,
-      efficiency: this.calculateBasicEfficiency(route, totalTime)
+      efficiency: this.calculateBasicEfficiency(route, totalTime),
+      closingLeg: endLocation && route.length > 0
+        ? { distance: closingDistance, travelTime: Math.round(closingDistance * 1.5) }
+        : null
     };
   }
 
-  // ==================== HELPER METHODS ====================
-
-  async calculateRouteMetrics(route, constraints = {}) {
-    if (!route || route.length === 0) {
-      return {
-        totalTime: 0,
-        totalTravelTime: 0,
-        totalVisitTime: 0,
-        totalDistance: 0,
-        totalCost: 0,
-        averageRating: 0,
-        efficiency: 0
-      };
-    }
+  // ==================== TIME-WINDOW TSP ====================
 
-    const totalVisitTime = route.reduce((sum, place) => sum + (place.averageVisitDuration || 60), 0);
-    const totalCost = route.reduce((sum, place) => sum + this.getPlaceEntryCost(place), 0);
-    const averageRating = route.reduce((sum, place) => sum + (place.rating || 0), 0) / route.length;
+  // Open intervals in minutes for one weekday, split around any breaks
+  // Opening hours narrowed by the place's own visit constraints (see getVisitConstraints)
+  getPlaceTimeWindows(place, dayName) {
+    return this.applyVisitWindow(this.getOpeningWindows(place, dayName), place);
+  }
 
-    let totalDistance = 0;
-    let totalTravelTime = 0;
+  getOpeningWindows(place, dayName) {
+    if (!place.openingHours) {
+      return [{ open: 0, close: 1440 }];
+    }
 
-    // Calculate travel metrics
-    const startLocationId = constraints.startLocationId || 'coimbatore';
-    const startLocation = getLocationById(startLocationId).coordinates;
-    const locations = [startLocation, ...route.map(p => p.location)];
+    const day = place.openingHours[dayName.toLowerCase()];
+    if (!day || day.closed || !day.open || !day.close) {
+      return [];
+    }
 
-    for (let i = 1; i < locations.length; i++) {
-      try {
-        const travelData = await this.getTravelData(locations[i-1], locations[i]);
-        totalDistance += travelData.distance;
-        totalTravelTime += travelData.travelTime;
-      } catch (error) {
-        const fallbackDistance = this.calculateStraightLineDistance(locations[i-1], locations[i]);
-        totalDistance += fallbackDistance;
-        totalTravelTime += (fallbackDistance / 40) * 60;
-      }
+    let open = this.parseTime(day.open);
+    let close = this.parseTime(day.close);
+    // Same open and close time ('24:00'-'24:00') means open round the clock;
+    // 23:59 is how a listing says "until midnight"
+    if (close === open) {
+      open = 0;
+      close = 1440;
+    }
+    if (close === 1439) close = 1440;
+    if (close < open) close += 1440;
+
+    let windows = [{ open, close }];
+    for (const pause of day.breaks || []) {
+      const breakStart = this.parseTime(pause.start);
+      const breakEnd = this.parseTime(pause.end);
+      windows = windows.flatMap(window => [
+        { open: window.open, close: Math.min(window.close, breakStart) },
+        { open: Math.max(window.open, breakEnd), close: window.close }
+      ]).filter(window => window.close > window.open);
     }
 
-    return {
-      totalTime: totalVisitTime + totalTravelTime,
-      totalTravelTime,
-      totalVisitTime,
-      totalDistance,
-      totalCost,
-      averageRating,
-      efficiency: this.calculateBasicEfficiency(route, totalVisitTime + totalTravelTime)
-    };
+    return windows;
   }
 
-  calculateBasicEfficiency(route, totalTime) {
-    if (totalTime <= 0 || route.length === 0) return 0;
-    return (route.length * 60) / totalTime * 100;
+  formatTimeWindows(windows) {
+    return windows.map(window => window.open === 0 && window.close >= 1440
+      ? 'all day'
+      : `${this.formatTime(window.open)}-${this.formatTime(window.close)}`
+    ).join(', ');
   }
 
-  calculateTimingAwareEfficiency(places, totalTime, timingStats) {
-    if (totalTime <= 0 || places.length === 0) return 0;
+  // Earliest visit start at or after arrival that finishes inside one window
+  scheduleVisit(stop, arrivalTime) {
+    for (const window of stop.windows) {
+      const visitStart = Math.max(arrivalTime, window.open);
+      if (visitStart + stop.duration <= window.close) {
+        return { visitStart, departure: visitStart + stop.duration, window };
+      }
+    }
+    return null;
+  }
+
+  // Travel matrix over [start, ...places, end?]
+  async buildTimeWindowProblem(places, startLocation, endLocation, options) {
+    const stops = places.map((place, index) => ({
+      index,
+      place,
+      duration: place.averageVisitDuration || 60,
+      cost: this.getPlaceEntryCost(place),
+      windows: place.location?.latitude && place.location?.longitude
+        ? this.getPlaceTimeWindows(place, options.dayName)
+        : []
+    }));
+
+    const points = [
+      startLocation.coordinates,
+      ...places.map(place => place.location),
+      ...(endLocation ? [endLocation.coordinates] : [])
+    ];
+    const size = points.length;
+    const travel = Array(size).fill().map(() => Array(size).fill(null));
+
+    // One road-network search per origin instead of one per pair
+    await routingEngine.prefetch(points);
+
+    for (let i = 0; i < size; i++) {
+      for (let j = i + 1; j < size; j++) {
+        if (!points[i]?.latitude || !points[j]?.latitude) continue;
+        const travelData = await this.getTravelData(points[i], points[j]);
+        const leg = { distance: travelData.distance, travelTime: Math.round(travelData.travelTime) };
+        travel[i][j] = leg;
+        travel[j][i] = leg;
+      }
+    }
+
+    return {
+      breaks: [],
+      ...options,
+      stops,
+      travel,
+      startLocation,
+      hasEnd: !!endLocation,
+      startNode: 0,
+      endNode: endLocation ? size - 1 : null
+    };
+  }
+
+  // Simulate an ordered list of stop indexes, taking problem.breaks on the way
+  // (see takeDueBreaks). Strict mode returns null as soon as a window, a break,
+  // the trip end or the budget is broken; otherwise the visit starts on arrival
+  // and the broken window, late break or trip end counts as a violation
+  // (budget does not depend on order, so it is left to the caller).
+  simulateTimeWindowRoute(problem, order, { strict = true } = {}) {
+    let node = problem.startNode;
+    let time = problem.tripStart;
+    let cost = 0;
+    let distance = 0;
+    let violations = 0;
+    let nextBreak = 0;
+    const visits = [];
+    const breaks = [];
+
+    // Breaks are taken where the traveller is; a break that starts after its latest time is broken
+    const takeBreaks = (nextDeparture) => {
+      const due = this.takeDueBreaks(problem, time, nextBreak, nextDeparture);
+      for (const taken of due.taken) {
+        if (taken.late) {
+          if (strict) return false;
+          violations++;
+        }
+        breaks.push({ ...taken, afterVisit: visits.length });
+      }
+      time = due.time;
+      nextBreak = due.nextBreak;
+      return true;
+    };
+
+    for (const stopIndex of order) {
+      const stop = problem.stops[stopIndex];
+      const leg = problem.travel[node][stopIndex + 1];
+      if (!leg) return null;
+
+      const departureIfLeavingAt = start =>
+        this.scheduleVisit(stop, start + leg.travelTime)?.departure ?? start + leg.travelTime + stop.duration;
+      if (!takeBreaks(departureIfLeavingAt)) return null;
+
+      const arrival = time + leg.travelTime;
+      let visit = this.scheduleVisit(stop, arrival);
+      cost += stop.cost;
+
+      if (!visit || visit.departure > problem.tripEnd) {
+        if (strict) return null;
+        violations++;
+        visit = visit || { visitStart: arrival, departure: arrival + stop.duration, window: null };
+      }
+      if (strict && cost > problem.budget) return null;
+
+      visits.push({ stopIndex, arrival, leg, ...visit });
+      distance += leg.distance;
+      node = stopIndex + 1;
+      time = visit.departure;
+    }
+
+    if (order.length > 0 && !takeBreaks(null)) return null;
+
+    const closingLeg = problem.hasEnd && order.length > 0 ? problem.travel[node][problem.endNode] : null;
+    const finish = time + (closingLeg?.travelTime || 0);
+    distance += closingLeg?.distance || 0;
+
+    if (finish > problem.tripEnd) {
+      if (strict) return null;
+      violations++;
+    }
+
+    return { visits, breaks, closingLeg, finish, cost, distance, violations };
+  }
+
+  // Exact DP over (visited set, last stop, breaks taken) keeping the earliest
+  // departure. Waiting is allowed, so leaving earlier never hurts later windows
+  // and the earliest departure per state is enough. Picks the largest feasible
+  // set, then the best-rated, then the earliest finish.
+  solveTimeWindowExact(problem) {
+    const { stops, travel, tripStart, tripEnd, budget } = problem;
+    const n = stops.length;
+    const breakStates = (problem.breaks?.length || 0) + 1;
+    const states = new Map();
+    const stateKey = (mask, last, breaksTaken) => (mask * (n + 1) + last) * breakStates + breaksTaken;
+
+    states.set(stateKey(0, 0, 0), { time: tripStart, distance: 0, cost: 0, order: [] });
+
+    let best = { order: [], count: 0, rating: 0, finish: tripStart };
+
+    for (let mask = 0; mask < (1 << n); mask++) {
+      for (let last = 0; last <= n; last++) {
+        for (let breaksTaken = 0; breaksTaken < breakStates; breaksTaken++) {
+          const state = states.get(stateKey(mask, last, breaksTaken));
+          if (!state) continue;
+
+          // Close the route here and compare with the best so far
+          if (mask !== 0) {
+            const closing = this.takeDueBreaks(problem, state.time, breaksTaken, null);
+            const closingLeg = problem.hasEnd ? travel[last][problem.endNode] : null;
+            const finish = closing.time + (closingLeg?.travelTime || 0);
+            if (finish <= tripEnd && !closing.taken.some(taken => taken.late)) {
+              const count = state.order.length;
+              const rating = state.order.reduce((sum, index) => sum + (stops[index].place.rating || 0), 0);
+              if (count > best.count ||
+                  (count === best.count && rating > best.rating) ||
+                  (count === best.count && rating === best.rating && finish < best.finish)) {
+                best = { order: state.order, count, rating, finish };
+              }
+            }
+          }
+
+          for (let next = 0; next < n; next++) {
+            if (mask & (1 << next)) continue;
+
+            const stop = stops[next];
+            const leg = travel[last][next + 1];
+            if (!leg || state.cost + stop.cost > budget) continue;
+
+            const due = this.takeDueBreaks(problem, state.time, breaksTaken, start =>
+              this.scheduleVisit(stop, start + leg.travelTime)?.departure ?? start + leg.travelTime + stop.duration
+            );
+            if (due.taken.some(taken => taken.late)) continue;
+
+            const visit = this.scheduleVisit(stop, due.time + leg.travelTime);
+            if (!visit || visit.departure > tripEnd) continue;
+
+            const key = stateKey(mask | (1 << next), next + 1, due.nextBreak);
+            const existing = states.get(key);
+            const distance = state.distance + leg.distance;
+            if (!existing || visit.departure < existing.time ||
+                (visit.departure === existing.time && distance < existing.distance)) {
+              states.set(key, {
+                time: visit.departure,
+                distance,
+                cost: state.cost + stop.cost,
+                order: [...state.order, next]
+              });
+            }
+          }
+        }
+      }
+    }
+
+    return { order: best.order, method: 'exact' };
+  }
+
+  // Cheapest feasible insertion: repeatedly add the place whose insertion
+  // finishes the day earliest, until nothing else fits
+  solveTimeWindowInsertion(problem) {
+    let order = [];
+    const remaining = new Set(problem.stops.map(stop => stop.index));
+
+    while (remaining.size > 0) {
+      let bestInsertion = null;
+
+      for (const stopIndex of remaining) {
+        for (let position = 0; position <= order.length; position++) {
+          const candidate = [...order.slice(0, position), stopIndex, ...order.slice(position)];
+          const simulation = this.simulateTimeWindowRoute(problem, candidate);
+          if (simulation && (!bestInsertion || simulation.finish < bestInsertion.finish)) {
+            bestInsertion = { order: candidate, stopIndex, finish: simulation.finish };
+          }
+        }
+      }
+
+      if (!bestInsertion) break;
+      order = bestInsertion.order;
+      remaining.delete(bestInsertion.stopIndex);
+    }
+
+    return { order, method: 'insertion' };
+  }
+
+  // Most specific reason a place is missing from the time-window route
+  explainTimeWindowInfeasibility(problem, stopIndex, order) {
+    const stop = problem.stops[stopIndex];
+    const { tripStart, tripEnd, dayName } = problem;
+
+    if (!stop.place.location?.latitude || !stop.place.location?.longitude) {
+      return 'Missing coordinates';
+    }
+
+    if (stop.windows.length === 0) {
+      const opening = this.getOpeningWindows(stop.place, dayName);
+      return opening.length === 0
+        ? `Closed on ${dayName}`
+        : `Its ${this.describeVisitConstraint(stop.place)} is outside opening hours (${this.formatTimeWindows(opening)})`;
+    }
+
+    const hours = this.formatTimeWindows(stop.windows);
+    if (!stop.windows.some(window => window.close - window.open >= stop.duration)) {
+      return `Open ${hours}, but no opening is long enough for a ${stop.duration} min visit`;
+    }
+
+    if (stop.cost > problem.budget) {
+      return `Entry fee ₹${stop.cost} is over the ₹${problem.budget} budget`;
+    }
+
+    const inTripWindows = stop.windows.filter(window =>
+      Math.min(window.close, tripEnd) - Math.max(window.open, tripStart) >= stop.duration
+    );
+    if (inTripWindows.length === 0) {
+      return `Open ${hours}, which leaves no ${stop.duration} min slot between ${this.formatTime(tripStart)} and ${this.formatTime(tripEnd)}`;
+    }
+
+    if (!this.simulateTimeWindowRoute(problem, [stopIndex])) {
+      const leg = problem.travel[problem.startNode][stopIndex + 1];
+      if (!leg) return 'No route from the starting point';
+
+      const earliestArrival = tripStart + leg.travelTime;
+      const lastEntry = Math.max(...stop.windows.map(window => window.close - stop.duration));
+      if (earliestArrival > lastEntry) {
+        return `Earliest arrival is ${this.formatTime(earliestArrival)} (${leg.travelTime} min drive), after the last possible entry at ${this.formatTime(lastEntry)} (open ${hours})`;
+      }
+      return `A visit fits its opening hours (${hours}) but not the drive to and from it before ${this.formatTime(tripEnd)}`;
+    }
+
+    const names = order.map(index => problem.stops[index].place.name);
+    const routeNames = names.length > 3 ? `${names.slice(0, 3).join(', ')} and ${names.length - 3} more` : names.join(', ');
+    const routeCost = order.reduce((sum, index) => sum + problem.stops[index].cost, 0);
+    if (routeCost + stop.cost > problem.budget) {
+      return `Fits on its own, but together with ${routeNames} it would exceed the ₹${problem.budget} budget`;
+    }
+
+    return `Fits on its own (open ${hours}), but not together with ${routeNames} before ${this.formatTime(tripEnd)}`;
+  }
+
+  // Timed route stops and end leg from a simulation
+  timeWindowSimulationToRoute(problem, simulation, endLocation) {
+    const route = simulation.visits.map((visit, index) => {
+      const stop = problem.stops[visit.stopIndex];
+      return {
+        ...stop.place,
+        arrivalTime: this.formatTime(visit.visitStart),
+        departureTime: this.formatTime(visit.departure),
+        travelTimeFromPrevious: visit.leg.travelTime,
+        travelDistanceFromPrevious: visit.leg.distance,
+        waitTime: visit.visitStart - visit.arrival,
+        timeWindow: visit.window ? this.formatTimeWindows([visit.window]) : null,
+        openingWindows: this.formatTimeWindows(stop.windows),
+        order: index + 1
+      };
+    });
+
+    const endLeg = simulation.closingLeg ? {
+      name: endLocation.name,
+      distance: simulation.closingLeg.distance,
+      travelTime: simulation.closingLeg.travelTime,
+      // After any break taken at the last stop
+      departureTime: this.formatTime(simulation.finish - simulation.closingLeg.travelTime),
+      arrivalTime: this.formatTime(simulation.finish)
+    } : null;
+
+    // afterOrder is the route order of the stop the break follows (0: before the first stop)
+    const breaks = (simulation.breaks || []).map(taken => {
+      const pause = problem.breaks[taken.breakIndex];
+      const previous = taken.afterVisit > 0 ? route[taken.afterVisit - 1] : null;
+      return {
+        id: pause.id,
+        label: pause.label,
+        type: pause.type,
+        startTime: this.formatTime(taken.start),
+        endTime: this.formatTime(taken.end),
+        duration: pause.duration,
+        window: `${this.formatTime(pause.earliest)}-${this.formatTime(pause.latest)}`,
+        afterOrder: taken.afterVisit,
+        placeName: previous ? previous.name : problem.startLocation.name,
+        location: previous ? previous.location : problem.startLocation.coordinates,
+        nearRestaurant: pause.nearRestaurant,
+        late: taken.late
+      };
+    });
+
+    return { route, endLeg, breaks };
+  }
+
+  // Route and totals in the shape the other optimizers return
+  buildTimeWindowResult(problem, order, { startTime, endLocation, strict = true }) {
+    const simulation = this.simulateTimeWindowRoute(problem, order, { strict }) ||
+      { visits: [], closingLeg: null, finish: problem.tripStart, cost: 0 };
+
+    const { route, endLeg, breaks } = this.timeWindowSimulationToRoute(problem, simulation, endLocation);
+
+    const totalVisitTime = route.reduce((sum, place) => sum + (place.averageVisitDuration || 60), 0);
+    const totalWaitTime = route.reduce((sum, place) => sum + place.waitTime, 0);
+    const totalTravelTime = route.reduce((sum, place) => sum + place.travelTimeFromPrevious, 0) + (endLeg?.travelTime || 0);
+    const totalDistance = route.reduce((sum, place) => sum + place.travelDistanceFromPrevious, 0) + (endLeg?.distance || 0);
+    const totalTime = simulation.finish - this.parseTime(startTime);
+
+    return {
+      route,
+      totalTime,
+      totalTravelTime,
+      totalVisitTime,
+      totalWaitTime,
+      totalDistance,
+      totalCost: simulation.cost,
+      totalBreakTime: breaks.reduce((sum, pause) => sum + pause.duration, 0),
+      efficiency: this.calculateBasicEfficiency(route, totalTime),
+      endLeg,
+      breaks
+    };
+  }
+
+  // ==================== ORIENTEERING ====================
+
+  // Shared setup and result shape for the subset-choosing metaheuristics
+  async runOrienteeringOptimization(places, constraints, algorithm, solve) {
+    const {
+      startTime = '09:00',
+      endTime = '18:00',
+      currentDay = new Date().getDay(),
+      budget = Infinity,
+      distanceWeight = 0.01,
+      seed
+    } = constraints;
+
+    const { startLocation: userLocation, endLocation, endMode } = resolveRouteEndpoints(constraints);
+    const random = createRandom(seed);
+    places = this.withoutExcludedPlaces(places);
+
+    if (places.length === 0) {
+      return this.createEmptyResult(algorithm, userLocation, { endLocation, endMode, seed: random.seed });
+    }
+
+    const problem = await this.buildTimeWindowProblem(places, userLocation, endLocation, {
+      dayName: this.getDayName(currentDay),
+      tripStart: this.parseTime(startTime),
+      tripEnd: this.parseTime(endTime),
+      budget,
+      breaks: this.getBreaks(constraints)
+    });
+    // Required places outweigh any set of optional ones, so the solver keeps them when it can
+    problem.prizes = problem.stops.map(stop =>
+      (stop.place.rating || 3) + (this.getVisitConstraints(stop.place).required ? 5 * places.length : 0)
+    );
+    problem.distanceWeight = distanceWeight;
+
+    const solveStartedAt = Date.now();
+    const { order, iterationsRun } = solve(problem, random);
+    const solveTime = Date.now() - solveStartedAt;
+
+    const selected = new Set(order);
+    const unselectedPlaces = problem.stops
+      .filter(stop => !selected.has(stop.index))
+      .map(stop => ({ id: this.getPlaceKey(stop.place), name: stop.place.name, rating: stop.place.rating }));
+
+    let result = this.buildTimeWindowResult(problem, order, { startTime, endLocation });
+    result = await this.improveRouteWithLocalSearch(result, constraints);
+
+    console.log(`🎯 ${algorithm} complete: picked ${order.length}/${places.length} places in ${solveTime}ms (seed ${random.seed})`);
+
+    return this.enforceScheduleConstraints({
+      ...result,
+      algorithm,
+      startLocation: userLocation,
+      endLocation,
+      endMode,
+      seed: random.seed,
+      iterations: iterationsRun,
+      selection: {
+        candidates: places.length,
+        selected: order.length,
+        totalRating: Math.round(order.reduce((sum, index) => sum + (problem.stops[index].place.rating || 3), 0) * 10) / 10,
+        solveTime
+      },
+      unselectedPlaces
+    }, places, constraints);
+  }
+
+  // Collected rating minus the distance penalty; null for an infeasible order
+  scoreOrienteeringRoute(problem, order) {
+    const simulation = this.simulateTimeWindowRoute(problem, order);
+    if (!simulation) return null;
+
+    const prize = order.reduce((sum, index) => sum + problem.prizes[index], 0);
+    return prize - problem.distanceWeight * simulation.distance;
+  }
+
+  // Order with the stop at its shortest feasible position, or null if it fits nowhere
+  insertAtBestPosition(problem, order, stopIndex) {
+    let best = null;
+    for (let position = 0; position <= order.length; position++) {
+      const candidate = [...order.slice(0, position), stopIndex, ...order.slice(position)];
+      const simulation = this.simulateTimeWindowRoute(problem, candidate);
+      if (simulation && (!best || simulation.distance < best.distance)) {
+        best = { order: candidate, distance: simulation.distance };
+      }
+    }
+    return best?.order || null;
+  }
+
+  // Starting route: best-rated places first, each at its cheapest feasible position
+  buildOrienteeringSeedRoute(problem) {
+    let order = [];
+    const byPrize = [...problem.stops].sort((a, b) => problem.prizes[b.index] - problem.prizes[a.index]);
+
+    for (const stop of byPrize) {
+      order = this.insertAtBestPosition(problem, order, stop.index) || order;
+    }
+
+    return order;
+  }
+
+  solveOrienteeringWithAnnealing(problem, random, { iterations, initialTemperature, finalTemperature }) {
+    const n = problem.stops.length;
+    let order = this.buildOrienteeringSeedRoute(problem);
+    let score = this.scoreOrienteeringRoute(problem, order) ?? 0;
+    let best = { order, score };
+
+    for (let iteration = 0; iteration < iterations; iteration++) {
+      const temperature = initialTemperature * Math.pow(finalTemperature / initialTemperature, iteration / iterations);
+      const inRoute = new Set(order);
+      const unvisited = [];
+      for (let index = 0; index < n; index++) {
+        if (!inRoute.has(index)) unvisited.push(index);
+      }
+
+      const moves = [];
+      if (unvisited.length > 0) moves.push('insert');
+      if (order.length > 0) moves.push('remove');
+      if (order.length > 0 && unvisited.length > 0) moves.push('replace');
+      if (order.length > 1) moves.push('relocate', 'reverse');
+
+      let candidate = [...order];
+      switch (random.pick(moves)) {
+        case 'insert':
+          candidate = this.insertAtBestPosition(problem, candidate, random.pick(unvisited));
+          break;
+        case 'remove':
+          candidate.splice(random.int(candidate.length), 1);
+          break;
+        case 'replace':
+          candidate.splice(random.int(candidate.length), 1);
+          candidate = this.insertAtBestPosition(problem, candidate, random.pick(unvisited));
+          break;
+        case 'relocate': {
+          const [stop] = candidate.splice(random.int(candidate.length), 1);
+          candidate.splice(random.int(candidate.length + 1), 0, stop);
+          break;
+        }
+        case 'reverse': {
+          const i = random.int(candidate.length);
+          const j = random.int(candidate.length);
+          const [from, to] = i < j ? [i, j] : [j, i];
+          candidate.splice(from, to - from + 1, ...candidate.slice(from, to + 1).reverse());
+          break;
+        }
+        default:
+          break;
+      }
+
+      const candidateScore = candidate ? this.scoreOrienteeringRoute(problem, candidate) : null;
+      if (candidateScore === null) continue;
+
+      const delta = candidateScore - score;
+      if (delta >= 0 || random.next() < Math.exp(delta / temperature)) {
+        order = candidate;
+        score = candidateScore;
+        if (score > best.score) best = { order, score };
+      }
+    }
+
+    return { order: best.order, iterationsRun: iterations };
+  }
+
+  solveOrienteeringWithAntColony(problem, random, { iterations, antCount, alpha, beta, evaporation }) {
+    const n = problem.stops.length;
+    // pheromone[node][stop]: node 0 is the start, node i + 1 is stop i
+    const pheromone = Array(n + 1).fill().map(() => Array(n).fill(1));
+    let best = { order: [], score: 0 };
+
+    for (let iteration = 0; iteration < iterations; iteration++) {
+      let iterationBest = null;
+
+      for (let ant = 0; ant < antCount; ant++) {
+        const order = this.constructAntRoute(problem, pheromone, random, alpha, beta);
+        const score = this.scoreOrienteeringRoute(problem, order);
+        if (score !== null && (!iterationBest || score > iterationBest.score)) {
+          iterationBest = { order, score };
+        }
+      }
+
+      for (const row of pheromone) {
+        for (let stop = 0; stop < n; stop++) {
+          row[stop] = Math.max(0.01, row[stop] * (1 - evaporation));
+        }
+      }
+
+      if (!iterationBest) continue;
+      if (iterationBest.score > best.score) best = iterationBest;
+
+      // The iteration's best ant lays a trail scaled against the best seen so far
+      const deposit = iterationBest.score / Math.max(best.score, 1);
+      let node = 0;
+      for (const stop of iterationBest.order) {
+        pheromone[node][stop] += deposit;
+        node = stop + 1;
+      }
+    }
+
+    return { order: best.order, iterationsRun: iterations };
+  }
+
+  // One ant's route: keep adding a feasible next stop until none fits
+  constructAntRoute(problem, pheromone, random, alpha, beta) {
+    const { stops, travel, tripStart, tripEnd, budget } = problem;
+    const order = [];
+    const visited = new Set();
+    let node = 0;
+    let time = tripStart;
+    let cost = 0;
+    let nextBreak = 0;
+
+    for (;;) {
+      const candidates = [];
+      let totalWeight = 0;
+
+      for (const stop of stops) {
+        if (visited.has(stop.index) || cost + stop.cost > budget) continue;
+
+        const leg = travel[node][stop.index + 1];
+        if (!leg) continue;
+
+        const due = this.takeDueBreaks(problem, time, nextBreak, start =>
+          this.scheduleVisit(stop, start + leg.travelTime)?.departure ?? start + leg.travelTime + stop.duration
+        );
+        if (due.taken.some(taken => taken.late)) continue;
+
+        const visit = this.scheduleVisit(stop, due.time + leg.travelTime);
+        if (!visit) continue;
+
+        // Breaks still due after this stop must fit before the day ends too
+        const closing = this.takeDueBreaks(problem, visit.departure, due.nextBreak, null);
+        const closingTime = problem.hasEnd ? travel[stop.index + 1][problem.endNode]?.travelTime || 0 : 0;
+        if (closing.time + closingTime > tripEnd || closing.taken.some(taken => taken.late)) continue;
+
+        const heuristic = problem.prizes[stop.index] / Math.max(1, visit.departure - time);
+        const weight = Math.pow(pheromone[node][stop.index], alpha) * Math.pow(heuristic, beta);
+        candidates.push({ stop, visit, nextBreak: due.nextBreak, weight });
+        totalWeight += weight;
+      }
+
+      if (candidates.length === 0) break;
+
+      let threshold = random.next() * totalWeight;
+      let chosen = candidates[candidates.length - 1];
+      for (const candidate of candidates) {
+        threshold -= candidate.weight;
+        if (threshold <= 0) {
+          chosen = candidate;
+          break;
+        }
+      }
+
+      order.push(chosen.stop.index);
+      visited.add(chosen.stop.index);
+      node = chosen.stop.index + 1;
+      time = chosen.visit.departure;
+      nextBreak = chosen.nextBreak;
+      cost += chosen.stop.cost;
+    }
+
+    return order;
+  }
+
+  // ==================== LOCAL SEARCH ====================
+
+  /**
+   * Post-processing stage for any optimizer's result. Applies 2-opt (reverse
+   * a segment), Or-opt (move a run of 1-3 stops) and swap moves while they
+   * shorten the route. Every candidate order is re-timed against opening
+   * hours and the trip end, and a move is only kept if it breaks no more of
+   * them than the current order. The new order replaces the route only if it
+   * breaks fewer windows or is shorter; localSearch.before / after report
+   * both. Budget depends only on which places are in the route, so
+   * reordering cannot break it. Set constraints.localSearch to false to skip.
+   */
+  async improveRouteWithLocalSearch(result, constraints = {}) {
+    const route = result?.route || [];
+    if (route.length < 3 || constraints.localSearch === false) {
+      return result;
+    }
+
+    const {
+      startTime = '09:00',
+      endTime = '18:00',
+      currentDay = new Date().getDay(),
+      budget = Infinity
+    } = constraints;
+    const { startLocation, endLocation } = resolveRouteEndpoints(constraints);
+
+    const problem = await this.buildTimeWindowProblem(route, startLocation, endLocation, {
+      dayName: this.getDayName(currentDay),
+      tripStart: this.parseTime(startTime),
+      tripEnd: this.parseTime(endTime),
+      budget,
+      breaks: this.getBreaks(constraints)
+    });
+
+    const initialOrder = route.map((place, index) => index);
+    const { order, moves, evaluations } = this.runLocalSearch(problem, initialOrder);
+    const movesApplied = moves.twoOpt + moves.orOpt + moves.swap;
+
+    if (movesApplied === 0) {
+      return {
+        ...result,
+        localSearch: { improved: false, moves, evaluations }
+      };
+    }
+
+    const simulation = this.simulateTimeWindowRoute(problem, order, { strict: false });
+    const { route: improvedRoute, endLeg } = this.timeWindowSimulationToRoute(problem, simulation, endLocation);
+    const metrics = await this.calculateRouteMetrics(improvedRoute, constraints, route);
+    const before = {
+      ...metrics.localSearch.before,
+      violations: this.simulateTimeWindowRoute(problem, initialOrder, { strict: false }).violations
+    };
+    const after = { ...metrics.localSearch.after, violations: simulation.violations };
+
+    // A longer route only counts as better when it breaks fewer windows
+    if (after.violations >= before.violations && after.totalDistance >= before.totalDistance - 1e-6) {
+      return {
+        ...result,
+        localSearch: { improved: false, moves, evaluations, ...metrics.localSearch, before, after }
+      };
+    }
+
+    console.log(`🪡 Local search: ${movesApplied} moves, ${before.totalDistance.toFixed(1)}km → ${after.totalDistance.toFixed(1)}km, ${before.violations} → ${after.violations} broken windows`);
+
+    // Shift the optimizer's own totals by the change so each keeps its meaning
+    return {
+      ...result,
+      route: improvedRoute,
+      totalDistance: (result.totalDistance || 0) + after.totalDistance - before.totalDistance,
+      totalTravelTime: (result.totalTravelTime || 0) + after.totalTravelTime - before.totalTravelTime,
+      totalTime: (result.totalTime || 0) + after.totalTime - before.totalTime,
+      efficiency: this.calculateBasicEfficiency(improvedRoute, after.totalTime),
+      endLeg: endLeg || result.endLeg || null,
+      localSearch: {
+        improved: true,
+        moves,
+        evaluations,
+        ...metrics.localSearch,
+        before,
+        after
+      }
+    };
+  }
+
+  // First-improvement descent over 2-opt, Or-opt and swap neighbourhoods.
+  // Fewer broken windows always wins; otherwise the shorter route wins.
+  runLocalSearch(problem, initialOrder, maxMoves = 200) {
+    const moves = { twoOpt: 0, orOpt: 0, swap: 0 };
+    let order = initialOrder;
+    let current = this.simulateTimeWindowRoute(problem, order, { strict: false });
+    let evaluations = 1;
+
+    if (!current) {
+      return { order, moves, evaluations };
+    }
+
+    const isBetter = candidate => candidate && (
+      candidate.violations < current.violations ||
+      (candidate.violations === current.violations && candidate.distance < current.distance - 1e-6)
+    );
+
+    let improved = true;
+    while (improved && moves.twoOpt + moves.orOpt + moves.swap < maxMoves) {
+      improved = false;
+
+      for (const type of ['twoOpt', 'orOpt', 'swap']) {
+        for (const candidateOrder of this.getLocalSearchNeighbours(order, type)) {
+          const candidate = this.simulateTimeWindowRoute(problem, candidateOrder, { strict: false });
+          evaluations++;
+
+          if (isBetter(candidate)) {
+            order = candidateOrder;
+            current = candidate;
+            moves[type]++;
+            improved = true;
+            break;
+          }
+        }
+        if (improved) break;
+      }
+    }
+
+    return { order, moves, evaluations };
+  }
+
+  getLocalSearchNeighbours(order, type) {
+    const n = order.length;
+    const neighbours = [];
+
+    if (type === 'twoOpt') {
+      for (let i = 0; i < n - 1; i++) {
+        for (let j = i + 1; j < n; j++) {
+          neighbours.push([...order.slice(0, i), ...order.slice(i, j + 1).reverse(), ...order.slice(j + 1)]);
+        }
+      }
+    } else if (type === 'orOpt') {
+      // Segment length 1 is a plain relocate
+      for (let length = 1; length <= Math.min(3, n - 1); length++) {
+        for (let i = 0; i + length <= n; i++) {
+          const segment = order.slice(i, i + length);
+          const rest = [...order.slice(0, i), ...order.slice(i + length)];
+          for (let position = 0; position <= rest.length; position++) {
+            if (position === i) continue;
+            neighbours.push([...rest.slice(0, position), ...segment, ...rest.slice(position)]);
+          }
+        }
+      }
+    } else if (type === 'swap') {
+      // Adjacent swaps are already 2-opt moves
+      for (let i = 0; i < n - 2; i++) {
+        for (let j = i + 2; j < n; j++) {
+          const swapped = [...order];
+          [swapped[i], swapped[j]] = [swapped[j], swapped[i]];
+          neighbours.push(swapped);
+        }
+      }
+    }
+
+    return neighbours;
+  }
+
+  // ==================== BREAKS ====================
+
+  /**
+   * Meal and rest breaks from constraints.breaks: true for DEFAULT_BREAKS, or
+   * an array of { id, label, type: 'meal' | 'rest', earliest, latest,
+   * duration, nearRestaurant }. earliest / latest bound when the break starts,
+   * the same way they bound a place's visit. Breaks outside the trip hours are
+   * left out. Times come back in minutes, sorted by earliest start.
+   */
+  getBreaks(constraints = {}) {
+    const { breaks, startTime = '09:00', endTime = '18:00' } = constraints;
+    const entries = breaks === true ? DEFAULT_BREAKS : Array.isArray(breaks) ? breaks : [];
+    const tripStart = this.parseTime(startTime);
+    const tripEnd = this.parseTime(endTime);
+
+    return entries
+      .filter(entry => VISIT_TIME_PATTERN.test(entry?.earliest) && VISIT_TIME_PATTERN.test(entry?.latest))
+      .map((entry, index) => {
+        const type = entry.type === 'rest' ? 'rest' : 'meal';
+        return {
+          id: entry.id || `break-${index + 1}`,
+          label: entry.label || (type === 'meal' ? 'Meal break' : 'Rest break'),
+          type,
+          earliest: this.parseTime(entry.earliest),
+          latest: this.parseTime(entry.latest),
+          duration: entry.duration > 0 ? Math.round(entry.duration) : (type === 'meal' ? 60 : 20),
+          nearRestaurant: entry.nearRestaurant ?? type === 'meal'
+        };
+      })
+      .filter(pause => pause.latest >= tripStart && pause.earliest + pause.duration <= tripEnd)
+      .sort((a, b) => a.earliest - b.earliest);
+  }
+
+  // Breaks to take where the traveller is, before leaving for the next stop.
+  // A break is due once its window has opened, or earlier (waiting for the
+  // window) if the next visit would only end after the break's latest start.
+  // nextDeparture(time) gives that visit's end when leaving at time; pass null
+  // after the last stop, where only breaks whose window has opened are taken.
+  takeDueBreaks(problem, time, nextBreak, nextDeparture) {
+    const breaks = problem.breaks || [];
+    const taken = [];
+
+    while (nextBreak < breaks.length) {
+      const pause = breaks[nextBreak];
+      const due = time >= pause.earliest || (nextDeparture && nextDeparture(time) > pause.latest);
+      if (!due) break;
+
+      const start = Math.max(time, pause.earliest);
+      taken.push({ breakIndex: nextBreak, start, end: start + pause.duration, late: start > pause.latest });
+      time = start + pause.duration;
+      nextBreak++;
+    }
+
+    return { time, nextBreak, taken };
+  }
+
+  // Nearest restaurants to where each meal break falls, from OpenStreetMap.
+  // Called once on the final route (not inside the optimizers, which stay
+  // offline). Set constraints.breakRestaurants to false to skip the lookups.
+  async attachBreakRestaurants(breaks, constraints = {}) {
+    if (!breaks?.length || constraints.breakRestaurants === false) {
+      return breaks || [];
+    }
+
+    const withRestaurants = [];
+    for (const pause of breaks) {
+      if (!pause.nearRestaurant || !pause.location?.latitude) {
+        withRestaurants.push(pause);
+        continue;
+      }
+
+      const restaurants = await this.findRestaurantsNear(pause.location);
+      withRestaurants.push({ ...pause, restaurant: restaurants[0] || null, nearbyRestaurants: restaurants.slice(0, 3) });
+    }
+    return withRestaurants;
+  }
+
+  // Closest named restaurants within BREAK_RESTAURANT_RADIUS, cached per ~100 m.
+  // Failed lookups come back empty and are not cached.
+  async findRestaurantsNear(location) {
+    const key = `${location.latitude.toFixed(3)},${location.longitude.toFixed(3)}`;
+    if (restaurantCache.has(key)) {
+      return restaurantCache.get(key);
+    }
+
+    const amenities = await osmHelpers.getNearbyAmenities(
+      location.latitude,
+      location.longitude,
+      BREAK_RESTAURANT_RADIUS,
+      ['restaurant']
+    );
+
+    const restaurants = amenities
+      .filter(amenity => amenity.name && amenity.name !== 'Unknown')
+      .map(amenity => ({
+        name: amenity.name,
+        location: { latitude: amenity.latitude, longitude: amenity.longitude },
+        distance: Math.round(this.calculateStraightLineDistance(location, amenity) * 1000),
+        openingHours: amenity.openingHours || null
+      }))
+      .sort((a, b) => a.distance - b.distance);
+
+    if (restaurants.length > 0) {
+      restaurantCache.set(key, restaurants);
+    }
+    return restaurants;
+  }
+
+  // ==================== VISIT CONSTRAINTS ====================
+
+  /**
+   * Per-place constraints from the optimize payload, set on each place:
+   *   required: true        - must be in the route
+   *   excluded: true        - never visited (wins over required)
+   *   fixedArrival: '16:00' - the visit starts exactly then (a booking, so
+   *                           the place is also treated as required)
+   *   earliest / latest     - the visit starts no earlier / no later than this
+   * Times come back in minutes, or null when unset.
+   */
+  getVisitConstraints(place) {
+    const toMinutes = value => (typeof value === 'string' && VISIT_TIME_PATTERN.test(value) ? this.parseTime(value) : null);
+
+    const fixedArrival = toMinutes(place.fixedArrival);
+
+    return {
+      required: (place.required === true || fixedArrival !== null) && place.excluded !== true,
+      excluded: place.excluded === true,
+      fixedArrival,
+      earliest: toMinutes(place.earliest),
+      latest: toMinutes(place.latest)
+    };
+  }
+
+  hasVisitConstraints(place) {
+    const { required, excluded, fixedArrival, earliest, latest } = this.getVisitConstraints(place);
+    return required || excluded || fixedArrival !== null || earliest !== null || latest !== null;
+  }
+
+  hasVisitTimeConstraints(place) {
+    const { fixedArrival, earliest, latest } = this.getVisitConstraints(place);
+    return fixedArrival !== null || earliest !== null || latest !== null;
+  }
+
+  withoutExcludedPlaces(places) {
+    return places.filter(place => place.excluded !== true);
+  }
+
+  // Short description, e.g. "fixed arrival at 16:00" or "visit between 10:00 and 15:00"
+  describeVisitConstraint(place) {
+    const { fixedArrival, earliest, latest } = this.getVisitConstraints(place);
+
+    if (fixedArrival !== null) return `fixed arrival at ${this.formatTime(fixedArrival)}`;
+    if (earliest !== null && latest !== null) return `visit between ${this.formatTime(earliest)} and ${this.formatTime(latest)}`;
+    if (earliest !== null) return `visit not before ${this.formatTime(earliest)}`;
+    if (latest !== null) return `visit starting by ${this.formatTime(latest)}`;
+    return 'required visit';
+  }
+
+  // Narrow opening windows so the visit starts inside the allowed range
+  applyVisitWindow(windows, place) {
+    const { fixedArrival, earliest, latest } = this.getVisitConstraints(place);
+    const from = fixedArrival ?? earliest;
+    const until = fixedArrival ?? latest;
+
+    if (from === null && until === null) {
+      return windows;
+    }
+
+    const duration = place.averageVisitDuration || 60;
+    return windows
+      .map(window => ({
+        open: from === null ? window.open : Math.max(window.open, from),
+        close: until === null ? window.close : Math.min(window.close, until + duration)
+      }))
+      .filter(window => window.close > window.open);
+  }
+
+  /**
+   * Conflicts that can be seen before solving: contradictory settings,
+   * bookings outside opening hours or the trip window, overlapping bookings,
+   * and required places that cannot all fit the time or budget.
+   */
+  findVisitConstraintConflicts(places, constraints = {}) {
+    const {
+      startTime = '09:00',
+      endTime = '18:00',
+      currentDay = new Date().getDay(),
+      budget = Infinity
+    } = constraints;
+    const dayName = this.getDayName(currentDay);
+    const tripStart = this.parseTime(startTime);
+    const tripEnd = this.parseTime(endTime);
+    const conflicts = [];
+
+    for (const place of places) {
+      if (place.required === true && place.excluded === true) {
+        conflicts.push(`${place.name} is marked both required and excluded - it will be skipped`);
+        continue;
+      }
+      if (place.excluded === true || !this.hasVisitTimeConstraints(place)) continue;
+
+      const { fixedArrival, earliest, latest } = this.getVisitConstraints(place);
+      const duration = place.averageVisitDuration || 60;
+      const label = this.describeVisitConstraint(place);
+
+      if (earliest !== null && latest !== null && earliest > latest) {
+        conflicts.push(`${place.name}: earliest ${this.formatTime(earliest)} is after latest ${this.formatTime(latest)}`);
+        continue;
+      }
+      if (fixedArrival !== null && ((earliest !== null && fixedArrival < earliest) || (latest !== null && fixedArrival > latest))) {
+        conflicts.push(`${place.name}: ${label} is outside its own earliest/latest range`);
+        continue;
+      }
+
+      const opening = this.getOpeningWindows(place, dayName);
+      if (opening.length === 0) {
+        conflicts.push(`${place.name} is closed on ${dayName}, so its ${label} cannot be kept`);
+      } else if (this.applyVisitWindow(opening, place).every(window => window.close - window.open < duration)) {
+        conflicts.push(`${place.name}: ${label} does not leave a ${duration} min visit inside opening hours (${this.formatTimeWindows(opening)})`);
+      }
+
+      const from = fixedArrival ?? earliest ?? tripStart;
+      const until = fixedArrival ?? latest ?? tripEnd;
+      if (until < tripStart || from + duration > tripEnd) {
+        conflicts.push(`${place.name}: ${label} is outside the trip hours ${startTime}-${endTime}`);
+      }
+    }
+
+    // Back-to-back bookings need the first visit and the drive to fit between them
+    const bookings = places
+      .filter(place => place.excluded !== true && this.getVisitConstraints(place).fixedArrival !== null)
+      .sort((a, b) => this.getVisitConstraints(a).fixedArrival - this.getVisitConstraints(b).fixedArrival);
+    for (let i = 1; i < bookings.length; i++) {
+      const previous = bookings[i - 1];
+      const next = bookings[i];
+      const driveTime = previous.location && next.location
+        ? Math.round(this.calculateStraightLineDistance(previous.location, next.location) / 40 * 60)
+        : 0;
+      const readyAt = this.getVisitConstraints(previous).fixedArrival + (previous.averageVisitDuration || 60) + driveTime;
+      if (readyAt > this.getVisitConstraints(next).fixedArrival) {
+        conflicts.push(`${previous.name} and ${next.name} bookings overlap - the ${previous.averageVisitDuration || 60} min visit and about ${driveTime} min drive end at ${this.formatTime(readyAt)}`);
+      }
+    }
+
+    const required = places.filter(place => this.getVisitConstraints(place).required);
+    const requiredMinutes = required.reduce((sum, place) => sum + (place.averageVisitDuration || 60), 0);
+    if (requiredMinutes > tripEnd - tripStart) {
+      conflicts.push(`Required places need ${requiredMinutes} min of visits but the day is only ${tripEnd - tripStart} min`);
+    }
+    const requiredCost = required.reduce((sum, place) => sum + this.getPlaceEntryCost(place), 0);
+    if (requiredCost > budget) {
+      conflicts.push(`Required places cost ₹${requiredCost} in entry fees, over the ₹${budget} budget`);
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Final stage for every optimizer when any place has visit constraints or
+   * breaks are configured. Re-times the route with the breaks (see getBreaks)
+   * and reorders it so bookings and earliest/latest windows hold, drops
+   * optional stops that make them impossible or no longer leave time for the
+   * breaks, and inserts required places the optimizer left out (dropping
+   * optional stops to make room). A required place is kept even when its
+   * window still cannot be met, and the clash is reported in
+   * visitConstraints.conflicts and warnings. Any other stop still visited
+   * while closed or past the trip end, and a route that ends after it, is
+   * reported in warnings too.
+   */
+  async enforceScheduleConstraints(result, places, constraints = {}) {
+    const hasVisitConstraints = places.some(place => this.hasVisitConstraints(place));
+    if (!result?.route || !this.needsScheduleEnforcement(places, constraints)) {
+      return result;
+    }
+
+    const {
+      startTime = '09:00',
+      endTime = '18:00',
+      currentDay = new Date().getDay(),
+      budget = Infinity
+    } = constraints;
+    const { startLocation, endLocation } = resolveRouteEndpoints(constraints);
+
+    const routeKeys = new Set(result.route.map(place => this.getPlaceKey(place)));
+    const missingRequired = places.filter(place =>
+      this.getVisitConstraints(place).required && !routeKeys.has(this.getPlaceKey(place))
+    );
+
+    const problem = await this.buildTimeWindowProblem(
+      [...result.route.filter(place => place.excluded !== true), ...missingRequired],
+      startLocation,
+      endLocation,
+      {
+        dayName: this.getDayName(currentDay),
+        tripStart: this.parseTime(startTime),
+        tripEnd: this.parseTime(endTime),
+        budget,
+        breaks: this.getBreaks(constraints)
+      }
+    );
+    const keptCount = problem.stops.length - missingRequired.length;
+    const isRequired = index => this.getVisitConstraints(problem.stops[index].place).required;
+    const isConstrained = index => isRequired(index) || this.hasVisitTimeConstraints(problem.stops[index].place);
+    const removed = [];
+
+    // Broken required or time-limited stops first, then any broken window, then how late
+    // the broken visits are (so partial progress counts), then distance
+    const evaluate = order => {
+      const simulation = this.simulateTimeWindowRoute(problem, order, { strict: false });
+      let constrainedViolations = 0;
+      let lateness = Math.max(0, simulation.finish - problem.tripEnd);
+
+      for (const visit of simulation.visits) {
+        const stop = problem.stops[visit.stopIndex];
+        const broken = !visit.window || visit.departure > problem.tripEnd;
+        if (broken && isConstrained(visit.stopIndex)) constrainedViolations++;
+        if (!visit.window && stop.windows.length > 0) {
+          lateness += Math.max(0, visit.arrival - Math.max(...stop.windows.map(window => window.close - stop.duration)));
+        }
+        lateness += Math.max(0, visit.departure - problem.tripEnd);
+      }
+      for (const taken of simulation.breaks) {
+        lateness += Math.max(0, taken.start - problem.breaks[taken.breakIndex].latest);
+      }
+
+      return { order, simulation, score: [constrainedViolations, simulation.violations, lateness, simulation.distance] };
+    };
+    const compareScores = (a, b, length = 4) => {
+      for (let i = 0; i < length; i++) {
+        if (a.score[i] !== b.score[i]) return a.score[i] - b.score[i];
+      }
+      return 0;
+    };
+
+    // Drop optional stops one at a time while that makes the route less broken,
+    // until no constrained stop and at most allowedViolations others are broken
+    const dropOptionalStops = (start, reason, allowedViolations = Infinity) => {
+      let current = start;
+      const dropped = [];
+
+      while (current.score[0] > 0 || current.score[1] > allowedViolations) {
+        const best = current.order
+          .filter(index => !isRequired(index))
+          .map(index => ({ index, candidate: evaluate(current.order.filter(other => other !== index)) }))
+          .sort((a, b) => compareScores(a.candidate, b.candidate) ||
+            (problem.stops[a.index].place.rating || 0) - (problem.stops[b.index].place.rating || 0))[0];
+
+        if (!best || compareScores(best.candidate, current, 3) >= 0) break;
+
+        dropped.push({ index: best.index, reason });
+        current = best.candidate;
+      }
+      return { current, removed: dropped };
+    };
+
+    // Required stops the optimizer placed where they cannot be kept are taken
+    // out and re-inserted below, like the required places it left out
+    let current = evaluate(this.runLocalSearch(problem, Array.from({ length: keptCount }, (_, index) => index)).order);
+    // Breaks may not break more windows than the optimizer's route already did without them
+    const allowedViolations = problem.breaks.length > 0
+      ? this.simulateTimeWindowRoute({ ...problem, breaks: [] }, current.order, { strict: false }).violations
+      : Infinity;
+    const misplacedRequired = current.simulation.visits
+      .filter(visit => isRequired(visit.stopIndex) && (!visit.window || visit.departure > problem.tripEnd))
+      .map(visit => visit.stopIndex);
+    if (misplacedRequired.length > 0) {
+      current = evaluate(current.order.filter(index => !misplacedRequired.includes(index)));
+    }
+    if (current.score[0] > 0 || current.score[1] > allowedViolations) {
+      const dropped = dropOptionalStops(
+        current,
+        current.score[0] > 0
+          ? 'Removed so the booked and time-limited visits can keep their times'
+          : 'Removed to make time for the scheduled breaks',
+        allowedViolations
+      );
+      current = dropped.current;
+      removed.push(...dropped.removed);
+    }
+
+    // Tightest windows first. Each position is tried with its own drops, so a
+    // far required place can go early even if that costs optional stops
+    const insertionOrder = [...misplacedRequired, ...missingRequired.map((place, offset) => keptCount + offset)]
+      .sort((a, b) => Number(this.hasVisitTimeConstraints(problem.stops[b].place)) - Number(this.hasVisitTimeConstraints(problem.stops[a].place)));
+
+    for (const stopIndex of insertionOrder) {
+      const before = current.score[1];
+      const reason = `Removed to make room for required ${problem.stops[stopIndex].place.name}`;
+
+      const best = Array.from({ length: current.order.length + 1 }, (_, position) => {
+        const inserted = evaluate([...current.order.slice(0, position), stopIndex, ...current.order.slice(position)]);
+        return inserted.score[0] > 0 || inserted.score[1] > before
+          ? dropOptionalStops(inserted, reason, before)
+          : { current: inserted, removed: [] };
+      }).sort((a, b) =>
+        compareScores(a.current, b.current, 2) ||
+        a.removed.length - b.removed.length ||
+        compareScores(a.current, b.current)
+      )[0];
+
+      current = best.current;
+      removed.push(...best.removed);
+    }
+
+    // Put back removed stops that now fit without breaking anything, best rated first
+    const byRating = (a, b) => (problem.stops[b.index].place.rating || 0) - (problem.stops[a.index].place.rating || 0);
+    for (const { index } of [...removed].sort(byRating)) {
+      const best = Array.from({ length: current.order.length + 1 }, (_, position) =>
+        evaluate([...current.order.slice(0, position), index, ...current.order.slice(position)])
+      ).sort(compareScores)[0];
+
+      if (compareScores(best, current, 3) <= 0 && best.simulation.cost <= problem.budget) {
+        current = best;
+      }
+    }
+
+    const finalOrder = new Set(current.order);
+    const removedPlaces = removed
+      .filter(({ index }) => !finalOrder.has(index))
+      .map(({ index, reason }) => ({ ...problem.stops[index].place, dropReason: reason }));
+
+    const rebuilt = this.buildTimeWindowResult(problem, current.order, { startTime, endLocation, strict: false });
+    const conflicts = current.simulation.visits
+      .filter(visit => {
+        const place = problem.stops[visit.stopIndex].place;
+        return this.hasVisitConstraints(place) && (!visit.window || visit.departure > problem.tripEnd);
+      })
+      .map(visit => {
+        const stop = problem.stops[visit.stopIndex];
+        return {
+          id: this.getPlaceKey(stop.place),
+          name: stop.place.name,
+          constraint: this.describeVisitConstraint(stop.place),
+          reason: this.explainVisitConstraintConflict(problem, stop, visit)
+        };
+      });
+
+    // Windows the optimizer's own route already broke are kept, but not silently
+    const scheduleWarnings = this.describeScheduleViolations(problem, current.simulation);
+
+    const removedKeys = new Set(removedPlaces.map(place => this.getPlaceKey(place)));
+    const routeKeysAfter = new Set(rebuilt.route.map(place => this.getPlaceKey(place)));
+    const required = places.filter(place => this.getVisitConstraints(place).required);
+
+    if (missingRequired.length > 0 || removedPlaces.length > 0 || conflicts.length > 0) {
+      console.log(`📌 Visit constraints: ${missingRequired.length} required added, ${removedPlaces.length} removed, ${conflicts.length} conflicts`);
+    }
+    if (scheduleWarnings.length > 0) {
+      console.log(`⏰ Schedule still breaks ${scheduleWarnings.length} opening-hour or end-time limits`);
+    }
+    if (rebuilt.breaks.length > 0) {
+      console.log(`🍽️ Breaks: ${rebuilt.breaks.map(pause => `${pause.label} ${pause.startTime}-${pause.endTime}`).join(', ')}`);
+    }
+    const lateBreaks = rebuilt.breaks.filter(pause => pause.late);
+
+    return {
+      ...result,
+      ...rebuilt,
+      droppedPlaces: [
+        ...(result.droppedPlaces || []).filter(place => !routeKeysAfter.has(this.getPlaceKey(place)) && !removedKeys.has(this.getPlaceKey(place))),
+        ...removedPlaces
+      ],
+      unselectedPlaces: result.unselectedPlaces
+        ? result.unselectedPlaces.filter(place => !routeKeysAfter.has(this.getPlaceKey(place)))
+        : result.unselectedPlaces,
+      infeasibility: result.infeasibility
+        ? { ...result.infeasibility, places: result.infeasibility.places.filter(place => !routeKeysAfter.has(place.id)) }
+        : result.infeasibility,
+      visitConstraints: hasVisitConstraints ? {
+        required: required.length,
+        requiredAdded: missingRequired.map(place => place.name),
+        removedPlaces: removedPlaces.map(place => ({ id: this.getPlaceKey(place), name: place.name, reason: place.dropReason })),
+        conflicts,
+        satisfied: conflicts.length === 0
+      } : result.visitConstraints,
+      warnings: [
+        ...(result.warnings || []),
+        ...conflicts.map(conflict => `${conflict.name} (${conflict.constraint}): ${conflict.reason}`),
+        ...scheduleWarnings,
+        ...lateBreaks.map(pause => `${pause.label} could not start within ${pause.window} - it starts at ${pause.startTime}`)
+      ]
+    };
+  }
+
+  explainVisitConstraintConflict(problem, stop, visit) {
+    const opening = this.getOpeningWindows(stop.place, problem.dayName);
+
+    if (opening.length === 0) {
+      return `Closed on ${problem.dayName}`;
+    }
+    if (stop.windows.length === 0) {
+      return `Outside opening hours (${this.formatTimeWindows(opening)})`;
+    }
+    if (visit.window && visit.departure > problem.tripEnd) {
+      return `The visit would end at ${this.formatTime(visit.departure)}, after the trip ends at ${this.formatTime(problem.tripEnd)}`;
+    }
+
+    const lastStart = Math.max(...stop.windows.map(window => window.close - stop.duration));
+    if (visit.arrival > lastStart) {
+      return `Earliest possible arrival is ${this.formatTime(visit.arrival)}, too late for a start by ${this.formatTime(lastStart)}`;
+    }
+    return `No ${stop.duration} min slot fits ${this.formatTimeWindows(stop.windows)}`;
+  }
+
+  // Whether enforceScheduleConstraints has anything to do for these places and constraints
+  needsScheduleEnforcement(places, constraints = {}) {
+    return places.some(place => this.hasVisitConstraints(place)) || this.getBreaks(constraints).length > 0;
+  }
+
+  // Warnings for stops without visit constraints that a (non-strict) simulation
+  // visits while closed or past the trip end, and for a route that ends after it
+  describeScheduleViolations(problem, simulation) {
+    const warnings = simulation.visits
+      .filter(visit => {
+        const place = problem.stops[visit.stopIndex].place;
+        return !this.hasVisitConstraints(place) && (!visit.window || visit.departure > problem.tripEnd);
+      })
+      .map(visit => {
+        const stop = problem.stops[visit.stopIndex];
+        return `${stop.place.name}: ${this.explainScheduleViolation(problem, stop, visit)}`;
+      });
+
+    if (simulation.finish > problem.tripEnd) {
+      warnings.push(`The route ends at ${this.formatTimeWithDay(simulation.finish)}, after the trip end time ${this.formatTime(problem.tripEnd)}`);
+    }
+    return warnings;
+  }
+
+  // Same as explainVisitConstraintConflict for a stop with no visit constraints,
+  // where the arrival comes from the route order rather than a search for the earliest.
+  // Names the limit that was broken: opening hours, closing time or the trip end
+  explainScheduleViolation(problem, stop, visit) {
+    const opening = this.getOpeningWindows(stop.place, problem.dayName);
+    if (visit.window || opening.length === 0) {
+      return this.explainVisitConstraintConflict(problem, stop, visit);
+    }
+
+    const start = this.formatTimeWithDay(visit.visitStart);
+    const end = this.formatTimeWithDay(visit.departure);
+    const pastTripEnd = visit.departure > problem.tripEnd;
+    if (visit.visitStart >= problem.tripEnd) {
+      return `Starts at ${start}, after the trip ends at ${this.formatTime(problem.tripEnd)}`;
+    }
+
+    const openWindow = opening.find(window => visit.visitStart >= window.open && visit.visitStart < window.close);
+
+    if (!openWindow) {
+      return `Visited at ${start}, outside opening hours (${this.formatTimeWindows(opening)})` +
+        (pastTripEnd ? ` and ending at ${end}, after the trip ends at ${this.formatTime(problem.tripEnd)}` : '');
+    }
+
+    const limits = [];
+    if (visit.departure > openWindow.close && !(openWindow.open === 0 && openWindow.close >= 1440)) {
+      limits.push(`closing time ${this.formatTime(openWindow.close)}`);
+    }
+    if (pastTripEnd) {
+      limits.push(`the trip end at ${this.formatTime(problem.tripEnd)}`);
+    }
+    return `The visit from ${start} to ${end} runs past ${limits.length > 0 ? limits.join(' and ') : 'midnight'}`;
+  }
+
+  // ==================== PARETO ROUTE OPTIONS ====================
+
+  /**
+   * Alternative routes for the same places, one per objective, instead of a
+   * single weighted-sum answer. The greedy builder is re-run with each weight
+   * profile in ROUTE_OPTION_PROFILES, every candidate (plus the main result,
+   * if given) is scored on cost, drive distance, average rating, crowding and
+   * places visited, and only non-dominated routes are kept. The best route
+   * for each objective becomes an option, with its trade-offs measured
+   * against the main result. Routes that win several objectives are merged.
+   */
+  async paretoRouteOptions(places, constraints = {}, baseResult = null) {
+    const candidates = [];
+
+    const addCandidate = async (profileId, result) => {
+      if (!result?.route?.length) return;
+
+      const key = result.route.map(place => place.id || place._id || place.name).join('|');
+      if (candidates.some(candidate => candidate.key === key)) return;
+
+      candidates.push({
+        key,
+        profileId,
+        result,
+        objectives: await this.evaluateRouteObjectives(result.route, constraints)
+      });
+    };
+
+    if (baseResult) {
+      await addCandidate('recommended', baseResult);
+    }
+
+    for (const profile of ROUTE_OPTION_PROFILES) {
+      try {
+        const result = await this.advancedGreedyOptimization(places, { ...constraints, weights: profile.weights });
+        await addCandidate(profile.id, result);
+      } catch (error) {
+        console.warn(`Route option ${profile.id} failed:`, error.message);
+      }
+    }
+
+    if (candidates.length === 0) {
+      return { options: [], candidatesEvaluated: 0, frontSize: 0 };
+    }
+
+    const front = candidates.filter(candidate =>
+      !candidates.some(other => other !== candidate && this.dominatesRoute(other.objectives, candidate.objectives))
+    );
+    const reference = candidates.find(candidate => candidate.profileId === 'recommended') || front[0];
+
+    // One option per objective; a route that wins several gets all the labels
+    const options = [];
+    for (const objective of ROUTE_OBJECTIVES.filter(entry => entry.label)) {
+      const best = [...front].sort((a, b) =>
+        objective.better(a.objectives, b.objectives) || (b.objectives.placesVisited - a.objectives.placesVisited)
+      )[0];
+
+      const existing = options.find(option => option.candidate === best);
+      if (existing) {
+        existing.labels.push(objective.label);
+      } else {
+        options.push({ candidate: best, labels: [objective.label], objective: objective.id });
+      }
+    }
+
+    // Keep the main result selectable even when another route dominates it
+    if (baseResult && !options.some(option => option.candidate === reference)) {
+      options.unshift({ candidate: reference, labels: ['Recommended'], objective: 'recommended' });
+    }
+
+    console.log(`🎚️ Route options: ${candidates.length} candidates, ${front.length} on the Pareto front, ${options.length} options`);
+
+    return {
+      options: options.map(({ candidate, labels, objective }) => ({
+        id: objective,
+        title: labels.join(' · '),
+        labels,
+        isRecommended: candidate === reference,
+        route: candidate.result.route,
+        endLeg: candidate.result.endLeg || null,
+        breaks: candidate.result.breaks || [],
+        metrics: candidate.objectives,
+        tradeOffs: this.describeRouteTradeOffs(candidate.objectives, reference.objectives)
+      })),
+      candidatesEvaluated: candidates.length,
+      frontSize: front.length
+    };
+  }
+
+  async evaluateRouteObjectives(route, constraints = {}) {
+    const metrics = await this.calculateRouteMetrics(route, constraints);
+    const currentDay = constraints.currentDay ?? new Date().getDay();
+    const crowdLevel = route.reduce((sum, place) =>
+      sum + this.estimateCrowdLevel(place, place.arrivalTime ? this.parseTime(place.arrivalTime) : null, currentDay), 0
+    ) / route.length;
+
+    return {
+      totalCost: metrics.totalCost,
+      totalDistance: Math.round(metrics.totalDistance * 10) / 10,
+      totalTime: Math.round(metrics.totalTime),
+      averageRating: Math.round(metrics.averageRating * 100) / 100,
+      crowdLevel: Math.round(crowdLevel * 100) / 100,
+      placesVisited: route.length
+    };
+  }
+
+  // a dominates b when it is no worse on every objective and better on one
+  dominatesRoute(a, b) {
+    let strictlyBetter = false;
+    for (const objective of ROUTE_OBJECTIVES) {
+      const comparison = objective.better(a, b);
+      if (comparison > 0) return false;
+      if (comparison < 0) strictlyBetter = true;
+    }
+    return strictlyBetter;
+  }
+
+  // Differences from the reference route, as numbers and as short phrases
+  describeRouteTradeOffs(objectives, reference) {
+    const delta = {
+      totalCost: objectives.totalCost - reference.totalCost,
+      totalDistance: Math.round((objectives.totalDistance - reference.totalDistance) * 10) / 10,
+      totalTime: objectives.totalTime - reference.totalTime,
+      averageRating: Math.round((objectives.averageRating - reference.averageRating) * 100) / 100,
+      crowdLevel: Math.round((objectives.crowdLevel - reference.crowdLevel) * 100) / 100,
+      placesVisited: objectives.placesVisited - reference.placesVisited
+    };
+
+    const summary = [];
+    if (delta.totalCost !== 0) {
+      summary.push(`₹${Math.abs(delta.totalCost)} ${delta.totalCost < 0 ? 'cheaper' : 'more in entry fees'}`);
+    }
+    if (Math.abs(delta.totalDistance) >= 0.5) {
+      summary.push(`${Math.abs(delta.totalDistance).toFixed(1)} km ${delta.totalDistance < 0 ? 'less' : 'more'} driving`);
+    }
+    if (Math.abs(delta.averageRating) >= 0.05) {
+      summary.push(`${Math.abs(delta.averageRating).toFixed(1)}★ ${delta.averageRating > 0 ? 'higher' : 'lower'} average rating`);
+    }
+    if (Math.abs(delta.crowdLevel) >= 0.05) {
+      summary.push(`${delta.crowdLevel < 0 ? 'quieter' : 'busier'} (crowd ${Math.round(objectives.crowdLevel * 100)}% vs ${Math.round(reference.crowdLevel * 100)}%)`);
+    }
+    if (delta.placesVisited !== 0) {
+      const count = Math.abs(delta.placesVisited);
+      summary.push(`${count} ${delta.placesVisited > 0 ? 'more' : 'fewer'} place${count === 1 ? '' : 's'}`);
+    }
+    if (Math.abs(delta.totalTime) >= 15) {
+      summary.push(`${Math.abs(delta.totalTime)} min ${delta.totalTime < 0 ? 'shorter' : 'longer'} day`);
+    }
+
+    return { delta, summary };
+  }
+
+  // ==================== HELPER METHODS ====================
+
+  // Passing the route before local search adds a localSearch before/after report
+  async calculateRouteMetrics(route, constraints = {}, baselineRoute = null) {
+    if (!route || route.length === 0) {
+      return {
+        totalTime: 0,
+        totalTravelTime: 0,
+        totalVisitTime: 0,
+        totalDistance: 0,
+        totalCost: 0,
+        averageRating: 0,
+        efficiency: 0
+      };
+    }
+
+    const totalVisitTime = route.reduce((sum, place) => sum + (place.averageVisitDuration || 60), 0);
+    const totalCost = route.reduce((sum, place) => sum + this.getPlaceEntryCost(place), 0);
+    const averageRating = route.reduce((sum, place) => sum + (place.rating || 0), 0) / route.length;
+
+    let totalDistance = 0;
+    let totalTravelTime = 0;
+
+    // Calculate travel metrics, including the leg to the end point if there is one
+    const { startLocation, endLocation } = resolveRouteEndpoints(constraints);
+    const locations = [startLocation.coordinates, ...route.map(p => p.location)];
+    if (endLocation) locations.push(endLocation.coordinates);
+
+    let lastLeg = null;
+    for (let i = 1; i < locations.length; i++) {
+      try {
+        lastLeg = await this.getTravelData(locations[i-1], locations[i]);
+      } catch (error) {
+        const fallbackDistance = this.calculateStraightLineDistance(locations[i-1], locations[i]);
+        lastLeg = { distance: fallbackDistance, travelTime: (fallbackDistance / 40) * 60 };
+      }
+      totalDistance += lastLeg.distance;
+      totalTravelTime += lastLeg.travelTime;
+    }
+
+    const metrics = {
+      totalTime: totalVisitTime + totalTravelTime,
+      totalTravelTime,
+      totalVisitTime,
+      totalDistance,
+      totalCost,
+      averageRating,
+      efficiency: this.calculateBasicEfficiency(route, totalVisitTime + totalTravelTime),
+      endLeg: endLocation
+        ? { name: endLocation.name, distance: lastLeg.distance, travelTime: lastLeg.travelTime }
+        : null
+    };
+
+    if (baselineRoute) {
+      const before = await this.calculateRouteMetrics(baselineRoute, constraints);
+      const summarize = ({ totalDistance, totalTime, totalTravelTime }) => ({ totalDistance, totalTime, totalTravelTime });
+
+      metrics.localSearch = {
+        before: summarize(before),
+        after: summarize(metrics),
+        distanceSaved: Math.round((before.totalDistance - metrics.totalDistance) * 10) / 10,
+        timeSaved: Math.round(before.totalTime - metrics.totalTime)
+      };
+    }
+
+    return metrics;
+  }
+
+  calculateBasicEfficiency(route, totalTime) {
+    if (totalTime <= 0 || route.length === 0) return 0;
+    return (route.length * 60) / totalTime * 100;
+  }
+
+  calculateTimingAwareEfficiency(places, totalTime, timingStats) {
+    if (totalTime <= 0 || places.length === 0) return 0;
     
     const baseEfficiency = (places.length * 60) / totalTime;
     
@@ -1140,6 +3474,26 @@ class OptimizationAlgorithms {
     return (hour >= 8 && hour <= 10) || (hour >= 17 && hour <= 19);
   }
 
+  /**
+   * Rough crowd estimate from 0 (quiet) to 1 (packed). There is no live crowd
+   * data, so it combines popularity (review count) with rush hours and
+   * weekends. arrivalTime is in minutes; null leaves out the time of day.
+   */
+  estimateCrowdLevel(place, arrivalTime, currentDay) {
+    const reviewCount = place.reviewCount || 0;
+    let crowd = reviewCount > 0 ? Math.min(0.6, Math.log10(reviewCount + 1) * 0.15) : 0.3;
+
+    if (arrivalTime !== null && arrivalTime !== undefined) {
+      const hour = Math.floor(arrivalTime / 60) % 24;
+      if (this.isRushHour(arrivalTime)) crowd += 0.2;
+      else if (hour >= 11 && hour <= 15) crowd += 0.1;
+    }
+
+    if (currentDay === 0 || currentDay === 6) crowd += 0.15;
+
+    return Math.min(1, crowd);
+  }
+
   calculateAdvancedTimingScore(arrivalTime, bestTimeToVisit, userPreferences) {
     let score = 0.5; // Base score
     
@@ -1188,6 +3542,13 @@ class OptimizationAlgorithms {
     return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}`;
   }
 
+  // formatTime that says when a time has run into a later day
+  formatTimeWithDay(minutes) {
+    const days = Math.floor(minutes / 1440);
+    if (days === 0) return this.formatTime(minutes);
+    return `${this.formatTime(minutes)} ${days === 1 ? 'the next day' : `on day ${days + 1}`}`;
+  }
+
   getPlaceEntryCost(place) {
     return place.entryFee?.indian || place.entryFee?.amount || 0;
   }
@@ -1222,13 +3583,8 @@ class OptimizationAlgorithms {
     return R * c;
   }
 
-  shuffleArray(array) {
-    const shuffled = [...array];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-    }
-    return shuffled;
+  shuffleArray(array, random = createRandom()) {
+    return random.shuffle(array);
   }
 }
 
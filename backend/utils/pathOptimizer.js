@@ -1,5 +1,7 @@
 // backend/utils/pathOptimizer.js
 const axios = require('axios');
+const { ROUTE_END_MODES } = require('../config/locations');
+const routingEngine = require('./routingEngine');
 
 class PathOptimizer {
   constructor() {
@@ -54,7 +56,7 @@ class PathOptimizer {
       await new Promise(resolve => setTimeout(resolve, this.rateLimitDelay));
 
       if (!this.googleMapsApiKey) {
-        return this.getFallbackDistance(origin, destination);
+        return this.getRoadNetworkDistance(origin, destination);
       }
 
       const response = await axios.get('https://maps.googleapis.com/maps/api/distancematrix/json', {
@@ -84,12 +86,36 @@ class PathOptimizer {
         this.distanceCache.set(cacheKey, result);
         return result;
       } else {
-        return this.getFallbackDistance(origin, destination);
+        return this.getRoadNetworkDistance(origin, destination);
       }
     } catch (error) {
       console.warn(`Google Maps API error for ${cacheKey}:`, error.message);
+      return this.getRoadNetworkDistance(origin, destination);
+    }
+  }
+
+  // Offline road graph when one is built; otherwise the Haversine fallback below
+  async getRoadNetworkDistance(origin, destination) {
+    const leg = await routingEngine.getLeg(origin, destination);
+    if (leg.backend === 'estimate') {
       return this.getFallbackDistance(origin, destination);
     }
+
+    const result = {
+      distance: Math.max(leg.distance, 0.1),
+      duration: Math.max(leg.duration, 1),
+      durationInTraffic: leg.duration * 1.2,
+      distanceText: `${leg.distance.toFixed(1)} km`,
+      durationText: `${Math.round(leg.duration)} mins`,
+      method: leg.method
+    };
+
+    this.distanceCache.set(
+      `${origin.latitude.toFixed(6)},${origin.longitude.toFixed(6)}-${destination.latitude.toFixed(6)},${destination.longitude.toFixed(6)}`,
+      result
+    );
+
+    return result;
   }
 
   // Enhanced fallback distance calculation
@@ -218,6 +244,11 @@ class PathOptimizer {
     const matrix = Array(n).fill().map(() => Array(n).fill(0));
     const distances = Array(n).fill().map(() => Array(n).fill(null));
 
+    // Without Google, fill the road-network legs with one search per place
+    if (!this.googleMapsApiKey) {
+      await routingEngine.prefetch(places.map(place => place.location));
+    }
+
     // Create batches to avoid overwhelming the API
     const batchSize = 5;
     const promises = [];
@@ -280,7 +311,9 @@ class PathOptimizer {
         startDay = new Date().getDay(),
         priorityWeight = 0.3, // Weight for place priority/rating
         timeWeight = 0.4,     // Weight for travel time
-        openingWeight = 0.3   // Weight for opening hours compatibility
+        openingWeight = 0.3,  // Weight for opening hours compatibility
+        endMode = 'open',     // 'open' ends at the last place, 'return' at the first, 'fixed' at endLocation
+        endLocation = null
       } = timeConstraints;
 
       // Input validation
@@ -288,12 +321,15 @@ class PathOptimizer {
         throw new Error('Valid places array is required');
       }
 
+      const ending = await this.buildRouteEnding(places, endMode, endLocation);
+
       // Single place handling
       if (places.length === 1) {
-        return this.createSinglePlaceRoute(places[0], startTime, startDay);
+        const singleRoute = this.createSinglePlaceRoute(places[0], startTime, startDay);
+        return this.attachEndLeg(singleRoute, ending, [[{ distance: 0, duration: 0, durationInTraffic: 0 }]]);
       }
 
-      console.log(`Optimizing route for ${places.length} places`);
+      console.log(`Optimizing route for ${places.length} places (${endMode} end)`);
 
       // Build adjacency matrix with enhanced distance calculations
       const { matrix, distances } = await this.buildAdjacencyMatrix(places);
@@ -307,7 +343,7 @@ class PathOptimizer {
       for (const startIndex of startingCandidates) {
         const route = await this.greedyRouteFromStart(
           places, matrix, distances, startIndex, 
-          { startTime, endTime, totalTimeAvailable, startDay, priorityWeight, timeWeight, openingWeight }
+          { startTime, endTime, totalTimeAvailable, startDay, priorityWeight, timeWeight, openingWeight, ending }
         );
 
         if (route && route.score > bestScore) {
@@ -329,6 +365,7 @@ class PathOptimizer {
             priorityWeight, 
             timeWeight, 
             openingWeight,
+            ending,
             relaxed: true 
           }
         );
@@ -339,9 +376,13 @@ class PathOptimizer {
       }
 
       // Apply local optimization improvements
-      const optimizedRoute = this.applyLocalOptimizations(bestRoute, matrix, distances, timeConstraints);
+      const optimizedRoute = await this.applyLocalOptimizations(bestRoute, matrix, distances, {
+        ...timeConstraints,
+        places,
+        ending
+      });
 
-      return optimizedRoute;
+      return this.attachEndLeg(optimizedRoute, ending, distances);
 
     } catch (error) {
       console.error('Error in route optimization:', error);
@@ -394,6 +435,7 @@ class PathOptimizer {
       priorityWeight,
       timeWeight,
       openingWeight,
+      ending = { mode: 'open' },
       relaxed = false
     } = constraints;
 
@@ -407,6 +449,12 @@ class PathOptimizer {
     let totalDistance = 0;
     let totalScore = 0;
 
+    // Minutes from a place to where the route ends, so the last stop still gets there in time
+    const closingTime = index => {
+      const leg = this.getClosingLeg(ending, distances, startIndex, index);
+      return leg ? (leg.durationInTraffic || leg.duration) : 0;
+    };
+
     // Add starting place
     visited[currentIndex] = true;
     route.push(currentIndex);
@@ -440,7 +488,7 @@ class PathOptimizer {
         // Hard constraints (unless relaxed mode)
         if (!relaxed) {
           // Check time constraints
-          if (departureTime > endTimeMinutes) continue;
+          if (departureTime + closingTime(i) > endTimeMinutes) continue;
           if ((arrivalTime - this.timeToMinutes(startTime)) > totalTimeAvailable) continue;
           
           // Check if place will be open
@@ -451,7 +499,7 @@ class PathOptimizer {
           }
         } else {
           // Soft constraints in relaxed mode
-          if (departureTime > endTimeMinutes * 1.2) continue; // Allow 20% overtime
+          if (departureTime + closingTime(i) > endTimeMinutes * 1.2) continue; // Allow 20% overtime
         }
 
         // Calculate composite score
@@ -507,7 +555,7 @@ class PathOptimizer {
       totalDistance,
       totalTravelTime,
       totalScore,
-      score: totalScore - (totalTravelTime * 0.1), // Penalize excessive travel time
+      score: totalScore - ((totalTravelTime + closingTime(route[route.length - 1])) * 0.1), // Penalize excessive travel time
       itinerary,
       feasible: route.length > 0,
       efficiency: (route.length / places.length) * 100
@@ -544,38 +592,44 @@ class PathOptimizer {
     }
   }
 
-  // Apply local optimizations (2-opt, insertion heuristics)
-  applyLocalOptimizations(route, matrix, distances, constraints) {
+  // Apply local optimizations (2-opt) on the path; the edge after the last
+  // stop only counts when the route returns to the start or has a fixed end
+  async applyLocalOptimizations(route, matrix, distances, constraints) {
     if (!route || route.routeIndices.length < 3) return route;
 
+    const { places, ending = { mode: 'open' }, startTime = '09:00', startDay = new Date().getDay() } = constraints;
+    const firstIndex = route.routeIndices[0];
+    const edgeCost = (from, to) => {
+      if (to !== undefined) return matrix[from][to];
+      const leg = this.getClosingLeg(ending, distances, firstIndex, from);
+      return leg ? (leg.durationInTraffic || leg.duration) : 0;
+    };
+
     // 2-opt improvement
     let improved = true;
     let currentRoute = [...route.routeIndices];
+    let passes = 0;
     
-    while (improved) {
+    while (improved && passes++ < 100) {
       improved = false;
       
-      for (let i = 1; i < currentRoute.length - 2; i++) {
+      for (let i = 1; i < currentRoute.length - 1; i++) {
         for (let j = i + 1; j < currentRoute.length; j++) {
-          if (j - i === 1) continue; // Skip adjacent pairs
-          
           const currentDistance = 
-            matrix[currentRoute[i - 1]][currentRoute[i]] +
-            matrix[currentRoute[j]][currentRoute[j + 1] || currentRoute[0]];
+            edgeCost(currentRoute[i - 1], currentRoute[i]) +
+            edgeCost(currentRoute[j], currentRoute[j + 1]);
             
           const newDistance = 
-            matrix[currentRoute[i - 1]][currentRoute[j]] +
-            matrix[currentRoute[i]][currentRoute[j + 1] || currentRoute[0]];
+            edgeCost(currentRoute[i - 1], currentRoute[j]) +
+            edgeCost(currentRoute[i], currentRoute[j + 1]);
           
-          if (newDistance < currentDistance) {
+          if (newDistance < currentDistance - 1e-9) {
             // Reverse the sub-route
-            const newRoute = [
+            currentRoute = [
               ...currentRoute.slice(0, i),
               ...currentRoute.slice(i, j + 1).reverse(),
               ...currentRoute.slice(j + 1)
             ];
-            
-            currentRoute = newRoute;
             improved = true;
             break;
           }
@@ -584,13 +638,91 @@ class PathOptimizer {
       }
     }
 
-    // Rebuild route with optimized order
-    if (JSON.stringify(currentRoute) !== JSON.stringify(route.routeIndices)) {
+    // Rebuild route, totals and itinerary for the optimized order
+    if (currentRoute.some((placeIndex, position) => placeIndex !== route.routeIndices[position])) {
       console.log('Applied local optimization improvements');
+
+      const visitTime = currentRoute.reduce((sum, i) => sum + (places[i].averageVisitDuration || 60), 0);
+      let totalTravelTime = 0;
+      let totalDistance = 0;
+      for (let k = 1; k < currentRoute.length; k++) {
+        totalTravelTime += matrix[currentRoute[k - 1]][currentRoute[k]];
+        totalDistance += distances[currentRoute[k - 1]][currentRoute[k]]?.distance || 0;
+      }
+
       route.routeIndices = currentRoute;
-      route.route = currentRoute.map(i => route.route[route.routeIndices.indexOf(i)]);
+      route.route = currentRoute.map(i => places[i]);
+      route.totalTravelTime = totalTravelTime;
+      route.totalDistance = totalDistance;
+      route.totalTime = totalTravelTime + visitTime;
+      route.itinerary = await this.buildDetailedItinerary(currentRoute, places, distances, startTime, startDay);
+    }
+
+    return route;
+  }
+
+  // ==================== ROUTE ENDING ====================
+
+  // How the route ends. For a fixed end point the leg from every place is looked up once.
+  async buildRouteEnding(places, endMode, endLocation) {
+    if (!ROUTE_END_MODES.includes(endMode)) {
+      throw new Error(`endMode must be one of: ${ROUTE_END_MODES.join(', ')}`);
+    }
+
+    if (endMode !== 'fixed') {
+      return { mode: endMode };
     }
 
+    if (typeof endLocation?.latitude !== 'number' || typeof endLocation?.longitude !== 'number') {
+      throw new Error('endLocation needs numeric latitude and longitude');
+    }
+
+    const legs = [];
+    for (const place of places) {
+      legs.push(await this.getGoogleMapsDistance(place.location, endLocation));
+    }
+
+    return { mode: 'fixed', endLocation, legs };
+  }
+
+  // Travel info from a place to the end of the route, or null for an open path
+  getClosingLeg(ending, distances, firstIndex, placeIndex) {
+    if (ending.mode === 'return') return distances[placeIndex]?.[firstIndex] || null;
+    if (ending.mode === 'fixed') return ending.legs[placeIndex] || null;
+    return null;
+  }
+
+  // Add the drive from the last stop to the end point to the route and its totals
+  attachEndLeg(route, ending, distances) {
+    route.endMode = ending.mode;
+    route.endLeg = null;
+
+    if (!route.routeIndices?.length) return route;
+
+    const firstIndex = route.routeIndices[0];
+    const lastIndex = route.routeIndices[route.routeIndices.length - 1];
+    const leg = this.getClosingLeg(ending, distances, firstIndex, lastIndex);
+    if (!leg) return route;
+
+    const travelTime = leg.durationInTraffic || leg.duration;
+    const lastStop = route.itinerary?.[route.itinerary.length - 1];
+    const departureTime = lastStop ? this.timeToMinutes(lastStop.departureTime) : null;
+
+    route.endLeg = {
+      name: ending.mode === 'return' ? route.route[0].name : (ending.endLocation.name || 'End point'),
+      location: ending.mode === 'return'
+        ? route.route[0].location
+        : { latitude: ending.endLocation.latitude, longitude: ending.endLocation.longitude },
+      distance: Math.round(leg.distance * 100) / 100,
+      travelTime: Math.round(travelTime),
+      departureTime: lastStop?.departureTime || null,
+      arrivalTime: departureTime !== null ? this.minutesToTime(departureTime + travelTime) : null
+    };
+
+    route.totalDistance = (route.totalDistance || 0) + leg.distance;
+    route.totalTravelTime = (route.totalTravelTime || 0) + travelTime;
+    route.totalTime = (route.totalTime || 0) + travelTime;
+
     return route;
   }
 
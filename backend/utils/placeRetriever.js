@@ -0,0 +1,369 @@
+// backend/utils/placeRetriever.js - Catalog places behind a chat question, with their verified facts
+//
+// The guide answers from these instead of its own memory for timings, fees
+// and accessibility, and cites the ones it used so the UI can link them.
+const Place = require('../models/Place');
+
+const MAX_PLACES = 5;
+const MAX_NEARBY_PLACES = 3;
+const NEARBY_RADIUS_KM = 30;
+// Text matches scoring below this share of the best one are noise ("time", "visit", ...)
+const MIN_RELATIVE_SCORE = 0.5;
+const LOCATION_NAMES_TTL_MS = 10 * 60 * 1000;
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const CATEGORIES = Place.schema.path('category').enumValues;
+const CURRENCY_SYMBOLS = { INR: '₹', USD: '$', EUR: '€' };
+
+const NEARBY_PATTERN = /\b(near|nearby|around|close to|closest|next to|walking distance|surrounding)\b/i;
+// Words pointing back at the previous answer: "near there", "is it open on Monday?"
+const REFERENCE_PATTERN = /\b(there|it|its|that|those|them|these|same)\b/i;
+
+// Question words and travel filler that would match half the catalog
+const STOP_WORDS = new Set([
+  'what', 'which', 'where', 'when', 'how', 'who', 'why', 'does', 'did', 'can', 'could', 'should',
+  'would', 'will', 'is', 'are', 'was', 'the', 'and', 'for', 'with', 'from', 'that', 'this', 'there',
+  'here', 'its', 'about', 'tell', 'please', 'any', 'some', 'much', 'many', 'more', 'most', 'best',
+  'good', 'nice', 'visit', 'visiting', 'see', 'go', 'going', 'place', 'places', 'time', 'times',
+  'timing', 'timings', 'open', 'opening', 'close', 'closing', 'hours', 'fee', 'fees', 'entry',
+  'ticket', 'tickets', 'cost', 'price', 'near', 'nearby', 'around', 'also', 'then', 'them',
+  'they', 'you', 'your', 'our', 'get', 'have', 'has', 'need', 'want', 'like', 'day', 'days',
+  'today', 'tomorrow', 'trip', 'wheelchair', 'accessible', 'accessibility'
+]);
+
+const toId = place => String(place.id || place._id);
+const getCity = place => place.city || place.address?.city || '';
+const getState = place => place.state || place.address?.state || '';
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function extractKeywords(question) {
+  return [...new Set(
+    question
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s'-]/gu, ' ')
+      .split(/\s+/)
+      .map(word => word.replace(/^['-]+|['-]+$/g, ''))
+      .filter(word => word.length >= 3 && !STOP_WORDS.has(word))
+  )];
+}
+
+// Categories named in the question; "temples" and "hill stations" count too
+function findMentionedCategories(question) {
+  return CATEGORIES.filter(category => {
+    const pattern = escapeRegExp(category).replace('\\-', '[ -]');
+    return new RegExp(`\\b${pattern}(e?s)?\\b`, 'i').test(question);
+  });
+}
+
+// City and state names in the catalog, refreshed every few minutes
+let locationNames = { cities: [], states: [], loadedAt: 0 };
+async function getLocationNames() {
+  if (Date.now() - locationNames.loadedAt > LOCATION_NAMES_TTL_MS) {
+    const [cities, states] = await Promise.all([
+      Place.distinct('city', { isActive: true }),
+      Place.distinct('state', { isActive: true })
+    ]);
+    locationNames = {
+      cities: cities.filter(Boolean),
+      states: states.filter(Boolean),
+      loadedAt: Date.now()
+    };
+  }
+  return locationNames;
+}
+
+const mentions = (question, name) => new RegExp(`\\b${escapeRegExp(name)}\\b`, 'i').test(question);
+
+async function searchByText(keywords) {
+  if (keywords.length === 0) return [];
+
+  const results = await Place.smartSearch(keywords.join(' '), {
+    textIndex: true,
+    sortBy: 'relevance',
+    limit: MAX_PLACES * 2
+  });
+  const bestScore = results[0]?.score || 0;
+
+  return results.filter(place => (place.score || 0) >= bestScore * MIN_RELATIVE_SCORE);
+}
+
+async function searchByLocationName(question, categories) {
+  const { cities, states } = await getLocationNames();
+  const mentionedCities = cities.filter(city => mentions(question, city));
+  const mentionedStates = states.filter(state => mentions(question, state));
+  if (mentionedCities.length === 0 && mentionedStates.length === 0) return [];
+
+  const filter = {
+    isActive: true,
+    // A named city narrows more than its state
+    ...(mentionedCities.length > 0 ? { city: { $in: mentionedCities } } : { state: { $in: mentionedStates } }),
+    ...(categories.length > 0 ? { category: { $in: categories } } : {})
+  };
+
+  return Place.find(filter).sort({ rating: -1 }).limit(MAX_PLACES).lean();
+}
+
+// Closest catalog places around a point, nearest first, with their distance
+async function searchNearby(latitude, longitude, categories) {
+  const filters = categories.length > 0 ? { category: { $in: categories } } : {};
+  const places = await Place.findNearby(latitude, longitude, NEARBY_RADIUS_KM, filters);
+
+  return places
+    .filter(place => place.location)
+    .map(place => ({
+      place,
+      distanceKm: Place.calculateDistance(latitude, longitude, place.location.latitude, place.location.longitude)
+    }))
+    .filter(({ distanceKm }) => distanceKm <= NEARBY_RADIUS_KM)
+    .sort((a, b) => a.distanceKm - b.distanceKm);
+}
+
+async function findPlacesById(ids) {
+  if (ids.length === 0) return [];
+  const objectIds = ids.filter(id => /^[0-9a-fA-F]{24}$/.test(id));
+  const places = await Place.find({
+    isActive: true,
+    $or: [{ id: { $in: ids } }, ...(objectIds.length > 0 ? [{ _id: { $in: objectIds } }] : [])]
+  }).lean();
+
+  // Keep the order they were cited in
+  return ids.map(id => places.find(place => toId(place) === id || String(place._id) === id)).filter(Boolean);
+}
+
+/**
+ * Catalog places a chat question is about, most relevant first:
+ *   [{ place, reason: 'mentioned' | 'location' | 'earlier' | 'nearby', distanceKm?, near? }]
+ * Options: earlierPlaceIds are the places cited in the previous answer, so a
+ * follow-up such as "what about near there?" has something to anchor on;
+ * location ({ latitude, longitude }) is the traveller's own position.
+ * Never throws: without the catalog the guide simply answers ungrounded.
+ */
+async function retrievePlaces(question, { earlierPlaceIds = [], location = null, limit = MAX_PLACES } = {}) {
+  try {
+    const keywords = extractKeywords(question);
+    const categories = findMentionedCategories(question);
+
+    const [textMatches, locationMatches] = await Promise.all([
+      searchByText(keywords).catch(error => {
+        console.warn('⚠️ Place text search failed:', error.message);
+        return [];
+      }),
+      searchByLocationName(question, categories)
+    ]);
+
+    const results = [];
+    const seen = new Set();
+    const add = (place, details) => {
+      const id = toId(place);
+      if (seen.has(id)) return;
+      seen.add(id);
+      results.push({ place, ...details });
+    };
+
+    // A follow-up, or nothing new named: the question is about the places discussed before
+    const namesNothing = textMatches.length === 0 && locationMatches.length === 0;
+    if (earlierPlaceIds.length > 0 && (namesNothing || REFERENCE_PATTERN.test(question))) {
+      const earlierPlaces = await findPlacesById(earlierPlaceIds.map(String));
+      earlierPlaces.forEach(place => add(place, { reason: 'earlier' }));
+    }
+
+    textMatches.forEach(place => add(place, { reason: 'mentioned' }));
+    locationMatches.forEach(place => add(place, { reason: 'location' }));
+
+    if (NEARBY_PATTERN.test(question)) {
+      const anchor = results.find(result => result.place.location)?.place;
+      const origin = anchor ? anchor.location : location;
+
+      if (origin && Number.isFinite(origin.latitude) && Number.isFinite(origin.longitude)) {
+        const nearby = await searchNearby(origin.latitude, origin.longitude, categories);
+        nearby
+          .filter(({ place }) => !seen.has(toId(place)))
+          .slice(0, MAX_NEARBY_PLACES)
+          .forEach(({ place, distanceKm }) => add(place, {
+            reason: 'nearby',
+            distanceKm: Math.round(distanceKm * 10) / 10,
+            near: anchor ? anchor.name : 'your location'
+          }));
+      }
+    }
+
+    return results.slice(0, limit);
+
+  } catch (error) {
+    console.warn('⚠️ Could not search the place catalog for this question:', error.message);
+    return [];
+  }
+}
+
+function describeDay(schedule) {
+  if (!schedule) return null;
+  if (schedule.closed) return 'closed';
+
+  let hours = `${schedule.open || '?'}-${schedule.close || '?'}`;
+  if (schedule.breaks && schedule.breaks.length > 0) {
+    hours += ` (closed ${schedule.breaks.map(pause => `${pause.start}-${pause.end}`).join(', ')})`;
+  }
+  return hours;
+}
+
+// "daily 05:00-22:00" or "Mon-Fri 09:00-17:00, Sat-Sun closed"
+function formatOpeningHours(openingHours) {
+  if (!openingHours) return null;
+
+  const days = WEEKDAYS.map(day => ({ day, hours: describeDay(openingHours[day]) }));
+  if (days.every(({ hours }) => !hours)) return null;
+  if (days.every(({ hours }) => hours === days[0].hours)) return `daily ${days[0].hours}`;
+
+  const label = day => day.charAt(0).toUpperCase() + day.slice(1, 3);
+  const groups = [];
+  days.forEach(({ day, hours }) => {
+    const last = groups[groups.length - 1];
+    if (last && last.hours === hours) {
+      last.to = day;
+    } else {
+      groups.push({ from: day, to: day, hours });
+    }
+  });
+
+  return groups
+    .map(({ from, to, hours }) => `${from === to ? label(from) : `${label(from)}-${label(to)}`} ${hours || 'not listed'}`)
+    .join(', ');
+}
+
+function formatEntryFee(entryFee) {
+  if (!entryFee) return null;
+
+  const symbol = CURRENCY_SYMBOLS[entryFee.currency] || '₹';
+  const price = amount => (amount > 0 ? `${symbol}${amount}` : 'free');
+  if (!entryFee.indian && !entryFee.foreign) {
+    return entryFee.camera > 0 ? `free; camera ${symbol}${entryFee.camera}` : 'free';
+  }
+
+  const parts = [`Indian visitors ${price(entryFee.indian)}`, `foreign visitors ${price(entryFee.foreign)}`];
+  if (entryFee.student > 0) parts.push(`students ${symbol}${entryFee.student}`);
+  if (entryFee.senior > 0) parts.push(`seniors ${symbol}${entryFee.senior}`);
+  if (entryFee.camera > 0) parts.push(`camera ${symbol}${entryFee.camera}`);
+  return parts.join(', ');
+}
+
+function formatAccessibility(place) {
+  const access = place.accessibility || {};
+  const amenities = (place.amenities || []).map(amenity => String(amenity).toLowerCase());
+  const has = (flag, amenity) => access[flag] || amenities.some(item => item.includes(amenity));
+
+  const available = [];
+  if (has('elevatorAvailable', 'elevator')) available.push('elevator');
+  if (has('restrooms', 'restroom')) available.push('restrooms');
+  if (has('parkingAvailable', 'parking')) available.push('parking');
+  if (has('guidedToursAvailable', 'guided')) available.push('guided tours');
+
+  const wheelchair = access.wheelchairAccessible || place.wheelchairAccessible || amenities.includes('wheelchair-access');
+  return [
+    wheelchair ? 'wheelchair accessible' : 'not listed as wheelchair accessible',
+    ...available
+  ].join(', ');
+}
+
+function formatDuration(minutes) {
+  if (!minutes) return null;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours === 0) return `${rest}m`;
+  return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+}
+
+/**
+ * Prompt section listing the retrieved places as numbered facts. The numbers
+ * are what the model cites back in its SOURCES line; pass citations: false
+ * when the answer is about one known place and needs no SOURCES line.
+ */
+function formatPlaceFacts(retrieved, { citations = true } = {}) {
+  if (retrieved.length === 0) return '';
+
+  const entries = retrieved.map(({ place, distanceKm, near }, index) => {
+    const where = [getCity(place), getState(place)].filter(Boolean).join(', ');
+    const lines = [
+      `[${index + 1}] ${place.name} - ${place.category || 'place'}${where ? ` in ${where}` : ''}${place.rating ? `, rated ${place.rating}/5` : ''}${distanceKm !== undefined ? ` (${distanceKm} km from ${near})` : ''}`
+    ];
+
+    const hours = formatOpeningHours(place.openingHours);
+    const fee = formatEntryFee(place.entryFee);
+    const duration = formatDuration(place.averageVisitDuration);
+    lines.push(`    Opening hours: ${hours || 'not listed'}`);
+    lines.push(`    Entry fee: ${fee || 'not listed'}`);
+    lines.push(`    Accessibility: ${formatAccessibility(place)}`);
+    if (duration) lines.push(`    Typical visit: ${duration}`);
+    if (place.description) lines.push(`    About: ${place.description.substring(0, 300)}`);
+
+    return lines.join('\n');
+  });
+
+  return `PLACES FROM OUR CATALOG (verified details):
+${entries.join('\n')}
+
+For opening hours, entry fees and accessibility use ONLY the catalog details above. If the traveller asks about a place that is not listed, or a detail says "not listed", say you don't have the exact details instead of guessing.${citations ? `
+End your reply with one last line naming the catalog places you used by number, exactly like "SOURCES: 1, 3", or "SOURCES: none".` : ''}`;
+}
+
+// What the UI needs to show and link a cited place
+function toSource({ place, reason, distanceKm }) {
+  return {
+    id: toId(place),
+    name: place.name,
+    city: getCity(place),
+    state: getState(place),
+    category: place.category,
+    reason,
+    ...(distanceKm !== undefined ? { distanceKm } : {})
+  };
+}
+
+/**
+ * Split the model's reply into the answer and the places it cited:
+ *   { text, sources: [{ id, name, city, state, category, reason, distanceKm? }] }
+ * Reads the closing "SOURCES: 1, 3" line; when the model left it out, places
+ * whose name appears in the answer count as cited.
+ */
+function extractCitations(reply, retrieved) {
+  const text = reply || '';
+  const match = text.match(/(?:^|\n)[ \t]*SOURCES?\s*:\s*([^\n]*)\s*$/i);
+
+  let cited;
+  if (match) {
+    const numbers = (match[1].match(/\d+/g) || []).map(Number);
+    cited = [...new Set(numbers)].map(number => retrieved[number - 1]).filter(Boolean);
+  } else {
+    const lowerText = text.toLowerCase();
+    cited = retrieved.filter(({ place }) => place.name && lowerText.includes(place.name.toLowerCase()));
+  }
+
+  return {
+    text: match ? text.slice(0, match.index).trim() : text.trim(),
+    sources: cited.map(toSource)
+  };
+}
+
+// Plain-language facts for answering without the AI
+function describePlacesForTraveller(retrieved) {
+  return retrieved.map(({ place, distanceKm, near }) => {
+    const hours = formatOpeningHours(place.openingHours);
+    const fee = formatEntryFee(place.entryFee);
+    const details = [
+      hours ? `open ${hours}` : null,
+      fee ? `entry ${fee}` : null,
+      formatAccessibility(place)
+    ].filter(Boolean).join('; ');
+    const where = getCity(place) ? ` in ${getCity(place)}` : '';
+    const distance = distanceKm !== undefined ? `, ${distanceKm} km from ${near}` : '';
+    return `${place.name}${where}${distance}: ${details}.`;
+  }).join('\n');
+}
+
+module.exports = {
+  retrievePlaces,
+  formatPlaceFacts,
+  extractCitations,
+  describePlacesForTraveller,
+  toSource
+};
@@ -0,0 +1,64 @@
+// backend/utils/promoteAdmin.js - Give existing accounts the admin role
+//
+//   npm run promote-admin -- alice@example.com bob@example.com
+//
+// Signing up never grants admin: without email verification, whoever
+// registers an address first would own it. The accounts must already exist.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const User = require('../models/User');
+
+async function promoteAdmins(emails) {
+  const results = [];
+
+  for (const email of emails) {
+    const user = await User.findByEmail(email);
+    if (!user) {
+      results.push({ email, status: 'not_found' });
+      continue;
+    }
+    if (user.role === 'admin') {
+      results.push({ email: user.email, status: 'already_admin' });
+      continue;
+    }
+
+    await User.updateOne({ _id: user._id }, { $set: { role: 'admin' } });
+    results.push({ email: user.email, status: 'promoted' });
+  }
+
+  return results;
+}
+
+async function main() {
+  const emails = process.argv.slice(2).map(email => email.trim()).filter(Boolean);
+  if (emails.length === 0) {
+    console.error('Usage: npm run promote-admin -- <email> [email...]');
+    process.exit(1);
+  }
+
+  try {
+    await connectDB();
+    const results = await promoteAdmins(emails);
+
+    results.forEach(({ email, status }) => {
+      if (status === 'promoted') console.log(`👑 ${email} is now an admin`);
+      else if (status === 'already_admin') console.log(`ℹ️ ${email} is already an admin`);
+      else console.warn(`⚠️ No account for ${email} - register it first`);
+    });
+
+    await mongoose.disconnect();
+    process.exit(results.some(result => result.status === 'not_found') ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Promoting admins failed:', error);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  promoteAdmins
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,350 @@
+// backend/utils/roadGraph.js - In-memory road network built by buildRoadGraph.js, queried with A* and Dijkstra
+const fs = require('fs');
+
+const EARTH_RADIUS_M = 6371000;
+const GRID_CELL_DEGREES = 0.02; // ~2.2 km cells for the nearest-node lookup
+const DEFAULT_MAX_SNAP_KM = 3;
+
+function haversineMeters(lat1, lng1, lat2, lng2) {
+  const toRad = deg => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Binary min-heap of node ids keyed by a parallel priority array
+class NodeHeap {
+  constructor() {
+    this.nodes = [];
+    this.keys = [];
+  }
+
+  get size() {
+    return this.nodes.length;
+  }
+
+  push(node, key) {
+    const { nodes, keys } = this;
+    let i = nodes.length;
+    nodes.push(node);
+    keys.push(key);
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (keys[parent] <= key) break;
+      nodes[i] = nodes[parent];
+      keys[i] = keys[parent];
+      i = parent;
+    }
+    nodes[i] = node;
+    keys[i] = key;
+  }
+
+  pop() {
+    const { nodes, keys } = this;
+    const top = nodes[0];
+    const lastNode = nodes.pop();
+    const lastKey = keys.pop();
+    if (nodes.length > 0) {
+      let i = 0;
+      const size = nodes.length;
+      while (true) {
+        const left = 2 * i + 1;
+        if (left >= size) break;
+        const child = left + 1 < size && keys[left + 1] < keys[left] ? left + 1 : left;
+        if (keys[child] >= lastKey) break;
+        nodes[i] = nodes[child];
+        keys[i] = keys[child];
+        i = child;
+      }
+      nodes[i] = lastNode;
+      keys[i] = lastKey;
+    }
+    return top;
+  }
+}
+
+/**
+ * Directed road graph held in flat typed arrays (CSR layout). The JSON file
+ * written by buildRoadGraph.js stores junction nodes as [lat, lng, lat, lng, ...]
+ * and each road segment once as [from, to, meters, seconds, oneway, shape?],
+ * where shape is the flattened coordinates between the two junctions.
+ * Edge weight is travel time, so routes are the fastest ones.
+ */
+class RoadGraph {
+  constructor(data, { maxSnapKm = DEFAULT_MAX_SNAP_KM } = {}) {
+    if (!data || !Array.isArray(data.nodes) || !Array.isArray(data.edges)) {
+      throw new Error('Road graph data needs nodes and edges arrays');
+    }
+
+    this.metadata = {
+      version: data.version,
+      source: data.source || null,
+      generatedAt: data.generatedAt || null
+    };
+    this.maxSnapMeters = maxSnapKm * 1000;
+    this.nodeCount = data.nodes.length / 2;
+    this.nodeCoords = Float64Array.from(data.nodes);
+
+    this.buildAdjacency(data.edges);
+    this.buildGridIndex();
+
+    // Per-query scratch space; a stamp marks which entries belong to the current query
+    this.cost = new Float64Array(this.nodeCount);
+    this.length = new Float64Array(this.nodeCount);
+    this.previousEdge = new Int32Array(this.nodeCount);
+    this.visitStamp = new Uint32Array(this.nodeCount);
+    this.settledStamp = new Uint32Array(this.nodeCount);
+    this.stamp = 0;
+  }
+
+  static async load(filePath, options) {
+    const raw = await fs.promises.readFile(filePath, 'utf8');
+    return new RoadGraph(JSON.parse(raw), options);
+  }
+
+  buildAdjacency(edges) {
+    const degree = new Uint32Array(this.nodeCount + 1);
+    let directedCount = 0;
+    let shapeLength = 0;
+
+    for (const [from, to, , , oneway, shape] of edges) {
+      degree[from + 1]++;
+      directedCount++;
+      if (!oneway) {
+        degree[to + 1]++;
+        directedCount++;
+      }
+      if (shape) shapeLength += shape.length;
+    }
+
+    for (let i = 0; i < this.nodeCount; i++) degree[i + 1] += degree[i];
+    this.edgeOffsets = degree;
+    this.edgeTargets = new Uint32Array(directedCount);
+    this.edgeMeters = new Float64Array(directedCount);
+    this.edgeSeconds = new Float64Array(directedCount);
+    // Shape id + 1, negated when the edge runs against the stored direction; 0 = no shape
+    this.edgeShapes = new Int32Array(directedCount);
+    this.shapeOffsets = new Uint32Array(edges.length + 1);
+    this.shapeCoords = new Float64Array(shapeLength);
+
+    const fill = Uint32Array.from(degree.subarray(0, this.nodeCount));
+    let maxSpeed = 0;
+    let shapeCursor = 0;
+
+    const addEdge = (from, to, meters, seconds, shapeRef) => {
+      const slot = fill[from]++;
+      this.edgeTargets[slot] = to;
+      this.edgeMeters[slot] = meters;
+      this.edgeSeconds[slot] = seconds;
+      this.edgeShapes[slot] = shapeRef;
+    };
+
+    edges.forEach(([from, to, meters, seconds, oneway, shape], index) => {
+      this.shapeOffsets[index] = shapeCursor;
+      if (shape) {
+        this.shapeCoords.set(shape, shapeCursor);
+        shapeCursor += shape.length;
+      }
+      const shapeRef = shape && shape.length > 0 ? index + 1 : 0;
+      const safeSeconds = Math.max(seconds, 0.1);
+
+      addEdge(from, to, meters, safeSeconds, shapeRef);
+      if (!oneway) addEdge(to, from, meters, safeSeconds, -shapeRef);
+      maxSpeed = Math.max(maxSpeed, meters / safeSeconds);
+    });
+    this.shapeOffsets[edges.length] = shapeCursor;
+
+    // A* lower bound: straight-line distance at the fastest speed found in the graph
+    this.maxSpeedMps = maxSpeed || 1;
+    this.edgeCount = directedCount;
+  }
+
+  gridKey(lat, lng) {
+    return `${Math.floor(lat / GRID_CELL_DEGREES)}:${Math.floor(lng / GRID_CELL_DEGREES)}`;
+  }
+
+  buildGridIndex() {
+    this.grid = new Map();
+    for (let node = 0; node < this.nodeCount; node++) {
+      const key = this.gridKey(this.nodeCoords[2 * node], this.nodeCoords[2 * node + 1]);
+      if (!this.grid.has(key)) this.grid.set(key, []);
+      this.grid.get(key).push(node);
+    }
+  }
+
+  getNodeLocation(node) {
+    return { latitude: this.nodeCoords[2 * node], longitude: this.nodeCoords[2 * node + 1] };
+  }
+
+  /**
+   * Closest junction to a point, searching outward ring by ring until the
+   * snap limit. Returns { node, meters } or null when nothing is close enough.
+   */
+  findNearestNode(latitude, longitude) {
+    const row = Math.floor(latitude / GRID_CELL_DEGREES);
+    const col = Math.floor(longitude / GRID_CELL_DEGREES);
+    const cellMeters = GRID_CELL_DEGREES * 111320 * Math.cos(latitude * Math.PI / 180);
+    const maxRing = Math.ceil(this.maxSnapMeters / cellMeters) + 1;
+    let best = null;
+
+    for (let ring = 0; ring <= maxRing; ring++) {
+      for (let r = row - ring; r <= row + ring; r++) {
+        for (let c = col - ring; c <= col + ring; c++) {
+          if (Math.max(Math.abs(r - row), Math.abs(c - col)) !== ring) continue;
+          const cell = this.grid.get(`${r}:${c}`);
+          if (!cell) continue;
+          for (const node of cell) {
+            const meters = haversineMeters(latitude, longitude, this.nodeCoords[2 * node], this.nodeCoords[2 * node + 1]);
+            if (!best || meters < best.meters) best = { node, meters };
+          }
+        }
+      }
+      // Anything in a further ring is at least `ring` cells away
+      if (best && best.meters <= ring * cellMeters) break;
+    }
+
+    return best && best.meters <= this.maxSnapMeters ? best : null;
+  }
+
+  nextStamp() {
+    this.stamp++;
+    if (this.stamp === 0xffffffff) {
+      this.visitStamp.fill(0);
+      this.settledStamp.fill(0);
+      this.stamp = 1;
+    }
+    return this.stamp;
+  }
+
+  /**
+   * Fastest path between two nodes with A*. Returns
+   * { meters, seconds, edges } (edges are directed slots, in order) or null.
+   */
+  findPath(source, target) {
+    const stamp = this.nextStamp();
+    const heap = new NodeHeap();
+    const heuristic = node => haversineMeters(
+      this.nodeCoords[2 * node], this.nodeCoords[2 * node + 1],
+      this.nodeCoords[2 * target], this.nodeCoords[2 * target + 1]
+    ) / this.maxSpeedMps * 0.999;
+
+    this.cost[source] = 0;
+    this.length[source] = 0;
+    this.previousEdge[source] = -1;
+    this.visitStamp[source] = stamp;
+    heap.push(source, heuristic(source));
+
+    while (heap.size > 0) {
+      const node = heap.pop();
+      if (this.settledStamp[node] === stamp) continue;
+      this.settledStamp[node] = stamp;
+      if (node === target) {
+        return { meters: this.length[target], seconds: this.cost[target], edges: this.tracePath(target) };
+      }
+      this.relax(node, stamp, (next, cost) => heap.push(next, cost + heuristic(next)));
+    }
+
+    return null;
+  }
+
+  /**
+   * One-to-many Dijkstra from `source`, stopping once every target is settled.
+   * Returns an array aligned with `targets` of { meters, seconds } or null.
+   */
+  findPathsFrom(source, targets) {
+    const stamp = this.nextStamp();
+    const heap = new NodeHeap();
+    const pending = new Set(targets);
+
+    this.cost[source] = 0;
+    this.length[source] = 0;
+    this.previousEdge[source] = -1;
+    this.visitStamp[source] = stamp;
+    heap.push(source, 0);
+
+    while (heap.size > 0 && pending.size > 0) {
+      const node = heap.pop();
+      if (this.settledStamp[node] === stamp) continue;
+      this.settledStamp[node] = stamp;
+      pending.delete(node);
+      this.relax(node, stamp, (next, cost) => heap.push(next, cost));
+    }
+
+    return targets.map(target => (this.settledStamp[target] === stamp
+      ? { meters: this.length[target], seconds: this.cost[target] }
+      : null));
+  }
+
+  relax(node, stamp, enqueue) {
+    for (let slot = this.edgeOffsets[node]; slot < this.edgeOffsets[node + 1]; slot++) {
+      const next = this.edgeTargets[slot];
+      if (this.settledStamp[next] === stamp) continue;
+      const cost = this.cost[node] + this.edgeSeconds[slot];
+      if (this.visitStamp[next] !== stamp || cost < this.cost[next]) {
+        this.visitStamp[next] = stamp;
+        this.cost[next] = cost;
+        this.length[next] = this.length[node] + this.edgeMeters[slot];
+        this.previousEdge[next] = slot;
+        enqueue(next, cost);
+      }
+    }
+  }
+
+  tracePath(target) {
+    const edges = [];
+    for (let slot = this.previousEdge[target]; slot !== -1; slot = this.previousEdge[this.edgeSource(slot)]) {
+      edges.push(slot);
+    }
+    return edges.reverse();
+  }
+
+  // Source node of a directed slot (binary search over the CSR offsets)
+  edgeSource(slot) {
+    let low = 0;
+    let high = this.nodeCount - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (this.edgeOffsets[mid] <= slot) low = mid;
+      else high = mid - 1;
+    }
+    return low;
+  }
+
+  // [[lat, lng], ...] along a list of directed slots, junctions included
+  getPathGeometry(source, edges) {
+    const geometry = [[this.nodeCoords[2 * source], this.nodeCoords[2 * source + 1]]];
+
+    for (const slot of edges) {
+      const shapeRef = this.edgeShapes[slot];
+      if (shapeRef !== 0) {
+        const shapeId = Math.abs(shapeRef) - 1;
+        const start = this.shapeOffsets[shapeId];
+        const end = this.shapeOffsets[shapeId + 1];
+        const points = [];
+        for (let i = start; i < end; i += 2) points.push([this.shapeCoords[i], this.shapeCoords[i + 1]]);
+        if (shapeRef < 0) points.reverse();
+        geometry.push(...points);
+      }
+      const target = this.edgeTargets[slot];
+      geometry.push([this.nodeCoords[2 * target], this.nodeCoords[2 * target + 1]]);
+    }
+
+    return geometry;
+  }
+
+  getStats() {
+    return {
+      ...this.metadata,
+      nodes: this.nodeCount,
+      directedEdges: this.edgeCount,
+      maxSnapKm: this.maxSnapMeters / 1000
+    };
+  }
+}
+
+module.exports = {
+  RoadGraph,
+  haversineMeters
+};
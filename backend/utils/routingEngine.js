@@ -0,0 +1,380 @@
+// backend/utils/routingEngine.js - Pluggable driving distance/time backends with a shared leg cache
+const fs = require('fs');
+const path = require('path');
+const { RoadGraph, haversineMeters } = require('./roadGraph');
+const osmHelpers = require('./osmHelpers');
+
+const DEFAULT_GRAPH_PATH = path.join(__dirname, '..', 'data', 'road-graph.json');
+const DEFAULT_BACKENDS = 'roadGraph,osrm,estimate';
+const MAX_CACHE_SIZE = 20000;
+
+// Getting from a point to the nearest junction: slow, and roads are not straight
+const ACCESS_SPEED_KMH = 20;
+const ACCESS_DETOUR = 1.3;
+
+const toPoint = location => ({
+  latitude: location.latitude ?? location.lat,
+  longitude: location.longitude ?? location.lng
+});
+
+const straightLineKm = (from, to) =>
+  haversineMeters(from.latitude, from.longitude, to.latitude, to.longitude) / 1000;
+
+/**
+ * Each backend answers "how far and how long by car from A to B". Local
+ * backends (no network) serve the distance matrix and the optimizers;
+ * remote ones are only asked for single routes through /api/map/calculate-route.
+ * leg() returns { distance km, duration min } or null to hand over to the next one.
+ */
+
+// Old DistanceCalculator formula: 1.4x the straight line at a speed guessed from the distance
+const estimateBackend = {
+  name: 'estimate',
+  method: 'estimated',
+  local: true,
+  profiles: ['driving'],
+
+  async isAvailable() {
+    return true;
+  },
+
+  async leg(from, to) {
+    const straightDistance = straightLineKm(from, to);
+    const distance = straightDistance * 1.4;
+
+    let estimatedSpeed = 40; // km/h average speed
+    if (straightDistance < 20) {
+      estimatedSpeed = 25; // City traffic
+    } else if (straightDistance > 100) {
+      estimatedSpeed = 60; // Highway
+    }
+
+    return { distance, duration: (distance / estimatedSpeed) * 60 };
+  },
+
+  async route(points) {
+    let distance = 0;
+    let duration = 0;
+    for (let i = 1; i < points.length; i++) {
+      const leg = await this.leg(points[i - 1], points[i]);
+      distance += leg.distance;
+      duration += leg.duration;
+    }
+    return {
+      distance,
+      duration,
+      geometry: points.map(point => [point.latitude, point.longitude]),
+      steps: []
+    };
+  }
+};
+
+// Offline road network built by buildRoadGraph.js, loaded on first use
+const roadGraphBackend = {
+  name: 'roadGraph',
+  method: 'road-network',
+  local: true,
+  profiles: ['driving'],
+  graph: null,
+  loading: null,
+  loadError: null,
+
+  getPath() {
+    return process.env.ROAD_GRAPH_PATH || DEFAULT_GRAPH_PATH;
+  },
+
+  async isAvailable() {
+    if (this.graph) return true;
+    if (this.loadError) return false;
+
+    if (!this.loading) {
+      const graphPath = this.getPath();
+      this.loading = (async () => {
+        try {
+          await fs.promises.access(graphPath);
+        } catch (error) {
+          this.loadError = `No road graph at ${graphPath} (see utils/buildRoadGraph.js)`;
+          console.warn(`⚠️ ${this.loadError}; using estimated distances`);
+          return;
+        }
+        try {
+          const startTime = Date.now();
+          const maxSnapKm = parseFloat(process.env.ROAD_GRAPH_MAX_SNAP_KM) || undefined;
+          this.graph = await RoadGraph.load(graphPath, { maxSnapKm });
+          console.log(`🛣️ Road graph loaded: ${this.graph.nodeCount} junctions in ${Date.now() - startTime}ms`);
+        } catch (error) {
+          this.loadError = `Road graph failed to load: ${error.message}`;
+          console.error(`❌ ${this.loadError}`);
+        }
+      })();
+    }
+
+    await this.loading;
+    return !!this.graph;
+  },
+
+  // Nearest junction plus the off-network stretch to reach it
+  snap(point) {
+    const nearest = this.graph.findNearestNode(point.latitude, point.longitude);
+    if (!nearest) return null;
+    const accessKm = (nearest.meters / 1000) * ACCESS_DETOUR;
+    return { node: nearest.node, accessKm, accessMinutes: (accessKm / ACCESS_SPEED_KMH) * 60 };
+  },
+
+  combine(fromSnap, toSnap, roadPath) {
+    return {
+      distance: fromSnap.accessKm + roadPath.meters / 1000 + toSnap.accessKm,
+      duration: fromSnap.accessMinutes + roadPath.seconds / 60 + toSnap.accessMinutes
+    };
+  },
+
+  async leg(from, to) {
+    const fromSnap = this.snap(from);
+    const toSnap = fromSnap && this.snap(to);
+    if (!toSnap) return null;
+
+    const roadPath = this.graph.findPath(fromSnap.node, toSnap.node);
+    return roadPath ? this.combine(fromSnap, toSnap, roadPath) : null;
+  },
+
+  // One Dijkstra per origin instead of one A* per pair
+  async legsFrom(from, targets) {
+    const fromSnap = this.snap(from);
+    if (!fromSnap) return targets.map(() => null);
+
+    const targetSnaps = targets.map(target => this.snap(target));
+    const reachable = targetSnaps.filter(Boolean);
+    const paths = this.graph.findPathsFrom(fromSnap.node, reachable.map(snap => snap.node));
+
+    let cursor = 0;
+    return targetSnaps.map(snap => {
+      if (!snap) return null;
+      const roadPath = paths[cursor++];
+      return roadPath ? this.combine(fromSnap, snap, roadPath) : null;
+    });
+  },
+
+  async route(points) {
+    const snaps = points.map(point => this.snap(point));
+    if (snaps.some(snap => !snap)) return null;
+
+    let distance = 0;
+    let duration = 0;
+    const geometry = [];
+    const steps = [];
+
+    for (let i = 1; i < points.length; i++) {
+      const roadPath = this.graph.findPath(snaps[i - 1].node, snaps[i].node);
+      if (!roadPath) return null;
+      const leg = this.combine(snaps[i - 1], snaps[i], roadPath);
+      distance += leg.distance;
+      duration += leg.duration;
+      steps.push({ distance: leg.distance * 1000, duration: leg.duration * 60 });
+      geometry.push(
+        [points[i - 1].latitude, points[i - 1].longitude],
+        ...this.graph.getPathGeometry(snaps[i - 1].node, roadPath.edges)
+      );
+    }
+    geometry.push([points[points.length - 1].latitude, points[points.length - 1].longitude]);
+
+    return { distance, duration, geometry, steps };
+  },
+
+  getStatus() {
+    return {
+      path: this.getPath(),
+      loaded: !!this.graph,
+      error: this.loadError,
+      ...(this.graph ? this.graph.getStats() : {})
+    };
+  }
+};
+
+// Public OSRM demo server; rate limited, so never used for matrices
+const osrmBackend = {
+  name: 'osrm',
+  method: 'osrm',
+  local: false,
+  profiles: ['driving', 'walking', 'cycling'],
+
+  async isAvailable() {
+    return true;
+  },
+
+  async leg() {
+    return null;
+  },
+
+  async route(points, profile) {
+    return osmHelpers.calculateRoute(points.map(point => [point.latitude, point.longitude]), profile);
+  }
+};
+
+const BACKENDS = {
+  roadGraph: roadGraphBackend,
+  osrm: osrmBackend,
+  estimate: estimateBackend
+};
+
+class RoutingEngine {
+  constructor() {
+    this.cache = new Map();
+    this.configure();
+  }
+
+  /**
+   * Backends are tried in order; ROUTING_BACKENDS picks them by name
+   * (default "roadGraph,osrm,estimate"). The estimate is always the last resort.
+   */
+  configure({ backends = process.env.ROUTING_BACKENDS || DEFAULT_BACKENDS } = {}) {
+    const names = (Array.isArray(backends) ? backends : backends.split(','))
+      .map(name => name.trim())
+      .filter(name => BACKENDS[name]);
+
+    if (!names.includes('estimate')) names.push('estimate');
+    this.backends = names.map(name => BACKENDS[name]);
+  }
+
+  cacheKey(from, to) {
+    return `${from.latitude.toFixed(5)},${from.longitude.toFixed(5)}-${to.latitude.toFixed(5)},${to.longitude.toFixed(5)}`;
+  }
+
+  cacheLeg(key, leg) {
+    if (this.cache.size >= MAX_CACHE_SIZE) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(key, leg);
+  }
+
+  format(result, backend) {
+    const distance = Math.round(result.distance * 100) / 100;
+    const duration = Math.max(Math.round(result.duration), distance > 0 ? 1 : 0);
+    return {
+      distance,
+      duration,
+      estimatedSpeed: duration > 0 ? Math.round(distance / (duration / 60)) : 0,
+      backend: backend.name,
+      method: backend.method
+    };
+  }
+
+  /**
+   * Driving leg between two points: { distance km, duration min,
+   * estimatedSpeed, backend, method }. Only local backends are asked.
+   */
+  async getLeg(from, to) {
+    const start = toPoint(from);
+    const end = toPoint(to);
+    const key = this.cacheKey(start, end);
+
+    if (this.cache.has(key)) {
+      return this.cache.get(key);
+    }
+
+    for (const backend of this.backends) {
+      if (!backend.local || !(await backend.isAvailable())) continue;
+      try {
+        const result = await backend.leg(start, end);
+        if (result) {
+          const leg = this.format(result, backend);
+          this.cacheLeg(key, leg);
+          return leg;
+        }
+      } catch (error) {
+        console.warn(`Routing backend ${backend.name} failed:`, error.message);
+      }
+    }
+
+    // Unreachable with the estimate always configured, but keep the contract
+    return this.format(await estimateBackend.leg(start, end), estimateBackend);
+  }
+
+  /**
+   * Fill the cache for every ordered pair of points up front, so a matrix
+   * build (or a worker that cannot load the graph) only reads from the cache.
+   */
+  async prefetch(locations) {
+    const points = this.toPoints(locations);
+
+    if (points.length < 2) return;
+
+    const backend = this.backends.find(candidate => candidate.local && candidate.legsFrom);
+    if (backend && (await backend.isAvailable())) {
+      for (const from of points) {
+        const missing = points.filter(to => to !== from && !this.cache.has(this.cacheKey(from, to)));
+        if (missing.length === 0) continue;
+        try {
+          const results = await backend.legsFrom(from, missing);
+          results.forEach((result, index) => {
+            if (result) this.cacheLeg(this.cacheKey(from, missing[index]), this.format(result, backend));
+          });
+        } catch (error) {
+          console.warn(`Routing backend ${backend.name} prefetch failed:`, error.message);
+        }
+      }
+    }
+
+    for (const from of points) {
+      for (const to of points) {
+        if (from !== to) await this.getLeg(from, to);
+      }
+    }
+  }
+
+  /**
+   * Full route through [[lat, lng], ...] for the map, with geometry. Remote
+   * backends are allowed here; the road graph only knows about cars.
+   */
+  async routeThrough(coordinates, { profile = 'driving' } = {}) {
+    const points = coordinates.map(([latitude, longitude]) => ({ latitude, longitude }));
+
+    for (const backend of this.backends) {
+      if (!backend.profiles.includes(profile) || !(await backend.isAvailable())) continue;
+      try {
+        const route = await backend.route(points, profile);
+        if (route) {
+          return { ...route, backend: backend.name, method: backend.method };
+        }
+      } catch (error) {
+        console.warn(`Routing backend ${backend.name} failed:`, error.message);
+      }
+    }
+
+    return null;
+  }
+
+  toPoints(locations) {
+    return locations
+      .filter(location => location &&
+        typeof (location.latitude ?? location.lat) === 'number' &&
+        typeof (location.longitude ?? location.lng) === 'number')
+      .map(toPoint);
+  }
+
+  // Cached legs between the given points, as [key, leg] pairs for primeCache()
+  exportCache(locations) {
+    const points = this.toPoints(locations);
+    const entries = [];
+    for (const from of points) {
+      for (const to of points) {
+        const key = this.cacheKey(from, to);
+        if (from !== to && this.cache.has(key)) entries.push([key, this.cache.get(key)]);
+      }
+    }
+    return entries;
+  }
+
+  primeCache(entries = []) {
+    entries.forEach(([key, leg]) => this.cacheLeg(key, leg));
+  }
+
+  getStatus() {
+    return {
+      backends: this.backends.map(backend => backend.name),
+      roadGraph: roadGraphBackend.getStatus(),
+      cachedLegs: this.cache.size
+    };
+  }
+}
+
+module.exports = new RoutingEngine();
@@ -0,0 +1,94 @@
+// backend/utils/schemaValidator.js - Small JSON Schema subset validator with field-level errors
+//
+// Supported keywords: type (string or list), properties, required, items,
+// enum, minItems, maxItems, minLength, minimum, maximum, pattern.
+// Properties not listed in the schema are allowed and left unchecked.
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value)
+};
+
+const childPath = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : `${path}.${key}`);
+
+function validateNode(value, schema, path, errors) {
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => TYPE_CHECKS[type](value))) {
+      errors.push({ path, message: `must be ${types.map(type => (type === 'array' || type === 'object' ? `an ${type}` : `a ${type}`)).join(' or ')}` });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push({ path, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `must match ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateNode(item, schema.items, childPath(path, index), errors));
+    }
+  }
+
+  if (TYPE_CHECKS.object(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push({ path: childPath(path, key), message: 'is required' });
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined && value[key] !== null) {
+        validateNode(value[key], propertySchema, childPath(path, key), errors);
+      }
+    }
+  }
+}
+
+/**
+ * Check a parsed value against a schema. Returns a list of
+ * { path: '$.timeline[2].time', message: 'must match ...' }; empty when valid.
+ */
+function validateSchema(value, schema) {
+  const errors = [];
+  validateNode(value, schema, '$', errors);
+  return errors;
+}
+
+// Top-level property an error belongs to ('timeline' for '$.timeline[2].time'), or null for the root
+function getTopLevelField(path) {
+  const match = path.match(/^\$\.([^.[]+)/);
+  return match ? match[1] : null;
+}
+
+module.exports = {
+  validateSchema,
+  getTopLevelField
+};
@@ -0,0 +1,64 @@
+// backend/utils/seededRandom.js - Reproducible random numbers for the stochastic optimizers
+
+const MAX_SEED = 2 ** 32;
+
+// A fresh seed when the caller did not pass one, so the run can still be repeated
+function generateSeed() {
+  return Math.floor(Math.random() * MAX_SEED);
+}
+
+// Strings (e.g. a trip ID) hash to a 32-bit seed; numbers are used as-is
+function normalizeSeed(seed) {
+  if (seed === undefined || seed === null || seed === '') {
+    return generateSeed();
+  }
+
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return Math.abs(Math.floor(seed)) % MAX_SEED;
+  }
+
+  let hash = 2166136261;
+  for (const char of String(seed)) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Mulberry32 generator. next() is a drop-in for Math.random(); the same seed
+ * always produces the same sequence.
+ */
+function createRandom(seed) {
+  const normalizedSeed = normalizeSeed(seed);
+  let state = normalizedSeed;
+
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / MAX_SEED;
+  };
+
+  return {
+    seed: normalizedSeed,
+    next,
+    // Integer in [0, max)
+    int: max => Math.floor(next() * max),
+    pick: array => array[Math.floor(next() * array.length)],
+    shuffle: array => {
+      const shuffled = [...array];
+      for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(next() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+      }
+      return shuffled;
+    }
+  };
+}
+
+module.exports = {
+  createRandom,
+  normalizeSeed
+};
@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import { Toaster } from 'react-hot-toast';
-import { apiService } from './services/api';
+import { apiService, getStoredUser, AUTH_REQUIRED_EVENT } from './services/api';
 
 // Components
 import Navbar from './components/Navbar';
@@ -10,7 +10,9 @@ import TripPlannerPage from './pages/TripPlannerPage';
 import AIAssistantPage from './pages/AIAssistantPage';
 import MapViewPage from './pages/MapViewPage';
 import PlacesPage from './pages/PlacesPage';
+import SharedTripPage from './pages/SharedTripPage';
 import LoadingSpinner from './components/LoadingSpinner';
+import LoginModal from './components/LoginModal';
 
 // Styles
 import './App.css';
@@ -19,6 +21,8 @@ function App() {
   const [isConnected, setIsConnected] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
   const [connectionError, setConnectionError] = useState(null);
+  const [currentUser, setCurrentUser] = useState(getStoredUser);
+  const [showLogin, setShowLogin] = useState(false);
 
   // Check backend connection
   const checkConnection = async () => {
@@ -50,6 +54,27 @@ function App() {
     checkConnection();
   }, []);
 
+  // Prompt for login whenever the API rejects a request as unauthenticated
+  useEffect(() => {
+    const handleAuthRequired = () => {
+      setCurrentUser(null);
+      setShowLogin(true);
+    };
+
+    window.addEventListener(AUTH_REQUIRED_EVENT, handleAuthRequired);
+    return () => window.removeEventListener(AUTH_REQUIRED_EVENT, handleAuthRequired);
+  }, []);
+
+  const handleAuthenticated = (user) => {
+    setCurrentUser(user);
+    setShowLogin(false);
+  };
+
+  const handleLogout = () => {
+    apiService.logout();
+    setCurrentUser(null);
+  };
+
   // Show loading screen while checking connection
   if (isLoading) {
     return (
@@ -97,7 +122,19 @@ function App() {
         />
 
         {/* Navigation */}
-        <Navbar isConnected={isConnected} />
+        <Navbar
+          isConnected={isConnected}
+          currentUser={currentUser}
+          onLogin={() => setShowLogin(true)}
+          onLogout={handleLogout}
+        />
+
+        {/* Login / Register */}
+        <LoginModal
+          isOpen={showLogin}
+          onClose={() => setShowLogin(false)}
+          onAuthenticated={handleAuthenticated}
+        />
 
         {/* Main Content */}
         <main className="pb-6">
@@ -157,6 +194,12 @@ function App() {
               } 
             />
 
+            {/* Shared Itinerary (no login required) */}
+            <Route 
+              path="/shared/:token" 
+              element={<SharedTripPage />} 
+            />
+
             {/* 404 Not Found */}
             <Route 
               path="*" 
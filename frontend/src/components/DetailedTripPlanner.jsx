@@ -33,7 +33,8 @@ import {
   ChevronUp,
   Eye,
   EyeOff,
-  Activity
+  Activity,
+  Moon
 } from 'lucide-react';
 
 import { apiService } from '../services/api';
@@ -48,6 +49,14 @@ const DetailedTripPlanner = ({ optimizedRoute, routeSettings }) => {
   const [showAlgorithmJustification, setShowAlgorithmJustification] = useState(false);
   const [explanationExpanded, setExplanationExpanded] = useState(true);
   const [explanationDetail, setExplanationDetail] = useState('detailed'); // 'simple', 'detailed', 'technical'
+  const [tripDays, setTripDays] = useState(1);
+  const [multiDayPlan, setMultiDayPlan] = useState(null);
+  const [loadingMultiDay, setLoadingMultiDay] = useState(false);
+  const [multiDayError, setMultiDayError] = useState(null);
+  const [activeDay, setActiveDay] = useState(1);
+  const [comparison, setComparison] = useState(null);
+  const [loadingComparison, setLoadingComparison] = useState(false);
+  const [comparisonError, setComparisonError] = useState(null);
 
   // Generate detailed plan using Gemini AI integration
   const generateDetailedPlan = useCallback(async () => {
@@ -82,7 +91,11 @@ const DetailedTripPlanner = ({ optimizedRoute, routeSettings }) => {
         },
         routeMetrics: optimizedRoute.metrics,
         algorithm: optimizedRoute.algorithm,
-        startingLocation: optimizedRoute.startingLocation
+        startingLocation: optimizedRoute.startingLocation,
+        constraints: {
+          startLocation: optimizedRoute.startingLocation,
+          endLocation: optimizedRoute.endLocation || undefined
+        }
       };
 
       // Call your backend API that integrates with Gemini
@@ -111,6 +124,88 @@ const result = await apiService.generateDetailedTripPlan(geminiPayload);
     }
   }, [optimizedRoute, routeSettings]);
 
+  // Split the selected places across several days with overnight stays
+  const generateMultiDayPlan = useCallback(async (numberOfDays) => {
+    const places = optimizedRoute?.originalPlaces || optimizedRoute?.route;
+    if (!places || places.length === 0) return;
+
+    setLoadingMultiDay(true);
+    setMultiDayError(null);
+
+    try {
+      const result = await apiService.planMultiDayTrip({
+        places: places.map(place => ({
+          id: place.id,
+          name: place.name,
+          category: place.category,
+          city: place.city,
+          state: place.state,
+          rating: place.rating,
+          averageVisitDuration: place.averageVisitDuration,
+          entryFee: place.entryFee,
+          bestTimeToVisit: place.bestTimeToVisit,
+          location: place.location
+        })),
+        numberOfDays,
+        startDate: new Date().toISOString().split('T')[0],
+        userLocationId: routeSettings.userLocationId,
+        constraints: {
+          dailyStartTime: routeSettings.startTime,
+          budget: routeSettings.constraints?.budget,
+          startLocation: optimizedRoute.startingLocation,
+          endLocation: optimizedRoute.endLocation || undefined
+        }
+      });
+
+      setMultiDayPlan(result);
+      setActiveDay(1);
+    } catch (error) {
+      console.error('Error generating multi-day plan:', error);
+      setMultiDayError(error.message);
+    } finally {
+      setLoadingMultiDay(false);
+    }
+  }, [optimizedRoute, routeSettings]);
+
+  // Run every optimizer on the same places to see which route is best
+  const compareAlgorithms = useCallback(async () => {
+    const places = optimizedRoute?.originalPlaces || optimizedRoute?.route;
+    if (!places || places.length === 0) return;
+
+    setLoadingComparison(true);
+    setComparisonError(null);
+
+    try {
+      const result = await apiService.compareAlgorithms({
+        places: places.map(place => ({
+          id: place.id,
+          name: place.name,
+          category: place.category,
+          city: place.city,
+          state: place.state,
+          rating: place.rating,
+          averageVisitDuration: place.averageVisitDuration,
+          entryFee: place.entryFee,
+          location: place.location
+        })),
+        constraints: {
+          startTime: routeSettings.startTime,
+          totalTimeAvailable: routeSettings.totalTimeAvailable,
+          budget: routeSettings.constraints?.budget,
+          startLocation: optimizedRoute.startingLocation,
+          endLocation: optimizedRoute.endLocation || undefined
+        }
+      });
+
+      setComparison(result.data);
+    } catch (error) {
+      console.error('Error comparing algorithms:', error);
+      setComparisonError(error.message);
+    } finally {
+      setLoadingComparison(false);
+    }
+  }, [optimizedRoute, routeSettings]);
+
   // NEW: Generate AI Algorithm Justification
   const generateAlgorithmExplanation = useCallback(async () => {
     if (!optimizedRoute?.route || optimizedRoute.route.length === 0) return;
@@ -129,7 +224,8 @@ const result = await apiService.generateDetailedTripPlan(geminiPayload);
         },
         startingLocation: optimizedRoute.startingLocation,
         originalPlaces: optimizedRoute.originalPlaces || optimizedRoute.route,
-        explanationLevel: explanationDetail
+        explanationLevel: explanationDetail,
+        breaks: optimizedRoute.breaks || []
       };
 
       // REPLACE WITH THIS
@@ -460,8 +556,17 @@ const result = await apiService.generateDetailedTripPlan(geminiPayload);
       generateDetailedPlan();
       generateAlgorithmExplanation();
     }
+    setComparison(null);
   }, [optimizedRoute]);
 
+  useEffect(() => {
+    if (tripDays > 1) {
+      generateMultiDayPlan(tripDays);
+    } else {
+      setMultiDayPlan(null);
+    }
+  }, [tripDays, optimizedRoute, generateMultiDayPlan]);
+
   if (!optimizedRoute?.route || optimizedRoute.route.length === 0) {
     return (
       <div className="bg-white rounded-lg shadow-sm border p-6">
@@ -720,7 +825,8 @@ const result = await apiService.generateDetailedTripPlan(geminiPayload);
             { id: 'timeline', label: 'Timeline', icon: Clock },
             { id: 'insights', label: 'Insights', icon: Target },
             { id: 'recommendations', label: 'Tips', icon: Info },
-            { id: 'logistics', label: 'Logistics', icon: MapIcon }
+            { id: 'logistics', label: 'Logistics', icon: MapIcon },
+            { id: 'compare', label: 'Compare', icon: Activity }
           ].map(tab => {
             const Icon = tab.icon;
             return (
@@ -746,11 +852,32 @@ const result = await apiService.generateDetailedTripPlan(geminiPayload);
         {/* Timeline Tab */}
         {activeTab === 'timeline' && (
           <div className="space-y-6">
-            <div className="flex items-center gap-3 mb-6">
-              <Calendar className="text-blue-600" size={24} />
-              <h3 className="text-xl font-semibold">Day-by-Day Timeline</h3>
+            <div className="flex items-center justify-between mb-6">
+              <div className="flex items-center gap-3">
+                <Calendar className="text-blue-600" size={24} />
+                <h3 className="text-xl font-semibold">Day-by-Day Timeline</h3>
+              </div>
+              <select
+                value={tripDays}
+                onChange={(e) => setTripDays(parseInt(e.target.value))}
+                className="px-3 py-1 text-sm border border-gray-300 rounded-lg"
+              >
+                {[1, 2, 3, 4, 5, 6, 7].map(days => (
+                  <option key={days} value={days}>{days === 1 ? 'Single day' : `${days} days`}</option>
+                ))}
+              </select>
             </div>
 
+            {tripDays > 1 ? (
+              <MultiDayItinerary
+                plan={multiDayPlan}
+                loading={loadingMultiDay}
+                error={multiDayError}
+                activeDay={activeDay}
+                onSelectDay={setActiveDay}
+                onRetry={() => generateMultiDayPlan(tripDays)}
+              />
+            ) : (
             <div className="space-y-4">
               {detailedPlan.timeline.map((item, index) => (
                 <div key={index} className="flex gap-4">
@@ -834,6 +961,7 @@ const result = await apiService.generateDetailedTripPlan(geminiPayload);
                 </div>
               ))}
             </div>
+            )}
           </div>
         )}
 
@@ -1044,6 +1172,33 @@ const result = await apiService.generateDetailedTripPlan(geminiPayload);
             </div>
           </div>
         )}
+
+        {/* Algorithm Comparison Tab */}
+        {activeTab === 'compare' && (
+          <div className="space-y-6">
+            <div className="flex items-center justify-between mb-6">
+              <div className="flex items-center gap-3">
+                <Activity className="text-indigo-600" size={24} />
+                <h3 className="text-xl font-semibold">Algorithm Comparison</h3>
+              </div>
+              <button
+                onClick={compareAlgorithms}
+                disabled={loadingComparison}
+                className="flex items-center gap-2 px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50 transition-colors"
+              >
+                {loadingComparison ? <Loader className="animate-spin" size={16} /> : <Zap size={16} />}
+                {comparison ? 'Run Again' : 'Compare All Algorithms'}
+              </button>
+            </div>
+
+            <AlgorithmComparison
+              comparison={comparison}
+              loading={loadingComparison}
+              error={comparisonError}
+              currentAlgorithm={optimizedRoute.algorithm}
+            />
+          </div>
+        )}
       </div>
 
       {/* Action Buttons - REMOVED START TRIP BUTTON */}
@@ -1100,4 +1255,234 @@ const result = await apiService.generateDetailedTripPlan(geminiPayload);
   );
 };
 
-export default DetailedTripPlanner;
\ No newline at end of file
+// Day tabs for a plan returned by POST /trips/plan-multi-day
+const MultiDayItinerary = ({ plan, loading, error, activeDay, onSelectDay, onRetry }) => {
+  if (loading) {
+    return (
+      <div className="flex items-center gap-3 p-4 bg-blue-50 rounded-lg">
+        <Loader className="animate-spin text-blue-600" size={20} />
+        <span className="text-gray-700">Splitting your trip across days...</span>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="p-4 bg-red-50 rounded-lg flex items-center justify-between">
+        <span className="text-red-700 text-sm">{error}</span>
+        <button onClick={onRetry} className="px-3 py-1 text-sm bg-red-600 text-white rounded-lg hover:bg-red-700">
+          Try Again
+        </button>
+      </div>
+    );
+  }
+
+  if (!plan?.days) return null;
+
+  const day = plan.days.find(d => d.day === activeDay) || plan.days[0];
+
+  return (
+    <div className="space-y-4">
+      {/* Day Tabs */}
+      <div className="flex gap-2 overflow-x-auto">
+        {plan.days.map(d => (
+          <button
+            key={d.day}
+            onClick={() => onSelectDay(d.day)}
+            className={`px-4 py-2 rounded-lg text-sm whitespace-nowrap transition-colors ${
+              d.day === day.day ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            <div className="font-medium">Day {d.day}</div>
+            <div className="text-xs opacity-80">{d.weekday.slice(0, 3)} · {d.route.length} stops</div>
+          </button>
+        ))}
+      </div>
+
+      <div className="flex items-center gap-2 text-sm text-gray-600">
+        <MapPin size={16} className="text-green-600" />
+        Start from {day.startLocation.name} · {day.date}
+      </div>
+
+      {day.route.length === 0 && (
+        <div className="p-4 bg-gray-50 rounded-lg text-sm text-gray-600">
+          Travel day - no stops fit into this day's window.
+        </div>
+      )}
+
+      {day.route.map((place, index) => (
+        <div key={place.id || index} className="flex gap-4">
+          <div className="flex-shrink-0 w-20 text-center">
+            <div className="bg-blue-100 text-blue-800 px-3 py-1 rounded-lg text-sm font-medium">
+              {place.arrivalTime}
+            </div>
+            <div className="text-xs text-gray-500 mt-1">to {place.departureTime}</div>
+          </div>
+          <div className="flex-grow bg-gray-50 rounded-lg p-4">
+            <div className="flex items-start justify-between">
+              <div>
+                <h4 className="font-semibold text-gray-900">{place.name}</h4>
+                <p className="text-sm text-gray-600">{place.city}{place.state && `, ${place.state}`}</p>
+              </div>
+              <div className="flex items-center gap-1 text-yellow-500">
+                <Star size={14} fill="currentColor" />
+                <span className="text-sm font-medium">{place.rating}</span>
+              </div>
+            </div>
+            <div className="flex items-center gap-4 mt-2 text-sm text-gray-600">
+              <span>Duration: {place.averageVisitDuration} minutes</span>
+              {place.travelTimeFromPrevious > 0 && (
+                <span className="flex items-center gap-1">
+                  <Navigation size={14} />
+                  {Math.round(place.travelTimeFromPrevious)} min · {place.travelDistanceFromPrevious?.toFixed(1)} km
+                </span>
+              )}
+            </div>
+          </div>
+        </div>
+      ))}
+
+      {day.overnightBase && (
+        <div className="flex items-center gap-3 p-4 bg-indigo-50 rounded-lg">
+          <Moon className="text-indigo-600" size={20} />
+          <div>
+            <div className="font-medium text-indigo-900">Overnight in {day.overnightBase.name}</div>
+            <div className="text-sm text-indigo-700">
+              {day.overnightBase.distanceFromLastStop} km · about {day.overnightBase.travelTimeFromLastStop} min from the last stop
+            </div>
+          </div>
+        </div>
+      )}
+
+      <div className="grid grid-cols-3 gap-3 text-sm">
+        <div className="bg-white border rounded-lg p-3">
+          <div className="text-gray-500">Distance</div>
+          <div className="font-semibold">{day.metrics.totalDistance.toFixed(0)} km</div>
+        </div>
+        <div className="bg-white border rounded-lg p-3">
+          <div className="text-gray-500">Travel time</div>
+          <div className="font-semibold">{Math.round(day.metrics.totalTravelTime)} min</div>
+        </div>
+        <div className="bg-white border rounded-lg p-3">
+          <div className="text-gray-500">Entry fees</div>
+          <div className="font-semibold">₹{day.metrics.totalCost}</div>
+        </div>
+      </div>
+
+      {plan.unscheduledPlaces?.length > 0 && (
+        <div className="p-4 bg-orange-50 rounded-lg">
+          <div className="flex items-center gap-2 font-medium text-orange-800 mb-2">
+            <AlertCircle size={16} />
+            Not scheduled ({plan.unscheduledPlaces.length})
+          </div>
+          {plan.unscheduledPlaces.map(place => (
+            <div key={place.id} className="text-sm text-orange-700">{place.name}: {place.reason}</div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Side-by-side results from POST /trips/compare-algorithms
+const AlgorithmComparison = ({ comparison, loading, error, currentAlgorithm }) => {
+  if (loading) {
+    return (
+      <div className="flex items-center gap-3 p-4 bg-indigo-50 rounded-lg">
+        <Loader className="animate-spin text-indigo-600" size={20} />
+        <span className="text-gray-700">Running every algorithm on your places...</span>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="p-4 bg-red-50 rounded-lg text-red-700 text-sm">{error}</div>
+    );
+  }
+
+  if (!comparison) {
+    return (
+      <div className="p-4 bg-gray-50 rounded-lg text-sm text-gray-600">
+        Runs greedy, nearest neighbor, genetic, dynamic programming and the other solvers on the same
+        places and start point, then ranks the routes they find.
+      </div>
+    );
+  }
+
+  const rankOf = (algorithm) => comparison.ranking.find(entry => entry.algorithm === algorithm)?.rank;
+  const results = [...comparison.results].sort((a, b) => (rankOf(a.algorithm) || 99) - (rankOf(b.algorithm) || 99));
+
+  return (
+    <div className="space-y-4">
+      {comparison.recommendation && (
+        <div className="flex items-start gap-3 p-4 bg-green-50 border border-green-200 rounded-lg">
+          <CheckCircle className="text-green-600 flex-shrink-0 mt-0.5" size={20} />
+          <div>
+            <div className="font-semibold text-green-900">
+              Recommended: {comparison.recommendation.name}
+              {comparison.recommendation.algorithm === currentAlgorithm && ' (the algorithm used for this plan)'}
+            </div>
+            <div className="text-sm text-green-800">{comparison.recommendation.reason}</div>
+          </div>
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b">
+              <th className="py-2 pr-3">#</th>
+              <th className="py-2 pr-3">Algorithm</th>
+              <th className="py-2 pr-3">Places</th>
+              <th className="py-2 pr-3">Distance</th>
+              <th className="py-2 pr-3">Total time</th>
+              <th className="py-2 pr-3">Entry fees</th>
+              <th className="py-2 pr-3">Avg rating</th>
+              <th className="py-2 pr-3">Solve time</th>
+            </tr>
+          </thead>
+          <tbody>
+            {results.map(result => (
+              <tr
+                key={result.algorithm}
+                className={`border-b ${result.algorithm === currentAlgorithm ? 'bg-blue-50' : ''}`}
+              >
+                <td className="py-2 pr-3 font-medium">{rankOf(result.algorithm) || '-'}</td>
+                <td className="py-2 pr-3">
+                  <div className="font-medium text-gray-900">{result.name}</div>
+                  {result.status === 'ok' && (!result.fitsDay || !result.withinBudget) && (
+                    <div className="text-xs text-orange-600">
+                      {[!result.fitsDay && 'runs past the day', !result.withinBudget && 'over budget'].filter(Boolean).join(', ')}
+                    </div>
+                  )}
+                </td>
+                {result.status === 'ok' ? (
+                  <>
+                    <td className="py-2 pr-3">{result.metrics.placesVisited}</td>
+                    <td className="py-2 pr-3">{result.metrics.totalDistance.toFixed(1)} km</td>
+                    <td className="py-2 pr-3">{Math.floor(result.metrics.totalTime / 60)}h {Math.round(result.metrics.totalTime % 60)}m</td>
+                    <td className="py-2 pr-3">₹{result.metrics.totalCost}</td>
+                    <td className="py-2 pr-3">{result.metrics.averageRating.toFixed(1)}</td>
+                  </>
+                ) : (
+                  <td colSpan={5} className="py-2 pr-3 text-gray-500">
+                    {result.status === 'timeout' ? 'Timed out' : result.status === 'skipped' ? 'Skipped' : 'Failed'}
+                    {result.error && ` - ${result.error}`}
+                  </td>
+                )}
+                <td className="py-2 pr-3 text-gray-500">{result.executionTime} ms</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <p className="text-xs text-gray-500">
+        {comparison.placesCompared} places from {comparison.startingLocation?.name} · each algorithm limited to {comparison.timeLimitMs / 1000}s · seed {comparison.seed}
+      </p>
+    </div>
+  );
+};
+
+export default DetailedTripPlanner;
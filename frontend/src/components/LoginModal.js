@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { X, LogIn, UserPlus, Loader } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { apiService } from '../services/api';
+
+const LoginModal = ({ isOpen, onClose, onAuthenticated }) => {
+  const [mode, setMode] = useState('login');
+  const [form, setForm] = useState({ name: '', email: '', password: '' });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (!isOpen) return null;
+
+  const isRegister = mode === 'register';
+
+  const updateField = (field) => (event) => {
+    setForm(prev => ({ ...prev, [field]: event.target.value }));
+  };
+
+  const switchMode = () => {
+    setMode(isRegister ? 'login' : 'register');
+    setError(null);
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+
+    try {
+      const response = isRegister
+        ? await apiService.register(form)
+        : await apiService.login(form);
+
+      toast.success(isRegister ? 'Account created' : `Welcome back, ${response.data.user.name}`);
+      setForm({ name: '', email: '', password: '' });
+      onAuthenticated(response.data.user);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-[60] flex items-center justify-center bg-black bg-opacity-50 px-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-md">
+        <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">
+            {isRegister ? 'Create an account' : 'Log in to Tour With AI'}
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-1 rounded-md text-gray-500 hover:text-gray-900 hover:bg-gray-100"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="px-6 py-4 space-y-4">
+          <p className="text-sm text-gray-600">
+            Saved trips and live tracking are tied to your account.
+          </p>
+
+          {isRegister && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={updateField('name')}
+                required
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+            <input
+              type="email"
+              value={form.email}
+              onChange={updateField('email')}
+              required
+              autoComplete="email"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Password</label>
+            <input
+              type="password"
+              value={form.password}
+              onChange={updateField('password')}
+              required
+              minLength={isRegister ? 8 : undefined}
+              autoComplete={isRegister ? 'new-password' : 'current-password'}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+
+          {error && (
+            <div className="text-sm text-red-600 bg-red-50 border border-red-200 rounded-md px-3 py-2">
+              {error}
+            </div>
+          )}
+
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="w-full flex items-center justify-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 transition-colors"
+          >
+            {isSubmitting ? (
+              <Loader className="animate-spin" size={18} />
+            ) : isRegister ? (
+              <UserPlus size={18} />
+            ) : (
+              <LogIn size={18} />
+            )}
+            {isRegister ? 'Create account' : 'Log in'}
+          </button>
+
+          <div className="text-center text-sm text-gray-600">
+            {isRegister ? 'Already have an account?' : 'New here?'}{' '}
+            <button type="button" onClick={switchMode} className="text-blue-600 hover:underline">
+              {isRegister ? 'Log in' : 'Create one'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default LoginModal;
@@ -9,10 +9,13 @@ import {
   X,
   Brain,
   Compass,
-  Zap
+  Zap,
+  LogIn,
+  LogOut,
+  User
 } from 'lucide-react';
 
-const Navbar = ({ isConnected }) => {
+const Navbar = ({ isConnected, currentUser, onLogin, onLogout }) => {
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
   const location = useLocation();
 
@@ -111,6 +114,33 @@ const Navbar = ({ isConnected }) => {
                 {isConnected ? 'AI Online' : 'Offline'}
               </span>
             </div>
+
+            {/* Account */}
+            <div className="ml-4 pl-4 border-l border-gray-200 flex items-center space-x-2">
+              {currentUser ? (
+                <>
+                  <span className="flex items-center space-x-1 text-sm text-gray-700" title={currentUser.email}>
+                    <User size={16} />
+                    <span>{currentUser.name}</span>
+                  </span>
+                  <button
+                    onClick={onLogout}
+                    className="p-2 rounded-md text-gray-500 hover:text-gray-900 hover:bg-gray-50"
+                    title="Log out"
+                  >
+                    <LogOut size={16} />
+                  </button>
+                </>
+              ) : (
+                <button
+                  onClick={onLogin}
+                  className="flex items-center space-x-1 px-3 py-1.5 rounded-md text-sm font-medium text-blue-600 border border-blue-200 hover:bg-blue-50"
+                >
+                  <LogIn size={16} />
+                  <span>Log in</span>
+                </button>
+              )}
+            </div>
           </div>
 
           {/* Mobile menu button */}
@@ -174,6 +204,27 @@ const Navbar = ({ isConnected }) => {
                   : 'Some features may be limited'}
               </div>
             </div>
+
+            {/* Mobile Account */}
+            <div className="px-3 py-2 border-t border-gray-200">
+              {currentUser ? (
+                <button
+                  onClick={() => { setIsMobileMenuOpen(false); onLogout(); }}
+                  className="flex items-center space-x-2 text-sm font-medium text-gray-700"
+                >
+                  <LogOut size={18} />
+                  <span>Log out ({currentUser.name})</span>
+                </button>
+              ) : (
+                <button
+                  onClick={() => { setIsMobileMenuOpen(false); onLogin(); }}
+                  className="flex items-center space-x-2 text-sm font-medium text-blue-600"
+                >
+                  <LogIn size={18} />
+                  <span>Log in</span>
+                </button>
+              )}
+            </div>
           </div>
         </div>
       )}
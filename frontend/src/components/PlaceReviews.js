@@ -0,0 +1,331 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Star, Flag, Trash2, CheckCircle, Loader, MessageSquare } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { apiService, getStoredUser, AUTH_REQUIRED_EVENT } from '../services/api';
+
+const TRAVELER_TYPES = ['solo', 'couple', 'family', 'friends', 'business'];
+const REPORT_REASONS = ['spam', 'offensive', 'irrelevant', 'fake', 'other'];
+const EMPTY_FORM = { rating: 0, title: '', text: '', visitDate: '', travelerType: '' };
+
+const StarRating = ({ value, size = 16, onChange }) => (
+  <div className="flex items-center gap-0.5">
+    {[1, 2, 3, 4, 5].map(star => (
+      <button
+        key={star}
+        type="button"
+        disabled={!onChange}
+        onClick={() => onChange?.(star)}
+        className={onChange ? 'cursor-pointer' : 'cursor-default'}
+      >
+        <Star
+          size={size}
+          className={star <= Math.round(value) ? 'text-yellow-500 fill-current' : 'text-gray-300'}
+        />
+      </button>
+    ))}
+  </div>
+);
+
+// Reviews and rating summary for a place, with a form to write or update your own
+const PlaceReviews = ({ placeId, tripId }) => {
+  const [data, setData] = useState(null);
+  const [sort, setSort] = useState('recent');
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [showForm, setShowForm] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [reportingId, setReportingId] = useState(null);
+  const currentUser = getStoredUser();
+
+  const loadReviews = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await apiService.getPlaceReviews(placeId, { sort });
+      setData(response.data);
+
+      const mine = response.data.myReview;
+      if (mine) {
+        setForm({
+          rating: mine.rating,
+          title: mine.title || '',
+          text: mine.text || '',
+          visitDate: mine.visitDate ? mine.visitDate.slice(0, 10) : '',
+          travelerType: mine.travelerType || ''
+        });
+      }
+    } catch (error) {
+      console.error('Failed to load reviews:', error);
+      setData(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [placeId, sort]);
+
+  useEffect(() => {
+    if (placeId) loadReviews();
+  }, [placeId, loadReviews]);
+
+  const updateField = (field) => (event) => {
+    setForm(prev => ({ ...prev, [field]: event.target.value }));
+  };
+
+  const openForm = () => {
+    if (!currentUser) {
+      window.dispatchEvent(new CustomEvent(AUTH_REQUIRED_EVENT));
+      return;
+    }
+    setShowForm(true);
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!form.rating) {
+      toast.error('Pick a star rating first');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const payload = {
+        rating: form.rating,
+        text: form.text.trim(),
+        ...(form.title.trim() && { title: form.title.trim() }),
+        ...(form.visitDate && { visitDate: form.visitDate }),
+        ...(form.travelerType && { travelerType: form.travelerType }),
+        ...(tripId && { tripId })
+      };
+
+      const response = await apiService.postPlaceReview(placeId, payload);
+      toast.success(response.message);
+      setShowForm(false);
+      await loadReviews();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleReport = async (reviewId, reason) => {
+    try {
+      const response = await apiService.reportReview(reviewId, reason);
+      toast.success(response.message);
+      setReportingId(null);
+      await loadReviews();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleDelete = async (reviewId) => {
+    if (!window.confirm('Delete your review?')) return;
+
+    try {
+      await apiService.deleteReview(reviewId);
+      toast.success('Review deleted');
+      setForm(EMPTY_FORM);
+      await loadReviews();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  if (loading && !data) {
+    return (
+      <div className="p-4 text-center text-gray-500 text-sm">
+        <Loader className="animate-spin inline mr-2" size={16} />
+        Loading reviews...
+      </div>
+    );
+  }
+
+  if (!data) return null;
+
+  const { summary, reviews, myReview } = data;
+
+  return (
+    <div className="bg-amber-50 rounded-lg p-4 border border-amber-200">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="font-semibold text-amber-800 flex items-center gap-2">
+          <MessageSquare size={18} />
+          Traveler Reviews
+        </h4>
+        <button
+          onClick={openForm}
+          className="px-3 py-1 text-sm bg-amber-600 text-white rounded hover:bg-amber-700"
+        >
+          {myReview ? 'Edit your review' : 'Write a review'}
+        </button>
+      </div>
+
+      {/* Summary */}
+      {summary.reviewCount > 0 ? (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+          <div className="text-center">
+            <div className="text-3xl font-bold text-amber-800">{summary.averageRating}</div>
+            <div className="flex justify-center"><StarRating value={summary.averageRating} /></div>
+            <div className="text-xs text-gray-600 mt-1">{summary.reviewCount} reviews</div>
+          </div>
+          <div className="md:col-span-2 space-y-1">
+            {[5, 4, 3, 2, 1].map(star => {
+              const count = summary.distribution[star] || 0;
+              return (
+                <div key={star} className="flex items-center gap-2 text-xs text-gray-700">
+                  <span className="w-3">{star}</span>
+                  <div className="flex-1 h-2 bg-amber-100 rounded">
+                    <div
+                      className="h-2 bg-amber-500 rounded"
+                      style={{ width: `${(count / summary.reviewCount) * 100}%` }}
+                    />
+                  </div>
+                  <span className="w-6 text-right">{count}</span>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-600 mb-4">No reviews yet. Be the first to share your visit.</p>
+      )}
+
+      {myReview?.status === 'hidden' && (
+        <p className="text-xs text-amber-700 mb-3">
+          Your review is hidden while a moderator checks reports about it.
+        </p>
+      )}
+
+      {/* Write / edit form */}
+      {showForm && (
+        <form onSubmit={handleSubmit} className="bg-white rounded-lg p-3 mb-4 border border-amber-200 space-y-3 text-sm">
+          <div className="flex items-center gap-2">
+            <span className="text-gray-700">Your rating:</span>
+            <StarRating value={form.rating} size={20} onChange={rating => setForm(prev => ({ ...prev, rating }))} />
+          </div>
+          <input
+            type="text"
+            value={form.title}
+            onChange={updateField('title')}
+            maxLength={120}
+            placeholder="Title (optional)"
+            className="w-full px-3 py-2 border border-gray-300 rounded"
+          />
+          <textarea
+            value={form.text}
+            onChange={updateField('text')}
+            maxLength={2000}
+            rows={3}
+            placeholder="What was your visit like?"
+            className="w-full px-3 py-2 border border-gray-300 rounded"
+          />
+          <div className="grid grid-cols-2 gap-3">
+            <input
+              type="date"
+              value={form.visitDate}
+              onChange={updateField('visitDate')}
+              max={new Date().toISOString().slice(0, 10)}
+              className="px-3 py-2 border border-gray-300 rounded"
+            />
+            <select
+              value={form.travelerType}
+              onChange={updateField('travelerType')}
+              className="px-3 py-2 border border-gray-300 rounded capitalize"
+            >
+              <option value="">Traveled as...</option>
+              {TRAVELER_TYPES.map(type => (
+                <option key={type} value={type}>{type}</option>
+              ))}
+            </select>
+          </div>
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="px-3 py-1 text-gray-600 hover:text-gray-900"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="px-3 py-1 bg-amber-600 text-white rounded hover:bg-amber-700 disabled:opacity-50"
+            >
+              {isSubmitting ? 'Saving...' : myReview ? 'Update review' : 'Post review'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Review list */}
+      {reviews.length > 0 && (
+        <>
+          <div className="flex justify-end mb-2">
+            <select
+              value={sort}
+              onChange={event => setSort(event.target.value)}
+              className="text-xs px-2 py-1 border border-amber-200 rounded bg-white"
+            >
+              <option value="recent">Most recent</option>
+              <option value="rating_high">Highest rated</option>
+              <option value="rating_low">Lowest rated</option>
+            </select>
+          </div>
+          <ul className="space-y-3">
+            {reviews.map(review => {
+              const isMine = currentUser?.id === review.userId;
+              return (
+                <li key={review.id} className="bg-white rounded-lg p-3 border border-amber-100 text-sm">
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center gap-2">
+                      <StarRating value={review.rating} size={14} />
+                      <span className="font-medium text-gray-900">{review.userName || 'Traveler'}</span>
+                      {review.verifiedVisit && (
+                        <span className="flex items-center gap-1 text-xs text-green-700">
+                          <CheckCircle size={12} />
+                          Visited
+                        </span>
+                      )}
+                    </div>
+                    {isMine ? (
+                      <button onClick={() => handleDelete(review.id)} className="text-gray-400 hover:text-red-600" title="Delete review">
+                        <Trash2 size={14} />
+                      </button>
+                    ) : currentUser && (
+                      <button
+                        onClick={() => setReportingId(reportingId === review.id ? null : review.id)}
+                        className="text-gray-400 hover:text-red-600"
+                        title="Report review"
+                      >
+                        <Flag size={14} />
+                      </button>
+                    )}
+                  </div>
+                  {review.title && <div className="font-semibold text-gray-800 mt-1">{review.title}</div>}
+                  {review.text && <p className="text-gray-700 mt-1">{review.text}</p>}
+                  <div className="text-xs text-gray-500 mt-1">
+                    {review.travelerType && <span className="capitalize">{review.travelerType} · </span>}
+                    {new Date(review.visitDate || review.createdAt).toLocaleDateString()}
+                  </div>
+                  {reportingId === review.id && (
+                    <div className="flex flex-wrap gap-2 mt-2">
+                      {REPORT_REASONS.map(reason => (
+                        <button
+                          key={reason}
+                          onClick={() => handleReport(review.id, reason)}
+                          className="px-2 py-0.5 text-xs border border-red-200 text-red-700 rounded capitalize hover:bg-red-50"
+                        >
+                          {reason}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PlaceReviews;
@@ -1,194 +1,179 @@
 // src/components/RealTimeTripTracker.jsx
-import React, { useState, useEffect, useCallback } from 'react';
-import { MapPin, Navigation, Clock, Target, AlertTriangle, CheckCircle } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { MapPin, Navigation, AlertTriangle, CheckCircle, RefreshCw } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { apiService } from '../services/api';
 
-import toast from 'react-hot-toast'; // Add this line
-//import { Clock, Target } from 'lucide-react';
+const TRACKING_INTERVAL_MS = 40000; // 40 seconds
 
-// Rest of your component code...
+// Arrival detection happens on the server (geofence against each trip stop);
+// this component only reports positions and renders the session state it gets back.
 const RealTimeTripTracker = ({ optimizedRoute, onLocationUpdate }) => {
   const [isTracking, setIsTracking] = useState(false);
-  const [currentLocation, setCurrentLocation] = useState(null);
-  const [tripProgress, setTripProgress] = useState({
-    currentCheckpoint: 0,
-    visitedPlaces: [],
-    totalProgress: 0
-  });
+  const [trackingId, setTrackingId] = useState(null);
+  const [trackingState, setTrackingState] = useState(null);
   const [realTimeUpdates, setRealTimeUpdates] = useState([]);
-  const [eta, setETA] = useState(null);
+  const [replanning, setReplanning] = useState(false);
+  const [replanDiff, setReplanDiff] = useState(null);
+  const lastUpdateTimeRef = useRef(null);
+
+  const tripId = optimizedRoute?.id || optimizedRoute?._id;
+
+  // Apply a state snapshot from the server and surface arrivals as toasts
+  const applyServerState = useCallback((state) => {
+    if (!state) return;
+
+    setTrackingState(state);
+    (state.events || []).forEach(event => {
+      if (event.type === 'arrival' || event.type === 'manual_checkin') {
+        toast.success(event.message);
+      }
+    });
+
+    if (state.status !== 'active') {
+      setIsTracking(false);
+      if (state.status === 'completed') {
+        toast.success('Trip complete - every stop visited!');
+      }
+    }
+  }, []);
 
   // Start real-time tracking
   const startTracking = useCallback(async () => {
+    if (!tripId) {
+      toast.error('Save this trip before starting live tracking');
+      return;
+    }
+
     try {
-      // Get user's current location
       const position = await getCurrentPosition();
-      const location = {
-        latitude: position.coords.latitude,
-        longitude: position.coords.longitude,
-        timestamp: new Date().toISOString()
-      };
-
-      setCurrentLocation(location);
-      setIsTracking(true);
-
-      // Initialize tracking session
-      const response = await fetch('/api/trips/start-realtime-tracking', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          tripId: optimizedRoute.id,
-          userId: 'current_user',
-          startLocation: location
-        })
+      const location = positionToLocation(position);
+
+      const response = await apiService.startRealTimeTracking({
+        tripId,
+        startLocation: location
       });
 
-      if (response.ok) {
-        toast.success('Real-time tracking started!');
-        startLocationTracking();
-      }
+      setTrackingId(response.data.trackingId);
+      setRealTimeUpdates([]);
+      lastUpdateTimeRef.current = new Date().toISOString();
+      applyServerState(response.data.state);
+      setIsTracking(response.data.state?.status === 'active');
+      onLocationUpdate && onLocationUpdate(location);
+
+      toast.success(response.data.resumed ? 'Resumed live tracking' : 'Real-time tracking started!');
     } catch (error) {
       console.error('Failed to start tracking:', error);
-      toast.error('Could not start location tracking');
+      toast.error(error.message || 'Could not start location tracking');
     }
-  }, [optimizedRoute]);
-
-  // Real-time location tracking with 40-second intervals
-  const startLocationTracking = useCallback(() => {
-    const trackingInterval = setInterval(async () => {
-      try {
-        const position = await getCurrentPosition();
-        const newLocation = {
-          latitude: position.coords.latitude,
-          longitude: position.coords.longitude,
-          timestamp: new Date().toISOString()
-        };
-
-        setCurrentLocation(newLocation);
-        onLocationUpdate && onLocationUpdate(newLocation);
+  }, [tripId, applyServerState, onLocationUpdate]);
 
-        // Update backend with new location
-        await updateLocationOnServer(newLocation);
+  // Stop tracking on the server as well as locally
+  const stopTracking = useCallback(async () => {
+    setIsTracking(false);
+    if (!trackingId) return;
 
-        // Check for nearby destinations and auto-progress
-        checkProximityToDestinations(newLocation);
-
-      } catch (error) {
-        console.error('Location tracking error:', error);
-      }
-    }, 40000); // 40 seconds as requested
-
-    return () => clearInterval(trackingInterval);
-  }, [onLocationUpdate]);
+    try {
+      const response = await apiService.updateTripProgress({ trackingId, action: 'stop' });
+      setTrackingState(response.data);
+    } catch (error) {
+      console.error('Failed to stop tracking:', error);
+    }
+  }, [trackingId]);
 
-  // Update location on server
-  const updateLocationOnServer = async (location) => {
+  // Manual check-in for when GPS is unreliable (e.g. inside temple complexes)
+  const checkInAt = useCallback(async (placeId) => {
     try {
-      await fetch('/api/trips/update-progress', {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          tripId: optimizedRoute.id,
-          currentLocation: location,
-          action: 'update_location'
-        })
+      const response = await apiService.updateTripProgress({
+        trackingId,
+        checkpointId: placeId,
+        action: 'arrive_at_checkpoint'
       });
+      applyServerState(response.data);
     } catch (error) {
-      console.error('Failed to update server location:', error);
-    }
-  };
-
-  // Check proximity to destinations for auto-progression
-  const checkProximityToDestinations = (currentLoc) => {
-    if (!optimizedRoute?.route || tripProgress.currentCheckpoint >= optimizedRoute.route.length) return;
-
-    const nextDestination = optimizedRoute.route[tripProgress.currentCheckpoint];
-    const distance = calculateDistance(
-      currentLoc.latitude,
-      currentLoc.longitude,
-      nextDestination.location.latitude,
-      nextDestination.location.longitude
-    );
-
-    // Auto-progress if within 100 meters
-    if (distance <= 0.1) {
-      handleArrivedAtDestination(nextDestination);
+      toast.error(error.message);
     }
-  };
+  }, [trackingId, applyServerState]);
 
-  // Handle arrival at destination
-  const handleArrivedAtDestination = async (destination) => {
+  // Re-plan the unvisited stops from where the traveler is right now
+  const replanRemainingStops = useCallback(async () => {
+    setReplanning(true);
     try {
-      setTripProgress(prev => ({
-        ...prev,
-        currentCheckpoint: prev.currentCheckpoint + 1,
-        visitedPlaces: [...prev.visitedPlaces, destination.id],
-        totalProgress: ((prev.currentCheckpoint + 1) / optimizedRoute.route.length) * 100
-      }));
-
-      // Update server
-      await fetch('/api/trips/update-progress', {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          tripId: optimizedRoute.id,
-          currentLocation,
-          checkpointId: destination.id,
-          action: 'arrive_at_checkpoint'
-        })
+      const response = await apiService.reoptimizeSavedTrip(tripId, {
+        currentTime: currentTimeString(),
+        currentLocation: trackingState?.currentLocation,
+        apply: true
       });
+      setReplanDiff(response.data.diff);
+      // The old delay warning refers to the previous plan
+      setRealTimeUpdates(prev => prev.filter(update => update.type !== 'schedule'));
+      toast.success(response.message);
 
-      toast.success(`Arrived at ${destination.name}!`);
+      const stateResponse = await apiService.getTrackingSession(trackingId);
+      setTrackingState(stateResponse.data);
     } catch (error) {
-      console.error('Failed to update arrival:', error);
+      toast.error(error.message);
+    } finally {
+      setReplanning(false);
     }
-  };
+  }, [tripId, trackingId, trackingState]);
 
-  // Get real-time updates every 40 seconds
+  // Send a position ping every 40 seconds while tracking
   useEffect(() => {
-    if (!isTracking || !currentLocation) return;
+    if (!isTracking || !trackingId) return;
+
+    const trackingInterval = setInterval(async () => {
+      try {
+        const position = await getCurrentPosition();
+        const location = positionToLocation(position);
+        onLocationUpdate && onLocationUpdate(location);
+
+        const response = await apiService.updateTripProgress({
+          trackingId,
+          currentLocation: location,
+          currentTime: currentTimeString(),
+          action: 'update_location'
+        });
+        applyServerState(response.data);
+      } catch (error) {
+        console.error('Location tracking error:', error);
+      }
+    }, TRACKING_INTERVAL_MS);
+
+    return () => clearInterval(trackingInterval);
+  }, [isTracking, trackingId, onLocationUpdate, applyServerState]);
+
+  // Poll for schedule and session updates every 40 seconds
+  useEffect(() => {
+    if (!isTracking || !trackingId) return;
 
     const updatesInterval = setInterval(async () => {
       try {
-        const response = await fetch(
-          `/api/trips/real-time-updates?tripId=${optimizedRoute.id}&currentLocation=${JSON.stringify(currentLocation)}&lastUpdateTime=${Date.now()}`
+        const response = await apiService.getRealTimeUpdates(
+          trackingId,
+          lastUpdateTimeRef.current,
+          currentTimeString()
         );
 
-        if (response.ok) {
-          const data = await response.json();
-          if (data.success && data.data.updates.length > 0) {
-            setRealTimeUpdates(prev => [...prev, ...data.data.updates]);
-          }
+        lastUpdateTimeRef.current = response.data.serverTime;
+        if (response.data.updates.length > 0) {
+          setRealTimeUpdates(prev => [...prev, ...response.data.updates]);
         }
+        setTrackingState(response.data.state);
       } catch (error) {
         console.error('Failed to fetch real-time updates:', error);
       }
-    }, 40000);
+    }, TRACKING_INTERVAL_MS);
 
     return () => clearInterval(updatesInterval);
-  }, [isTracking, currentLocation, optimizedRoute.id]);
-
-  // Calculate distance between two coordinates
-  const calculateDistance = (lat1, lon1, lat2, lon2) => {
-    const R = 6371;
-    const dLat = (lat2 - lat1) * Math.PI / 180;
-    const dLon = (lon2 - lon1) * Math.PI / 180;
-    const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-              Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-              Math.sin(dLon/2) * Math.sin(dLon/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    return R * c;
-  };
-
-  // Get current position
-  const getCurrentPosition = () => {
-    return new Promise((resolve, reject) => {
-      navigator.geolocation.getCurrentPosition(resolve, reject, {
-        enableHighAccuracy: true,
-        timeout: 10000,
-        maximumAge: 0
-      });
-    });
-  };
+  }, [isTracking, trackingId]);
+
+  const currentLocation = trackingState?.currentLocation;
+  const nextPlace = trackingState?.nextPlace;
+  const percentComplete = trackingState?.progress?.percentComplete || 0;
+  const visitedPlaceIds = trackingState?.visitedPlaceIds || [];
+  const latestScheduleUpdate = [...realTimeUpdates].reverse().find(update => update.type === 'schedule');
+  const runningLate = latestScheduleUpdate?.severity === 'warning';
 
   return (
     <div className="bg-white rounded-lg shadow-lg p-6">
@@ -197,11 +182,11 @@ const RealTimeTripTracker = ({ optimizedRoute, onLocationUpdate }) => {
           <Navigation className="text-blue-600" size={24} />
           Live Trip Tracking
         </h3>
-        
+
         <button
-          onClick={isTracking ? () => setIsTracking(false) : startTracking}
+          onClick={isTracking ? stopTracking : startTracking}
           className={`px-4 py-2 rounded-lg font-medium transition-colors ${
-            isTracking 
+            isTracking
               ? 'bg-red-600 text-white hover:bg-red-700'
               : 'bg-green-600 text-white hover:bg-green-700'
           }`}
@@ -210,16 +195,17 @@ const RealTimeTripTracker = ({ optimizedRoute, onLocationUpdate }) => {
         </button>
       </div>
 
-      {isTracking && (
+      {trackingState && (
         <div className="space-y-6">
           {/* Progress Bar */}
           <div className="bg-gray-200 rounded-full h-4">
-            <div 
+            <div
               className="bg-blue-600 h-4 rounded-full transition-all duration-300"
-              style={{ width: `${tripProgress.totalProgress}%` }}
+              style={{ width: `${percentComplete}%` }}
             />
             <div className="mt-2 text-sm text-gray-600 text-center">
-              {Math.round(tripProgress.totalProgress)}% Complete
+              {Math.round(percentComplete)}% Complete
+              {trackingState.progress && ` (${trackingState.progress.placesVisited}/${trackingState.progress.totalPlaces} places)`}
             </div>
           </div>
 
@@ -228,32 +214,43 @@ const RealTimeTripTracker = ({ optimizedRoute, onLocationUpdate }) => {
             <div className="flex items-center gap-3 p-4 bg-blue-50 rounded-lg">
               <MapPin className="text-blue-600" size={20} />
               <div>
-                <div className="font-medium">Current Location</div>
+                <div className="font-medium">
+                  {trackingState.currentPlace ? `At ${trackingState.currentPlace.name}` : 'Current Location'}
+                </div>
                 <div className="text-sm text-gray-600">
                   {currentLocation.latitude.toFixed(4)}, {currentLocation.longitude.toFixed(4)}
                 </div>
                 <div className="text-xs text-gray-500">
-                  Updated: {new Date(currentLocation.timestamp).toLocaleTimeString()}
+                  Updated: {new Date(currentLocation.recordedAt).toLocaleTimeString()}
                 </div>
               </div>
             </div>
           )}
 
           {/* Next Destination */}
-          {optimizedRoute?.route && tripProgress.currentCheckpoint < optimizedRoute.route.length && (
-            <div className="flex items-center gap-3 p-4 bg-green-50 rounded-lg">
-              <Navigation className="text-green-600" size={20} />
-              <div>
-                <div className="font-medium">Next Destination</div>
-                <div className="text-sm text-gray-600">
-                  {optimizedRoute.route[tripProgress.currentCheckpoint].name}
+          {nextPlace && (
+            <div className="flex items-center justify-between gap-3 p-4 bg-green-50 rounded-lg">
+              <div className="flex items-center gap-3">
+                <Navigation className="text-green-600" size={20} />
+                <div>
+                  <div className="font-medium">Next Destination</div>
+                  <div className="text-sm text-gray-600">{nextPlace.name}</div>
+                  {nextPlace.etaMinutes !== undefined && (
+                    <div className="text-xs text-gray-500">
+                      {nextPlace.distanceKm} km away · ETA {nextPlace.etaMinutes} min
+                      {nextPlace.plannedArrival && ` · planned ${nextPlace.plannedArrival}`}
+                    </div>
+                  )}
                 </div>
-                {eta && (
-                  <div className="text-xs text-gray-500">
-                    ETA: {eta}
-                  </div>
-                )}
               </div>
+              {isTracking && (
+                <button
+                  onClick={() => checkInAt(nextPlace.placeId)}
+                  className="px-3 py-1 text-sm border border-green-600 text-green-700 rounded-lg hover:bg-green-100 transition-colors"
+                >
+                  I'm here
+                </button>
+              )}
             </div>
           )}
 
@@ -265,12 +262,15 @@ const RealTimeTripTracker = ({ optimizedRoute, onLocationUpdate }) => {
                 Live Updates
               </h4>
               {realTimeUpdates.slice(-3).map((update, index) => (
-                <div key={index} className="flex items-start gap-3 p-3 bg-yellow-50 rounded-lg">
-                  <div className="w-2 h-2 bg-yellow-500 rounded-full mt-2" />
+                <div
+                  key={`${update.type}-${update.timestamp}-${index}`}
+                  className={`flex items-start gap-3 p-3 rounded-lg ${update.severity === 'warning' ? 'bg-orange-50' : 'bg-yellow-50'}`}
+                >
+                  <div className={`w-2 h-2 rounded-full mt-2 ${update.severity === 'warning' ? 'bg-orange-500' : 'bg-yellow-500'}`} />
                   <div>
                     <div className="font-medium text-sm">{update.message}</div>
                     <div className="text-xs text-gray-500">
-                      {new Date().toLocaleTimeString()}
+                      {new Date(update.timestamp).toLocaleTimeString()}
                     </div>
                   </div>
                 </div>
@@ -278,15 +278,50 @@ const RealTimeTripTracker = ({ optimizedRoute, onLocationUpdate }) => {
             </div>
           )}
 
+          {/* Re-plan when running late */}
+          {isTracking && runningLate && (
+            <div className="flex items-center justify-between gap-3 p-4 bg-orange-50 rounded-lg">
+              <div className="text-sm text-orange-800">
+                {latestScheduleUpdate.message}. Re-plan the remaining stops from here?
+              </div>
+              <button
+                onClick={replanRemainingStops}
+                disabled={replanning}
+                className="flex items-center gap-2 px-3 py-1 text-sm bg-orange-600 text-white rounded-lg hover:bg-orange-700 disabled:opacity-50 transition-colors"
+              >
+                <RefreshCw size={14} className={replanning ? 'animate-spin' : ''} />
+                {replanning ? 'Re-planning...' : 'Re-plan'}
+              </button>
+            </div>
+          )}
+
+          {replanDiff && (
+            <div className="p-4 border border-orange-200 rounded-lg space-y-2 text-sm">
+              <div className="font-semibold">
+                Updated plan: {replanDiff.summary.keptCount} stops, done by {replanDiff.summary.projectedEndTime || '—'}
+              </div>
+              {replanDiff.kept.filter(stop => stop.shortened).map(stop => (
+                <div key={stop.placeId} className="text-gray-600">
+                  {stop.name}: shortened to {stop.newDuration} min (was {stop.originalDuration})
+                </div>
+              ))}
+              {replanDiff.dropped.map(stop => (
+                <div key={stop.placeId} className="text-red-600">
+                  Dropped {stop.name}: {stop.reason}
+                </div>
+              ))}
+            </div>
+          )}
+
           {/* Visited Places */}
-          {tripProgress.visitedPlaces.length > 0 && (
+          {visitedPlaceIds.length > 0 && (
             <div className="space-y-2">
               <h4 className="font-semibold flex items-center gap-2">
                 <CheckCircle className="text-green-500" size={18} />
-                Completed ({tripProgress.visitedPlaces.length})
+                Completed ({visitedPlaceIds.length})
               </h4>
-              {tripProgress.visitedPlaces.map((placeId, index) => {
-                const place = optimizedRoute.route.find(p => p.id === placeId);
+              {visitedPlaceIds.map((placeId, index) => {
+                const place = optimizedRoute?.route?.find(p => String(p.id || p._id) === placeId);
                 return (
                   <div key={placeId} className="flex items-center gap-3 p-2 bg-gray-50 rounded">
                     <CheckCircle className="text-green-500" size={16} />
@@ -299,7 +334,7 @@ const RealTimeTripTracker = ({ optimizedRoute, onLocationUpdate }) => {
         </div>
       )}
 
-      {!isTracking && (
+      {!trackingState && (
         <div className="text-center py-8 text-gray-500">
           <Navigation className="mx-auto mb-3" size={48} />
           <p>Start live tracking to monitor your trip progress</p>
@@ -310,4 +345,28 @@ const RealTimeTripTracker = ({ optimizedRoute, onLocationUpdate }) => {
   );
 };
 
-export default RealTimeTripTracker;
\ No newline at end of file
+// Get current position
+const getCurrentPosition = () => {
+  return new Promise((resolve, reject) => {
+    navigator.geolocation.getCurrentPosition(resolve, reject, {
+      enableHighAccuracy: true,
+      timeout: 10000,
+      maximumAge: 0
+    });
+  });
+};
+
+const positionToLocation = (position) => ({
+  latitude: position.coords.latitude,
+  longitude: position.coords.longitude,
+  accuracy: position.coords.accuracy,
+  speed: position.coords.speed,
+  timestamp: new Date().toISOString()
+});
+
+const currentTimeString = () => {
+  const now = new Date();
+  return `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+};
+
+export default RealTimeTripTracker;
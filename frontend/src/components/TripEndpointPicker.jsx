@@ -0,0 +1,195 @@
+// src/components/TripEndpointPicker.jsx - Pick a trip start or end point from GPS, an address or a saved location
+import React, { useState } from 'react';
+import { Crosshair, Search, Bookmark, BookmarkPlus, X, Loader } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { apiService, getStoredUser } from '../services/api';
+import { createCustomLocation } from '../utils/locations';
+
+const TripEndpointPicker = ({ label, value, onChange }) => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [locating, setLocating] = useState(false);
+  const [, setSavedVersion] = useState(0);
+  const currentUser = getStoredUser();
+  const savedLocations = currentUser?.savedLocations || [];
+
+  const useCurrentPosition = () => {
+    if (!navigator.geolocation) {
+      toast.error('Location is not available in this browser');
+      return;
+    }
+
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setLocating(false);
+        onChange(createCustomLocation(position.coords.latitude, position.coords.longitude, {
+          name: 'My current location',
+          source: 'gps'
+        }));
+      },
+      (error) => {
+        setLocating(false);
+        toast.error(`Could not get your location: ${error.message}`);
+      },
+      { enableHighAccuracy: true, timeout: 10000 }
+    );
+  };
+
+  const searchAddress = async (event) => {
+    event.preventDefault();
+    if (query.trim().length < 3) return;
+
+    setSearching(true);
+    try {
+      const response = await apiService.geocodeAddress(query.trim());
+      setResults(response.data || []);
+      if (!response.data?.length) toast.error('No matching address found');
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const pickResult = (result) => {
+    onChange(createCustomLocation(result.latitude, result.longitude, {
+      name: result.displayName.split(',')[0],
+      address: result.displayName,
+      state: result.address?.state,
+      district: result.address?.state_district || result.address?.city,
+      source: 'address'
+    }));
+    setResults([]);
+    setQuery('');
+  };
+
+  const pickSaved = (saved) => {
+    onChange(createCustomLocation(saved.latitude, saved.longitude, {
+      id: `saved:${saved.id}`,
+      name: saved.label,
+      address: saved.address,
+      source: 'saved'
+    }));
+  };
+
+  const saveCurrent = async () => {
+    const label = window.prompt('Name this location (e.g. "Hotel")', value?.name || '');
+    if (!label) return;
+
+    try {
+      await apiService.addSavedLocation({
+        label,
+        latitude: value.latitude,
+        longitude: value.longitude,
+        address: value.address
+      });
+      setSavedVersion(version => version + 1);
+      toast.success(`Saved "${label}"`);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const removeSaved = async (saved) => {
+    try {
+      await apiService.removeSavedLocation(saved.id);
+      setSavedVersion(version => version + 1);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const canSaveCurrent = currentUser && value && value.source !== 'saved' && value.source !== 'preset';
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap gap-2">
+        <button
+          type="button"
+          onClick={useCurrentPosition}
+          disabled={locating}
+          className="flex items-center gap-2 px-3 py-2 text-sm bg-blue-50 text-blue-700 border border-blue-200 rounded-lg hover:bg-blue-100 disabled:opacity-50"
+        >
+          {locating ? <Loader className="animate-spin" size={14} /> : <Crosshair size={14} />}
+          Use my current location
+        </button>
+        {canSaveCurrent && (
+          <button
+            type="button"
+            onClick={saveCurrent}
+            className="flex items-center gap-2 px-3 py-2 text-sm text-gray-700 border border-gray-200 rounded-lg hover:bg-gray-50"
+          >
+            <BookmarkPlus size={14} />
+            Save {label.toLowerCase()} point
+          </button>
+        )}
+      </div>
+
+      <form onSubmit={searchAddress} className="flex gap-2">
+        <input
+          type="text"
+          value={query}
+          onChange={event => setQuery(event.target.value)}
+          placeholder="Hotel name or address"
+          className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-lg"
+        />
+        <button
+          type="submit"
+          disabled={searching || query.trim().length < 3}
+          className="flex items-center gap-1 px-3 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+        >
+          {searching ? <Loader className="animate-spin" size={14} /> : <Search size={14} />}
+          Find
+        </button>
+      </form>
+
+      {results.length > 0 && (
+        <ul className="border border-gray-200 rounded-lg divide-y divide-gray-100 max-h-48 overflow-y-auto">
+          {results.map((result, index) => (
+            <li key={`${result.latitude}-${result.longitude}-${index}`}>
+              <button
+                type="button"
+                onClick={() => pickResult(result)}
+                className="w-full text-left px-3 py-2 text-sm hover:bg-gray-50"
+              >
+                {result.displayName}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {savedLocations.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {savedLocations.map(saved => (
+            <span
+              key={saved.id}
+              className={`flex items-center gap-1 pl-3 pr-1 py-1 text-sm rounded-full border ${
+                value?.id === `saved:${saved.id}`
+                  ? 'border-blue-500 bg-blue-50 text-blue-900'
+                  : 'border-gray-200 text-gray-700'
+              }`}
+            >
+              <button type="button" onClick={() => pickSaved(saved)} className="flex items-center gap-1">
+                <Bookmark size={12} />
+                {saved.label}
+              </button>
+              <button
+                type="button"
+                onClick={() => removeSaved(saved)}
+                className="p-0.5 text-gray-400 hover:text-red-600"
+                title="Remove saved location"
+              >
+                <X size={12} />
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TripEndpointPicker;
@@ -1,29 +1,70 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { MessageCircle, Send, Bot, User, Loader, Heart } from 'lucide-react';
-import { apiService } from '../services/api';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { MessageCircle, Send, Bot, User, Loader, Heart, Square, Plus, Trash2, History, MapPin } from 'lucide-react';
+import { apiService, getStoredUser } from '../services/api';
 import ConnectionStatus from '../components/ConnectionStatus';
 import toast from 'react-hot-toast';
 
+const createWelcomeMessage = () => ({
+  id: Date.now(),
+  type: 'assistant',
+  content: "Vanakkam! 🙏 I'm your South Indian travel guide. I know all the beautiful places from Tamil Nadu's temples to Kerala's backwaters, Karnataka's palaces to Andhra's heritage sites. How can I help you plan your perfect South Indian adventure?",
+  timestamp: new Date()
+});
+
+// Stored turns -> chat messages
+const messagesFromTurns = (turns) => turns.map(turn => ({
+  id: turn.id,
+  type: turn.role,
+  content: turn.content,
+  timestamp: new Date(turn.createdAt),
+  fallback: turn.fallback,
+  interrupted: turn.interrupted,
+  sources: turn.sources || []
+}));
+
+// The guide ends its answer with a "SOURCES: 1, 3" line; hide it while the answer streams in
+const withoutSourcesLine = (text) => text.replace(/(?:^|\n)[ \t]*SOURCES?\s*(:[^\n]*)?$/i, '');
+
 const AIAssistantPage = ({ isConnected, onRetry }) => {
+  const currentUser = getStoredUser();
   const [messages, setMessages] = useState([]);
   const [inputMessage, setInputMessage] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
+  const streamControllerRef = useRef(null);
+
+  // Saved conversations, for signed-in users
+  const [conversationId, setConversationId] = useState(null);
+  const [conversations, setConversations] = useState([]);
+  const [loadingConversation, setLoadingConversation] = useState(null);
 
   // Welcome message
   useEffect(() => {
     if (isConnected) {
-      setMessages([{
-        id: Date.now(),
-        type: 'assistant',
-        content: "Vanakkam! 🙏 I'm your South Indian travel guide. I know all the beautiful places from Tamil Nadu's temples to Kerala's backwaters, Karnataka's palaces to Andhra's heritage sites. How can I help you plan your perfect South Indian adventure?",
-        timestamp: new Date()
-      }]);
+      setMessages([createWelcomeMessage()]);
     }
   }, [isConnected]);
 
+  const loadConversations = useCallback(async () => {
+    try {
+      const result = await apiService.getConversations({ limit: 20 });
+      setConversations(result.data || []);
+    } catch (error) {
+      console.error('Failed to load conversations:', error);
+    }
+  }, []);
+
+  // getStoredUser() parses a fresh object each render, so depend on the id
+  const signedInUserId = currentUser?.id;
+  useEffect(() => {
+    if (isConnected && signedInUserId) {
+      loadConversations();
+    }
+  }, [isConnected, signedInUserId, loadConversations]);
+
   // Auto scroll to bottom
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -33,7 +74,62 @@ const AIAssistantPage = ({ isConnected, onRetry }) => {
     scrollToBottom();
   }, [messages]);
 
-  // Send message to AI
+  // Stop an answer that is still streaming when the page is left
+  useEffect(() => () => streamControllerRef.current?.abort(), []);
+
+  const updateMessage = (id, changes) => {
+    setMessages(prev => prev.map(message =>
+      message.id === id
+        ? { ...message, ...(typeof changes === 'function' ? changes(message) : changes) }
+        : message
+    ));
+  };
+
+  const stopStreaming = () => {
+    streamControllerRef.current?.abort();
+  };
+
+  const startNewConversation = () => {
+    stopStreaming();
+    setConversationId(null);
+    setMessages([createWelcomeMessage()]);
+    setError(null);
+    inputRef.current?.focus();
+  };
+
+  // Resume a saved conversation where it left off
+  const openConversation = async (id) => {
+    if (id === conversationId) return;
+    stopStreaming();
+    setLoadingConversation(id);
+
+    try {
+      const result = await apiService.getConversation(id);
+      setConversationId(id);
+      setMessages(result.data.turns.length > 0 ? messagesFromTurns(result.data.turns) : [createWelcomeMessage()]);
+      setError(null);
+    } catch (error) {
+      toast.error(error.message);
+      loadConversations();
+    } finally {
+      setLoadingConversation(null);
+    }
+  };
+
+  const deleteConversation = async (id) => {
+    if (!window.confirm('Delete this conversation?')) return;
+
+    try {
+      await apiService.deleteConversation(id);
+      setConversations(prev => prev.filter(conversation => conversation.id !== id));
+      if (id === conversationId) startNewConversation();
+      toast.success('Conversation deleted');
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  // Send message to AI; the answer appears word by word as it streams in
   const sendMessage = async () => {
     if (!inputMessage.trim() || isLoading) return;
 
@@ -49,42 +145,79 @@ const AIAssistantPage = ({ isConnected, onRetry }) => {
     setIsLoading(true);
     setError(null);
 
+    const assistantId = Date.now() + 1;
+    const controller = new AbortController();
+    streamControllerRef.current = controller;
+    let hasText = false;
+
+    const appendText = (text) => {
+      if (!hasText) {
+        hasText = true;
+        setMessages(prev => [...prev, {
+          id: assistantId,
+          type: 'assistant',
+          content: text,
+          timestamp: new Date(),
+          streaming: true
+        }]);
+      } else {
+        updateMessage(assistantId, message => ({ content: message.content + text }));
+      }
+    };
+
     try {
       console.log('🤖 Sending message to AI assistant:', userMessage.content);
       
-      const response = await apiService.chatWithAI(userMessage.content, {
+      // Signed in, the server keeps the history; otherwise the recent messages are it
+      const result = await apiService.streamChatWithAI(userMessage.content, {
         context: 'south_indian_travel',
-        previousMessages: messages.slice(-5) // Send last 5 messages for context
+        previousMessages: messages.slice(-10)
+      }, {
+        conversationId,
+        signal: controller.signal,
+        onToken: appendText,
+        onStart: (data) => {
+          if (data.conversationId) setConversationId(data.conversationId);
+        }
       });
 
-      if (response.success && response.data) {
-        const assistantMessage = {
-          id: Date.now() + 1,
-          type: 'assistant',
-          content: response.data.message || 'I apologize, but I encountered an issue. Could you please try asking again?',
-          timestamp: new Date(),
-          fallback: response.data.fallback || false
-        };
+      const finalText = result.message || 'I apologize, but I encountered an issue. Could you please try asking again?';
+      if (!hasText) appendText(finalText);
 
-        setMessages(prev => [...prev, assistantMessage]);
+      // The final text has the stray markdown and the sources line removed
+      updateMessage(assistantId, {
+        content: finalText,
+        streaming: false,
+        fallback: result.fallback || false,
+        sources: result.sources || []
+      });
         
-        if (response.data.fallback) {
-          toast('AI is using fallback mode - some features may be limited', {
-            icon: '⚠️',
-            duration: 3000
-          });
-        }
-      } else {
-        throw new Error(response.message || 'AI response failed');
+      if (result.fallback) {
+        toast('AI is using fallback mode - some features may be limited', {
+          icon: '⚠️',
+          duration: 3000
+        });
       }
 
     } catch (error) {
+      if (error.name === 'AbortError') {
+        updateMessage(assistantId, { streaming: false, stopped: true });
+        return;
+      }
+
       console.error('💥 AI chat error:', error);
       setError(error.message);
+
+      // Keep a partly streamed answer and say it was cut short
+      if (hasText) {
+        updateMessage(assistantId, { streaming: false, interrupted: true });
+        toast.error('The answer was interrupted - please ask again');
+        return;
+      }
       
       // Add error message to chat
       const errorMessage = {
-        id: Date.now() + 1,
+        id: assistantId,
         type: 'assistant',
         content: "I'm having trouble connecting right now. But I can still help you with basic South Indian travel information! Please try asking about specific places, food, culture, or travel tips.",
         timestamp: new Date(),
@@ -95,7 +228,10 @@ const AIAssistantPage = ({ isConnected, onRetry }) => {
       toast.error('AI assistant temporarily unavailable');
       
     } finally {
+      streamControllerRef.current = null;
       setIsLoading(false);
+      // New conversations appear and the current one moves to the top
+      if (currentUser) loadConversations();
     }
   };
 
@@ -135,7 +271,7 @@ const AIAssistantPage = ({ isConnected, onRetry }) => {
 
   return (
     <div className="min-h-screen bg-gray-50">
-      <div className="max-w-4xl mx-auto p-6">
+      <div className={`${currentUser ? 'max-w-6xl' : 'max-w-4xl'} mx-auto p-6`}>
         {/* Header */}
         <div className="bg-white rounded-lg shadow-sm border p-6 mb-6">
           <div className="text-center">
@@ -160,155 +296,253 @@ const AIAssistantPage = ({ isConnected, onRetry }) => {
           </div>
         </div>
 
-        {/* Chat Container */}
-        <div className="bg-white rounded-lg shadow-sm border flex flex-col" style={{ height: '600px' }}>
+        <div className={currentUser ? 'grid grid-cols-1 lg:grid-cols-4 gap-6' : ''}>
+
+          {/* Saved conversations */}
+          {currentUser && (
+            <div className="bg-white rounded-lg shadow-sm border flex flex-col lg:col-span-1" style={{ maxHeight: '600px' }}>
+              <div className="p-4 border-b border-gray-200">
+                <button
+                  onClick={startNewConversation}
+                  className="w-full px-3 py-2 rounded-lg font-medium flex items-center justify-center space-x-2 bg-blue-600 text-white hover:bg-blue-700"
+                >
+                  <Plus className="w-4 h-4" />
+                  <span>New chat</span>
+                </button>
+              </div>
+
+              <div className="flex-1 overflow-y-auto p-2">
+                {conversations.length === 0 ? (
+                  <div className="p-4 text-center text-sm text-gray-500">
+                    <History className="w-6 h-6 mx-auto mb-2 text-gray-400" />
+                    Your conversations will appear here so you can pick them up later.
+                  </div>
+                ) : (
+                  conversations.map((conversation) => (
+                    <div
+                      key={conversation.id}
+                      className={`group flex items-start rounded-lg mb-1 ${
+                        conversation.id === conversationId ? 'bg-blue-50 border border-blue-200' : 'hover:bg-gray-50 border border-transparent'
+                      }`}
+                    >
+                      <button
+                        onClick={() => openConversation(conversation.id)}
+                        disabled={loadingConversation !== null}
+                        className="flex-1 min-w-0 text-left px-3 py-2"
+                      >
+                        <div className="text-sm font-medium text-gray-900 truncate">
+                          {conversation.title}
+                        </div>
+                        <div className="text-xs text-gray-500 truncate">
+                          {loadingConversation === conversation.id ? 'Loading...' : conversation.preview}
+                        </div>
+                        <div className="text-xs text-gray-400 mt-0.5">
+                          {new Date(conversation.lastMessageAt).toLocaleDateString()}
+                        </div>
+                      </button>
+                      <button
+                        onClick={() => deleteConversation(conversation.id)}
+                        className="p-2 text-gray-400 hover:text-red-600 opacity-0 group-hover:opacity-100 focus:opacity-100"
+                        title="Delete conversation"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  ))
+                )}
+              </div>
+            </div>
+          )}
+
+          {/* Chat Container */}
+          <div className={`bg-white rounded-lg shadow-sm border flex flex-col ${currentUser ? 'lg:col-span-3' : ''}`} style={{ height: '600px' }}>
           
-          {/* Messages Area */}
-          <div className="flex-1 overflow-y-auto p-6 space-y-4">
-            {messages.map((message) => (
-              <div
-                key={message.id}
-                className={`flex ${message.type === 'user' ? 'justify-end' : 'justify-start'}`}
-              >
-                <div className={`max-w-[80%] ${message.type === 'user' ? 'order-2' : 'order-1'}`}>
+            {/* Messages Area */}
+            <div className="flex-1 overflow-y-auto p-6 space-y-4">
+              {messages.map((message) => (
+                <div
+                  key={message.id}
+                  className={`flex ${message.type === 'user' ? 'justify-end' : 'justify-start'}`}
+                >
+                  <div className={`max-w-[80%] ${message.type === 'user' ? 'order-2' : 'order-1'}`}>
                   
-                  {/* Message bubble */}
-                  <div
-                    className={`px-4 py-3 rounded-2xl ${
-                      message.type === 'user'
-                        ? 'bg-blue-600 text-white'
-                        : message.isError
-                        ? 'bg-red-50 text-red-800 border border-red-200'
-                        : 'bg-gray-100 text-gray-800'
-                    }`}
-                  >
-                    <p className="whitespace-pre-wrap leading-relaxed">
-                      {message.content}
-                    </p>
+                    {/* Message bubble */}
+                    <div
+                      className={`px-4 py-3 rounded-2xl ${
+                        message.type === 'user'
+                          ? 'bg-blue-600 text-white'
+                          : message.isError
+                          ? 'bg-red-50 text-red-800 border border-red-200'
+                          : 'bg-gray-100 text-gray-800'
+                      }`}
+                    >
+                      <p className="whitespace-pre-wrap leading-relaxed">
+                        {message.streaming ? withoutSourcesLine(message.content) : message.content}
+                        {message.streaming && (
+                          <span className="inline-block w-2 h-4 ml-1 align-middle bg-gray-500 animate-pulse" />
+                        )}
+                      </p>
                     
-                    {/* Fallback indicator */}
-                    {message.fallback && (
-                      <div className="mt-2 text-xs text-orange-600 bg-orange-50 px-2 py-1 rounded">
-                        ⚠️ Fallback mode
-                      </div>
-                    )}
-                  </div>
+                      {/* Catalog places the answer is based on */}
+                      {message.sources?.length > 0 && (
+                        <div className="mt-3 pt-2 border-t border-gray-200">
+                          <div className="text-xs text-gray-500 mb-1">Based on:</div>
+                          <div className="flex flex-wrap gap-1">
+                            {message.sources.map((source) => (
+                              <Link
+                                key={source.id}
+                                to={`/places?search=${encodeURIComponent(source.name)}`}
+                                className="inline-flex items-center space-x-1 text-xs px-2 py-1 bg-white text-green-700 rounded-full border border-green-200 hover:bg-green-50"
+                                title={source.distanceKm !== undefined ? `${source.distanceKm} km away` : undefined}
+                              >
+                                <MapPin className="w-3 h-3" />
+                                <span>{source.name}{source.city ? `, ${source.city}` : ''}</span>
+                              </Link>
+                            ))}
+                          </div>
+                        </div>
+                      )}
+
+                      {/* Fallback indicator */}
+                      {message.fallback && (
+                        <div className="mt-2 text-xs text-orange-600 bg-orange-50 px-2 py-1 rounded">
+                          ⚠️ Fallback mode
+                        </div>
+                      )}
+
+                      {/* Cut-short indicators */}
+                      {message.interrupted && (
+                        <div className="mt-2 text-xs text-orange-600 bg-orange-50 px-2 py-1 rounded">
+                          ⚠️ Answer interrupted
+                        </div>
+                      )}
+                      {message.stopped && (
+                        <div className="mt-2 text-xs text-gray-500">
+                          Stopped
+                        </div>
+                      )}
+                    </div>
                   
-                  {/* Timestamp */}
-                  <div className={`text-xs text-gray-500 mt-1 ${
-                    message.type === 'user' ? 'text-right' : 'text-left'
-                  }`}>
-                    {message.timestamp.toLocaleTimeString([], { 
-                      hour: '2-digit', 
-                      minute: '2-digit' 
-                    })}
+                    {/* Timestamp */}
+                    <div className={`text-xs text-gray-500 mt-1 ${
+                      message.type === 'user' ? 'text-right' : 'text-left'
+                    }`}>
+                      {message.timestamp.toLocaleTimeString([], { 
+                        hour: '2-digit', 
+                        minute: '2-digit' 
+                      })}
+                    </div>
                   </div>
-                </div>
 
-                {/* Avatar */}
-                <div className={`flex-shrink-0 ${
-                  message.type === 'user' ? 'order-1 ml-3' : 'order-2 mr-3'
-                }`}>
-                  <div className={`w-8 h-8 rounded-full flex items-center justify-center ${
-                    message.type === 'user'
-                      ? 'bg-blue-100'
-                      : message.isError
-                      ? 'bg-red-100'
-                      : 'bg-green-100'
+                  {/* Avatar */}
+                  <div className={`flex-shrink-0 ${
+                    message.type === 'user' ? 'order-1 ml-3' : 'order-2 mr-3'
                   }`}>
-                    {message.type === 'user' ? (
-                      <User className="w-5 h-5 text-blue-600" />
-                    ) : (
-                      <Bot className={`w-5 h-5 ${message.isError ? 'text-red-600' : 'text-green-600'}`} />
-                    )}
+                    <div className={`w-8 h-8 rounded-full flex items-center justify-center ${
+                      message.type === 'user'
+                        ? 'bg-blue-100'
+                        : message.isError
+                        ? 'bg-red-100'
+                        : 'bg-green-100'
+                    }`}>
+                      {message.type === 'user' ? (
+                        <User className="w-5 h-5 text-blue-600" />
+                      ) : (
+                        <Bot className={`w-5 h-5 ${message.isError ? 'text-red-600' : 'text-green-600'}`} />
+                      )}
+                    </div>
                   </div>
                 </div>
-              </div>
-            ))}
-
-            {/* Loading indicator */}
-            {isLoading && (
-              <div className="flex justify-start">
-                <div className="flex-shrink-0 mr-3">
-                  <div className="w-8 h-8 rounded-full flex items-center justify-center bg-green-100">
-                    <Bot className="w-5 h-5 text-green-600" />
+              ))}
+
+              {/* Loading indicator until the first words arrive */}
+              {isLoading && messages[messages.length - 1]?.type === 'user' && (
+                <div className="flex justify-start">
+                  <div className="flex-shrink-0 mr-3">
+                    <div className="w-8 h-8 rounded-full flex items-center justify-center bg-green-100">
+                      <Bot className="w-5 h-5 text-green-600" />
+                    </div>
                   </div>
-                </div>
-                <div className="bg-gray-100 px-4 py-3 rounded-2xl">
-                  <div className="flex items-center space-x-2">
-                    <Loader className="w-4 h-4 animate-spin text-gray-600" />
-                    <span className="text-gray-600">AI is thinking...</span>
+                  <div className="bg-gray-100 px-4 py-3 rounded-2xl">
+                    <div className="flex items-center space-x-2">
+                      <Loader className="w-4 h-4 animate-spin text-gray-600" />
+                      <span className="text-gray-600">AI is thinking...</span>
+                    </div>
                   </div>
                 </div>
-              </div>
-            )}
+              )}
 
-            <div ref={messagesEndRef} />
-          </div>
+              <div ref={messagesEndRef} />
+            </div>
 
-          {/* Quick Suggestions */}
-          {messages.length <= 1 && (
-            <div className="px-6 pb-4">
-              <div className="mb-3">
-                <p className="text-sm text-gray-600 mb-2">💡 Try asking about:</p>
-                <div className="flex flex-wrap gap-2">
-                  {suggestions.map((suggestion, index) => (
-                    <button
-                      key={index}
-                      onClick={() => handleSuggestionClick(suggestion)}
-                      className="text-sm px-3 py-1 bg-blue-50 text-blue-700 rounded-full hover:bg-blue-100 transition-colors border border-blue-200"
-                    >
-                      {suggestion}
-                    </button>
-                  ))}
+            {/* Quick Suggestions */}
+            {messages.length <= 1 && (
+              <div className="px-6 pb-4">
+                <div className="mb-3">
+                  <p className="text-sm text-gray-600 mb-2">💡 Try asking about:</p>
+                  <div className="flex flex-wrap gap-2">
+                    {suggestions.map((suggestion, index) => (
+                      <button
+                        key={index}
+                        onClick={() => handleSuggestionClick(suggestion)}
+                        className="text-sm px-3 py-1 bg-blue-50 text-blue-700 rounded-full hover:bg-blue-100 transition-colors border border-blue-200"
+                      >
+                        {suggestion}
+                      </button>
+                    ))}
+                  </div>
                 </div>
               </div>
-            </div>
-          )}
+            )}
 
-          {/* Input Area */}
-          <div className="border-t border-gray-200 p-4">
-            <div className="flex space-x-4">
-              <div className="flex-1">
-                <textarea
-                  ref={inputRef}
-                  value={inputMessage}
-                  onChange={(e) => setInputMessage(e.target.value)}
-                  onKeyPress={handleKeyPress}
-                  placeholder="Ask me about South Indian destinations, culture, food, or travel tips..."
-                  className="w-full px-4 py-2 border border-gray-300 rounded-lg resize-none focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                  rows="2"
-                  maxLength={1000}
-                  disabled={isLoading}
-                />
-                <div className="text-xs text-gray-500 mt-1 text-right">
-                  {inputMessage.length}/1000
+            {/* Input Area */}
+            <div className="border-t border-gray-200 p-4">
+              <div className="flex space-x-4">
+                <div className="flex-1">
+                  <textarea
+                    ref={inputRef}
+                    value={inputMessage}
+                    onChange={(e) => setInputMessage(e.target.value)}
+                    onKeyPress={handleKeyPress}
+                    placeholder="Ask me about South Indian destinations, culture, food, or travel tips..."
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg resize-none focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    rows="2"
+                    maxLength={1000}
+                    disabled={isLoading}
+                  />
+                  <div className="text-xs text-gray-500 mt-1 text-right">
+                    {inputMessage.length}/1000
+                  </div>
                 </div>
-              </div>
               
-              <button
-                onClick={sendMessage}
-                disabled={!inputMessage.trim() || isLoading}
-                className={`px-4 py-2 rounded-lg font-medium transition-all flex items-center space-x-2 ${
-                  !inputMessage.trim() || isLoading
-                    ? 'bg-gray-100 text-gray-400 cursor-not-allowed'
-                    : 'bg-blue-600 text-white hover:bg-blue-700 shadow-md hover:shadow-lg'
-                }`}
-              >
                 {isLoading ? (
-                  <Loader className="w-5 h-5 animate-spin" />
+                  <button
+                    onClick={stopStreaming}
+                    className="px-4 py-2 rounded-lg font-medium transition-all flex items-center space-x-2 bg-gray-700 text-white hover:bg-gray-800 shadow-md"
+                  >
+                    <Square className="w-5 h-5" />
+                    <span className="hidden sm:inline">Stop</span>
+                  </button>
                 ) : (
-                  <Send className="w-5 h-5" />
+                  <button
+                    onClick={sendMessage}
+                    disabled={!inputMessage.trim()}
+                    className={`px-4 py-2 rounded-lg font-medium transition-all flex items-center space-x-2 ${
+                      !inputMessage.trim()
+                        ? 'bg-gray-100 text-gray-400 cursor-not-allowed'
+                        : 'bg-blue-600 text-white hover:bg-blue-700 shadow-md hover:shadow-lg'
+                    }`}
+                  >
+                    <Send className="w-5 h-5" />
+                    <span className="hidden sm:inline">Send</span>
+                  </button>
                 )}
-                <span className="hidden sm:inline">
-                  {isLoading ? 'Sending...' : 'Send'}
-                </span>
-              </button>
-            </div>
+              </div>
 
-            {/* Helpful tips */}
-            <div className="mt-3 text-xs text-gray-500 text-center">
-              💡 Tip: I speak like a local South Indian guide and love sharing cultural insights!
+              {/* Helpful tips */}
+              <div className="mt-3 text-xs text-gray-500 text-center">
+                💡 Tip: I speak like a local South Indian guide and love sharing cultural insights!
+              </div>
             </div>
           </div>
         </div>
@@ -717,6 +717,27 @@ const MapViewPage = ({ isConnected, onRetry }) => {
     toast('Trip reset');
   };
 
+  // Where the day ends: back at the start for a round trip, a fixed end point
+  // (hotel, railway station), or nowhere extra for an open route
+  const getTripEndPoint = () => {
+    if (!tripData || tripWaypoints.length < 2) return null;
+
+    const endMode = tripData.endMode || (tripData.endLocation ? 'fixed' : 'open');
+    const startWaypoint = tripWaypoints.find(wp => wp.type === 'start') || tripWaypoints[0];
+
+    if (endMode === 'return') {
+      return { mode: 'return', name: startWaypoint.name, position: startWaypoint.position, leg: tripData.endLeg };
+    }
+
+    if (endMode === 'fixed') {
+      const endCoords = safeParseCoordinates(tripData.endLocation);
+      if (!endCoords) return null;
+      return { mode: 'fixed', name: tripData.endLocation.name || 'End point', position: endCoords, leg: tripData.endLeg };
+    }
+
+    return null;
+  };
+
   // Create custom icons for different states
   const createCustomIcon = (waypoint, index) => {
     const isVisited = visitedPlaceIds.has(waypoint.id);
@@ -729,6 +750,9 @@ const MapViewPage = ({ isConnected, onRetry }) => {
     if (isStart) {
       color = '#10b981'; // green for start
       symbol = 'S';
+    } else if (waypoint.type === 'end') {
+      color = '#2563eb'; // blue for the end point
+      symbol = 'E';
     } else if (isCurrent) {
       color = '#ef4444'; // red for current
       symbol = '●';
@@ -803,6 +827,8 @@ const MapViewPage = ({ isConnected, onRetry }) => {
     navigate('/trip-planner');
   };
 
+  const tripEndPoint = getTripEndPoint();
+
   if (!isConnected) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center p-6">
@@ -998,6 +1024,7 @@ const MapViewPage = ({ isConnected, onRetry }) => {
                   </h3>
                   <p className="text-blue-700 text-sm mt-1">
                     Starting from {tripData.startLocation?.name || 'Unknown Location'} • {tripWaypoints.length} destinations
+                    {tripEndPoint && (tripEndPoint.mode === 'return' ? ' • Round trip' : ` • Ends at ${tripEndPoint.name}`)}
                   </p>
                   {tripData.metrics && (
                     <div className="flex gap-4 text-xs text-blue-600 mt-2">
@@ -1265,6 +1292,39 @@ const MapViewPage = ({ isConnected, onRetry }) => {
                     }}
                   />
                 )}
+
+                {/* Trip Mode - Closing leg back to the start or on to the end point */}
+                {tripMode && tripEndPoint && (
+                  <>
+                    <Polyline
+                      positions={[tripWaypoints[tripWaypoints.length - 1].position, tripEndPoint.position]}
+                      pathOptions={{ color: '#2563eb', weight: 4, opacity: 0.7, dashArray: '4, 8' }}
+                    />
+                    {tripEndPoint.mode === 'fixed' && (
+                      <Marker
+                        position={tripEndPoint.position}
+                        icon={createCustomIcon({ id: 'end-location', type: 'end' }, tripWaypoints.length)}
+                      >
+                        <Popup>
+                          <div className="min-w-[200px]">
+                            <h3 className="font-bold text-lg mb-2">{tripEndPoint.name}</h3>
+                            <div className="space-y-1 text-sm">
+                              <div><strong>Order:</strong> End of the day</div>
+                              {tripEndPoint.leg && (
+                                <div>
+                                  <strong>From last stop:</strong> {tripEndPoint.leg.distance?.toFixed(1) || 0} km, {Math.round(tripEndPoint.leg.travelTime || 0)} min
+                                </div>
+                              )}
+                              {tripEndPoint.leg?.arrivalTime && (
+                                <div><strong>Arrival:</strong> {tripEndPoint.leg.arrivalTime}</div>
+                              )}
+                            </div>
+                          </div>
+                        </Popup>
+                      </Marker>
+                    )}
+                  </>
+                )}
               </MapContainer>
 
               {/* Map Overlay Info */}
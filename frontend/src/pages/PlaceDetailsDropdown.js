@@ -32,8 +32,9 @@ import {
   CloudRain,
   Wind
 } from 'lucide-react';
+import PlaceReviews from '../components/PlaceReviews';
 
-const PlaceDetailsDropdown = ({ place, isExpanded, onToggle, routeSettings }) => {
+const PlaceDetailsDropdown = ({ place, isExpanded, onToggle, routeSettings, tripId }) => {
   const [detailedInfo, setDetailedInfo] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -819,6 +820,11 @@ const PlaceDetailsDropdown = ({ place, isExpanded, onToggle, routeSettings }) =>
           </div>
         </div>
       )}
+
+      {/* Reviews */}
+      <div className="px-6 pb-6">
+        <PlaceReviews placeId={place.id || place._id} tripId={tripId} />
+      </div>
     </div>
   );
 };
@@ -0,0 +1,217 @@
+// src/pages/SharedTripPage.jsx - Read-only view of a trip opened from a share link
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { MapContainer, TileLayer, Marker, Popup, Polyline } from 'react-leaflet';
+import { Icon } from 'leaflet';
+import {
+  MapPin,
+  Clock,
+  Navigation,
+  DollarSign,
+  Eye,
+  Link2Off,
+  Calendar
+} from 'lucide-react';
+import { apiService } from '../services/api';
+import { CATEGORY_CONFIG, MAP_CONFIG } from '../utils/constants';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+import 'leaflet/dist/leaflet.css';
+
+const formatMinutes = (minutes = 0) => {
+  const hours = Math.floor(minutes / 60);
+  const mins = Math.round(minutes % 60);
+  if (hours === 0) return `${mins}m`;
+  return mins === 0 ? `${hours}h` : `${hours}h ${mins}m`;
+};
+
+const createStopIcon = (place) => {
+  const color = CATEGORY_CONFIG[place.category]?.color || MAP_CONFIG.MARKER_COLORS.DEFAULT;
+  const svg = `
+    <svg width="36" height="36" viewBox="0 0 36 36" xmlns="http://www.w3.org/2000/svg">
+      <circle cx="18" cy="18" r="15" fill="${color}" stroke="white" stroke-width="3"/>
+      <text x="18" y="23" font-family="Arial" font-size="13" font-weight="bold" text-anchor="middle" fill="white">${place.order}</text>
+    </svg>`;
+
+  return new Icon({
+    iconUrl: `data:image/svg+xml;base64,${btoa(svg)}`,
+    iconSize: [36, 36],
+    iconAnchor: [18, 18],
+    popupAnchor: [0, -18]
+  });
+};
+
+const SharedTripPage = () => {
+  const { token } = useParams();
+  const [trip, setTrip] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadSharedTrip = async () => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        const response = await apiService.getSharedTrip(token);
+        setTrip(response.data);
+      } catch (err) {
+        console.error('Failed to load shared trip:', err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadSharedTrip();
+  }, [token]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner message="Loading shared itinerary..." size="large" />
+      </div>
+    );
+  }
+
+  if (error || !trip) {
+    return (
+      <div className="min-h-screen flex items-center justify-center px-4">
+        <div className="text-center max-w-md">
+          <Link2Off className="mx-auto text-gray-400" size={48} />
+          <h1 className="mt-4 text-2xl font-bold text-gray-900">Itinerary unavailable</h1>
+          <p className="mt-2 text-gray-600">
+            This share link is invalid or the owner has turned sharing off.
+          </p>
+          <Link
+            to="/"
+            className="mt-6 inline-block px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            Plan your own trip
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const stops = trip.places.filter(place =>
+    Number.isFinite(place.location?.latitude) && Number.isFinite(place.location?.longitude)
+  );
+  const positions = stops.map(place => [place.location.latitude, place.location.longitude]);
+  const mapProps = positions.length > 1
+    ? { bounds: positions, boundsOptions: { padding: [40, 40] } }
+    : { center: positions[0] || MAP_CONFIG.DEFAULT_CENTER, zoom: positions.length ? 12 : MAP_CONFIG.DEFAULT_ZOOM };
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <div className="mb-6">
+        <div className="text-sm text-blue-600 font-medium mb-1">Shared itinerary</div>
+        <h1 className="text-3xl font-bold text-gray-900">{trip.name}</h1>
+        {trip.description && <p className="mt-2 text-gray-600">{trip.description}</p>}
+
+        <div className="mt-4 flex flex-wrap gap-4 text-sm text-gray-700">
+          {trip.schedule?.startDate && (
+            <span className="flex items-center gap-1">
+              <Calendar size={16} />
+              {new Date(trip.schedule.startDate).toLocaleDateString()}
+            </span>
+          )}
+          <span className="flex items-center gap-1">
+            <MapPin size={16} />
+            {trip.metrics.placesCount} stops
+          </span>
+          <span className="flex items-center gap-1">
+            <Navigation size={16} />
+            {trip.metrics.totalDistance.toFixed(1)} km
+          </span>
+          <span className="flex items-center gap-1">
+            <Clock size={16} />
+            {formatMinutes(trip.metrics.totalTime)}
+          </span>
+          {trip.metrics.totalCost > 0 && (
+            <span className="flex items-center gap-1">
+              <DollarSign size={16} />
+              ₹{trip.metrics.totalCost}
+            </span>
+          )}
+          <span className="flex items-center gap-1 text-gray-500">
+            <Eye size={16} />
+            {trip.publicViews} views
+          </span>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Map */}
+        <div className="lg:col-span-2 bg-white rounded-lg shadow-sm border overflow-hidden">
+          <MapContainer {...mapProps} style={{ height: '560px', width: '100%' }} className="leaflet-container">
+            <TileLayer attribution={MAP_CONFIG.TILE_LAYER.ATTRIBUTION} url={MAP_CONFIG.TILE_LAYER.OSM} />
+
+            {stops.map(place => (
+              <Marker
+                key={`${place.order}-${place.placeId}`}
+                position={[place.location.latitude, place.location.longitude]}
+                icon={createStopIcon(place)}
+              >
+                <Popup>
+                  <div className="min-w-[200px] text-sm space-y-1">
+                    <h3 className="font-bold text-base">{place.name}</h3>
+                    <div><strong>Stop:</strong> #{place.order}</div>
+                    {place.category && <div><strong>Category:</strong> {place.category}</div>}
+                    {place.arrivalTime && (
+                      <div><strong>Time:</strong> {place.arrivalTime} – {place.departureTime}</div>
+                    )}
+                    <div><strong>Visit:</strong> {formatMinutes(place.visitDuration)}</div>
+                  </div>
+                </Popup>
+              </Marker>
+            ))}
+
+            {positions.length > 1 && (
+              <Polyline
+                positions={positions}
+                pathOptions={{ color: MAP_CONFIG.MARKER_COLORS.DEFAULT, weight: 4, opacity: 0.8 }}
+              />
+            )}
+          </MapContainer>
+        </div>
+
+        {/* Itinerary */}
+        <div className="bg-white rounded-lg shadow-sm border p-4">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Itinerary</h2>
+          <ol className="space-y-4">
+            {trip.places.map(place => (
+              <li key={`${place.order}-${place.placeId}`} className="flex gap-3">
+                <div className="flex-shrink-0 w-7 h-7 rounded-full bg-blue-600 text-white text-sm font-bold flex items-center justify-center">
+                  {place.order}
+                </div>
+                <div className="min-w-0">
+                  <div className="font-medium text-gray-900">{place.name}</div>
+                  <div className="text-sm text-gray-600">
+                    {place.arrivalTime ? `${place.arrivalTime} – ${place.departureTime}` : formatMinutes(place.visitDuration)}
+                    {place.category && ` · ${place.category}`}
+                  </div>
+                  {place.travelTimeToNext > 0 && (
+                    <div className="text-xs text-gray-500 mt-1">
+                      {formatMinutes(place.travelTimeToNext)} · {place.travelDistanceToNext?.toFixed(1)} km to next stop
+                    </div>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ol>
+
+          <div className="mt-6 pt-4 border-t border-gray-200 text-sm text-gray-600">
+            Want a trip like this?{' '}
+            <Link to="/trip-planner" className="text-blue-600 hover:underline">
+              Plan your own
+            </Link>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SharedTripPage;
@@ -6,6 +6,7 @@ import { apiService } from '../services/api';
 import ConnectionStatus from '../components/ConnectionStatus';
 import LoadingSpinner from '../components/LoadingSpinner';
 import DetailedTripPlanner from '../components/DetailedTripPlanner';
+import TripEndpointPicker from '../components/TripEndpointPicker';
 import { 
   Settings, 
   Zap, 
@@ -21,9 +22,17 @@ import {
   ChevronLeft,
   ChevronRight,
   Navigation,
-  ChevronDown
+  ChevronDown,
+  Save,
+  Share2,
+  Copy,
+  RefreshCw,
+  Link2Off,
+  UserPlus,
+  Trash2,
+  Coffee
 } from 'lucide-react';
-import { STORAGE_KEYS, ROUTE_SETTINGS, ALGORITHMS } from '../utils/constants';
+import { STORAGE_KEYS, ROUTE_SETTINGS, ALGORITHMS, VALIDATION } from '../utils/constants';
 import { 
   USER_LOCATIONS, 
   getLocationById, 
@@ -43,11 +52,28 @@ const TripPlannerPage = ({ isConnected, onRetry }) => {
   const [optimizationStatus, setOptimizationStatus] = useState(null);
   const [currentView, setCurrentView] = useState('selection');
   const [showDetailedPlan, setShowDetailedPlan] = useState(false);
+  const [savingTrip, setSavingTrip] = useState(false);
+  const [savedTripId, setSavedTripId] = useState(null);
+  const [shareInfo, setShareInfo] = useState(null);
+  const [sharingBusy, setSharingBusy] = useState(false);
+  const [collaborators, setCollaborators] = useState([]);
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [invitePermission, setInvitePermission] = useState('edit');
+  const [inviting, setInviting] = useState(false);
 
   // Location Selection State
   const [selectedLocationId, setSelectedLocationId] = useState('coimbatore');
   const [showLocationSelector, setShowLocationSelector] = useState(false);
   const [availableLocations, setAvailableLocations] = useState([]);
+  // GPS / hotel / saved start point; overrides the preset city when set
+  const [customStartLocation, setCustomStartLocation] = useState(null);
+  // 'open' ends at the last place, 'return' back at the start, 'fixed' at customEndLocation
+  const [endMode, setEndMode] = useState('open');
+  const [customEndLocation, setCustomEndLocation] = useState(null);
+  // Per-place required / excluded / fixedArrival, keyed by place id
+  const [visitConstraints, setVisitConstraints] = useState({});
+  // Reserve the default lunch break (see DEFAULT_BREAKS on the backend)
+  const [scheduleLunch, setScheduleLunch] = useState(true);
 
   // Route settings with dynamic user location
   const [routeSettings, setRouteSettings] = useState({
@@ -256,6 +282,13 @@ const TripPlannerPage = ({ isConnected, onRetry }) => {
     });
   }, []);
 
+  const updateVisitConstraint = useCallback((placeId, field, value) => {
+    setVisitConstraints(prev => ({
+      ...prev,
+      [placeId]: { ...prev[placeId], [field]: value }
+    }));
+  }, []);
+
   // Enhanced algorithm-based route optimization
   const handleOptimizeRoute = useCallback(async () => {
     if (selectedPlaces.length < 2) {
@@ -263,12 +296,12 @@ const TripPlannerPage = ({ isConnected, onRetry }) => {
       return;
     }
 
-    if (selectedPlaces.length > 20) {
-      toast.error('Maximum 20 places allowed for optimization.');
+    if (selectedPlaces.length > VALIDATION.MAX_PLACES) {
+      toast.error(`Maximum ${VALIDATION.MAX_PLACES} places allowed for optimization.`);
       return;
     }
 
-    const currentLocation = getLocationById(selectedLocationId);
+    const currentLocation = customStartLocation || getLocationById(selectedLocationId);
     const standardizedLocation = standardizeForMap(currentLocation);
     
     if (!standardizedLocation) {
@@ -276,9 +309,17 @@ const TripPlannerPage = ({ isConnected, onRetry }) => {
       return;
     }
 
+    if (endMode === 'fixed' && !customEndLocation) {
+      toast.error('Choose where the trip should end, or end at the last place');
+      return;
+    }
+
     setLoading(true);
     setError(null);
     setOptimizedRoute(null);
+    setSavedTripId(null);
+    setShareInfo(null);
+    setCollaborators([]);
     setOptimizationStatus('running');
     setCurrentView('results');
 
@@ -296,6 +337,8 @@ const TripPlannerPage = ({ isConnected, onRetry }) => {
             return null;
           }
 
+          const placeConstraints = visitConstraints[place.id || place._id] || {};
+
           return {
             id: place.id || place._id || `place-${index}`,
             name: place.name,
@@ -318,7 +361,10 @@ const TripPlannerPage = ({ isConnected, onRetry }) => {
             entryFee: place.entryFee || { indian: 0, foreign: 0 },
             description: place.description || '',
             amenities: place.amenities || [],
-            bestTimeToVisit: place.bestTimeToVisit || ['morning']
+            bestTimeToVisit: place.bestTimeToVisit || ['morning'],
+            required: placeConstraints.required || undefined,
+            excluded: placeConstraints.excluded || undefined,
+            fixedArrival: placeConstraints.fixedArrival || undefined
           };
         }).filter(Boolean),
         
@@ -328,9 +374,12 @@ const TripPlannerPage = ({ isConnected, onRetry }) => {
           totalTimeAvailable: routeSettings.totalTimeAvailable,
           startDay: new Date().getDay(),
           ...routeSettings.constraints,
-          startLocation: standardizedLocation
+          startLocation: standardizedLocation,
+          endMode,
+          endLocation: endMode === 'fixed' ? standardizeForMap(customEndLocation) : undefined,
+          breaks: scheduleLunch
         },
-        userLocationId: selectedLocationId
+        userLocationId: customStartLocation ? undefined : selectedLocationId
       };
 
       if (algorithmPayload.places.length !== selectedPlaces.length) {
@@ -363,7 +412,19 @@ const TripPlannerPage = ({ isConnected, onRetry }) => {
         efficiency: result.metrics?.efficiency || 0,
         aiInsights: result.aiInsights || {},
         originalPlaces: selectedPlaces,
-        startingLocation: standardizedLocation
+        startingLocation: standardizedLocation,
+        endLocation: result.endLocation || null,
+        endMode: result.endMode || endMode,
+        endLeg: result.endLeg || null,
+        droppedPlaces: result.droppedPlaces || [],
+        selection: result.selection || null,
+        visitConstraints: result.visitConstraints || null,
+        breaks: result.breaks || [],
+        routeOptions: (result.routeOptions?.options || []).map(option => ({
+          ...option,
+          route: option.route.map(place => standardizeForMap(place)).filter(Boolean)
+        })),
+        activeOptionId: result.routeOptions?.options?.find(option => option.isRecommended)?.id || null
       });
 
       setOptimizationStatus('completed');
@@ -382,7 +443,7 @@ const TripPlannerPage = ({ isConnected, onRetry }) => {
     } finally {
       setLoading(false);
     }
-  }, [selectedPlaces, routeSettings, selectedLocationId]);
+  }, [selectedPlaces, routeSettings, selectedLocationId, customStartLocation, endMode, customEndLocation, visitConstraints, scheduleLunch]);
 
   // FIXED: Enhanced map data preparation with unified coordinate format
   const handleViewOnMap = () => {
@@ -391,7 +452,7 @@ const TripPlannerPage = ({ isConnected, onRetry }) => {
       return;
     }
 
-    const currentLocation = getLocationById(selectedLocationId);
+    const currentLocation = customStartLocation || getLocationById(selectedLocationId);
     const standardizedLocation = standardizeForMap(currentLocation);
     
     if (!standardizedLocation) {
@@ -461,6 +522,9 @@ const TripPlannerPage = ({ isConnected, onRetry }) => {
           averageVisitDuration: place.averageVisitDuration || 90
         };
       }),
+      endLocation: optimizedRoute.endLocation,
+      endMode: optimizedRoute.endMode,
+      endLeg: optimizedRoute.endLeg,
       routeSettings: routeSettings,
       algorithm: optimizedRoute.algorithm,
       metrics: optimizedRoute.metrics,
@@ -483,6 +547,136 @@ const TripPlannerPage = ({ isConnected, onRetry }) => {
     toast.success('Opening route on interactive map...');
   };
 
+  // Persist the optimized route so it survives a page reload
+  const handleSaveTrip = async () => {
+    if (!optimizedRoute || !optimizedRoute.route) {
+      toast.error('No optimized route available to save');
+      return;
+    }
+
+    setSavingTrip(true);
+
+    try {
+      const startingLocation = optimizedRoute.startingLocation;
+      const response = await apiService.saveTrip({
+        name: `${startingLocation?.name || 'South India'} - ${optimizedRoute.route.length} places`,
+        result: {
+          route: optimizedRoute.route,
+          algorithm: optimizedRoute.algorithm,
+          metrics: optimizedRoute.metrics
+        },
+        preferences: routeSettings.preferences,
+        constraints: {
+          startTime: routeSettings.startTime,
+          totalTimeAvailable: routeSettings.totalTimeAvailable,
+          ...routeSettings.constraints,
+          startLocation: startingLocation
+        },
+        schedule: {
+          startDate: new Date().toISOString(),
+          startTime: routeSettings.startTime
+        }
+      });
+
+      setSavedTripId(response.data?._id);
+      toast.success('Trip saved! You can find it again after reloading.');
+    } catch (error) {
+      console.error('Saving trip failed:', error);
+      toast.error(error.message);
+    } finally {
+      setSavingTrip(false);
+    }
+  };
+
+  // Share links point at the frontend's /shared/:token page
+  const getShareUrl = (info) => info?.sharePath ? `${window.location.origin}${info.sharePath}` : '';
+
+  const copyShareUrl = async (info) => {
+    try {
+      await navigator.clipboard.writeText(getShareUrl(info));
+      toast.success('Share link copied to clipboard');
+    } catch (error) {
+      toast('Copy the link from the box below');
+    }
+  };
+
+  // Enable, disable or rotate the saved trip's public link
+  const handleShareAction = async (action) => {
+    if (!savedTripId) return;
+
+    setSharingBusy(true);
+
+    try {
+      const response = action === 'disable'
+        ? await apiService.disableTripSharing(savedTripId)
+        : action === 'rotate'
+          ? await apiService.rotateShareLink(savedTripId)
+          : await apiService.enableTripSharing(savedTripId);
+
+      setShareInfo(response.data);
+
+      if (action === 'disable') {
+        toast.success('Share link turned off');
+      } else {
+        if (action === 'rotate') toast.success('New link created; the old one no longer works');
+        await copyShareUrl(response.data);
+      }
+    } catch (error) {
+      console.error('Trip sharing failed:', error);
+      toast.error(error.message);
+    } finally {
+      setSharingBusy(false);
+    }
+  };
+
+  // Invite someone with an account to view or co-edit the saved trip
+  const handleInviteCollaborator = async (event) => {
+    event.preventDefault();
+    if (!savedTripId || !inviteEmail.trim()) return;
+
+    setInviting(true);
+
+    try {
+      const response = await apiService.inviteCollaborator(savedTripId, inviteEmail.trim(), invitePermission);
+      setCollaborators(response.data);
+      setInviteEmail('');
+      toast.success(response.message);
+    } catch (error) {
+      console.error('Inviting collaborator failed:', error);
+      toast.error(error.message);
+    } finally {
+      setInviting(false);
+    }
+  };
+
+  const handleRemoveCollaborator = async (collaborator) => {
+    try {
+      const response = await apiService.removeCollaborator(savedTripId, collaborator.userId);
+      setCollaborators(response.data);
+      toast.success(response.message);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  // Switch to one of the alternative routes (cheapest, shortest drive, ...)
+  const handleSelectRouteOption = (option) => {
+    setOptimizedRoute(previous => ({
+      ...previous,
+      route: option.route,
+      endLeg: option.endLeg,
+      breaks: option.breaks || [],
+      metrics: {
+        ...previous.metrics,
+        totalDistance: option.metrics.totalDistance,
+        totalTime: option.metrics.totalTime,
+        placesVisited: option.metrics.placesVisited,
+        localSearch: null
+      },
+      activeOptionId: option.id
+    }));
+  };
+
   // Handle view detailed plan
   const handleViewDetailedPlan = () => {
     setCurrentView('detailed');
@@ -518,6 +712,7 @@ const TripPlannerPage = ({ isConnected, onRetry }) => {
     }
 
     setSelectedLocationId(locationId);
+    setCustomStartLocation(null);
     setRouteSettings(prev => ({
       ...prev,
       userLocationId: locationId,
@@ -533,9 +728,57 @@ const TripPlannerPage = ({ isConnected, onRetry }) => {
     toast.success(`Starting location set to ${standardizedLocation.name}`);
   }, []);
 
+  // Start from any coordinate: GPS, a geocoded hotel or a saved location
+  const handleCustomStartSelect = useCallback((location) => {
+    const standardizedLocation = standardizeForMap(location);
+    if (!standardizedLocation) {
+      toast.error('Selected location has invalid coordinates');
+      return;
+    }
+
+    setCustomStartLocation(standardizedLocation);
+    setRouteSettings(prev => ({
+      ...prev,
+      constraints: {
+        ...prev.constraints,
+        startLocation: standardizedLocation
+      }
+    }));
+    setShowLocationSelector(false);
+    toast.success(`Starting location set to ${standardizedLocation.name}`);
+  }, []);
+
+  const renderBreakRow = (pause) => (
+    <div key={pause.id} className="flex items-center p-3 bg-orange-50 border border-orange-200 rounded-lg">
+      <div className="flex-shrink-0 w-8 h-8 bg-orange-100 rounded-full flex items-center justify-center">
+        <Coffee className="text-orange-600" size={16} />
+      </div>
+      <div className="ml-3 flex-grow">
+        <h4 className="font-medium text-orange-900">{pause.label}</h4>
+        <p className="text-sm text-orange-700">
+          {pause.restaurant
+            ? `${pause.restaurant.name}, ${pause.restaurant.distance} m from ${pause.placeName}`
+            : `Near ${pause.placeName}`}
+        </p>
+        {pause.late && (
+          <p className="text-xs text-red-600 mt-1">Could not start within {pause.window}</p>
+        )}
+      </div>
+      <div className="text-right text-sm text-orange-700">
+        {pause.startTime}-{pause.endTime}
+      </div>
+    </div>
+  );
+
+  const endLocationLabel = endMode === 'return'
+    ? 'Back to the start'
+    : endMode === 'fixed' && customEndLocation
+    ? customEndLocation.name
+    : 'Last place visited';
+
   // Get grouped locations for dropdown
   const groupedLocations = getLocationsByStateGrouped();
-  const currentLocation = getLocationById(selectedLocationId);
+  const currentLocation = customStartLocation || getLocationById(selectedLocationId);
   const standardizedCurrentLocation = standardizeForMap(currentLocation);
 
   // Connection check
@@ -641,7 +884,8 @@ const TripPlannerPage = ({ isConnected, onRetry }) => {
                 <div>
                   <h3 className="font-semibold text-blue-900">Starting Location</h3>
                   <p className="text-blue-700">
-                    {standardizedCurrentLocation.name} - {standardizedCurrentLocation.district}, {standardizedCurrentLocation.state}
+                    {standardizedCurrentLocation.name}
+                    {standardizedCurrentLocation.state && ` - ${standardizedCurrentLocation.district}, ${standardizedCurrentLocation.state}`}
                   </p>
                   <p className="text-sm text-blue-600">{standardizedCurrentLocation.description}</p>
                   <div className="flex items-center gap-4 text-xs text-blue-500 mt-1">
@@ -651,6 +895,9 @@ const TripPlannerPage = ({ isConnected, onRetry }) => {
                       Coordinates Validated & Standardized
                     </span>
                   </div>
+                  <p className="text-sm text-blue-700 mt-1">
+                    <strong>Ends at:</strong> {endLocationLabel}
+                  </p>
                 </div>
               </div>
               {currentView === 'selection' && (
@@ -670,8 +917,16 @@ const TripPlannerPage = ({ isConnected, onRetry }) => {
             <div className="mb-4 p-4 bg-white rounded-lg border border-gray-200 shadow-lg">
               <div className="flex items-center justify-between mb-3">
                 <h4 className="font-semibold text-gray-900">Select Your Starting Location</h4>
-                <span className="text-sm text-gray-600">{availableLocations.length} locations available</span>
+                <span className="text-sm text-gray-600">{availableLocations.length} cities or anywhere else</span>
               </div>
+              <div className="mb-4">
+                <TripEndpointPicker
+                  label="Start"
+                  value={customStartLocation}
+                  onChange={handleCustomStartSelect}
+                />
+              </div>
+              <h5 className="font-medium text-gray-700 text-sm mb-2">Or start from a city</h5>
               <div className="max-h-64 overflow-y-auto">
                 {Object.entries(groupedLocations).map(([state, locations]) => (
                   <div key={state} className="mb-4">
@@ -723,6 +978,43 @@ const TripPlannerPage = ({ isConnected, onRetry }) => {
                   </div>
                 ))}
               </div>
+              <div className="mt-4 pt-4 border-t border-gray-200">
+                <h4 className="font-semibold text-gray-900 mb-2">Where does the day end?</h4>
+                <div className="flex flex-wrap gap-4 text-sm mb-3">
+                  {[
+                    ['open', 'At the last place'],
+                    ['return', 'Back at the start'],
+                    ['fixed', 'Somewhere else']
+                  ].map(([mode, text]) => (
+                    <label key={mode} className="flex items-center gap-2">
+                      <input
+                        type="radio"
+                        name="endMode"
+                        checked={endMode === mode}
+                        onChange={() => setEndMode(mode)}
+                      />
+                      {text}
+                    </label>
+                  ))}
+                </div>
+                {endMode === 'fixed' && (
+                  <>
+                    {customEndLocation && (
+                      <p className="text-sm text-gray-700 mb-2">
+                        Ending at <strong>{customEndLocation.name}</strong>
+                      </p>
+                    )}
+                    <TripEndpointPicker
+                      label="End"
+                      value={customEndLocation}
+                      onChange={location => {
+                        setCustomEndLocation(location);
+                        toast.success(`Trip will end at ${location.name}`);
+                      }}
+                    />
+                  </>
+                )}
+              </div>
               <div className="mt-3 pt-3 border-t border-gray-200">
                 <button
                   onClick={() => setShowLocationSelector(false)}
@@ -905,6 +1197,76 @@ const TripPlannerPage = ({ isConnected, onRetry }) => {
                 </div>
               )}
 
+              {/* Lunch is reserved in the schedule, not just suggested afterwards */}
+              {selectedPlaces.length > 0 && (
+                <label className="mt-4 flex items-start gap-3 p-4 bg-white rounded-lg border border-gray-200 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={scheduleLunch}
+                    onChange={(e) => setScheduleLunch(e.target.checked)}
+                    className="mt-1"
+                  />
+                  <span>
+                    <span className="font-medium text-gray-900 flex items-center gap-2">
+                      <Coffee size={16} />
+                      Schedule a lunch break
+                    </span>
+                    <span className="block text-xs text-gray-600">
+                      One hour starting between 12:30 and 14:00, near a restaurant where one is found.
+                    </span>
+                  </span>
+                </label>
+              )}
+
+              {/* Must-visit, skip and booked-time settings sent with each place */}
+              {selectedPlaces.length > 0 && (
+                <div className="mt-4 p-4 bg-white rounded-lg border border-gray-200">
+                  <h4 className="font-medium text-gray-900 mb-1">Visit Constraints</h4>
+                  <p className="text-xs text-gray-600 mb-3">
+                    A fixed arrival time (e.g. a boat booking) also makes the place a must-visit.
+                  </p>
+                  <div className="space-y-2">
+                    {selectedPlaces.map(place => {
+                      const placeId = place.id || place._id;
+                      const placeConstraints = visitConstraints[placeId] || {};
+
+                      return (
+                        <div key={placeId} className="flex flex-wrap items-center gap-3 text-sm">
+                          <span className={`flex-grow ${placeConstraints.excluded ? 'line-through text-gray-400' : 'text-gray-800'}`}>
+                            {place.name}
+                          </span>
+                          <label className="flex items-center gap-1 text-gray-700">
+                            <input
+                              type="checkbox"
+                              checked={!!placeConstraints.required}
+                              disabled={!!placeConstraints.excluded}
+                              onChange={(e) => updateVisitConstraint(placeId, 'required', e.target.checked)}
+                            />
+                            Must visit
+                          </label>
+                          <label className="flex items-center gap-1 text-gray-700">
+                            <input
+                              type="checkbox"
+                              checked={!!placeConstraints.excluded}
+                              onChange={(e) => updateVisitConstraint(placeId, 'excluded', e.target.checked)}
+                            />
+                            Skip
+                          </label>
+                          <input
+                            type="time"
+                            value={placeConstraints.fixedArrival || ''}
+                            disabled={!!placeConstraints.excluded}
+                            onChange={(e) => updateVisitConstraint(placeId, 'fixedArrival', e.target.value)}
+                            className="px-2 py-1 border border-gray-300 rounded text-xs"
+                            title="Fixed arrival time"
+                          />
+                        </div>
+                      );
+                    })}
+                  </div>
+                </div>
+              )}
+
               {/* Coordinate Validation Status */}
               <div className="mt-4 p-3 bg-green-50 rounded-lg border border-green-200">
                 <div className="flex items-center gap-2 text-green-800">
@@ -961,11 +1323,91 @@ const TripPlannerPage = ({ isConnected, onRetry }) => {
                           <span className="text-gray-600">Total Time:</span>
                           <span className="font-semibold ml-2">{Math.ceil((optimizedRoute.metrics.totalTime || 0) / 60)} hours</span>
                         </div>
+                        {optimizedRoute.metrics.localSearch?.improved && (
+                          <div className="col-span-2 text-green-700">
+                            Route smoothing saved {optimizedRoute.metrics.localSearch.distanceSaved} km and {optimizedRoute.metrics.localSearch.timeSaved} min
+                          </div>
+                        )}
                       </>
                     )}
                   </div>
                 </div>
 
+                {/* Alternative routes on the Pareto front, with trade-offs against the recommended one */}
+                {optimizedRoute.routeOptions?.length > 1 && (
+                  <div>
+                    <h4 className="font-semibold text-gray-800 mb-2">Route options</h4>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                      {optimizedRoute.routeOptions.map(option => (
+                        <button
+                          key={option.id}
+                          onClick={() => handleSelectRouteOption(option)}
+                          className={`text-left p-3 rounded-lg border transition-colors ${
+                            option.id === optimizedRoute.activeOptionId
+                              ? 'border-blue-500 bg-blue-50'
+                              : 'border-gray-200 hover:bg-gray-50'
+                          }`}
+                        >
+                          <div className="flex items-center justify-between">
+                            <span className="font-medium text-gray-900">{option.title}</span>
+                            {option.isRecommended && (
+                              <span className="text-xs px-2 py-0.5 bg-green-100 text-green-700 rounded-full">Recommended</span>
+                            )}
+                          </div>
+                          <div className="text-xs text-gray-600 mt-1">
+                            {option.metrics.placesVisited} places · {option.metrics.totalDistance} km · ₹{option.metrics.totalCost} · ⭐ {option.metrics.averageRating.toFixed(1)} · crowd {Math.round(option.metrics.crowdLevel * 100)}%
+                          </div>
+                          {!option.isRecommended && option.tradeOffs.summary.length > 0 && (
+                            <div className="text-xs text-gray-500 mt-1">
+                              vs recommended: {option.tradeOffs.summary.join(', ')}
+                            </div>
+                          )}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                {/* Large catalogs: how many candidates the optimizer picked */}
+                {optimizedRoute.selection && (
+                  <p className="text-sm text-gray-700">
+                    Picked the best <strong>{optimizedRoute.selection.selected}</strong> of {optimizedRoute.selection.candidates} places
+                    (combined rating {optimizedRoute.selection.totalRating}) that fit your day and budget.
+                  </p>
+                )}
+
+                {/* Places the time-window solver could not fit, with the reason */}
+                {optimizedRoute.droppedPlaces?.length > 0 && (
+                  <div className="p-4 bg-amber-50 rounded-lg border border-amber-200">
+                    <h4 className="font-semibold text-amber-800 mb-2">
+                      {optimizedRoute.droppedPlaces.length} place{optimizedRoute.droppedPlaces.length > 1 ? 's' : ''} could not fit
+                    </h4>
+                    <ul className="space-y-1 text-sm text-amber-900">
+                      {optimizedRoute.droppedPlaces.map(place => (
+                        <li key={place.id || place._id || place.name}>
+                          <strong>{place.name}:</strong> {place.dropReason}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                {/* Bookings and must-visit places that could not be kept */}
+                {optimizedRoute.visitConstraints?.conflicts?.length > 0 && (
+                  <div className="p-4 bg-red-50 rounded-lg border border-red-200">
+                    <h4 className="font-semibold text-red-800 mb-2">
+                      {optimizedRoute.visitConstraints.conflicts.length} visit constraint{optimizedRoute.visitConstraints.conflicts.length > 1 ? 's' : ''} could not be met
+                    </h4>
+                    <ul className="space-y-1 text-sm text-red-900">
+                      {optimizedRoute.visitConstraints.conflicts.map(conflict => (
+                        <li key={conflict.id || conflict.name}>
+                          <strong>{conflict.name}</strong> ({conflict.constraint}): {conflict.reason}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
                 {/* Route List */}
                 <div className="space-y-2">
                   {/* Start Location - Dynamic */}
@@ -986,31 +1428,57 @@ const TripPlannerPage = ({ isConnected, onRetry }) => {
                     </div>
                   </div>
 
-                  {/* Route Places */}
+                  {/* Route Places, with any breaks after the stop they follow */}
+                  {(optimizedRoute.breaks || []).filter(pause => pause.afterOrder === 0).map(renderBreakRow)}
                   {optimizedRoute.route.map((place, index) => (
-                    <div key={place.id || place._id} className="flex items-center p-3 border rounded-lg">
-                      <div className="flex-shrink-0 w-8 h-8 bg-green-100 rounded-full flex items-center justify-center">
-                        <span className="text-green-600 font-semibold text-sm">{index + 1}</span>
+                    <React.Fragment key={place.id || place._id}>
+                      <div className="flex items-center p-3 border rounded-lg">
+                        <div className="flex-shrink-0 w-8 h-8 bg-green-100 rounded-full flex items-center justify-center">
+                          <span className="text-green-600 font-semibold text-sm">{index + 1}</span>
+                        </div>
+                        <div className="ml-3 flex-grow">
+                          <h4 className="font-medium text-gray-900">{place.name}</h4>
+                          <p className="text-sm text-gray-600">{place.city || 'Unknown'}, {place.state || 'Unknown'}</p>
+                          <div className="flex items-center gap-4 mt-1 text-xs text-gray-500">
+                            <span>⭐ {place.rating || 'N/A'}</span>
+                            <span>🕒 {place.averageVisitDuration}min</span>
+                            <span>🏷️ {place.category || 'Unknown'}</span>
+                          </div>
+                          <p className="text-xs text-green-600 mt-1">
+                            Lat: {place.latitude.toFixed(4)}, Lng: {place.longitude.toFixed(4)}
+                          </p>
+                        </div>
+                        <div className="text-right text-sm text-gray-500">
+                          {place.entryFee && (
+                            <div>₹{place.entryFee.indian || place.entryFee.amount || 0}</div>
+                          )}
+                        </div>
+                      </div>
+                      {(optimizedRoute.breaks || []).filter(pause => pause.afterOrder === index + 1).map(renderBreakRow)}
+                    </React.Fragment>
+                  ))}
+
+                  {/* Drive to where the day ends (back at the start or a fixed end point) */}
+                  {optimizedRoute.endLeg && (
+                    <div className="flex items-center p-3 bg-blue-50 border border-blue-200 rounded-lg">
+                      <div className="flex-shrink-0 w-8 h-8 bg-blue-600 rounded-full flex items-center justify-center">
+                        <Navigation className="text-white" size={16} />
                       </div>
                       <div className="ml-3 flex-grow">
-                        <h4 className="font-medium text-gray-900">{place.name}</h4>
-                        <p className="text-sm text-gray-600">{place.city || 'Unknown'}, {place.state || 'Unknown'}</p>
-                        <div className="flex items-center gap-4 mt-1 text-xs text-gray-500">
-                          <span>⭐ {place.rating || 'N/A'}</span>
-                          <span>🕒 {place.averageVisitDuration}min</span>
-                          <span>🏷️ {place.category || 'Unknown'}</span>
-                        </div>
-                        <p className="text-xs text-green-600 mt-1">
-                          Lat: {place.latitude.toFixed(4)}, Lng: {place.longitude.toFixed(4)}
+                        <h4 className="font-medium text-blue-900">
+                          {optimizedRoute.endMode === 'return' ? 'Back to' : 'End'}: {optimizedRoute.endLeg.name}
+                        </h4>
+                        <p className="text-sm text-blue-700">
+                          {optimizedRoute.endLeg.distance?.toFixed(1) || 0} km · {Math.round(optimizedRoute.endLeg.travelTime || 0)} min drive
                         </p>
                       </div>
-                      <div className="text-right text-sm text-gray-500">
-                        {place.entryFee && (
-                          <div>₹{place.entryFee.indian || place.entryFee.amount || 0}</div>
-                        )}
-                      </div>
+                      {optimizedRoute.endLeg.arrivalTime && (
+                        <div className="text-right text-sm text-blue-600">
+                          <div>{optimizedRoute.endLeg.arrivalTime}</div>
+                        </div>
+                      )}
                     </div>
-                  ))}
+                  )}
                 </div>
               </div>
             </div>
@@ -1080,6 +1548,113 @@ const TripPlannerPage = ({ isConnected, onRetry }) => {
                     View Route on Interactive Map
                   </button>
 
+                  <button
+                    onClick={handleSaveTrip}
+                    disabled={savingTrip || !!savedTripId}
+                    className="w-full flex items-center justify-center gap-2 px-4 py-3 border border-green-600 text-green-700 rounded-lg hover:bg-green-50 transition-colors disabled:opacity-60 disabled:cursor-not-allowed"
+                  >
+                    {savingTrip ? <Loader size={18} className="animate-spin" /> : <Save size={18} />}
+                    {savedTripId ? 'Trip Saved' : savingTrip ? 'Saving...' : 'Save Trip'}
+                  </button>
+
+                  {savedTripId && !shareInfo?.isPublic && (
+                    <button
+                      onClick={() => handleShareAction('enable')}
+                      disabled={sharingBusy}
+                      className="w-full flex items-center justify-center gap-2 px-4 py-3 border border-purple-600 text-purple-700 rounded-lg hover:bg-purple-50 transition-colors disabled:opacity-60"
+                    >
+                      {sharingBusy ? <Loader size={18} className="animate-spin" /> : <Share2 size={18} />}
+                      Share Trip Link
+                    </button>
+                  )}
+
+                  {savedTripId && shareInfo?.isPublic && (
+                    <div className="p-3 border border-purple-200 bg-purple-50 rounded-lg space-y-2">
+                      <div className="flex items-center justify-between text-sm">
+                        <span className="font-medium text-purple-800">Anyone with this link can view</span>
+                        <span className="text-purple-600">{shareInfo.publicViews} views</span>
+                      </div>
+                      <input
+                        readOnly
+                        value={getShareUrl(shareInfo)}
+                        onFocus={(e) => e.target.select()}
+                        className="w-full px-2 py-1 text-xs border border-purple-200 rounded bg-white text-gray-700"
+                      />
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => copyShareUrl(shareInfo)}
+                          className="flex-1 flex items-center justify-center gap-1 px-2 py-1.5 text-xs bg-purple-600 text-white rounded hover:bg-purple-700"
+                        >
+                          <Copy size={14} /> Copy
+                        </button>
+                        <button
+                          onClick={() => handleShareAction('rotate')}
+                          disabled={sharingBusy}
+                          className="flex-1 flex items-center justify-center gap-1 px-2 py-1.5 text-xs border border-purple-300 text-purple-700 rounded hover:bg-purple-100 disabled:opacity-60"
+                          title="Create a new link and invalidate the old one"
+                        >
+                          <RefreshCw size={14} /> New link
+                        </button>
+                        <button
+                          onClick={() => handleShareAction('disable')}
+                          disabled={sharingBusy}
+                          className="flex-1 flex items-center justify-center gap-1 px-2 py-1.5 text-xs border border-gray-300 text-gray-700 rounded hover:bg-gray-100 disabled:opacity-60"
+                        >
+                          <Link2Off size={14} /> Stop sharing
+                        </button>
+                      </div>
+                    </div>
+                  )}
+
+                  {savedTripId && (
+                    <div className="p-3 border border-gray-200 rounded-lg space-y-2">
+                      <div className="text-sm font-medium text-gray-800">Plan together</div>
+                      <form onSubmit={handleInviteCollaborator} className="flex gap-2">
+                        <input
+                          type="email"
+                          value={inviteEmail}
+                          onChange={(e) => setInviteEmail(e.target.value)}
+                          placeholder="Friend's account email"
+                          className="flex-1 min-w-0 px-2 py-1.5 text-xs border border-gray-300 rounded"
+                        />
+                        <select
+                          value={invitePermission}
+                          onChange={(e) => setInvitePermission(e.target.value)}
+                          className="px-1 py-1.5 text-xs border border-gray-300 rounded"
+                        >
+                          <option value="edit">Can edit</option>
+                          <option value="view">Can view</option>
+                        </select>
+                        <button
+                          type="submit"
+                          disabled={inviting || !inviteEmail.trim()}
+                          className="flex items-center gap-1 px-2 py-1.5 text-xs bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-60"
+                        >
+                          {inviting ? <Loader size={14} className="animate-spin" /> : <UserPlus size={14} />}
+                          Invite
+                        </button>
+                      </form>
+                      {collaborators.length > 0 && (
+                        <ul className="space-y-1">
+                          {collaborators.map(collaborator => (
+                            <li key={collaborator.userId} className="flex items-center justify-between text-xs text-gray-700">
+                              <span className="truncate" title={collaborator.email}>
+                                {collaborator.name} · {collaborator.permission === 'edit' ? 'can edit' : 'can view'}
+                              </span>
+                              <button
+                                onClick={() => handleRemoveCollaborator(collaborator)}
+                                className="p-1 text-gray-400 hover:text-red-600"
+                                title="Remove"
+                              >
+                                <Trash2 size={12} />
+                              </button>
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  )}
+
                   <button
                     onClick={handleBackToSelection}
                     className="w-full flex items-center justify-center gap-2 px-4 py-3 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
@@ -1,6 +1,7 @@
 // API Service Layer for TourWithAI
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import { STORAGE_KEYS } from '../utils/constants';
 
 // API Configuration
 // src/services/api.js
@@ -27,6 +28,12 @@ apiClient.interceptors.request.use(
     const timestamp = new Date().toISOString();
     console.log(`🌐 API Request [${timestamp}]: ${config.method?.toUpperCase()} ${config.url}`);
     
+    // Attach the session token when logged in
+    const token = getAuthToken();
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
+
     // Add request timestamp
     config.metadata = { startTime: Date.now() };
     return config;
@@ -58,6 +65,11 @@ apiClient.interceptors.response.use(
       toast.error('Backend server is not running. Please start the server.');
     } else if (error.response?.status >= 500) {
       toast.error('Server error. Please try again later.');
+    } else if (error.response?.status === 401 && !error.config?.url?.startsWith('/auth/')) {
+      // Session missing or expired - ask the app to show the login prompt
+      clearAuthSession();
+      toast.error(error.response.data?.message || 'Please log in to continue.');
+      window.dispatchEvent(new CustomEvent(AUTH_REQUIRED_EVENT));
     } else if (error.response?.status === 429) {
       toast.error('Too many requests. Please wait a moment.');
     }
@@ -80,6 +92,56 @@ const withRetry = async (fn, retries = MAX_RETRIES) => {
   }
 };
 
+// One "event: x\ndata: {...}" block of a text/event-stream body; comments like ": ping" give null
+const parseServerSentEvent = (block) => {
+  let type = 'message';
+  const dataLines = [];
+
+  for (const line of block.split('\n')) {
+    if (line.startsWith('event:')) type = line.slice(6).trim();
+    else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+  }
+
+  if (dataLines.length === 0) return null;
+  try {
+    return { type, data: JSON.parse(dataLines.join('\n')) };
+  } catch (error) {
+    console.warn('Skipping malformed stream event:', block.slice(0, 100));
+    return null;
+  }
+};
+
+// Auth session storage
+export const AUTH_REQUIRED_EVENT = 'tourwithai:auth-required';
+
+export const getAuthToken = () => localStorage.getItem(STORAGE_KEYS.AUTH_TOKEN);
+
+export const getStoredUser = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEYS.AUTH_USER)) || null;
+  } catch {
+    return null;
+  }
+};
+
+export const setAuthSession = ({ token, user }) => {
+  localStorage.setItem(STORAGE_KEYS.AUTH_TOKEN, token);
+  localStorage.setItem(STORAGE_KEYS.AUTH_USER, JSON.stringify(user));
+};
+
+// Keep the cached user in step after profile changes (e.g. saved locations)
+const updateStoredUser = (changes) => {
+  const user = getStoredUser();
+  if (user) {
+    localStorage.setItem(STORAGE_KEYS.AUTH_USER, JSON.stringify({ ...user, ...changes }));
+  }
+};
+
+export const clearAuthSession = () => {
+  localStorage.removeItem(STORAGE_KEYS.AUTH_TOKEN);
+  localStorage.removeItem(STORAGE_KEYS.AUTH_USER);
+};
+
 // API Service Object
 export const apiService = {
   // Health Check
@@ -158,6 +220,42 @@ export const apiService = {
     }
   },
 
+  async getPlaceReviews(placeId, { sort = 'recent', page = 1, limit = 10 } = {}) {
+    try {
+      const response = await apiClient.get(`/places/${placeId}/reviews`, { params: { sort, page, limit } });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch reviews: ${error.response?.data?.message || error.message}`);
+    }
+  },
+
+  async postPlaceReview(placeId, review) {
+    try {
+      const response = await apiClient.post(`/places/${placeId}/reviews`, review);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to post review: ${error.response?.data?.message || error.message}`);
+    }
+  },
+
+  async reportReview(reviewId, reason, details) {
+    try {
+      const response = await apiClient.post(`/places/reviews/${reviewId}/report`, { reason, details });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to report review: ${error.response?.data?.message || error.message}`);
+    }
+  },
+
+  async deleteReview(reviewId) {
+    try {
+      const response = await apiClient.delete(`/places/reviews/${reviewId}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to delete review: ${error.response?.data?.message || error.message}`);
+    }
+  },
+
   async getPlaceStats() {
     try {
       const response = await apiClient.get('/places/stats');
@@ -193,6 +291,25 @@ export const apiService = {
     }
   },
 
+  async planMultiDayTrip(payload) {
+    try {
+      const response = await apiClient.post('/trips/plan-multi-day', payload);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Multi-day planning failed: ${error.response?.data?.message || error.message}`);
+    }
+  },
+
+  // Runs every optimizer on the same places and ranks the routes
+  async compareAlgorithms(payload) {
+    try {
+      const response = await apiClient.post('/trips/compare-algorithms', payload);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Algorithm comparison failed: ${error.response?.data?.message || error.message}`);
+    }
+  },
+
   // Add this method to your existing apiService object in src/services/api.js
 
 // NEW: Generate Algorithm Explanation
@@ -301,13 +418,11 @@ async updateTripProgress(payload) {
   }
 },
 
-async getRealTimeUpdates(tripId, currentLocation, lastUpdateTime) {
+async getRealTimeUpdates(trackingId, lastUpdateTime, currentTime) {
   try {
-    const params = new URLSearchParams({
-      tripId,
-      currentLocation: JSON.stringify(currentLocation),
-      lastUpdateTime
-    });
+    const params = new URLSearchParams({ trackingId });
+    if (lastUpdateTime) params.append('lastUpdateTime', lastUpdateTime);
+    if (currentTime) params.append('currentTime', currentTime);
     const response = await apiClient.get(`/trips/real-time-updates?${params}`);
     return response.data;
   } catch (error) {
@@ -315,6 +430,15 @@ async getRealTimeUpdates(tripId, currentLocation, lastUpdateTime) {
   }
 },
 
+async getTrackingSession(trackingId) {
+  try {
+    const response = await apiClient.get(`/trips/tracking/${trackingId}`);
+    return response.data;
+  } catch (error) {
+    throw new Error(`Failed to get tracking session: ${error.response?.data?.message || error.message}`);
+  }
+},
+
 
   async getTripSuggestions(criteria = {}) {
     try {
@@ -326,16 +450,300 @@ async getRealTimeUpdates(tripId, currentLocation, lastUpdateTime) {
     }
   },
 
+  // SAVED TRIPS API
+  async saveTrip(payload) {
+    try {
+      const response = await apiClient.post('/trips/saved', payload);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to save trip: ${error.response?.data?.message || error.message}`);
+    }
+  },
+
+  async getSavedTrips(filters = {}) {
+    try {
+      const params = new URLSearchParams();
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+          params.append(key, value);
+        }
+      });
+
+      const response = await apiClient.get(`/trips/saved?${params}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch saved trips: ${error.response?.data?.message || error.message}`);
+    }
+  },
+
+  async getSavedTrip(tripId) {
+    try {
+      const response = await apiClient.get(`/trips/saved/${tripId}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch saved trip: ${error.response?.data?.message || error.message}`);
+    }
+  },
+
+  async updateSavedTrip(tripId, updates) {
+    try {
+      const response = await apiClient.put(`/trips/saved/${tripId}`, updates);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to update saved trip: ${error.response?.data?.message || error.message}`);
+    }
+  },
+
+  async deleteSavedTrip(tripId) {
+    try {
+      const response = await apiClient.delete(`/trips/saved/${tripId}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to delete saved trip: ${error.response?.data?.message || error.message}`);
+    }
+  },
+
+  async reoptimizeSavedTrip(tripId, payload) {
+    try {
+      const response = await apiClient.post(`/trips/saved/${tripId}/reoptimize`, payload);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to re-plan trip: ${error.response?.data?.message || error.message}`);
+    }
+  },
+
+  // TRIP SHARING API
+  async enableTripSharing(tripId) {
+    try {
+      const response = await apiClient.post(`/trips/saved/${tripId}/share`);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to enable sharing: ${error.response?.data?.message || error.message}`);
+    }
+  },
+
+  async disableTripSharing(tripId) {
+    try {
+      const response = await apiClient.delete(`/trips/saved/${tripId}/share`);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to disable sharing: ${error.response?.data?.message || error.message}`);
+    }
+  },
+
+  async rotateShareLink(tripId) {
+    try {
+      const response = await apiClient.post(`/trips/saved/${tripId}/share/rotate`);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to rotate share link: ${error.response?.data?.message || error.message}`);
+    }
+  },
+
+  // COLLABORATION API
+  async inviteCollaborator(tripId, email, permission = 'view') {
+    try {
+      const response = await apiClient.post(`/trips/saved/${tripId}/collaborators`, { email, permission });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to invite collaborator: ${error.response?.data?.message || error.message}`);
+    }
+  },
+
+  async updateCollaborator(tripId, userId, permission) {
+    try {
+      const response = await apiClient.put(`/trips/saved/${tripId}/collaborators/${userId}`, { permission });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to update collaborator: ${error.response?.data?.message || error.message}`);
+    }
+  },
+
+  async removeCollaborator(tripId, userId) {
+    try {
+      const response = await apiClient.delete(`/trips/saved/${tripId}/collaborators/${userId}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to remove collaborator: ${error.response?.data?.message || error.message}`);
+    }
+  },
+
+  async getTripActivity(tripId, limit = 50) {
+    try {
+      const response = await apiClient.get(`/trips/saved/${tripId}/activity?limit=${limit}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch trip activity: ${error.response?.data?.message || error.message}`);
+    }
+  },
+
+  async getSharedTrip(token) {
+    try {
+      const response = await apiClient.get(`/shared/${encodeURIComponent(token)}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to load shared trip: ${error.response?.data?.message || error.message}`);
+    }
+  },
+
+  // AUTH API
+  async register({ email, name, password }) {
+    try {
+      const response = await apiClient.post('/auth/register', { email, name, password });
+      setAuthSession(response.data.data);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Registration failed: ${error.response?.data?.message || error.message}`);
+    }
+  },
+
+  async login({ email, password }) {
+    try {
+      const response = await apiClient.post('/auth/login', { email, password });
+      setAuthSession(response.data.data);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Login failed: ${error.response?.data?.message || error.message}`);
+    }
+  },
+
+  async getCurrentUser() {
+    try {
+      const response = await apiClient.get('/auth/me');
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch current user: ${error.response?.data?.message || error.message}`);
+    }
+  },
+
+  logout() {
+    clearAuthSession();
+  },
+
+  async addSavedLocation({ label, latitude, longitude, address }) {
+    try {
+      const response = await apiClient.post('/auth/me/locations', { label, latitude, longitude, address });
+      const user = getStoredUser();
+      updateStoredUser({ savedLocations: [...(user?.savedLocations || []), response.data.data] });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to save location: ${error.response?.data?.message || error.message}`);
+    }
+  },
+
+  async removeSavedLocation(locationId) {
+    try {
+      const response = await apiClient.delete(`/auth/me/locations/${locationId}`);
+      const user = getStoredUser();
+      updateStoredUser({ savedLocations: (user?.savedLocations || []).filter(location => location.id !== locationId) });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to remove saved location: ${error.response?.data?.message || error.message}`);
+    }
+  },
+
   // AI CHAT API
-  async chatWithAI(message, context = {}) {
+  async chatWithAI(message, context = {}, conversationId = null) {
     try {
-      const response = await apiClient.post('/chat', { message, context });
+      const response = await apiClient.post('/chat', { message, context, ...(conversationId ? { conversationId } : {}) });
       return response.data;
     } catch (error) {
       throw new Error(`AI chat failed: ${error.response?.data?.message || error.message}`);
     }
   },
 
+  /**
+   * Chat reply streamed over Server-Sent Events. onToken(text) receives each
+   * piece as the model writes it; resolves with the final { message, fallback, ... }
+   * (markdown removed). Aborting `signal` stops the answer on the server too.
+   * Signed in, pass the conversationId to continue a saved conversation;
+   * onStart({ conversationId }) reports the id as soon as the server has one.
+   * Uses fetch because axios cannot read a response body as it arrives.
+   */
+  async streamChatWithAI(message, context = {}, { onToken, onStart, signal, conversationId = null } = {}) {
+    const token = getAuthToken();
+    let response;
+
+    try {
+      response = await fetch(`${API_BASE_URL}/chat/stream`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'text/event-stream',
+          ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        body: JSON.stringify({ message, context, ...(conversationId ? { conversationId } : {}) }),
+        signal
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      throw new Error(`AI chat failed: ${error.message}`);
+    }
+
+    if (!response.ok || !response.body) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(`AI chat failed: ${data.message || response.statusText}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const blocks = buffer.split('\n\n');
+      buffer = blocks.pop();
+
+      for (const block of blocks) {
+        const event = parseServerSentEvent(block);
+        if (!event) continue;
+
+        if (event.type === 'start') {
+          onStart?.(event.data);
+        } else if (event.type === 'token') {
+          onToken?.(event.data.text);
+        } else if (event.type === 'done') {
+          return event.data;
+        } else if (event.type === 'error') {
+          throw new Error(event.data.message);
+        }
+      }
+    }
+
+    throw new Error('AI chat failed: the answer stopped before it was complete');
+  },
+
+  // Saved chat conversations (login required)
+  async getConversations({ page = 1, limit = 20 } = {}) {
+    try {
+      const response = await apiClient.get(`/chat/conversations?page=${page}&limit=${limit}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch conversations: ${error.response?.data?.message || error.message}`);
+    }
+  },
+
+  async getConversation(conversationId) {
+    try {
+      const response = await apiClient.get(`/chat/conversations/${conversationId}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch conversation: ${error.response?.data?.message || error.message}`);
+    }
+  },
+
+  async deleteConversation(conversationId) {
+    try {
+      const response = await apiClient.delete(`/chat/conversations/${conversationId}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to delete conversation: ${error.response?.data?.message || error.message}`);
+    }
+  },
+
   async getTravelSuggestions(preferences) {
     try {
       const response = await apiClient.post('/chat/suggestions', preferences);
@@ -637,8 +1045,9 @@ export const tripPlanningUtils = {
       errors.push('At least one place must be selected');
     }
     
-    if (data.places && data.places.length > 20) {
-      errors.push('Maximum 20 places allowed');
+    // Above 25 places the backend picks the best subset instead of ordering them all
+    if (data.places && data.places.length > 100) {
+      errors.push('Maximum 100 places allowed');
     }
     
     if (data.preferences?.startTime && !/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(data.preferences.startTime)) {
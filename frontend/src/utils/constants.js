@@ -9,6 +9,8 @@ export const STORAGE_KEYS = {
   CHAT_HISTORY: 'tourwithai_chat_history',
   RECENT_SEARCHES: 'tourwithai_recent_searches',
   SAVED_ROUTES: 'tourwithai_saved_routes',
+  AUTH_TOKEN: 'tourwithai_auth_token',
+  AUTH_USER: 'tourwithai_auth_user',
   RECENT_LOCATIONS: 'tourwithai_recent_locations',
   OPTIMIZATION_HISTORY: 'tourwithai_optimization_history' // NEW: Track optimization performance
 };
@@ -210,6 +212,52 @@ export const ALGORITHMS = {
     bestFor: ['quick planning', 'distance priority', 'simple routes'],
     icon: '📍',
     color: '#6b7280'
+  },
+
+  SIMULATED_ANNEALING: {
+    id: 'simulatedAnnealing',
+    name: 'Catalog Picker',
+    displayName: 'Simulated Annealing',
+    description: 'Chooses the best places from a large catalog that fit your day and budget',
+    complexity: 'O(i×n)',
+    recommended: false,
+    processingTime: 'Fast (under 5 seconds)',
+    maxPlaces: 100,
+    features: [
+      'Chooses which places to visit, not just the order',
+      'Respects opening hours and budget',
+      'Reproducible with a seed'
+    ],
+    strengths: [
+      'Handles region-wide catalogs',
+      'Escapes poor early choices'
+    ],
+    bestFor: ['tour operators', 'large catalogs', '25+ places'],
+    icon: '🔥',
+    color: '#f97316'
+  },
+
+  ANT_COLONY: {
+    id: 'antColony',
+    name: 'Swarm Picker',
+    displayName: 'Ant Colony',
+    description: 'Many simulated travelers explore day plans and the best trail wins',
+    complexity: 'O(i×a×n²)',
+    recommended: false,
+    processingTime: 'Moderate (5-10 seconds)',
+    maxPlaces: 100,
+    features: [
+      'Chooses which places to visit, not just the order',
+      'Respects opening hours and budget',
+      'Reproducible with a seed'
+    ],
+    strengths: [
+      'Good with places spread across a region',
+      'Balances rating against travel time'
+    ],
+    bestFor: ['tour operators', 'regional trips', '25+ places'],
+    icon: '🐜',
+    color: '#a16207'
   }
 };
 
@@ -820,7 +868,7 @@ export const FEATURES = {
 // Enhanced Validation Rules
 export const VALIDATION = {
   MIN_PLACES: 2,
-  MAX_PLACES: 20,
+  MAX_PLACES: 100, // Above 25 the optimizer picks the best subset
   MIN_TIME_AVAILABLE: 120, // 2 hours
   MAX_TIME_AVAILABLE: 720, // 12 hours
   MIN_RATING: 0,
@@ -640,6 +640,30 @@ export const getLocationById = (locationId) => {
   return location;
 };
 
+// Same shape as USER_LOCATIONS for any coordinate: live GPS, a geocoded hotel
+// address or one of the user's saved locations
+export const createCustomLocation = (latitude, longitude, details = {}) => {
+  const lat = parseFloat(latitude);
+  const lng = parseFloat(longitude);
+
+  if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+    return null;
+  }
+
+  return {
+    id: details.id || `custom:${lat.toFixed(5)},${lng.toFixed(5)}`,
+    name: details.name || 'Custom location',
+    district: details.district || details.name || 'Custom location',
+    state: details.state || '',
+    description: details.address || details.description || '',
+    address: details.address,
+    source: details.source || 'coordinates',
+    latitude: lat,
+    longitude: lng,
+    coordinates: { latitude: lat, longitude: lng }
+  };
+};
+
 export const getAllLocations = () => {
   return Object.values(USER_LOCATIONS);
 };
@@ -793,6 +817,7 @@ const calculateDistance = (coord1, coord2) => {
 export default {
   USER_LOCATIONS,
   getLocationById,
+  createCustomLocation,
   getAllLocations,
   getLocationsByState,
   getLocationsByStateGrouped,